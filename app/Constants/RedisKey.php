@@ -101,6 +101,17 @@ class RedisKey
      */
     public const CUSTOMER_HEARTBEAT = 'im:customer:heartbeat';
 
+    /**
+     * 客户最近浏览的页面前缀
+     *
+     * 【数据结构】List
+     * 【完整键名】im:customer:pageviews:{customer_id}
+     * 【值】json{url, title, viewed_at}，最新的在最前
+     * 【过期时间】7天（见 CustomerService）
+     * 【说明】SDK 在页面切换（包括单页应用的路由切换）时上报，客服工作台显示访客浏览轨迹
+     */
+    public const CUSTOMER_PAGE_VIEWS_PREFIX = 'im:customer:pageviews:';
+
     // ==================== 连接映射 ====================
 
     /**
@@ -125,6 +136,44 @@ class RedisKey
      */
     public const TOKEN_PREFIX = 'im:token:';
 
+    // ==================== 链接预览 ====================
+
+    /**
+     * 链接预览缓存前缀
+     *
+     * 【数据结构】String
+     * 【完整键名】im:link:preview:{md5(url)}
+     * 【值】json{url, title, description, image, site_name}，抓取失败为空字符串
+     * 【过期时间】见 config/autoload/link_preview.php
+     * 【说明】同一网址在有效期内只抓取一次
+     */
+    public const LINK_PREVIEW_PREFIX = 'im:link:preview:';
+
+    // ==================== 主动邀请 ====================
+
+    /**
+     * 主动邀请频率锁前缀
+     *
+     * 【数据结构】String
+     * 【完整键名】im:trigger:hit:{customer_id}
+     * 【值】邀请时间戳
+     * 【过期时间】proactive_chat 配置的 min_interval_minutes
+     * 【说明】SET NX 抢到锁才记录触发，同一访客多个标签页同时触发时只记录一次（见 ChatTriggerService）
+     */
+    public const TRIGGER_HIT_LOCK_PREFIX = 'im:trigger:hit:';
+
+    // ==================== 排队 ====================
+
+    /**
+     * 最近的排队分配记录
+     *
+     * 【数据结构】ZSet（有序集合）
+     * 【成员】{conversation_id}:{队首停留秒数}
+     * 【分数】分配时间戳
+     * 【说明】只记录排过队的会话，只保留最近一段时间的记录，用于估算排队等待时间（见 QueueService）
+     */
+    public const QUEUE_ASSIGNMENTS = 'im:queue:assignments';
+
     // ==================== 登录安全 ====================
 
     /**
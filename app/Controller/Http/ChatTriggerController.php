@@ -0,0 +1,152 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Controller\Http;
+
+use App\Model\Agent;
+use App\Model\ChatTrigger;
+use App\Service\ChatTriggerService;
+use Hyperf\Context\Context;
+use Hyperf\HttpServer\Contract\RequestInterface;
+
+/**
+ * ============================================================================
+ * 主动邀请规则控制器 - 管理员配置主动邀请规则
+ * ============================================================================
+ *
+ * 【接口列表】
+ * - GET /chat-trigger/all：获取所有规则及效果统计
+ * - POST /chat-trigger/create：创建规则
+ * - PUT /chat-trigger/update/{id}：更新规则
+ * - DELETE /chat-trigger/delete/{id}：删除规则
+ *
+ * 【说明】
+ * 只有管理员可以管理规则。规则由客户端（SDK）检查并触发，见 ChatTriggerService。
+ */
+class ChatTriggerController
+{
+    /**
+     * 构造函数 - 依赖注入
+     */
+    public function __construct(
+        protected ChatTriggerService $chatTriggerService
+    ) {
+    }
+
+    /**
+     * 获取所有规则及效果统计
+     *
+     * 【接口】GET /chat-trigger/all
+     *
+     * 【返回数据】
+     * - list：规则列表，附带 hit_count 触发次数、conversation_count 带来的会话数、conversion_rate 转化率(%)
+     *
+     * @return array
+     */
+    public function all(): array
+    {
+        if (!$this->checkAdmin()) {
+            return json_error('无权限访问', 403);
+        }
+
+        return json_success(['list' => $this->chatTriggerService->getListWithStats()]);
+    }
+
+    /**
+     * 创建规则
+     *
+     * 【接口】POST /chat-trigger/create
+     *
+     * 【请求参数】
+     * - name：规则名称（必填）
+     * - url_pattern：页面地址包含的内容，支持 * 通配符（可选，空为所有页面）
+     * - delay_seconds：在页面停留秒数（可选，默认0）
+     * - scroll_percent：页面滚动百分比（可选，0为不限）
+     * - exit_intent：是否在访客准备离开页面时触发（可选，1=是, 0=否）
+     * - message：问候语（必填）
+     * - sort_order：排序值（可选，默认0）
+     * - is_active：是否启用（可选，默认1）
+     *
+     * @param RequestInterface $request
+     * @return array
+     */
+    public function create(RequestInterface $request): array
+    {
+        if (!$this->checkAdmin()) {
+            return json_error('无权限访问', 403);
+        }
+
+        $trigger = new ChatTrigger();
+        $error = $this->chatTriggerService->save($trigger, $request->all());
+        if ($error !== null) {
+            return json_error($error);
+        }
+
+        return json_success($trigger->toArray());
+    }
+
+    /**
+     * 更新规则
+     *
+     * 【接口】PUT /chat-trigger/update/{id}
+     *
+     * 【请求参数】同创建
+     *
+     * @param int $id 规则ID
+     * @param RequestInterface $request
+     * @return array
+     */
+    public function update(int $id, RequestInterface $request): array
+    {
+        if (!$this->checkAdmin()) {
+            return json_error('无权限访问', 403);
+        }
+
+        $trigger = ChatTrigger::find($id);
+        if (!$trigger) {
+            return json_error('规则不存在');
+        }
+
+        $error = $this->chatTriggerService->save($trigger, $request->all());
+        if ($error !== null) {
+            return json_error($error);
+        }
+
+        return json_success($trigger->toArray());
+    }
+
+    /**
+     * 删除规则（触发记录一并删除）
+     *
+     * 【接口】DELETE /chat-trigger/delete/{id}
+     *
+     * @param int $id 规则ID
+     * @return array
+     */
+    public function delete(int $id): array
+    {
+        if (!$this->checkAdmin()) {
+            return json_error('无权限访问', 403);
+        }
+
+        $trigger = ChatTrigger::find($id);
+        if (!$trigger) {
+            return json_error('规则不存在');
+        }
+
+        $trigger->hits()->delete();
+        $trigger->delete();
+
+        return json_success(['id' => $id]);
+    }
+
+    /**
+     * 检查当前用户是否为管理员
+     */
+    private function checkAdmin(): bool
+    {
+        $agent = Agent::find(Context::get('agent_id'));
+        return $agent && $agent->isAdmin();
+    }
+}
@@ -9,6 +9,8 @@ use App\Model\Conversation;
 use App\Model\ConversationTransfer;
 use App\Service\AgentService;
 use App\Service\ConversationService;
+use App\Service\CustomerAttributeService;
+use App\Service\CustomerService;
 use App\Service\WebSocketService;
 use Hyperf\Context\Context;
 use Hyperf\HttpServer\Contract\RequestInterface;
@@ -40,7 +42,9 @@ class ConversationController
     public function __construct(
         protected ConversationService $conversationService,
         protected AgentService $agentService,
-        protected WebSocketService $webSocketService
+        protected WebSocketService $webSocketService,
+        protected CustomerService $customerService,
+        protected CustomerAttributeService $customerAttributeService
     ) {
     }
 
@@ -160,6 +164,14 @@ class ConversationController
 
         $this->conversationService->close($conversation);
 
+        // 通知客户会话已结束（客户端据此显示满意度评价）
+        if ($conversation->customer) {
+            $this->webSocketService->sendToCustomer($conversation->customer->uuid, [
+                'type' => 'conversation_closed',
+                'data' => ['conversation_id' => $conversation->id],
+            ]);
+        }
+
         return json_success(null, '会话已关闭');
     }
 
@@ -337,6 +349,8 @@ class ConversationController
      * - 客户基本信息（IP、设备、浏览器等）
      * - 历史会话数
      * - 总消息数
+     * - 最近浏览的页面（第一条即客户当前所在页面）
+     * - 自定义属性（只返回当前客服可见的）
      *
      * @param int $id 会话ID
      * @return array
@@ -377,6 +391,8 @@ class ConversationController
         return json_success([
             'id' => $customer->id,
             'uuid' => $customer->uuid,
+            'external_user_id' => $customer->external_user_id ?? '',
+            'nickname' => $customer->nickname ?? '',
             'ip' => $customer->ip,
             'source_url' => $customer->source_url,
             'referrer' => $customer->referrer,
@@ -385,11 +401,15 @@ class ConversationController
             'os' => $customer->os,
             'city' => $customer->city,
             'email' => $customer->email ?? '',
+            'phone' => $customer->phone ?? '',
+            'topic' => $customer->topic ?? '',
             'timezone' => $customer->timezone ?? '',
             'created_at' => $customer->created_at,
             'last_active_at' => $customer->last_active_at,
             'history_conversations' => $historyConversations,
             'total_messages' => $totalMessages,
+            'page_views' => $this->customerService->getPageViews($customer->id),
+            'attributes' => $this->customerAttributeService->getVisibleAttributes($customer, $agent),
         ]);
     }
 
@@ -429,7 +449,7 @@ class ConversationController
         $keyword = $request->input('keyword');
 
         // 构建查询：只查询已关闭的会话
-        $query = Conversation::with(['customer', 'agent'])
+        $query = Conversation::with(['customer', 'agent', 'rating'])
             ->where('status', \App\Enums\ConversationStatus::CLOSED);
 
         // 权限过滤：非管理员只能查看自己的历史会话
@@ -9,8 +9,15 @@ use App\Enums\SenderType;
 use App\Model\Agent;
 use App\Model\Conversation;
 use App\Model\Customer;
+use App\Model\SystemConfig;
+use App\Service\BusinessHoursService;
+use App\Service\ChatTriggerService;
+use App\Service\CustomerAttributeService;
 use App\Service\CustomerService;
+use App\Service\IdentityService;
 use App\Service\MessageService;
+use App\Service\OfflineTicketService;
+use App\Service\RatingService;
 use App\Service\WebSocketService;
 use Hyperf\Context\Context;
 use Hyperf\HttpServer\Contract\RequestInterface;
@@ -23,6 +30,13 @@ use Hyperf\HttpServer\Contract\RequestInterface;
  * 【接口列表】
  * - POST /customer/init：客户初始化
  * - GET /customer/history：获取历史消息
+ * - POST /customer/identify：关联已登录用户身份
+ * - POST /customer/attributes：写入客户自定义属性
+ * - POST /customer/rating：会话结束后提交满意度评价
+ * - GET /customer/availability：是否有客服在线（没有时显示留言表单）
+ * - POST /customer/offline-ticket：没有客服时提交留言
+ * - GET /customer/triggers：获取主动邀请规则
+ * - POST /customer/trigger-hit：记录主动邀请触发
  *
  * 【说明】
  * 这些接口供客户端（SDK）调用，不需要认证。
@@ -36,7 +50,13 @@ class CustomerController
     public function __construct(
         protected CustomerService $customerService,
         protected MessageService $messageService,
-        protected WebSocketService $webSocketService
+        protected WebSocketService $webSocketService,
+        protected IdentityService $identityService,
+        protected RatingService $ratingService,
+        protected OfflineTicketService $offlineTicketService,
+        protected BusinessHoursService $businessHoursService,
+        protected ChatTriggerService $chatTriggerService,
+        protected CustomerAttributeService $customerAttributeService
     ) {
     }
 
@@ -49,6 +69,8 @@ class CustomerController
      * - uuid：客户唯一标识（必填）
      * - source_url：来源页面URL
      * - referrer：引荐来源
+     * - language：客户端使用的语言（系统消息按此语言发送）
+     * - pre_chat：为1时表示提交咨询前表单，同时携带 name/email/phone/topic
      *
      * 【返回数据】
      * - customer_id：客户ID
@@ -91,6 +113,23 @@ class CustomerController
         // 创建或获取客户记录
         $customer = $this->customerService->getOrCreate($uuid, $ip, $userAgent, $extraInfo);
 
+        // 语言以最近一次为准（访客可能更换了浏览器语言）
+        $language = (string) $request->input('language', '');
+        if ($language !== '') {
+            $language = SystemConfig::resolveLanguage($language);
+            if ($customer->language !== $language) {
+                $customer->update(['language' => $language]);
+            }
+        }
+
+        // 咨询前表单：校验后写入客户资料
+        if ($request->input('pre_chat')) {
+            $error = $this->customerService->savePreChatForm($customer, $request->all());
+            if ($error !== null) {
+                return json_error($error);
+            }
+        }
+
         // 获取当前进行中的会话
         $conversation = Conversation::query()
             ->where('customer_id', $customer->id)
@@ -109,6 +148,274 @@ class CustomerController
         ]);
     }
 
+    /**
+     * 关联已登录用户身份
+     *
+     * 【接口】POST /customer/identify
+     *
+     * 【请求参数】
+     * - uuid：当前客户UUID（必填）
+     * - user_id：宿主网站的用户ID（必填）
+     * - signature：宿主后端生成的签名 hash_hmac('sha256', user_id, IDENTITY_SECRET)（必填）
+     * - name：用户姓名（可选，写入昵称）
+     * - email：用户邮箱（可选）
+     *
+     * 【返回数据】
+     * - customer_id：关联后的客户ID
+     * - uuid：关联后的客户UUID（与请求的UUID不同时，SDK需要切换UUID并重连）
+     * - external_user_id：宿主网站的用户ID
+     *
+     * @param RequestInterface $request
+     * @return array
+     */
+    public function identify(RequestInterface $request): array
+    {
+        $uuid = (string) $request->input('uuid', '');
+        $userId = trim((string) $request->input('user_id', ''));
+        $signature = (string) $request->input('signature', '');
+
+        if (!$uuid || $userId === '' || !$signature) {
+            return json_error('参数不完整');
+        }
+
+        if (mb_strlen($userId) > 64) {
+            return json_error('user_id过长');
+        }
+
+        if (!$this->identityService->verifySignature($userId, $signature)) {
+            return json_error('签名校验失败', 403);
+        }
+
+        $email = trim((string) $request->input('email', ''));
+        if ($email !== '' && !filter_var($email, FILTER_VALIDATE_EMAIL)) {
+            return json_error('邮箱格式不正确');
+        }
+
+        // 访客可能还没打开过聊天窗口，此时客户记录尚未创建
+        $customer = $this->customerService->getOrCreate($uuid);
+
+        $customer = $this->identityService->identify($customer, $userId, [
+            'nickname' => mb_substr(trim((string) $request->input('name', '')), 0, 50),
+            'email' => $email,
+        ]);
+
+        return json_success([
+            'customer_id' => $customer->id,
+            'uuid' => $customer->uuid,
+            'external_user_id' => $customer->external_user_id,
+        ]);
+    }
+
+    /**
+     * 写入客户自定义属性
+     *
+     * 【接口】POST /customer/attributes
+     *
+     * 【请求参数】（JSON，保留值的类型）
+     * - uuid：客户UUID（必填）
+     * - attributes：属性对象，如 {"plan": "pro", "orderId": 123, "vip": true}，值为 null 表示删除
+     *
+     * 【说明】
+     * 只修改传入的属性，其余属性保持不变。属性显示在客服工作台的客户信息面板中，
+     * 客服能否查看、修改由后台 customer_attributes 配置决定。
+     *
+     * @param RequestInterface $request
+     * @return array
+     */
+    public function attributes(RequestInterface $request): array
+    {
+        $uuid = (string) $request->input('uuid', '');
+        $attributes = $request->input('attributes');
+
+        if (!$uuid || !is_array($attributes) || empty($attributes)) {
+            return json_error('参数不完整');
+        }
+
+        // 访客可能还没打开过聊天窗口，此时客户记录尚未创建
+        $customer = $this->customerService->getOrCreate($uuid);
+
+        $error = $this->customerAttributeService->set($customer, $attributes);
+        if ($error !== null) {
+            return json_error($error);
+        }
+
+        return json_success(['attributes' => $customer->custom_attributes ?? (object) []]);
+    }
+
+    /**
+     * 提交满意度评价
+     *
+     * 【接口】POST /customer/rating
+     *
+     * 【请求参数】
+     * - uuid：客户UUID（必填）
+     * - conversation_id：已结束的会话ID（必填）
+     * - score：评分，星级为1-5，赞/踩为5/1（必填）
+     * - comment：评价内容（可选）
+     *
+     * 【说明】
+     * 只能评价自己已结束的会话，每个会话只能评价一次。
+     *
+     * @param RequestInterface $request
+     * @return array
+     */
+    public function rating(RequestInterface $request): array
+    {
+        $uuid = (string) $request->input('uuid', '');
+        $conversationId = (int) $request->input('conversation_id', 0);
+
+        if (!$uuid || !$conversationId) {
+            return json_error('参数不完整');
+        }
+
+        $customer = Customer::query()->where('uuid', $uuid)->first();
+        if (!$customer) {
+            return json_error('客户不存在');
+        }
+
+        $error = $this->ratingService->submit(
+            $customer,
+            $conversationId,
+            (int) $request->input('score', 0),
+            (string) $request->input('comment', '')
+        );
+        if ($error !== null) {
+            return json_error($error);
+        }
+
+        return json_success(null, '评价成功');
+    }
+
+    /**
+     * 查询是否有客服可以接待
+     *
+     * 【接口】GET /customer/availability
+     *
+     * 【请求参数】
+     * - uuid：客户UUID（可选，客户有未结束的会话时继续聊天，不显示留言表单）
+     *
+     * 【返回数据】
+     * - offline：为true时客户端显示留言表单，不进入聊天
+     *   （所有客服离线，或非营业时间且 outside_mode 为 offline）
+     * - hide：为true时客户端隐藏聊天组件（非营业时间且 outside_mode 为 hide）
+     * - business_hours：营业状态 [enabled, open, next_open_at 下次营业的时间戳, outside_mode]
+     *
+     * @param RequestInterface $request
+     * @return array
+     */
+    public function availability(RequestInterface $request): array
+    {
+        $uuid = (string) $request->input('uuid', '');
+        $customer = $uuid ? Customer::where('uuid', $uuid)->first() : null;
+
+        $hasOpenConversation = $customer && Conversation::query()
+            ->where('customer_id', $customer->id)
+            ->whereIn('status', [ConversationStatus::WAITING, ConversationStatus::ACTIVE])
+            ->exists();
+
+        $hours = $this->businessHoursService->getStatus();
+        $closedMode = $hours['open'] ? null : $hours['outside_mode'];
+
+        return json_success([
+            'offline' => !$hasOpenConversation
+                && ($closedMode === 'offline' || $this->offlineTicketService->isOfflineMode()),
+            'hide' => !$hasOpenConversation && $closedMode === 'hide',
+            'business_hours' => $hours,
+        ]);
+    }
+
+    /**
+     * 提交离线留言
+     *
+     * 【接口】POST /customer/offline-ticket
+     *
+     * 【请求参数】
+     * - uuid：客户UUID（必填）
+     * - name：姓名（可选）
+     * - email：邮箱（必填，客服通过邮件回复）
+     * - content：留言内容（必填）
+     *
+     * @param RequestInterface $request
+     * @return array
+     */
+    public function offlineTicket(RequestInterface $request): array
+    {
+        $uuid = (string) $request->input('uuid', '');
+        if (!$uuid) {
+            return json_error('uuid不能为空');
+        }
+
+        // 留言前可能还没有初始化过客户
+        $customer = $this->customerService->getOrCreate($uuid);
+
+        $error = $this->offlineTicketService->submit(
+            $customer,
+            (string) $request->input('name', ''),
+            (string) $request->input('email', ''),
+            (string) $request->input('content', '')
+        );
+        if ($error !== null) {
+            return json_error($error);
+        }
+
+        return json_success(null, '留言成功');
+    }
+
+    /**
+     * 获取主动邀请规则
+     *
+     * 【接口】GET /customer/triggers
+     *
+     * 【请求参数】
+     * - uuid：客户UUID（可选，用于频率限制）
+     *
+     * 【返回数据】
+     * - list：当前访客可用的规则 [id, url_pattern, delay_seconds, scroll_percent, exit_intent, message]，
+     *   已达到频率限制、访客正在咨询或没有客服接待时为空
+     *
+     * @param RequestInterface $request
+     * @return array
+     */
+    public function triggers(RequestInterface $request): array
+    {
+        $uuid = (string) $request->input('uuid', '');
+        $customer = $uuid ? Customer::where('uuid', $uuid)->first() : null;
+
+        return json_success(['list' => $this->chatTriggerService->getTriggersFor($customer)]);
+    }
+
+    /**
+     * 记录主动邀请触发
+     *
+     * 【接口】POST /customer/trigger-hit
+     *
+     * 【请求参数】
+     * - uuid：客户UUID（必填）
+     * - trigger_id：触发的规则ID（必填）
+     * - page_url：触发时的页面地址（可选）
+     *
+     * @param RequestInterface $request
+     * @return array
+     */
+    public function triggerHit(RequestInterface $request): array
+    {
+        $uuid = (string) $request->input('uuid', '');
+        $triggerId = (int) $request->input('trigger_id', 0);
+        if (!$uuid || $triggerId <= 0) {
+            return json_error('参数错误');
+        }
+
+        // 邀请可能发生在访客第一次打开窗口之前
+        $customer = $this->customerService->getOrCreate($uuid);
+
+        $error = $this->chatTriggerService->recordHit($customer, $triggerId, (string) $request->input('page_url', ''));
+        if ($error !== null) {
+            return json_error($error);
+        }
+
+        return json_success(null, '记录成功');
+    }
+
     /**
      * 检测设备类型
      *
@@ -183,14 +490,18 @@ class CustomerController
      * 【请求参数】
      * - uuid：客户UUID（必填）
      * - limit：消息数量限制（默认50，最大100）
+     * - after_id：只返回此ID之后的消息（断线重连后增量同步）
+     * - before_id：只返回此ID之前的消息（向上翻页加载更早的消息）
      *
      * 【返回数据】
-     * - list：消息列表
-     * - total：消息总数
+     * - list：消息列表（旧消息在前）
+     * - total：本次返回的消息数
+     * - has_more：请求方向上是否还有更多消息
      * - conversation_id：会话ID
      *
      * 【说明】
      * 返回最近一个会话的消息，过滤掉系统转移消息。
+     * 不传游标时返回最新的 limit 条。
      *
      * @param RequestInterface $request
      * @return array
@@ -207,7 +518,7 @@ class CustomerController
         $customer = Customer::where('uuid', $uuid)->first();
 
         if (!$customer) {
-            return json_success(['list' => [], 'total' => 0]);
+            return json_success(['list' => [], 'total' => 0, 'has_more' => false]);
         }
 
         // 获取最近的会话
@@ -217,12 +528,21 @@ class CustomerController
             ->first();
 
         if (!$conversation) {
-            return json_success(['list' => [], 'total' => 0]);
+            return json_success(['list' => [], 'total' => 0, 'has_more' => false]);
         }
 
-        $limit = (int) $request->input('limit', 50);
+        $limit = max(1, min((int) $request->input('limit', 50), 100));
+        $afterId = (int) $request->input('after_id', 0) ?: null;
+        $beforeId = (int) $request->input('before_id', 0) ?: null;
+
+        // 多取一条用来判断是否还有更多
         // forCustomer = true: 过滤掉转移相关的系统消息
-        $messages = $this->messageService->getHistory($conversation->id, min($limit, 100), null, true);
+        $messages = $this->messageService->getHistory($conversation->id, $limit + 1, $beforeId, true, $afterId);
+        $hasMore = count($messages) > $limit;
+        if ($hasMore) {
+            // 增量同步丢弃最新的一条，其余情况丢弃最早的一条
+            $messages = $afterId ? array_slice($messages, 0, $limit) : array_slice($messages, 1);
+        }
 
         // 标记客服发送的消息为已读，并通知客服
         $count = $this->messageService->markAsRead($conversation->id, SenderType::CUSTOMER());
@@ -239,20 +559,23 @@ class CustomerController
         return json_success([
             'list' => $messages,
             'total' => count($messages),
+            'has_more' => $hasMore,
             'conversation_id' => $conversation->id,
         ]);
     }
 
     /**
-     * 更新客户信息（邮箱）
+     * 更新客户信息（邮箱、自定义属性）
      *
      * 【接口】PUT /customer/{id}
      *
      * 【请求参数】
      * - email：客户邮箱（可选）
+     * - attributes：要修改的自定义属性（可选），如 {"plan": "pro"}，值为 null 表示删除
      *
      * 【权限说明】
-     * 需要客服认证，只有负责该客户的客服或管理员可以更新
+     * 需要客服认证，只有负责该客户的客服或管理员可以更新；
+     * 普通客服只能修改后台配置为可修改的属性
      *
      * @param int $id 客户ID
      * @param RequestInterface $request
@@ -294,11 +617,20 @@ class CustomerController
             $customer->email = $email;
         }
 
+        $attributes = $request->input('attributes');
+        if (is_array($attributes) && !empty($attributes)) {
+            $error = $this->customerAttributeService->updateByAgent($customer, $agent, $attributes);
+            if ($error !== null) {
+                return json_error($error);
+            }
+        }
+
         $customer->save();
 
         return json_success([
             'id' => $customer->id,
             'email' => $customer->email,
+            'attributes' => $this->customerAttributeService->getVisibleAttributes($customer, $agent),
         ], '更新成功');
     }
 
@@ -356,7 +688,7 @@ class CustomerController
 
         // 查询该客户的所有会话
         $query = Conversation::query()
-            ->with(['agent:id,username,nickname'])
+            ->with(['agent:id,username,nickname', 'rating'])
             ->where('customer_id', $id)
             ->orderBy('id', 'desc');
 
@@ -388,6 +720,7 @@ class CustomerController
                         'sender_type' => $lastMessage->sender_type,
                         'created_at' => $lastMessage->created_at,
                     ] : null,
+                    'rating' => $this->ratingService->format($conv->rating),
                     'created_at' => $conv->created_at,
                     'closed_at' => $conv->closed_at,
                 ];
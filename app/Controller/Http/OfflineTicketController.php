@@ -0,0 +1,111 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Controller\Http;
+
+use App\Model\OfflineTicket;
+use App\Service\OfflineTicketService;
+use Hyperf\Context\Context;
+use Hyperf\HttpServer\Contract\RequestInterface;
+
+/**
+ * ============================================================================
+ * 离线留言控制器 - 客服处理客户留言
+ * ============================================================================
+ *
+ * 【接口列表】
+ * - GET /offline-ticket/list：留言列表
+ * - GET /offline-ticket/pending-count：待处理留言数
+ * - POST /offline-ticket/handle/{id}：标记已处理
+ *
+ * 【说明】
+ * 留言是所有客服共享的，任何客服都可以处理。
+ * 客服通过邮件回复客户后，在工作台记录处理备注并标记已处理。
+ */
+class OfflineTicketController
+{
+    /**
+     * 构造函数 - 依赖注入
+     */
+    public function __construct(
+        protected OfflineTicketService $offlineTicketService
+    ) {
+    }
+
+    /**
+     * 获取留言列表
+     *
+     * 【接口】GET /offline-ticket/list
+     *
+     * 【请求参数】
+     * - status：状态筛选（0=待处理, 1=已处理，不传为全部）
+     * - page：页码
+     * - page_size：每页数量（最多50）
+     *
+     * 【返回数据】
+     * - list：留言列表（待处理的在前）
+     * - total：总数
+     * - pending_count：待处理数量
+     *
+     * @param RequestInterface $request
+     * @return array
+     */
+    public function list(RequestInterface $request): array
+    {
+        $status = $request->input('status', '');
+        $page = max(1, (int) $request->input('page', 1));
+        $pageSize = min(50, max(1, (int) $request->input('page_size', 20)));
+
+        $result = $this->offlineTicketService->list(
+            $status === '' || $status === null ? null : (int) $status,
+            $page,
+            $pageSize
+        );
+
+        return json_success($result + ['page' => $page, 'page_size' => $pageSize]);
+    }
+
+    /**
+     * 获取待处理留言数
+     *
+     * 【接口】GET /offline-ticket/pending-count
+     *
+     * @return array
+     */
+    public function pendingCount(): array
+    {
+        return json_success(['count' => $this->offlineTicketService->getPendingCount()]);
+    }
+
+    /**
+     * 标记留言已处理
+     *
+     * 【接口】POST /offline-ticket/handle/{id}
+     *
+     * 【请求参数】
+     * - reply：处理备注（可选，如回复邮件的内容）
+     *
+     * @param int $id 留言ID
+     * @param RequestInterface $request
+     * @return array
+     */
+    public function handle(int $id, RequestInterface $request): array
+    {
+        $ticket = OfflineTicket::find($id);
+        if (!$ticket) {
+            return json_error('留言不存在');
+        }
+
+        $error = $this->offlineTicketService->handle(
+            $ticket,
+            (int) Context::get('agent_id'),
+            (string) $request->input('reply', '')
+        );
+        if ($error !== null) {
+            return json_error($error);
+        }
+
+        return json_success(null, '已标记为已处理');
+    }
+}
@@ -49,6 +49,7 @@ class StatisticsController
      * - total_messages：消息总数
      * - avg_response_time：平均响应时间
      * - avg_response_time_formatted：格式化的响应时间
+     * - rating_count / avg_rating / csat_rate：评价数、平均评分、满意率
      *
      * @param RequestInterface $request
      * @return array
@@ -87,7 +88,7 @@ class StatisticsController
      * 【接口】GET /statistics/global
      *
      * 【返回数据】
-     * - 全局统计数据
+     * - 全局统计数据（含整体满意度）
      * - 各客服排行榜
      *
      * @param RequestInterface $request
@@ -14,12 +14,27 @@ class SystemConfigController
 {
     /**
      * 获取SDK文案配置（公开接口，无需认证）
-     * GET /config/sdk-texts
+     * GET /config/sdk-texts?lang=zh-CN
+     *
+     * lang 为访客的语言（浏览器语言或 init 的 locale 参数），匹配不到支持的语言时使用后台默认语言，
+     * 返回的 language 为实际使用的语言
      */
-    public function sdkTexts(): array
+    public function sdkTexts(RequestInterface $request): array
     {
-        $texts = SystemConfig::getSdkTexts();
-        return json_success($texts);
+        $language = SystemConfig::resolveLanguage((string) $request->input('lang', ''));
+        return json_success(SystemConfig::getSdkTexts($language));
+    }
+
+    /**
+     * 获取SDK功能设置（公开接口，无需认证）
+     * GET /config/sdk-settings
+     *
+     * 附带 server_utc_offset（服务端时区与 UTC 相差的秒数），
+     * 接口返回的时间（Y-m-d H:i:s）没有时区，SDK 据此换算为访客的本地时间
+     */
+    public function sdkSettings(): array
+    {
+        return json_success(SystemConfig::getSdkSettings() + ['server_utc_offset' => (int) date('Z')]);
     }
 
     /**
@@ -52,6 +67,7 @@ class SystemConfigController
             'list' => $configs,
             'grouped' => $grouped,
             'current_language' => SystemConfig::getValue('sdk_language', 'en'),
+            'languages' => SystemConfig::getSdkLanguages(),
         ]);
     }
 
@@ -127,8 +143,9 @@ class SystemConfigController
     public function setLanguage(RequestInterface $request): array
     {
         $language = $request->input('language', 'en');
-        if (!in_array($language, ['zh', 'en'])) {
-            return json_error('不支持的语言，只支持 zh 或 en');
+        $languages = SystemConfig::getSdkLanguages();
+        if (!in_array($language, $languages, true)) {
+            return json_error('不支持的语言，只支持 ' . implode(' / ', $languages));
         }
 
         SystemConfig::setValue('sdk_language', $language, 'general', '客户端默认语言');
@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace App\Controller\Http;
 
+use App\Model\SystemConfig;
 use App\Service\OssService;
 use Hyperf\HttpServer\Contract\RequestInterface;
 use Hyperf\HttpServer\Contract\ResponseInterface;
@@ -15,10 +16,39 @@ use Psr\Container\ContainerInterface;
  * ============================================================================
  *
  * 【功能说明】
- * 提供图片上传接口，支持客户和客服上传聊天图片
+ * 提供图片和文件上传接口，支持客户和客服上传聊天图片、附件
+ *
+ * 【错误信息】
+ * 按请求参数 language（SDK 当前使用的语言）返回对应语言的错误信息，
+ * 客服端不传时使用后台设置的默认语言
  */
 class UploadController
 {
+    // 常见扩展名对应的文件内容类型（按文件内容检测，Office 旧格式统称为 OLE 复合文档，新格式是 zip 包）
+    protected const OLE_MIMES = ['application/CDFV2', 'application/x-ole-storage', 'application/vnd.ms-office', 'application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'];
+    protected const OOXML_MIMES = ['application/zip', 'application/octet-stream'];
+    protected const EXTENSION_MIMES = [
+        'pdf' => ['application/pdf'],
+        'doc' => self::OLE_MIMES,
+        'xls' => self::OLE_MIMES,
+        'ppt' => self::OLE_MIMES,
+        'docx' => ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', ...self::OOXML_MIMES],
+        'xlsx' => ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ...self::OOXML_MIMES],
+        'pptx' => ['application/vnd.openxmlformats-officedocument.presentationml.presentation', ...self::OOXML_MIMES],
+        'txt' => ['text/plain'],
+        'csv' => ['text/csv', 'text/plain', 'application/csv'],
+        'zip' => ['application/zip', 'application/x-zip-compressed'],
+        'rar' => ['application/x-rar', 'application/vnd.rar', 'application/x-rar-compressed'],
+        '7z' => ['application/x-7z-compressed'],
+    ];
+
+    // 后台新增的其他扩展名不限定内容类型，但拒绝浏览器会执行或渲染的内容
+    protected const BLOCKED_MIMES = [
+        'text/html', 'application/xhtml+xml', 'image/svg+xml', 'application/javascript', 'text/javascript',
+        'application/x-dosexec', 'application/x-msdownload', 'application/x-executable', 'application/x-sharedlib',
+        'application/x-mach-binary', 'application/x-sh', 'text/x-shellscript', 'text/x-php', 'application/x-httpd-php',
+    ];
+
     public function __construct(
         protected ContainerInterface $container,
         protected RequestInterface $request,
@@ -31,21 +61,22 @@ class UploadController
      * 上传图片
      *
      * 【请求方式】POST /upload/image
-     * 【请求参数】file - 图片文件（multipart/form-data）
+     * 【请求参数】file - 图片文件（multipart/form-data），language - 错误信息的语言（可选）
      * 【返回数据】{ code: 0, data: { url: "https://..." } }
      */
     public function image()
     {
+        $lang = $this->getLanguage();
         $file = $this->request->file('file');
         if (!$file) {
             return $this->response->json([
                 'code' => 1,
-                'message' => '请选择要上传的图片',
+                'message' => SystemConfig::getText('err_upload_no_file', $lang),
             ]);
         }
 
         try {
-            $result = $this->ossService->uploadImage($file);
+            $result = $this->ossService->uploadImage($file, $lang);
             return $this->response->json([
                 'code' => 0,
                 'message' => 'success',
@@ -58,5 +89,93 @@ class UploadController
             ]);
         }
     }
-}
 
+    /**
+     * 上传文件（PDF、文档、压缩包等附件）
+     *
+     * 【请求方式】POST /upload/file
+     * 【请求参数】file - 文件（multipart/form-data），language - 错误信息的语言（可选）
+     * 【返回数据】{ code: 0, data: { url, name, size, mime } }
+     *
+     * 【校验规则】
+     * 扩展名和大小由后台配置 upload_file_types 控制（sdk_settings 分组），
+     * 文件内容检测出的类型还必须与扩展名相符（见 EXTENSION_MIMES），防止改扩展名上传网页、可执行文件
+     */
+    public function file()
+    {
+        $lang = $this->getLanguage();
+        $file = $this->request->file('file');
+        if (!$file) {
+            return $this->response->json([
+                'code' => 1,
+                'message' => SystemConfig::getText('err_upload_no_file', $lang),
+            ]);
+        }
+
+        $settings = SystemConfig::getValue('upload_file_types', []);
+        $allowedExts = array_map('strtolower', (array) ($settings['extensions'] ?? []));
+        $maxSizeMb = (int) ($settings['max_size_mb'] ?? 20);
+
+        $fileExt = strtolower(pathinfo((string) $file->getClientFilename(), PATHINFO_EXTENSION));
+        if ($fileExt === '' || !in_array($fileExt, $allowedExts, true)) {
+            return $this->response->json([
+                'code' => 1,
+                'message' => SystemConfig::getText('file_type_unsupported', $lang, ['{types}' => strtoupper(implode(', ', $allowedExts))]),
+            ]);
+        }
+
+        if ($file->getSize() > $maxSizeMb * 1024 * 1024) {
+            return $this->response->json([
+                'code' => 1,
+                'message' => SystemConfig::getText('file_too_large', $lang, ['{size}' => $maxSizeMb]),
+            ]);
+        }
+
+        if (!$this->isAllowedMime($fileExt, $this->ossService->detectMimeType($file))) {
+            return $this->response->json([
+                'code' => 1,
+                'message' => SystemConfig::getText('err_file_content_mismatch', $lang),
+            ]);
+        }
+
+        try {
+            $result = $this->ossService->uploadAttachment($file, $lang);
+            return $this->response->json([
+                'code' => 0,
+                'message' => 'success',
+                'data' => $result,
+            ]);
+        } catch (\Exception $e) {
+            return $this->response->json([
+                'code' => 1,
+                'message' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * 错误信息使用的语言
+     *
+     * @return string 语言代码（参数不支持时为默认语言）
+     */
+    protected function getLanguage(): string
+    {
+        return SystemConfig::resolveLanguage((string) $this->request->input('language', ''));
+    }
+
+    /**
+     * 文件内容类型是否与扩展名相符
+     *
+     * @param string $fileExt 小写扩展名
+     * @param string $mime 按内容检测出的 MIME 类型
+     * @return bool
+     */
+    protected function isAllowedMime(string $fileExt, string $mime): bool
+    {
+        $mime = strtolower($mime);
+        if (isset(self::EXTENSION_MIMES[$fileExt])) {
+            return in_array($mime, array_map('strtolower', self::EXTENSION_MIMES[$fileExt]), true);
+        }
+        return !in_array($mime, self::BLOCKED_MIMES, true);
+    }
+}
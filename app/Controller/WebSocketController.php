@@ -159,7 +159,7 @@ class WebSocketController implements OnOpenInterface, OnMessageInterface, OnClos
             logger()->info("Agent disconnected", ['agent_id' => $userInfo['id'], 'fd' => $fd]);
         } else {
             // 客户断开：清理连接
-            $this->customerService->removeConnection($userInfo['uuid']);
+            $this->customerService->removeConnection($userInfo['uuid'], $fd);
             logger()->info("Customer disconnected", ['uuid' => $userInfo['uuid'], 'fd' => $fd]);
         }
     }
@@ -289,6 +289,9 @@ class WebSocketController implements OnOpenInterface, OnMessageInterface, OnClos
 
         // 推送离线期间的消息
         $this->webSocketService->pushOfflineMessages($customer);
+
+        // 还在排队的话，推送当前排队位置
+        $this->webSocketService->pushQueueUpdates($uuid);
     }
 
     /**
@@ -324,6 +327,7 @@ class WebSocketController implements OnOpenInterface, OnMessageInterface, OnClos
      * - status：更改在线状态
      * - typing：打字状态
      * - read：标记已读
+     * - reaction：表情回应（添加/取消）
      *
      * @param int $agentId 客服ID
      * @param string $msgType 消息类型
@@ -347,6 +351,9 @@ class WebSocketController implements OnOpenInterface, OnMessageInterface, OnClos
             case 'read':
                 $this->webSocketService->handleAgentRead($agentId, $data['data'] ?? []);
                 break;
+            case 'reaction':
+                $this->webSocketService->handleAgentReaction($agentId, $data['data'] ?? []);
+                break;
         }
     }
 
@@ -357,6 +364,8 @@ class WebSocketController implements OnOpenInterface, OnMessageInterface, OnClos
      * - message：发送聊天消息
      * - typing：打字状态
      * - read：标记已读
+     * - reaction：表情回应（添加/取消）
+     * - page_view：页面切换（当前页面地址和标题）
      *
      * @param string $uuid 客户UUID
      * @param string $msgType 消息类型
@@ -374,6 +383,12 @@ class WebSocketController implements OnOpenInterface, OnMessageInterface, OnClos
             case 'read':
                 $this->webSocketService->handleCustomerRead($uuid, $data['data'] ?? []);
                 break;
+            case 'reaction':
+                $this->webSocketService->handleCustomerReaction($uuid, $data['data'] ?? []);
+                break;
+            case 'page_view':
+                $this->webSocketService->handleCustomerPageView($uuid, $data['data'] ?? []);
+                break;
         }
     }
 
@@ -16,16 +16,17 @@ namespace App\Enums;
  * 【类型说明】
  * - TEXT (文本)：普通的文字消息，比如"你好"
  * - IMAGE (图片)：图片消息，存储的是图片的URL地址
+ * - FILE (文件)：PDF、文档、压缩包等附件，存储的是文件信息JSON
  *
  * 【为什么需要区分消息类型？】
  * 不同类型的消息在前端的展示方式不同：
  * - 文本消息：直接显示文字
  * - 图片消息：需要用 <img> 标签来显示图片
+ * - 文件消息：显示文件卡片（文件名、大小、下载链接）
  *
  * 【扩展说明】
  * 未来可以添加更多类型，比如：
- * - VIDEO = 3 (视频)
- * - FILE = 4 (文件)
+ * - VIDEO = 4 (视频)
  * - VOICE = 5 (语音)
  */
 class ContentType
@@ -43,6 +44,13 @@ class ContentType
      */
     public const IMAGE = 2;
 
+    /**
+     * 文件消息 - 发送附件（PDF、文档、压缩包等）
+     * 内容字段(content)存储的是文件信息JSON：
+     * {"url": "https://...", "name": "发票.pdf", "size": 102400, "mime": "application/pdf"}
+     */
+    public const FILE = 3;
+
     /**
      * 当前类型的数值
      * @var int
@@ -52,7 +60,7 @@ class ContentType
     /**
      * 构造函数 - 创建一个内容类型对象
      *
-     * @param int $value 类型数值(1=文本, 2=图片)
+     * @param int $value 类型数值(1=文本, 2=图片, 3=文件)
      */
     public function __construct(int $value)
     {
@@ -90,6 +98,32 @@ class ContentType
         return new self(self::IMAGE);
     }
 
+    /**
+     * 创建"文件"类型对象的快捷方法
+     *
+     * @return self 文件类型对象
+     */
+    public static function FILE(): self
+    {
+        return new self(self::FILE);
+    }
+
+    /**
+     * 从客户端传入的值创建类型对象
+     * 不认识的值一律按文本处理
+     *
+     * @param mixed $value 客户端传入的 content_type
+     * @return self 类型对象
+     */
+    public static function fromInput(mixed $value): self
+    {
+        return match((int) $value) {
+            self::IMAGE => self::IMAGE(),
+            self::FILE => self::FILE(),
+            default => self::TEXT(),
+        };
+    }
+
     /**
      * 获取类型的中文名称
      *
@@ -100,6 +134,7 @@ class ContentType
         return match($this->value) {
             self::TEXT => '文本',
             self::IMAGE => '图片',
+            self::FILE => '文件',
             default => '未知',
         };
     }
@@ -0,0 +1,71 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Enums;
+
+/**
+ * ============================================================================
+ * 留言工单状态枚举类
+ * ============================================================================
+ *
+ * 【作用说明】
+ * 没有客服在线时，客户在聊天窗口里留下邮箱和留言，生成一张留言工单。
+ * 客服上线后在工作台的"客户留言"页面处理。
+ *
+ * 【工单生命周期】
+ *   客户留言 → PENDING（待处理）→ 客服回复邮件后标记 → HANDLED（已处理）
+ */
+class TicketStatus
+{
+    /**
+     * 待处理状态 - 客户刚提交留言，还没有客服处理
+     */
+    public const PENDING = 0;
+
+    /**
+     * 已处理状态 - 客服已回复客户并记录了处理结果
+     */
+    public const HANDLED = 1;
+
+    /**
+     * 当前状态的数值
+     * @var int
+     */
+    public int $value;
+
+    /**
+     * 构造函数 - 创建一个状态对象
+     *
+     * @param int $value 状态数值(0=待处理, 1=已处理)
+     */
+    public function __construct(int $value)
+    {
+        $this->value = $value;
+    }
+
+    /**
+     * 从数值创建状态对象
+     *
+     * @param int $value 状态数值
+     * @return self 状态对象
+     */
+    public static function from(int $value): self
+    {
+        return new self($value);
+    }
+
+    /**
+     * 获取状态的中文名称
+     *
+     * @return string 状态的中文名称
+     */
+    public function label(): string
+    {
+        return match($this->value) {
+            self::PENDING => '待处理',
+            self::HANDLED => '已处理',
+            default => '未知',
+        };
+    }
+}
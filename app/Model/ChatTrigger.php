@@ -0,0 +1,80 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Model;
+
+use Hyperf\Database\Model\Relations\HasMany;
+
+/**
+ * ============================================================================
+ * 主动邀请规则模型 - 对应数据库 chat_trigger 表
+ * ============================================================================
+ *
+ * 【作用说明】
+ * 访客在页面上满足规则的条件时，客户端自动打开聊天窗口，
+ * 显示规则中配置的问候语（代替默认欢迎语），主动邀请访客咨询。
+ *
+ * 【触发条件】（同时满足，未设置的条件不限制）
+ * - url_pattern：页面地址包含此内容，支持 * 通配符（如 /product/*）
+ * - delay_seconds：在页面停留了多少秒
+ * - scroll_percent：页面滚动到了多少百分比
+ * - exit_intent：访客准备离开页面（鼠标移出页面顶部）
+ *
+ * 【数据库字段说明】
+ * @property int $id                主键ID
+ * @property string $name           规则名称（管理后台和统计中显示）
+ * @property string $url_pattern    页面地址匹配规则，空为所有页面
+ * @property int $delay_seconds     在页面停留秒数
+ * @property int $scroll_percent    页面滚动百分比，0为不限
+ * @property int $exit_intent       是否在访客准备离开页面时触发：1=是, 0=否
+ * @property string $message        问候语
+ * @property int $sort_order        排序序号，同时满足多条规则时取靠前的
+ * @property int $is_active         是否启用：1=启用, 0=禁用
+ * @property string $created_at     创建时间
+ * @property string $updated_at     更新时间
+ * @property-read ChatTriggerHit[] $hits 触发记录
+ */
+class ChatTrigger extends Model
+{
+    /**
+     * 指定对应的数据库表名
+     */
+    protected ?string $table = 'chat_trigger';
+
+    /**
+     * 允许批量赋值的字段
+     */
+    protected array $fillable = [
+        'name',
+        'url_pattern',
+        'delay_seconds',
+        'scroll_percent',
+        'exit_intent',
+        'message',
+        'sort_order',
+        'is_active',
+    ];
+
+    /**
+     * 字段类型转换
+     */
+    protected array $casts = [
+        'id' => 'integer',
+        'delay_seconds' => 'integer',
+        'scroll_percent' => 'integer',
+        'exit_intent' => 'integer',
+        'sort_order' => 'integer',
+        'is_active' => 'integer',
+    ];
+
+    /**
+     * 定义与触发记录的关联关系
+     *
+     * @return HasMany 关联对象
+     */
+    public function hits(): HasMany
+    {
+        return $this->hasMany(ChatTriggerHit::class, 'trigger_id', 'id');
+    }
+}
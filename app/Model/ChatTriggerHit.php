@@ -0,0 +1,70 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Model;
+
+use Hyperf\Database\Model\Relations\BelongsTo;
+
+/**
+ * ============================================================================
+ * 主动邀请触发记录模型 - 对应数据库 chat_trigger_hit 表
+ * ============================================================================
+ *
+ * 【作用说明】
+ * 客户端每次因规则自动打开聊天窗口都记录一条，用于：
+ * 1. 频率限制：同一访客的邀请间隔和每条规则的触发次数
+ * 2. 效果统计：访客在邀请后发起了会话，记录会话ID，统计每条规则带来的会话数
+ *
+ * 【数据库字段说明】
+ * @property int $id                    主键ID
+ * @property int $trigger_id            规则ID
+ * @property int $customer_id           客户ID
+ * @property string $page_url           触发时的页面地址
+ * @property int|null $conversation_id  因本次邀请发起的会话ID（没有发起会话为null）
+ * @property string $created_at         触发时间
+ * @property-read ChatTrigger $trigger  触发的规则
+ */
+class ChatTriggerHit extends Model
+{
+    /**
+     * 指定对应的数据库表名
+     */
+    protected ?string $table = 'chat_trigger_hit';
+
+    /**
+     * 禁用 updated_at 字段
+     * 只在发起会话时补充 conversation_id
+     */
+    public const UPDATED_AT = null;
+
+    /**
+     * 允许批量赋值的字段
+     */
+    protected array $fillable = [
+        'trigger_id',
+        'customer_id',
+        'page_url',
+        'conversation_id',
+    ];
+
+    /**
+     * 字段类型转换
+     */
+    protected array $casts = [
+        'id' => 'integer',
+        'trigger_id' => 'integer',
+        'customer_id' => 'integer',
+        'conversation_id' => 'integer',
+    ];
+
+    /**
+     * 定义与规则的关联关系
+     *
+     * @return BelongsTo 关联对象
+     */
+    public function trigger(): BelongsTo
+    {
+        return $this->belongsTo(ChatTrigger::class, 'trigger_id', 'id');
+    }
+}
@@ -7,6 +7,7 @@ namespace App\Model;
 use App\Enums\ConversationStatus;
 use Hyperf\Database\Model\Relations\BelongsTo;
 use Hyperf\Database\Model\Relations\HasMany;
+use Hyperf\Database\Model\Relations\HasOne;
 
 /**
  * ============================================================================
@@ -26,6 +27,7 @@ use Hyperf\Database\Model\Relations\HasMany;
  * - 一个会话属于一个客户 (belongsTo Customer)
  * - 一个会话属于一个客服 (belongsTo Agent)
  * - 一个会话有多条消息 (hasMany Message)
+ * - 一个会话最多有一条满意度评价 (hasOne ConversationRating)
  *
  * 【数据库字段说明】
  * @property int $id                    主键ID
@@ -40,6 +42,7 @@ use Hyperf\Database\Model\Relations\HasMany;
  * @property-read Customer $customer    关联的客户对象
  * @property-read Agent|null $agent     关联的客服对象
  * @property-read Message[] $messages   会话中的所有消息
+ * @property-read ConversationRating|null $rating 客户的满意度评价
  */
 class Conversation extends Model
 {
@@ -124,6 +127,19 @@ class Conversation extends Model
         return $this->hasMany(Message::class, 'conversation_id', 'id');
     }
 
+    /**
+     * 定义与满意度评价的关联关系
+     *
+     * 【关系类型】HasOne（有一个）
+     * 会话结束后客户可以评价一次，没有评价时为 null。
+     *
+     * @return HasOne 关联对象
+     */
+    public function rating(): HasOne
+    {
+        return $this->hasOne(ConversationRating::class, 'conversation_id', 'id');
+    }
+
     /**
      * 判断会话是否处于待分配状态
      *
@@ -0,0 +1,85 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Model;
+
+use Hyperf\Database\Model\Relations\BelongsTo;
+
+/**
+ * ============================================================================
+ * 会话满意度评价模型 - 对应数据库 conversation_rating 表
+ * ============================================================================
+ *
+ * 【作用说明】
+ * 会话结束后，客户可以为本次服务打分（CSAT 满意度调查），并附上一段评价。
+ * 每个会话只能评价一次。
+ *
+ * 【评分规则】
+ * 评价方式由后台配置 csat_survey（sdk_settings 分组）决定：
+ * - stars：1-5 星，直接记为 1-5 分
+ * - thumbs：赞/踩，赞记为 5 分，踩记为 1 分
+ * 统一为 1-5 分后，两种方式的数据可以放在一起统计平均分和满意率。
+ *
+ * 【数据库字段说明】
+ * @property int $id                  主键ID
+ * @property int $conversation_id     会话ID
+ * @property int $customer_id         客户ID
+ * @property int|null $agent_id       接待客服ID（会话关闭时的客服）
+ * @property string $rating_type      评价方式：stars/thumbs
+ * @property int $score               评分 1-5
+ * @property string $comment          评价内容
+ * @property string $created_at       评价时间
+ * @property-read Conversation $conversation 关联的会话
+ */
+class ConversationRating extends Model
+{
+    /**
+     * 评分达到该值算作"满意"（用于计算满意率）
+     */
+    public const SATISFIED_SCORE = 4;
+
+    /**
+     * 指定对应的数据库表名
+     */
+    protected ?string $table = 'conversation_rating';
+
+    /**
+     * 禁用 updated_at 字段
+     * 评价提交后不能修改
+     */
+    public const UPDATED_AT = null;
+
+    /**
+     * 允许批量赋值的字段
+     */
+    protected array $fillable = [
+        'conversation_id',
+        'customer_id',
+        'agent_id',
+        'rating_type',
+        'score',
+        'comment',
+    ];
+
+    /**
+     * 字段类型转换
+     */
+    protected array $casts = [
+        'id' => 'integer',
+        'conversation_id' => 'integer',
+        'customer_id' => 'integer',
+        'agent_id' => 'integer',
+        'score' => 'integer',
+    ];
+
+    /**
+     * 定义与会话的关联关系
+     *
+     * @return BelongsTo 关联对象
+     */
+    public function conversation(): BelongsTo
+    {
+        return $this->belongsTo(Conversation::class, 'conversation_id', 'id');
+    }
+}
@@ -20,6 +20,7 @@ namespace App\Model;
  * 【数据库字段说明】
  * @property int $id               主键ID
  * @property string $uuid          唯一标识符，存储在客户浏览器中
+ * @property string|null $external_user_id 宿主网站的用户ID（通过 ImSDK.identify 签名认证后写入）
  * @property string $ip            客户IP地址
  * @property string $user_agent    浏览器信息字符串
  * @property string $source_url    来源页面URL（客户从哪个页面发起咨询）
@@ -29,8 +30,12 @@ namespace App\Model;
  * @property string $os            操作系统：Windows/macOS/iOS/Android等
  * @property string $city          所在城市（根据IP解析）
  * @property string $nickname      客户昵称（可选）
- * @property string $email         客户邮箱（由客服手动填写）
+ * @property string $email         客户邮箱（由客服手动填写，或客户在咨询前表单中填写）
+ * @property string $phone         客户电话（咨询前表单填写）
+ * @property string $topic         咨询类型（咨询前表单选择）
  * @property string $timezone      客户时区（自动获取，如 Asia/Shanghai）
+ * @property string $language      客户端使用的语言（如 zh、en，系统消息按此语言发送）
+ * @property array|null $custom_attributes 自定义属性（宿主网站通过 ImSDK.setAttributes 写入，见 CustomerAttributeService）
  * @property string $last_active_at 最后活跃时间
  * @property string $created_at    首次访问时间
  */
@@ -55,6 +60,7 @@ class Customer extends Model
      */
     protected array $fillable = [
         'uuid',
+        'external_user_id',
         'ip',
         'user_agent',
         'source_url',
@@ -65,15 +71,31 @@ class Customer extends Model
         'city',
         'nickname',
         'email',
+        'phone',
+        'topic',
         'timezone',
+        'language',
+        'custom_attributes',
         'last_active_at',
     ];
 
+    /**
+     * 隐藏字段 - 转换成数组或JSON时不显示
+     *
+     * 【说明】
+     * 会话列表等接口会带上整个客户对象，自定义属性要按后台配置过滤后才能给客服看，
+     * 只通过 CustomerAttributeService::getVisibleAttributes 返回。
+     */
+    protected array $hidden = [
+        'custom_attributes',
+    ];
+
     /**
      * 字段类型转换
      */
     protected array $casts = [
         'id' => 'integer',
+        'custom_attributes' => 'array',
     ];
 
     /**
@@ -28,9 +28,11 @@ use Hyperf\Database\Model\Relations\BelongsTo;
  * @property int $conversation_id    所属会话ID
  * @property int $sender_type        发送者类型：1=客户, 2=客服, 3=系统
  * @property int $sender_id          发送者ID（客户ID或客服ID，系统消息为0）
- * @property int $content_type       内容类型：1=文本, 2=图片
+ * @property int $content_type       内容类型：1=文本, 2=图片, 3=文件
  * @property string $content         消息内容（文本或图片URL）
  * @property int $is_read            是否已读：0=未读, 1=已读
+ * @property string|null $client_msg_id 客户端生成的消息ID（同一发送者唯一，用于重发去重）
+ * @property array|null $link_preview 链接预览：消息中第一个网址的 [url, title, description, image, site_name]
  * @property string $created_at      发送时间
  * @property-read Conversation $conversation 所属会话
  */
@@ -57,6 +59,8 @@ class Message extends Model
         'content_type',
         'content',
         'is_read',
+        'client_msg_id',
+        'link_preview',
     ];
 
     /**
@@ -69,6 +73,7 @@ class Message extends Model
         'sender_id' => 'integer',
         'content_type' => 'integer',
         'is_read' => 'integer',
+        'link_preview' => 'array',
     ];
 
     /**
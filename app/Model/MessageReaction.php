@@ -0,0 +1,75 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Model;
+
+use Hyperf\Database\Model\Relations\BelongsTo;
+
+/**
+ * ============================================================================
+ * 消息表情回应模型 - 对应数据库 message_reaction 表
+ * ============================================================================
+ *
+ * 【作用说明】
+ * 客户和客服可以对某条消息点一个表情（如 👍），不用再单独回复一条"好的"。
+ * 每个人对同一条消息的同一个表情只记录一次，再点一次就是取消。
+ *
+ * 【可用表情】
+ * 由后台配置 message_reactions（sdk_settings 分组）决定。
+ *
+ * 【数据库字段说明】
+ * @property int $id                 主键ID
+ * @property int $message_id         被回应的消息ID
+ * @property int $conversation_id    消息所属会话ID
+ * @property int $reactor_type       回应者类型：1=客户, 2=客服
+ * @property int $reactor_id         回应者ID（客户ID或客服ID）
+ * @property string $emoji           表情
+ * @property string $created_at      回应时间
+ * @property-read Message $message   被回应的消息
+ */
+class MessageReaction extends Model
+{
+    /**
+     * 指定对应的数据库表名
+     */
+    protected ?string $table = 'message_reaction';
+
+    /**
+     * 禁用 updated_at 字段
+     * 回应只有添加和取消（删除），不会修改
+     */
+    public const UPDATED_AT = null;
+
+    /**
+     * 允许批量赋值的字段
+     */
+    protected array $fillable = [
+        'message_id',
+        'conversation_id',
+        'reactor_type',
+        'reactor_id',
+        'emoji',
+    ];
+
+    /**
+     * 字段类型转换
+     */
+    protected array $casts = [
+        'id' => 'integer',
+        'message_id' => 'integer',
+        'conversation_id' => 'integer',
+        'reactor_type' => 'integer',
+        'reactor_id' => 'integer',
+    ];
+
+    /**
+     * 定义与消息的关联关系
+     *
+     * @return BelongsTo 关联对象
+     */
+    public function message(): BelongsTo
+    {
+        return $this->belongsTo(Message::class, 'message_id', 'id');
+    }
+}
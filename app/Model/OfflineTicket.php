@@ -0,0 +1,94 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Model;
+
+use App\Enums\TicketStatus;
+use Hyperf\Database\Model\Relations\BelongsTo;
+
+/**
+ * ============================================================================
+ * 留言工单模型 - 对应数据库 offline_ticket 表
+ * ============================================================================
+ *
+ * 【作用说明】
+ * 所有客服都离线时，客户端不再进入聊天，而是显示留言表单。
+ * 客户留下姓名、邮箱和留言内容，保存为一张工单，客服上线后通过邮件回复。
+ *
+ * 【数据库字段说明】
+ * @property int $id                  主键ID
+ * @property int $customer_id         客户ID
+ * @property string $name             客户填写的姓名
+ * @property string $email            客户填写的邮箱（客服通过邮件回复）
+ * @property string $content          留言内容
+ * @property int $status              状态：0=待处理, 1=已处理
+ * @property int|null $agent_id       处理的客服ID
+ * @property string $reply            处理备注（回复内容）
+ * @property string|null $handled_at  处理时间
+ * @property string $created_at       留言时间
+ * @property string $updated_at       更新时间
+ * @property-read Customer $customer  关联的客户
+ * @property-read Agent|null $agent   处理的客服
+ */
+class OfflineTicket extends Model
+{
+    /**
+     * 指定对应的数据库表名
+     */
+    protected ?string $table = 'offline_ticket';
+
+    /**
+     * 允许批量赋值的字段
+     */
+    protected array $fillable = [
+        'customer_id',
+        'name',
+        'email',
+        'content',
+        'status',
+        'agent_id',
+        'reply',
+        'handled_at',
+    ];
+
+    /**
+     * 字段类型转换
+     */
+    protected array $casts = [
+        'id' => 'integer',
+        'customer_id' => 'integer',
+        'status' => 'integer',
+        'agent_id' => 'integer',
+    ];
+
+    /**
+     * 定义与客户的关联关系
+     *
+     * @return BelongsTo 关联对象
+     */
+    public function customer(): BelongsTo
+    {
+        return $this->belongsTo(Customer::class, 'customer_id', 'id');
+    }
+
+    /**
+     * 定义与处理客服的关联关系
+     *
+     * @return BelongsTo 关联对象
+     */
+    public function agent(): BelongsTo
+    {
+        return $this->belongsTo(Agent::class, 'agent_id', 'id');
+    }
+
+    /**
+     * 判断工单是否待处理
+     *
+     * @return bool true=待处理
+     */
+    public function isPending(): bool
+    {
+        return $this->status === TicketStatus::PENDING;
+    }
+}
@@ -52,6 +52,50 @@ class SystemConfig extends Model
         );
     }
 
+    /**
+     * 获取客户端支持的语言（sdk_languages 配置）
+     *
+     * @return array 语言代码列表，如 ['zh', 'en']
+     */
+    public static function getSdkLanguages(): array
+    {
+        $languages = self::getValue('sdk_languages', ['zh', 'en']);
+        $languages = is_array($languages) ? $languages : [];
+        $languages = array_values(array_unique(array_filter(array_map(
+            fn ($lang) => is_string($lang) ? strtolower(trim($lang)) : '',
+            $languages
+        ))));
+
+        return $languages ?: ['zh', 'en'];
+    }
+
+    /**
+     * 把访客的语言（如浏览器的 zh-CN、en-US）匹配到支持的语言
+     *
+     * 先完整匹配，再按主语言匹配（zh-TW => zh），都不支持时返回后台设置的默认语言。
+     *
+     * @param string|null $locale BCP 47 语言标签
+     * @return string 语言代码
+     */
+    public static function resolveLanguage(?string $locale): string
+    {
+        $languages = self::getSdkLanguages();
+        $locale = strtolower(str_replace('_', '-', trim((string) $locale)));
+
+        if ($locale !== '') {
+            if (in_array($locale, $languages, true)) {
+                return $locale;
+            }
+            $primary = explode('-', $locale)[0];
+            if (in_array($primary, $languages, true)) {
+                return $primary;
+            }
+        }
+
+        $default = self::getValue('sdk_language', 'en');
+        return is_string($default) ? trim($default, '"') : 'en';
+    }
+
     /**
      * 获取多语言文本
      * @param string $key 配置键
@@ -102,6 +146,14 @@ class SystemConfig extends Model
         return $result;
     }
 
+    /**
+     * 获取SDK功能设置（sdk_settings 分组，如允许上传的文件类型）
+     */
+    public static function getSdkSettings(): array
+    {
+        return self::getByGroup('sdk_settings');
+    }
+
     /**
      * 获取SDK所需的所有文案配置
      */
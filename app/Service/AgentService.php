@@ -408,6 +408,38 @@ class AgentService
         return null;
     }
 
+    /**
+     * 是否有客服在工作（在线或忙碌）
+     *
+     * 【使用场景】
+     * 客户端打开聊天窗口前询问：所有客服都离线时改为显示留言表单。
+     * 忙碌的客服稍后会接待排队的会话，所以也算"有客服"。
+     * 管理员不接待客户，不计算在内。
+     *
+     * @return bool true=至少有一个客服不是离线状态
+     */
+    public function hasWorkingAgents(): bool
+    {
+        $statuses = $this->redis->hGetAll(RedisKey::AGENT_STATUS);
+        $workingAgentIds = [];
+
+        foreach ($statuses as $agentId => $status) {
+            if ((int) $status !== AgentStatus::OFFLINE) {
+                $workingAgentIds[] = (int) $agentId;
+            }
+        }
+
+        if (empty($workingAgentIds)) {
+            return false;
+        }
+
+        return Agent::query()
+            ->whereIn('id', $workingAgentIds)
+            ->where('status', 1)
+            ->where('is_admin', 0)
+            ->exists();
+    }
+
     /**
      * 获取所有在线客服列表
      *
@@ -0,0 +1,194 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Service;
+
+use App\Model\SystemConfig;
+use DateTimeImmutable;
+use DateTimeZone;
+
+/**
+ * ============================================================================
+ * 营业时间服务类 - 按后台配置的工作时间判断是否提供服务
+ * ============================================================================
+ *
+ * 【配置】business_hours（sdk_settings 分组）
+ * {
+ *     "enabled": true,
+ *     "timezone": "Asia/Shanghai",                 // 营业时间所在时区
+ *     "weekly": {"mon": ["09:00-18:00"], ...},     // 每天的营业时段，可以有多段，不支持跨零点
+ *     "holidays": ["2026-10-01"],                  // 休息日（营业时区的日期），全天不营业
+ *     "outside_mode": "offline"                    // 非营业时间的处理方式，见下方
+ * }
+ *
+ * 【非营业时间的处理方式】
+ * - none：照常聊天，只在聊天窗口提示恢复服务的时间
+ * - offline：显示留言表单（同所有客服离线时）
+ * - hide：隐藏聊天组件
+ * - auto_reply：照常聊天，客户发消息后自动回复 msg_outside_hours
+ *
+ * 无论哪种方式，非营业时间都不会自动分配客服，会话排队到营业时间再分配。
+ */
+class BusinessHoursService
+{
+    public const OUTSIDE_MODES = ['none', 'offline', 'hide', 'auto_reply'];
+
+    /**
+     * 查找下次营业时间时最多往后看的天数（覆盖长假）
+     */
+    protected const LOOKAHEAD_DAYS = 31;
+
+    protected const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+    /**
+     * 获取营业时间配置（格式不正确的部分按默认值处理）
+     *
+     * @return array [enabled, timezone, weekly, holidays, outside_mode]
+     */
+    public function getSettings(): array
+    {
+        $settings = SystemConfig::getValue('business_hours', []);
+        $settings = is_array($settings) ? $settings : [];
+
+        $timezone = (string) ($settings['timezone'] ?? '');
+        if (!in_array($timezone, DateTimeZone::listIdentifiers(), true)) {
+            $timezone = date_default_timezone_get();
+        }
+
+        $mode = $settings['outside_mode'] ?? 'none';
+
+        return [
+            'enabled' => (bool) ($settings['enabled'] ?? false),
+            'timezone' => $timezone,
+            'weekly' => is_array($settings['weekly'] ?? null) ? $settings['weekly'] : [],
+            'holidays' => array_map('strval', is_array($settings['holidays'] ?? null) ? $settings['holidays'] : []),
+            'outside_mode' => in_array($mode, self::OUTSIDE_MODES, true) ? $mode : 'none',
+        ];
+    }
+
+    /**
+     * 当前是否在营业时间内（未启用营业时间时始终返回true）
+     *
+     * @param int|null $now 时间戳，默认当前时间
+     * @return bool
+     */
+    public function isOpen(?int $now = null): bool
+    {
+        $settings = $this->getSettings();
+        if (!$settings['enabled']) {
+            return true;
+        }
+
+        $now ??= time();
+        foreach ($this->getRanges($settings, $now, 0) as [$start, $end]) {
+            if ($now >= $start && $now < $end) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * 获取下次开始营业的时间
+     *
+     * @param int|null $now 时间戳，默认当前时间
+     * @return int|null 时间戳；正在营业、未启用或一个月内都不营业时返回null
+     */
+    public function getNextOpenAt(?int $now = null): ?int
+    {
+        $now ??= time();
+        $settings = $this->getSettings();
+        if (!$settings['enabled'] || $this->isOpen($now)) {
+            return null;
+        }
+
+        for ($day = 0; $day <= self::LOOKAHEAD_DAYS; $day++) {
+            foreach ($this->getRanges($settings, $now, $day) as [$start]) {
+                if ($start > $now) {
+                    return $start;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 获取营业状态（返回给客户端）
+     *
+     * @return array [enabled, open, next_open_at, outside_mode]
+     */
+    public function getStatus(): array
+    {
+        $settings = $this->getSettings();
+        $now = time();
+
+        return [
+            'enabled' => $settings['enabled'],
+            'open' => $this->isOpen($now),
+            'next_open_at' => $this->getNextOpenAt($now),
+            'outside_mode' => $settings['outside_mode'],
+        ];
+    }
+
+    /**
+     * 按客户所在时区格式化下次营业时间（用于自动回复）
+     *
+     * @param string|null $timezone 客户时区（客户端上报），无效时使用营业时间的时区
+     * @return string 当天为 "09:00"，其他日期为 "10-08 09:00"；没有下次营业时间返回空字符串
+     */
+    public function formatNextOpenAt(?string $timezone): string
+    {
+        $nextOpenAt = $this->getNextOpenAt();
+        if ($nextOpenAt === null) {
+            return '';
+        }
+
+        if (!$timezone || !in_array($timezone, DateTimeZone::listIdentifiers(), true)) {
+            $timezone = $this->getSettings()['timezone'];
+        }
+
+        $tz = new DateTimeZone($timezone);
+        $next = (new DateTimeImmutable('@' . $nextOpenAt))->setTimezone($tz);
+        $today = (new DateTimeImmutable('now', $tz))->format('Y-m-d');
+
+        return $next->format('Y-m-d') === $today ? $next->format('H:i') : $next->format('m-d H:i');
+    }
+
+    /**
+     * 获取某一天的营业时段
+     *
+     * @param array $settings 配置
+     * @param int $now 当前时间戳
+     * @param int $dayOffset 相对今天（营业时区）的天数
+     * @return array [[开始时间戳, 结束时间戳], ...] 按开始时间排序
+     */
+    protected function getRanges(array $settings, int $now, int $dayOffset): array
+    {
+        $tz = new DateTimeZone($settings['timezone']);
+        $date = (new DateTimeImmutable('@' . $now))->setTimezone($tz)->setTime(0, 0)->modify("+{$dayOffset} day");
+
+        if (in_array($date->format('Y-m-d'), $settings['holidays'], true)) {
+            return [];
+        }
+
+        $weekday = self::WEEKDAYS[(int) $date->format('w')];
+        $ranges = [];
+        foreach ((array) ($settings['weekly'][$weekday] ?? []) as $range) {
+            if (!is_string($range) || !preg_match('/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/', trim($range), $m)) {
+                continue;
+            }
+            $start = $date->setTime((int) $m[1], (int) $m[2])->getTimestamp();
+            // 24:00 表示营业到当天结束
+            $end = $date->setTime((int) $m[3], (int) $m[4])->getTimestamp();
+            if ($end > $start) {
+                $ranges[] = [$start, $end];
+            }
+        }
+
+        usort($ranges, fn ($a, $b) => $a[0] <=> $b[0]);
+        return $ranges;
+    }
+}
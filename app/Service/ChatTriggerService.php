@@ -0,0 +1,285 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Service;
+
+use App\Constants\RedisKey;
+use App\Enums\ConversationStatus;
+use App\Model\ChatTrigger;
+use App\Model\ChatTriggerHit;
+use App\Model\Conversation;
+use App\Model\Customer;
+use App\Model\SystemConfig;
+use Hyperf\Redis\Redis;
+
+/**
+ * ============================================================================
+ * 主动邀请服务类 - 按后台规则自动打开聊天窗口
+ * ============================================================================
+ *
+ * 【流程】
+ * 1. 客户端初始化时请求 GET /customer/triggers，获取当前访客可用的规则
+ * 2. 客户端在页面上检查规则条件（页面地址、停留时间、滚动比例、离开意图）
+ * 3. 满足条件时自动打开聊天窗口，显示规则的问候语，并请求 POST /customer/trigger-hit 记录
+ * 4. 访客在邀请后 ATTRIBUTION_WINDOW 秒内发起会话，记到这次邀请上，用于统计规则效果
+ *
+ * 【频率限制】（proactive_chat 配置，按访客计算）
+ * - min_interval_minutes：两次邀请的最短间隔
+ * - per_trigger_limit：同一规则最多触发几次，0为不限
+ *
+ * 访客已有进行中的会话、没有客服接待（离线留言模式或非营业时间）时不邀请。
+ */
+class ChatTriggerService
+{
+    /**
+     * 邀请后多久内发起的会话算作邀请带来的（秒）
+     */
+    protected const ATTRIBUTION_WINDOW = 1800;
+
+    protected const MAX_NAME_LENGTH = 100;
+    protected const MAX_PATTERN_LENGTH = 255;
+    protected const MAX_MESSAGE_LENGTH = 500;
+
+    public function __construct(
+        protected OfflineTicketService $offlineTicketService,
+        protected BusinessHoursService $businessHoursService,
+        protected Redis $redis
+    ) {
+    }
+
+    /**
+     * 获取主动邀请配置
+     *
+     * @return array [enabled, min_interval_minutes, per_trigger_limit]
+     */
+    public function getSettings(): array
+    {
+        $settings = SystemConfig::getValue('proactive_chat', []);
+        $settings = is_array($settings) ? $settings : [];
+
+        return [
+            'enabled' => (bool) ($settings['enabled'] ?? true),
+            'min_interval_minutes' => max(0, (int) ($settings['min_interval_minutes'] ?? 60)),
+            'per_trigger_limit' => max(0, (int) ($settings['per_trigger_limit'] ?? 1)),
+        ];
+    }
+
+    /**
+     * 获取访客当前可用的规则（已去掉达到频率限制的）
+     *
+     * @param Customer|null $customer 客户，还没有初始化过的新访客为null
+     * @return array 规则列表，按排序值排序
+     */
+    public function getTriggersFor(?Customer $customer): array
+    {
+        $settings = $this->getSettings();
+        if (!$settings['enabled'] || !$this->canInvite($customer)) {
+            return [];
+        }
+
+        $hitCounts = [];
+        if ($customer) {
+            if ($this->hasRecentHit($customer->id, $settings['min_interval_minutes'])) {
+                return [];
+            }
+            $hitCounts = ChatTriggerHit::query()
+                ->where('customer_id', $customer->id)
+                ->selectRaw('trigger_id, COUNT(*) as hit_count')
+                ->groupBy('trigger_id')
+                ->pluck('hit_count', 'trigger_id')
+                ->toArray();
+        }
+
+        $limit = $settings['per_trigger_limit'];
+
+        return ChatTrigger::query()
+            ->where('is_active', 1)
+            ->orderBy('sort_order', 'asc')
+            ->orderBy('id', 'asc')
+            ->get()
+            ->filter(fn (ChatTrigger $trigger) => $limit === 0 || (int) ($hitCounts[$trigger->id] ?? 0) < $limit)
+            ->map(fn (ChatTrigger $trigger) => [
+                'id' => $trigger->id,
+                'url_pattern' => $trigger->url_pattern,
+                'delay_seconds' => $trigger->delay_seconds,
+                'scroll_percent' => $trigger->scroll_percent,
+                'exit_intent' => $trigger->exit_intent === 1,
+                'message' => $trigger->message,
+            ])
+            ->values()
+            ->toArray();
+    }
+
+    /**
+     * 记录一次触发
+     *
+     * @param Customer $customer 客户
+     * @param int $triggerId 规则ID
+     * @param string $pageUrl 触发时的页面地址
+     * @return string|null 错误信息，成功返回null
+     */
+    public function recordHit(Customer $customer, int $triggerId, string $pageUrl): ?string
+    {
+        $trigger = ChatTrigger::find($triggerId);
+        if (!$trigger || $trigger->is_active !== 1) {
+            return '规则不存在或已停用';
+        }
+
+        // 同一访客的多个标签页可能同时触发，用 Redis 锁保证间隔内只记录一次
+        $minutes = $this->getSettings()['min_interval_minutes'];
+        if ($minutes > 0) {
+            if ($this->hasRecentHit($customer->id, $minutes)) {
+                return '邀请过于频繁';
+            }
+            $locked = $this->redis->set(
+                RedisKey::TRIGGER_HIT_LOCK_PREFIX . $customer->id,
+                (string) time(),
+                ['nx', 'ex' => $minutes * 60]
+            );
+            if (!$locked) {
+                return '邀请过于频繁';
+            }
+        }
+
+        ChatTriggerHit::create([
+            'trigger_id' => $trigger->id,
+            'customer_id' => $customer->id,
+            'page_url' => mb_substr($pageUrl, 0, 500),
+        ]);
+
+        return null;
+    }
+
+    /**
+     * 把新会话记到访客最近一次邀请上
+     *
+     * 【调用时机】客户发起新会话时（ConversationService::getOrCreateForCustomer）
+     *
+     * @param int $customerId 客户ID
+     * @param int $conversationId 新会话ID
+     */
+    public function attributeConversation(int $customerId, int $conversationId): void
+    {
+        $hit = ChatTriggerHit::query()
+            ->where('customer_id', $customerId)
+            ->where('created_at', '>=', date('Y-m-d H:i:s', time() - self::ATTRIBUTION_WINDOW))
+            ->orderBy('id', 'desc')
+            ->first();
+
+        if ($hit && $hit->conversation_id === null) {
+            $hit->update(['conversation_id' => $conversationId]);
+        }
+    }
+
+    /**
+     * 获取所有规则及效果统计（管理后台）
+     *
+     * @return array 规则列表，每条附带 hit_count 触发次数、conversation_count 带来的会话数、conversion_rate 转化率(%)
+     */
+    public function getListWithStats(): array
+    {
+        return ChatTrigger::query()
+            ->withCount([
+                'hits as hit_count',
+                'hits as conversation_count' => fn ($query) => $query->whereNotNull('conversation_id'),
+            ])
+            ->orderBy('sort_order', 'asc')
+            ->orderBy('id', 'asc')
+            ->get()
+            ->map(function (ChatTrigger $trigger) {
+                $item = $trigger->toArray();
+                $item['conversion_rate'] = $trigger->hit_count > 0
+                    ? round($trigger->conversation_count / $trigger->hit_count * 100, 1)
+                    : 0;
+                return $item;
+            })
+            ->toArray();
+    }
+
+    /**
+     * 校验并保存规则
+     *
+     * @param ChatTrigger $trigger 要保存的规则（新增时传入新对象）
+     * @param array $input 提交的字段：name, url_pattern, delay_seconds, scroll_percent, exit_intent, message, sort_order, is_active
+     * @return string|null 错误信息，成功返回null
+     */
+    public function save(ChatTrigger $trigger, array $input): ?string
+    {
+        $name = trim((string) ($input['name'] ?? ''));
+        $urlPattern = trim((string) ($input['url_pattern'] ?? ''));
+        $message = trim((string) ($input['message'] ?? ''));
+        $delaySeconds = (int) ($input['delay_seconds'] ?? 0);
+        $scrollPercent = (int) ($input['scroll_percent'] ?? 0);
+
+        if ($name === '' || $message === '') {
+            return '规则名称和问候语不能为空';
+        }
+        if (mb_strlen($name) > self::MAX_NAME_LENGTH) {
+            return '规则名称不能超过' . self::MAX_NAME_LENGTH . '字';
+        }
+        if (mb_strlen($urlPattern) > self::MAX_PATTERN_LENGTH) {
+            return '页面地址不能超过' . self::MAX_PATTERN_LENGTH . '字';
+        }
+        if (mb_strlen($message) > self::MAX_MESSAGE_LENGTH) {
+            return '问候语不能超过' . self::MAX_MESSAGE_LENGTH . '字';
+        }
+        if ($delaySeconds < 0 || $delaySeconds > 3600) {
+            return '停留时间须在0-3600秒之间';
+        }
+        if ($scrollPercent < 0 || $scrollPercent > 100) {
+            return '滚动比例须在0-100之间';
+        }
+
+        $trigger->fill([
+            'name' => $name,
+            'url_pattern' => $urlPattern,
+            'delay_seconds' => $delaySeconds,
+            'scroll_percent' => $scrollPercent,
+            'exit_intent' => empty($input['exit_intent']) ? 0 : 1,
+            'message' => $message,
+            'sort_order' => (int) ($input['sort_order'] ?? 0),
+            'is_active' => (int) ($input['is_active'] ?? 1) === 1 ? 1 : 0,
+        ]);
+        $trigger->save();
+
+        return null;
+    }
+
+    /**
+     * 当前是否适合邀请访客
+     *
+     * @param Customer|null $customer 客户
+     * @return bool 有客服接待，且访客没有进行中的会话
+     */
+    protected function canInvite(?Customer $customer): bool
+    {
+        if (!$this->businessHoursService->isOpen() || $this->offlineTicketService->isOfflineMode()) {
+            return false;
+        }
+
+        return !$customer || !Conversation::query()
+            ->where('customer_id', $customer->id)
+            ->whereIn('status', [ConversationStatus::WAITING, ConversationStatus::ACTIVE])
+            ->exists();
+    }
+
+    /**
+     * 访客在最短间隔内是否已经被邀请过
+     *
+     * @param int $customerId 客户ID
+     * @param int $minutes 最短间隔（分钟）
+     * @return bool
+     */
+    protected function hasRecentHit(int $customerId, int $minutes): bool
+    {
+        if ($minutes <= 0) {
+            return false;
+        }
+
+        return ChatTriggerHit::query()
+            ->where('customer_id', $customerId)
+            ->where('created_at', '>=', date('Y-m-d H:i:s', time() - $minutes * 60))
+            ->exists();
+    }
+}
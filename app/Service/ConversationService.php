@@ -30,6 +30,10 @@ use App\Model\Message;
  * 3. 会话转移：将会话从一个客服转给另一个
  * 4. 会话关闭：结束会话并释放客服负载
  * 5. 会话查询：获取客服的会话列表
+ *
+ * 【营业时间】
+ * 非营业时间不自动分配客服（见 BusinessHoursService），会话保持等待中，
+ * 营业时间开始后由定时任务 WaitingConversationTask 分配。
  */
 class ConversationService
 {
@@ -38,7 +42,10 @@ class ConversationService
      */
     public function __construct(
         protected AgentService $agentService,
-        protected CustomerService $customerService
+        protected CustomerService $customerService,
+        protected BusinessHoursService $businessHoursService,
+        protected QueueService $queueService,
+        protected ChatTriggerService $chatTriggerService
     ) {
     }
 
@@ -75,6 +82,9 @@ class ConversationService
             'status' => ConversationStatus::WAITING,
         ]);
 
+        // 访客是被主动邀请来的，记到这次邀请上（用于统计规则效果）
+        $this->chatTriggerService->attributeConversation($customer->id, $conversation->id);
+
         // 尝试分配客服（如果有在线客服）
         $this->assignAgent($conversation);
 
@@ -89,6 +99,7 @@ class ConversationService
      *
      * 【分配逻辑】
      * 调用AgentService获取负载最小的在线客服，然后分配给会话。
+     * 非营业时间不分配，会话保持等待中。
      *
      * @param Conversation $conversation 会话对象
      * @return bool 是否分配成功
@@ -100,6 +111,11 @@ class ConversationService
             return true;
         }
 
+        // 非营业时间不分配
+        if (!$this->businessHoursService->isOpen()) {
+            return false;
+        }
+
         // 获取负载最小的可用客服
         $agentId = $this->agentService->getAvailableAgent();
 
@@ -133,6 +149,9 @@ class ConversationService
         // 重新计算客服负载（因为多了一个会话）
         $this->agentService->calculateLoad($agentId);
 
+        // 记录排队时长，用于估算排队等待时间
+        $this->queueService->recordAssignment($conversation);
+
         return true;
     }
 
@@ -149,6 +168,7 @@ class ConversationService
     public function close(Conversation $conversation): bool
     {
         $agentId = $conversation->agent_id;
+        $wasWaiting = $conversation->status === ConversationStatus::WAITING;
 
         // 更新会话状态为"已关闭"，记录关闭时间
         $result = $conversation->update([
@@ -164,6 +184,11 @@ class ConversationService
             $this->tryAssignWaitingConversations($agentId);
         }
 
+        // 排队中的会话关闭，后面的客户排队位置前移
+        if ($wasWaiting) {
+            $this->notifyQueueChanged();
+        }
+
         return $result;
     }
 
@@ -175,10 +200,16 @@ class ConversationService
      * - 定时任务巡检时
      *
      * @param int $agentId 客服ID
+     * @param bool $notifyQueue 分配后是否推送排队位置（定时任务依次给多个客服分配，结束后统一推送一次）
      * @return int 成功分配的会话数
      */
-    public function tryAssignWaitingConversations(int $agentId): int
+    public function tryAssignWaitingConversations(int $agentId, bool $notifyQueue = true): int
     {
+        // 非营业时间不分配
+        if (!$this->businessHoursService->isOpen()) {
+            return 0;
+        }
+
         // 检查客服是否在线
         if (!$this->agentService->isAgentOnline($agentId)) {
             return 0;
@@ -238,6 +269,7 @@ class ConversationService
                                 'id' => $conversation->customer->id ?? 0,
                                 'uuid' => $conversation->customer->uuid ?? '',
                                 'ip' => $conversation->customer->ip ?? '',
+                                'nickname' => $conversation->customer->nickname ?? '',
                             ],
                         ],
                     ]);
@@ -247,7 +279,7 @@ class ConversationService
                         $webSocketService->sendToCustomer($conversation->customer->uuid, [
                             'type' => 'agent_assigned',
                             'data' => [
-                                'message' => \App\Model\SystemConfig::getText('msg_agent_assigned'),
+                                'message' => \App\Model\SystemConfig::getText('msg_agent_assigned', $conversation->customer->language ?: null),
                                 'conversation_id' => $conversation->id,
                             ],
                         ]);
@@ -267,9 +299,28 @@ class ConversationService
             }
         }
 
+        // 排队位置变化，通知其余排队中的客户
+        if ($assignedCount > 0 && $notifyQueue) {
+            $this->notifyQueueChanged();
+        }
+
         return $assignedCount;
     }
 
+    /**
+     * 推送最新排队位置给所有排队中的客户
+     *
+     * 通过容器获取 WebSocketService（避免循环依赖），推送失败不影响业务流程。
+     */
+    protected function notifyQueueChanged(): void
+    {
+        try {
+            \Hyperf\Context\ApplicationContext::getContainer()->get(WebSocketService::class)->pushQueueUpdates();
+        } catch (\Throwable $e) {
+            logger()->error('Failed to push queue updates', ['error' => $e->getMessage()]);
+        }
+    }
+
     /**
      * 获取客服的会话列表
      *
@@ -363,6 +414,7 @@ class ConversationService
                 $result[$convId] = [
                     'id' => $lastMsg->id,
                     'content' => $lastMsg->content,
+                    'content_type' => $lastMsg->content_type,
                     'sender_type' => $lastMsg->sender_type,
                     'created_at' => $lastMsg->created_at,
                 ];
@@ -620,6 +672,7 @@ class ConversationService
                     'customer' => $conversation->customer ? [
                         'id' => $conversation->customer->id,
                         'uuid' => $conversation->customer->uuid,
+                        'nickname' => $conversation->customer->nickname,
                     ] : null,
                 ],
                 'messages' => $messages,
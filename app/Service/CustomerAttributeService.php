@@ -0,0 +1,254 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Service;
+
+use App\Model\Agent;
+use App\Model\Customer;
+use App\Model\SystemConfig;
+
+/**
+ * ============================================================================
+ * 客户自定义属性服务 - 宿主网站写入的客户资料（如套餐、订单号、消费金额）
+ * ============================================================================
+ *
+ * 【数据来源】
+ * 宿主网站调用 ImSDK.setAttributes({ plan: 'pro', orderId: 123 })，
+ * 以 键 => 值 保存在客户的 custom_attributes 字段中，值保留类型：
+ * - string：字符串
+ * - number：整数或小数
+ * - boolean：true / false
+ * 值为 null 表示删除该属性。
+ *
+ * 【客服可见性】（customer_attributes 配置）
+ * - fields：按属性名配置 label 显示名称、visible 客服是否可见、editable 客服是否可修改、type 限定值的类型
+ * - default_visible：没有配置的属性客服是否可见（只读）
+ * 管理员始终可以查看和修改所有属性。
+ *
+ * 【注意】
+ * 属性由访客浏览器写入，访客可以自行修改，只能用于展示，不要作为权限或价格的依据。
+ */
+class CustomerAttributeService
+{
+    protected const MAX_ATTRIBUTES = 50;
+    protected const MAX_STRING_LENGTH = 500;
+    protected const KEY_PATTERN = '/^[A-Za-z_][A-Za-z0-9_]{0,63}$/';
+    protected const TYPES = ['string', 'number', 'boolean'];
+
+    /**
+     * 获取客服可见性配置
+     *
+     * @return array [default_visible, fields => [属性名 => [label, visible, editable, type]]]，type 为null表示不限
+     */
+    public function getSettings(): array
+    {
+        $settings = SystemConfig::getValue('customer_attributes', []);
+        $settings = is_array($settings) ? $settings : [];
+
+        $fields = [];
+        foreach ((array) ($settings['fields'] ?? []) as $key => $field) {
+            if (!is_string($key) || !preg_match(self::KEY_PATTERN, $key) || !is_array($field)) {
+                continue;
+            }
+            $visible = (bool) ($field['visible'] ?? true);
+            $fields[$key] = [
+                'label' => trim((string) ($field['label'] ?? '')) ?: $key,
+                'visible' => $visible,
+                'editable' => $visible && (bool) ($field['editable'] ?? false),
+                'type' => in_array($field['type'] ?? null, self::TYPES, true) ? $field['type'] : null,
+            ];
+        }
+
+        return [
+            'default_visible' => (bool) ($settings['default_visible'] ?? true),
+            'fields' => $fields,
+        ];
+    }
+
+    /**
+     * 写入客户属性（宿主网站通过 SDK 调用）
+     *
+     * 只修改传入的属性，值为 null 的删除，其余属性保持不变。
+     *
+     * @param Customer $customer 客户
+     * @param array $attributes 属性 [属性名 => 值]
+     * @return string|null 错误信息，成功返回null
+     */
+    public function set(Customer $customer, array $attributes): ?string
+    {
+        $fields = $this->getSettings()['fields'];
+        foreach ($attributes as $key => $value) {
+            $error = $this->validate($key, $value, $fields[$key]['type'] ?? null);
+            if ($error !== null) {
+                return $error;
+            }
+        }
+
+        return $this->merge($customer, $attributes);
+    }
+
+    /**
+     * 客服修改客户属性
+     *
+     * 普通客服只能修改配置为 editable 的属性；新值要和原来的值类型一致（配置了 type 时按配置）。
+     *
+     * @param Customer $customer 客户
+     * @param Agent $agent 操作的客服
+     * @param array $attributes 属性 [属性名 => 值]，值为 null 表示删除
+     * @return string|null 错误信息，成功返回null
+     */
+    public function updateByAgent(Customer $customer, Agent $agent, array $attributes): ?string
+    {
+        $fields = $this->getSettings()['fields'];
+        $current = $customer->custom_attributes ?? [];
+
+        foreach ($attributes as $key => $value) {
+            if (!$agent->isAdmin() && !($fields[$key]['editable'] ?? false)) {
+                return "无权修改属性 {$key}";
+            }
+            $type = $fields[$key]['type'] ?? (array_key_exists($key, $current) ? $this->typeOf($current[$key]) : null);
+            $error = $this->validate($key, $value, $type);
+            if ($error !== null) {
+                return $error;
+            }
+        }
+
+        return $this->merge($customer, $attributes);
+    }
+
+    /**
+     * 获取客服可以看到的属性
+     *
+     * 配置过的属性按配置顺序排在前面（可修改但还没有值的也列出，方便客服填写），其余按属性名排序。
+     *
+     * @param Customer $customer 客户
+     * @param Agent $agent 查看的客服
+     * @return array [[key, label, type, value, editable], ...]，没有值的 value 为null
+     */
+    public function getVisibleAttributes(Customer $customer, Agent $agent): array
+    {
+        $settings = $this->getSettings();
+        $isAdmin = $agent->isAdmin();
+        $values = $customer->custom_attributes ?? [];
+
+        $list = [];
+        foreach ($settings['fields'] as $key => $field) {
+            $hasValue = array_key_exists($key, $values);
+            if (!$isAdmin && (!$field['visible'] || (!$hasValue && !$field['editable']))) {
+                continue;
+            }
+            $list[] = [
+                'key' => $key,
+                'label' => $field['label'],
+                'type' => $hasValue ? $this->typeOf($values[$key]) : ($field['type'] ?? 'string'),
+                'value' => $values[$key] ?? null,
+                'editable' => $isAdmin || $field['editable'],
+            ];
+        }
+
+        $others = array_diff_key($values, $settings['fields']);
+        ksort($others);
+        if ($isAdmin || $settings['default_visible']) {
+            foreach ($others as $key => $value) {
+                $list[] = [
+                    'key' => $key,
+                    'label' => $key,
+                    'type' => $this->typeOf($value),
+                    'value' => $value,
+                    'editable' => $isAdmin,
+                ];
+            }
+        }
+
+        return $list;
+    }
+
+    /**
+     * 合并客户的多个身份时合并属性（保留已知客户的值，只补充缺少的属性）
+     *
+     * @param Customer $known 保留的客户
+     * @param Customer $anonymous 被并入的匿名客户
+     * @return array|null 合并后的属性，都没有属性返回null
+     */
+    public function mergeInto(Customer $known, Customer $anonymous): ?array
+    {
+        $merged = array_slice(($known->custom_attributes ?? []) + ($anonymous->custom_attributes ?? []), 0, self::MAX_ATTRIBUTES, true);
+        return $merged ?: null;
+    }
+
+    /**
+     * 校验单个属性
+     *
+     * @param mixed $key 属性名
+     * @param mixed $value 值，null 表示删除
+     * @param string|null $type 限定的类型，null 为不限
+     * @return string|null 错误信息，合法返回null
+     */
+    protected function validate(mixed $key, mixed $value, ?string $type): ?string
+    {
+        if (!is_string($key) || !preg_match(self::KEY_PATTERN, $key)) {
+            return '属性名只能包含字母、数字和下划线，不能以数字开头，最长64个字符';
+        }
+        if ($value === null) {
+            return null;
+        }
+
+        $valueType = $this->typeOf($value);
+        if ($valueType === null) {
+            return "属性 {$key} 的值只能是字符串、数字或布尔值";
+        }
+        if ($type !== null && $valueType !== $type) {
+            return "属性 {$key} 的值应为 {$type} 类型";
+        }
+        if (is_float($value) && !is_finite($value)) {
+            return "属性 {$key} 的值不是有效的数字";
+        }
+        if (is_string($value) && mb_strlen($value) > self::MAX_STRING_LENGTH) {
+            return "属性 {$key} 的值不能超过" . self::MAX_STRING_LENGTH . '个字符';
+        }
+
+        return null;
+    }
+
+    /**
+     * 把已校验的属性合并到客户上并保存
+     *
+     * @return string|null 错误信息，成功返回null
+     */
+    protected function merge(Customer $customer, array $attributes): ?string
+    {
+        $current = $customer->custom_attributes ?? [];
+        foreach ($attributes as $key => $value) {
+            if ($value === null) {
+                unset($current[$key]);
+            } else {
+                $current[$key] = $value;
+            }
+        }
+
+        if (count($current) > self::MAX_ATTRIBUTES) {
+            return '每个客户最多保存' . self::MAX_ATTRIBUTES . '个属性';
+        }
+
+        $customer->custom_attributes = $current ?: null;
+        $customer->save();
+
+        return null;
+    }
+
+    /**
+     * 值的类型
+     *
+     * @return string|null string / number / boolean，其他类型（数组、对象）返回null
+     */
+    protected function typeOf(mixed $value): ?string
+    {
+        return match (true) {
+            is_string($value) => 'string',
+            is_int($value), is_float($value) => 'number',
+            is_bool($value) => 'boolean',
+            default => null,
+        };
+    }
+}
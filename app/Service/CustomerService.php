@@ -6,6 +6,7 @@ namespace App\Service;
 
 use App\Constants\RedisKey;
 use App\Model\Customer;
+use App\Model\SystemConfig;
 use Hyperf\Redis\Redis;
 
 /**
@@ -25,9 +26,21 @@ use Hyperf\Redis\Redis;
  * 2. 连接管理：保存和查询客户的WebSocket连接
  * 3. 会话关联：记录客户当前正在进行的会话
  * 4. 心跳管理：记录客户的最后活跃时间
+ * 5. 咨询前表单：校验并保存客户填写的姓名、邮箱等信息
+ * 6. 浏览轨迹：记录客户最近浏览的页面
  */
 class CustomerService
 {
+    /**
+     * 浏览轨迹最多保留的页面数
+     */
+    protected const PAGE_VIEW_LIMIT = 20;
+
+    /**
+     * 浏览轨迹保留时间（秒）
+     */
+    protected const PAGE_VIEW_TTL = 7 * 86400;
+
     /**
      * 构造函数 - 依赖注入Redis客户端
      */
@@ -93,15 +106,23 @@ class CustomerService
      * 【调用时机】
      * 客户断开WebSocket连接时调用，清理Redis中的映射数据
      *
+     * 【注意】
+     * 同一客户可能先建立新连接、旧连接随后才断开（如浏览器切换主标签页），
+     * 传入 fd 时只有当前映射仍指向该连接才删除 UUID → FD，避免误删新连接。
+     *
      * @param string $uuid 客户UUID
+     * @param int|null $fd 断开的连接ID（不传则按当前映射清理）
      */
-    public function removeConnection(string $uuid): void
+    public function removeConnection(string $uuid, ?int $fd = null): void
     {
-        $fd = $this->getConnection($uuid);
+        $current = $this->getConnection($uuid);
+        $fd = $fd ?? $current;
         if ($fd) {
             $this->redis->hDel(RedisKey::FD_USER_MAP, (string) $fd);
         }
-        $this->redis->hDel(RedisKey::CUSTOMER_CONNECTIONS, $uuid);
+        if ($current === null || $current === $fd) {
+            $this->redis->hDel(RedisKey::CUSTOMER_CONNECTIONS, $uuid);
+        }
     }
 
     /**
@@ -141,6 +162,19 @@ class CustomerService
         return $id ? (int) $id : null;
     }
 
+    /**
+     * 移除客户当前会话ID
+     *
+     * 【调用时机】
+     * 匿名客户被合并到已知客户后，旧UUID的会话映射已失效。
+     *
+     * @param string $uuid 客户UUID
+     */
+    public function removeCurrentConversation(string $uuid): void
+    {
+        $this->redis->hDel(RedisKey::CUSTOMER_CONVERSATION, $uuid);
+    }
+
     /**
      * 根据FD获取客户信息
      *
@@ -162,5 +196,158 @@ class CustomerService
         }
         return $info;
     }
-}
 
+    /**
+     * 记录客户浏览的页面
+     *
+     * 和上一个页面地址相同时（如刷新、重新连接后再次上报）不重复记录。
+     *
+     * @param int $customerId 客户ID
+     * @param string $url 页面地址（只接受 http/https）
+     * @param string $title 页面标题
+     * @return array|null 记录的页面 [url, title, viewed_at]，地址无效或与上一个页面相同返回null
+     */
+    public function recordPageView(int $customerId, string $url, string $title = ''): ?array
+    {
+        $url = mb_substr(trim($url), 0, 1000);
+        if (!preg_match('#^https?://#i', $url) || filter_var($url, FILTER_VALIDATE_URL) === false) {
+            return null;
+        }
+
+        $key = RedisKey::CUSTOMER_PAGE_VIEWS_PREFIX . $customerId;
+        $last = $this->redis->lIndex($key, 0);
+        if ($last && (json_decode($last, true)['url'] ?? '') === $url) {
+            return null;
+        }
+
+        $pageView = [
+            'url' => $url,
+            'title' => mb_substr(trim($title), 0, 200),
+            'viewed_at' => date('Y-m-d H:i:s'),
+        ];
+
+        $this->redis->lPush($key, json_encode($pageView, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES));
+        $this->redis->lTrim($key, 0, self::PAGE_VIEW_LIMIT - 1);
+        $this->redis->expire($key, self::PAGE_VIEW_TTL);
+
+        return $pageView;
+    }
+
+    /**
+     * 获取客户最近浏览的页面
+     *
+     * @param int $customerId 客户ID
+     * @return array [[url, title, viewed_at], ...] 最新的在最前，第一条即客户当前所在页面
+     */
+    public function getPageViews(int $customerId): array
+    {
+        $items = $this->redis->lRange(RedisKey::CUSTOMER_PAGE_VIEWS_PREFIX . $customerId, 0, self::PAGE_VIEW_LIMIT - 1) ?: [];
+
+        return array_values(array_filter(array_map(fn ($item) => json_decode($item, true), $items)));
+    }
+
+    /**
+     * 合并两个客户的浏览轨迹（匿名客户关联到已知客户时使用）
+     *
+     * 按浏览时间重新排序，最多保留 PAGE_VIEW_LIMIT 条，合并后删除来源客户的轨迹。
+     *
+     * @param int $fromCustomerId 来源客户ID（被合并的匿名客户）
+     * @param int $toCustomerId 目标客户ID
+     */
+    public function mergePageViews(int $fromCustomerId, int $toCustomerId): void
+    {
+        $from = $this->getPageViews($fromCustomerId);
+        if (empty($from)) {
+            return;
+        }
+
+        $pageViews = array_merge($from, $this->getPageViews($toCustomerId));
+        usort($pageViews, fn ($a, $b) => strcmp($b['viewed_at'] ?? '', $a['viewed_at'] ?? ''));
+        $pageViews = array_slice($pageViews, 0, self::PAGE_VIEW_LIMIT);
+
+        $key = RedisKey::CUSTOMER_PAGE_VIEWS_PREFIX . $toCustomerId;
+        $this->redis->del($key);
+        $this->redis->rPush($key, ...array_map(
+            fn ($pageView) => json_encode($pageView, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES),
+            $pageViews
+        ));
+        $this->redis->expire($key, self::PAGE_VIEW_TTL);
+        $this->redis->del(RedisKey::CUSTOMER_PAGE_VIEWS_PREFIX . $fromCustomerId);
+    }
+
+    /**
+     * 保存咨询前表单
+     *
+     * 【表单配置】
+     * 后台配置 pre_chat_form（sdk_settings 分组）决定显示哪些字段、是否必填、咨询类型的选项。
+     * 字段只能是 name/email/phone/topic，分别写入客户的 nickname/email/phone/topic。
+     *
+     * 客户主动填写的信息会覆盖已有的值（如客服之前手动填写的邮箱）。
+     *
+     * @param Customer $customer 客户
+     * @param array $input 表单数据 [name, email, phone, topic]
+     * @return string|null 校验失败的错误信息，成功返回null
+     */
+    public function savePreChatForm(Customer $customer, array $input): ?string
+    {
+        $form = SystemConfig::getValue('pre_chat_form', []);
+        $lang = $customer->language ?: null;
+        if (empty($form['enabled'])) {
+            return SystemConfig::getText('err_pre_chat_disabled', $lang);
+        }
+
+        $columns = ['name' => 'nickname', 'email' => 'email', 'phone' => 'phone', 'topic' => 'topic'];
+        $maxLengths = ['name' => 50, 'email' => 255, 'phone' => 30, 'topic' => 100];
+
+        $data = [];
+        foreach ((array) ($form['fields'] ?? []) as $field) {
+            $key = $field['key'] ?? '';
+            if (!isset($columns[$key])) {
+                continue;
+            }
+
+            $value = trim((string) ($input[$key] ?? ''));
+            if ($value === '') {
+                if (!empty($field['required'])) {
+                    return SystemConfig::getText('pre_chat_required', $lang, ['{field}' => $this->getPreChatLabel($field, $lang)]);
+                }
+                continue;
+            }
+
+            $valid = match ($key) {
+                'email' => filter_var($value, FILTER_VALIDATE_EMAIL) !== false,
+                'phone' => (bool) preg_match('/^\+?[0-9\s\-()]{5,30}$/', $value),
+                'topic' => in_array($value, (array) ($field['options'] ?? []), true),
+                default => true,
+            };
+            if (!$valid || mb_strlen($value) > $maxLengths[$key]) {
+                return SystemConfig::getText('pre_chat_invalid', $lang, ['{field}' => $this->getPreChatLabel($field, $lang)]);
+            }
+
+            $data[$columns[$key]] = $value;
+        }
+
+        if (!empty($data)) {
+            $customer->update($data);
+        }
+
+        return null;
+    }
+
+    /**
+     * 咨询前表单字段名称（可按语言配置 {zh, en}，也可以直接是字符串，与 SDK 的 getPreChatLabel 一致）
+     *
+     * @param array $field 字段配置
+     * @param string|null $lang 语言代码，null 时使用默认语言
+     * @return string 字段名称
+     */
+    protected function getPreChatLabel(array $field, ?string $lang): string
+    {
+        $label = $field['label'] ?? '';
+        if (is_array($label)) {
+            $lang ??= SystemConfig::resolveLanguage(null);
+            return (string) ($label[$lang] ?? $label['en'] ?? reset($label) ?: $field['key']);
+        }
+        return (string) ($label ?: $field['key']);
+    }
+}
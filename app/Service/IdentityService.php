@@ -0,0 +1,214 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Service;
+
+use App\Enums\ConversationStatus;
+use App\Enums\SenderType;
+use App\Model\ChatTriggerHit;
+use App\Model\Conversation;
+use App\Model\ConversationRating;
+use App\Model\Customer;
+use App\Model\Message;
+use App\Model\MessageReaction;
+use App\Model\OfflineTicket;
+use Hyperf\DbConnection\Db;
+
+/**
+ * ============================================================================
+ * 身份认证服务类 - 把匿名访客关联到宿主网站的已登录用户
+ * ============================================================================
+ *
+ * 【为什么需要？】
+ * 客户默认通过浏览器里的UUID识别，换设备、清缓存就会变成新客户，
+ * 同一个人的聊天记录会分散在多个匿名客户下。
+ * 宿主网站用户登录后调用 ImSDK.identify()，把访客和真实用户关联起来。
+ *
+ * 【签名校验】
+ * signature = hash_hmac('sha256', userId, IDENTITY_SECRET)
+ * 密钥只保存在宿主网站后端，前端无法伪造其他用户的身份。
+ *
+ * 【合并规则】
+ * 1. 该用户ID第一次出现：直接给当前匿名客户打上用户ID
+ * 2. 该用户ID已绑定其他客户：把匿名客户的会话、评价、留言工单、浏览轨迹全部并入已知客户（客户发出的消息一并改为已知客户发送），再删除匿名客户
+ * 3. 双方都有进行中的会话：把匿名会话的消息并入已知客户的进行中会话，保证只有一个进行中会话
+ * 4. 当前浏览器已绑定另一个用户（换账号登录）：不合并，直接切换到新用户对应的客户
+ */
+class IdentityService
+{
+    /**
+     * 构造函数 - 依赖注入
+     */
+    public function __construct(
+        protected AgentService $agentService,
+        protected CustomerService $customerService,
+        protected CustomerAttributeService $customerAttributeService
+    ) {
+    }
+
+    /**
+     * 校验身份签名
+     *
+     * @param string $userId 宿主网站的用户ID
+     * @param string $signature 宿主后端生成的签名
+     * @return bool 是否有效（未配置密钥时一律无效）
+     */
+    public function verifySignature(string $userId, string $signature): bool
+    {
+        $secret = (string) config('identity.secret', '');
+        if ($secret === '' || $userId === '' || $signature === '') {
+            return false;
+        }
+
+        return hash_equals(hash_hmac('sha256', $userId, $secret), strtolower($signature));
+    }
+
+    /**
+     * 关联身份
+     *
+     * @param Customer $current 当前浏览器对应的客户
+     * @param string $userId 宿主网站的用户ID
+     * @param array $profile 资料 ['nickname' => '...', 'email' => '...']
+     * @return Customer 关联后的客户（可能与 $current 不是同一个，UUID 需要同步给客户端）
+     */
+    public function identify(Customer $current, string $userId, array $profile = []): Customer
+    {
+        $profile = array_filter($profile, fn ($value) => $value !== null && $value !== '');
+
+        $known = Customer::query()->where('external_user_id', $userId)->first();
+
+        // 已经是同一个客户，只更新资料
+        if ($known && $known->id === $current->id) {
+            $known->update($profile);
+            return $known;
+        }
+
+        // 当前浏览器已绑定另一个用户（换账号登录），不能把上一个用户的记录并过去
+        if ($current->external_user_id && $current->external_user_id !== $userId) {
+            if (!$known) {
+                $known = Customer::create(array_merge([
+                    'uuid' => 'cust_' . str_replace('.', '', uniqid('', true)) . '_' . bin2hex(random_bytes(4)),
+                    'external_user_id' => $userId,
+                    'ip' => $current->ip,
+                    'user_agent' => $current->user_agent,
+                    'device_type' => $current->device_type,
+                    'browser' => $current->browser,
+                    'os' => $current->os,
+                    'timezone' => $current->timezone,
+                ], $profile));
+            } else {
+                $known->update($profile);
+            }
+            return $known;
+        }
+
+        // 用户ID第一次出现，直接绑定到当前客户
+        if (!$known) {
+            $current->update(array_merge(['external_user_id' => $userId], $profile));
+            return $current;
+        }
+
+        $this->merge($current, $known);
+        $known->update($profile);
+
+        return $known;
+    }
+
+    /**
+     * 把匿名客户合并到已知客户
+     *
+     * @param Customer $anonymous 匿名客户（合并后删除）
+     * @param Customer $known 已知客户
+     */
+    protected function merge(Customer $anonymous, Customer $known): void
+    {
+        $openStatuses = [ConversationStatus::WAITING, ConversationStatus::ACTIVE];
+        $releasedAgentId = null;
+
+        Db::transaction(function () use ($anonymous, $known, $openStatuses, &$releasedAgentId) {
+            $anonymousOpen = Conversation::query()
+                ->where('customer_id', $anonymous->id)
+                ->whereIn('status', $openStatuses)
+                ->orderBy('id', 'desc')
+                ->first();
+            $knownOpen = Conversation::query()
+                ->where('customer_id', $known->id)
+                ->whereIn('status', $openStatuses)
+                ->orderBy('id', 'desc')
+                ->first();
+
+            // 双方都有进行中的会话：消息并入已知客户的会话，删除空会话
+            if ($anonymousOpen && $knownOpen) {
+                Message::query()
+                    ->where('conversation_id', $anonymousOpen->id)
+                    ->update(['conversation_id' => $knownOpen->id]);
+                MessageReaction::query()
+                    ->where('conversation_id', $anonymousOpen->id)
+                    ->update(['conversation_id' => $knownOpen->id]);
+                ChatTriggerHit::query()
+                    ->where('conversation_id', $anonymousOpen->id)
+                    ->update(['conversation_id' => $knownOpen->id]);
+                $releasedAgentId = $anonymousOpen->agent_id;
+                $anonymousOpen->delete();
+            }
+
+            // 其余会话整体转移，历史会话列表即可看到完整记录
+            Conversation::query()
+                ->where('customer_id', $anonymous->id)
+                ->update(['customer_id' => $known->id]);
+
+            // 客户发出的消息和表情回应改记到已知客户名下，
+            // 否则发送者查询和消息去重（uk_sender_client_msg）会指向被删除的客户
+            Message::query()
+                ->where('sender_type', SenderType::CUSTOMER)
+                ->where('sender_id', $anonymous->id)
+                ->update(['sender_id' => $known->id]);
+            MessageReaction::query()
+                ->where('reactor_type', SenderType::CUSTOMER)
+                ->where('reactor_id', $anonymous->id)
+                ->update(['reactor_id' => $known->id]);
+
+            // 评价、留言工单和主动邀请记录同样按客户ID关联，一并转移
+            ConversationRating::query()
+                ->where('customer_id', $anonymous->id)
+                ->update(['customer_id' => $known->id]);
+            OfflineTicket::query()
+                ->where('customer_id', $anonymous->id)
+                ->update(['customer_id' => $known->id]);
+            ChatTriggerHit::query()
+                ->where('customer_id', $anonymous->id)
+                ->update(['customer_id' => $known->id]);
+
+            // 补全已知客户缺失的资料（不覆盖已有数据）
+            $fill = [];
+            foreach (['nickname', 'email', 'phone', 'topic', 'language', 'timezone', 'city', 'source_url', 'referrer'] as $field) {
+                if (empty($known->{$field}) && !empty($anonymous->{$field})) {
+                    $fill[$field] = $anonymous->{$field};
+                }
+            }
+            $fill['custom_attributes'] = $this->customerAttributeService->mergeInto($known, $anonymous);
+            $fill['last_active_at'] = date('Y-m-d H:i:s');
+            $known->update($fill);
+
+            $anonymous->delete();
+        });
+
+        // 被删除的会话占用了客服负载，需要重新计算
+        if ($releasedAgentId) {
+            $this->agentService->calculateLoad($releasedAgentId);
+        }
+
+        // 同步Redis中的当前会话和浏览轨迹
+        $this->customerService->removeCurrentConversation($anonymous->uuid);
+        $this->customerService->mergePageViews($anonymous->id, $known->id);
+        $current = Conversation::query()
+            ->where('customer_id', $known->id)
+            ->whereIn('status', $openStatuses)
+            ->orderBy('id', 'desc')
+            ->first();
+        if ($current) {
+            $this->customerService->setCurrentConversation($known->uuid, $current->id);
+        }
+    }
+}
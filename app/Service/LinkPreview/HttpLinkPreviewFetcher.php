@@ -0,0 +1,340 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Service\LinkPreview;
+
+use Swoole\Coroutine\Client;
+use Swoole\Coroutine\System;
+
+/**
+ * ============================================================================
+ * HTTP 抓取器 - 请求网页并解析 OpenGraph 信息
+ * ============================================================================
+ *
+ * 【SSRF 防护】
+ * 网址来自聊天消息，任何人都能让服务端去请求它，所以必须限制请求目标：
+ * 1. 只允许 http/https，端口只允许 80/443
+ * 2. 域名解析出的 IP 必须是公网地址（BLOCKED_RANGES 之外，含云厂商元数据地址 100.100.100.200）
+ * 3. 直接连接校验过的 IP（Host 头和 TLS SNI 用原域名），防止 DNS 重绑定绕过校验
+ * 4. 不自动跟随重定向，每一跳都重新校验
+ * 5. 限制超时和读取字节数，只解析 text/html
+ *
+ * 【不阻塞 worker】
+ * bin/hyperf.php 没有开启 curl 的协程 hook，curl 和 dns_get_record 会卡住整个 worker。
+ * 这里用 Swoole 协程 socket 发 HTTP/1.0 请求、用 System::dnsLookup 解析域名，
+ * 等待网络时只挂起当前协程。
+ */
+class HttpLinkPreviewFetcher implements LinkPreviewFetcher
+{
+    /**
+     * 禁止访问的地址段
+     *
+     * IPv4 映射（::ffff:0:0/96）、NAT64（64:ff9b::/96）、6to4（2002::/16）
+     * 等内嵌 IPv4 的 IPv6 地址整段拒绝，避免借道访问内网。
+     */
+    protected const BLOCKED_RANGES = [
+        // IPv4
+        '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+        '172.16.0.0/12', '192.0.0.0/24', '192.0.2.0/24', '192.88.99.0/24', '192.168.0.0/16',
+        '198.18.0.0/15', '198.51.100.0/24', '203.0.113.0/24', '224.0.0.0/4', '240.0.0.0/4',
+        // IPv6
+        '::/127', '::ffff:0:0/96', '64:ff9b::/96', '64:ff9b:1::/48', '100::/64', '2001::/23',
+        '2001:db8::/32', '2002::/16', 'fc00::/7', 'fe80::/10', 'fec0::/10', 'ff00::/8',
+    ];
+
+    /**
+     * 响应头最多读取的字节数
+     */
+    protected const MAX_HEADER_BYTES = 16 * 1024;
+
+    protected int $timeout;
+    protected int $maxBytes;
+    protected int $maxRedirects;
+
+    public function __construct()
+    {
+        $this->timeout = (int) config('link_preview.timeout', 5);
+        $this->maxBytes = (int) config('link_preview.max_bytes', 512 * 1024);
+        $this->maxRedirects = (int) config('link_preview.max_redirects', 3);
+    }
+
+    public function fetch(string $url): ?array
+    {
+        for ($i = 0; $i <= $this->maxRedirects; $i++) {
+            $response = $this->request($url);
+            if ($response === null) {
+                return null;
+            }
+
+            if ($response['status'] >= 300 && $response['status'] < 400 && $response['location'] !== '') {
+                $url = $this->resolveUrl($response['location'], $url);
+                if ($url === null) {
+                    return null;
+                }
+                continue;
+            }
+
+            if ($response['status'] !== 200 || !str_contains(strtolower($response['content_type']), 'text/html')) {
+                return null;
+            }
+
+            return $this->parse($response['body'], $url);
+        }
+
+        return null;
+    }
+
+    /**
+     * 校验地址并发起单次请求
+     *
+     * @return array|null [status, location, content_type, body]，地址不允许或请求失败返回null
+     */
+    protected function request(string $url): ?array
+    {
+        $parts = parse_url($url);
+        $scheme = strtolower((string) ($parts['scheme'] ?? ''));
+        $host = (string) ($parts['host'] ?? '');
+        if (!in_array($scheme, ['http', 'https'], true) || $host === '' || isset($parts['user']) || isset($parts['pass'])) {
+            return null;
+        }
+
+        $port = (int) ($parts['port'] ?? ($scheme === 'https' ? 443 : 80));
+        if (!in_array($port, [80, 443], true)) {
+            return null;
+        }
+
+        $ip = $this->resolvePublicIp(trim($host, '[]'));
+        if ($ip === null) {
+            return null;
+        }
+
+        $socketType = str_contains($ip, ':') ? SWOOLE_SOCK_TCP6 : SWOOLE_SOCK_TCP;
+        $client = new Client($scheme === 'https' ? $socketType | SWOOLE_SSL : $socketType);
+        $client->set([
+            'timeout' => $this->timeout,
+            'ssl_host_name' => trim($host, '[]'),
+            'ssl_verify_peer' => true,
+        ]);
+        if (!$client->connect($ip, $port, $this->timeout)) {
+            return null;
+        }
+
+        // HTTP/1.0 + identity：响应不会分块也不会压缩，读到的字节就是网页内容
+        $path = ($parts['path'] ?? '') ?: '/';
+        if (isset($parts['query'])) {
+            $path .= '?' . $parts['query'];
+        }
+        $client->send(implode("\r\n", [
+            "GET {$path} HTTP/1.0",
+            'Host: ' . $host . (isset($parts['port']) ? ':' . $port : ''),
+            'Accept: text/html',
+            'Accept-Language: zh-CN,zh;q=0.9,en;q=0.8',
+            'Accept-Encoding: identity',
+            'User-Agent: Mozilla/5.0 (compatible; IMLinkPreview/1.0)',
+            'Connection: close',
+        ]) . "\r\n\r\n");
+
+        // 读到连接关闭、超过字节上限或超时为止，已读到的内容仍可解析
+        $raw = '';
+        $limit = self::MAX_HEADER_BYTES + $this->maxBytes;
+        $deadline = microtime(true) + $this->timeout;
+        while (strlen($raw) < $limit && ($left = $deadline - microtime(true)) > 0) {
+            $chunk = $client->recv($left);
+            if ($chunk === '' || $chunk === false) {
+                break;
+            }
+            $raw .= $chunk;
+        }
+        $client->close();
+
+        $headerEnd = strpos($raw, "\r\n\r\n");
+        if ($headerEnd === false || $headerEnd > self::MAX_HEADER_BYTES) {
+            return null;
+        }
+
+        $lines = explode("\r\n", substr($raw, 0, $headerEnd));
+        if (!preg_match('#^HTTP/\d(?:\.\d)?\s+(\d{3})#', (string) array_shift($lines), $m)) {
+            return null;
+        }
+
+        $headers = [];
+        foreach ($lines as $line) {
+            $pos = strpos($line, ':');
+            if ($pos !== false) {
+                $headers[strtolower(trim(substr($line, 0, $pos)))] = trim(substr($line, $pos + 1));
+            }
+        }
+
+        return [
+            'status' => (int) $m[1],
+            'location' => $headers['location'] ?? '',
+            'content_type' => $headers['content-type'] ?? '',
+            'body' => substr($raw, $headerEnd + 4, $this->maxBytes),
+        ];
+    }
+
+    /**
+     * 解析域名，得到的IP是公网地址时返回
+     *
+     * @param string $host 域名或IP
+     * @return string|null 公网IP，内网/保留地址或无法解析返回null
+     */
+    protected function resolvePublicIp(string $host): ?string
+    {
+        $ip = $host;
+        if (!filter_var($host, FILTER_VALIDATE_IP)) {
+            $ip = System::dnsLookup($host, $this->timeout, AF_INET)
+                ?: System::dnsLookup($host, $this->timeout, AF_INET6);
+        }
+
+        if (!$ip || !filter_var($ip, FILTER_VALIDATE_IP)) {
+            return null;
+        }
+
+        return $this->isPublicIp($ip) ? $ip : null;
+    }
+
+    /**
+     * 是否公网地址
+     */
+    protected function isPublicIp(string $ip): bool
+    {
+        // PHP 8.2+ 的 GLOBAL_RANGE 已覆盖大部分保留段，BLOCKED_RANGES 兜底低版本和漏掉的地址段
+        $flags = FILTER_FLAG_NO_PRIV_RANGE | FILTER_FLAG_NO_RES_RANGE
+            | (defined('FILTER_FLAG_GLOBAL_RANGE') ? FILTER_FLAG_GLOBAL_RANGE : 0);
+        if (!filter_var($ip, FILTER_VALIDATE_IP, $flags)) {
+            return false;
+        }
+
+        foreach (self::BLOCKED_RANGES as $cidr) {
+            if ($this->inRange($ip, $cidr)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * IP是否在地址段内（IPv4 和 IPv6 不互相匹配）
+     */
+    protected function inRange(string $ip, string $cidr): bool
+    {
+        [$subnet, $bits] = explode('/', $cidr);
+        $ipBin = inet_pton($ip);
+        $subnetBin = inet_pton($subnet);
+        if ($ipBin === false || $subnetBin === false || strlen($ipBin) !== strlen($subnetBin)) {
+            return false;
+        }
+
+        $bits = (int) $bits;
+        $bytes = intdiv($bits, 8);
+        if (substr($ipBin, 0, $bytes) !== substr($subnetBin, 0, $bytes)) {
+            return false;
+        }
+        if ($bits % 8 === 0) {
+            return true;
+        }
+
+        $mask = (0xFF << (8 - $bits % 8)) & 0xFF;
+        return (ord($ipBin[$bytes]) & $mask) === (ord($subnetBin[$bytes]) & $mask);
+    }
+
+    /**
+     * 解析网页中的 OpenGraph 信息（没有时退回 <title> 和 description）
+     */
+    protected function parse(string $html, string $url): ?array
+    {
+        $meta = [];
+        if (preg_match_all('/<meta\s[^>]*>/i', $html, $tags)) {
+            foreach ($tags[0] as $tag) {
+                $attrs = $this->parseAttributes($tag);
+                $key = strtolower($attrs['property'] ?? $attrs['name'] ?? '');
+                if ($key !== '' && isset($attrs['content']) && !isset($meta[$key])) {
+                    $meta[$key] = $attrs['content'];
+                }
+            }
+        }
+
+        $title = $meta['og:title'] ?? $meta['twitter:title'] ?? '';
+        if ($title === '' && preg_match('/<title[^>]*>(.*?)<\/title>/is', $html, $m)) {
+            $title = $m[1];
+        }
+        $description = $meta['og:description'] ?? $meta['twitter:description'] ?? $meta['description'] ?? '';
+        $image = $meta['og:image'] ?? $meta['twitter:image'] ?? '';
+        $siteName = $meta['og:site_name'] ?? (string) parse_url($url, PHP_URL_HOST);
+
+        $title = $this->cleanText($title, 200);
+        if ($title === '') {
+            return null;
+        }
+
+        return [
+            'url' => $url,
+            'title' => $title,
+            'description' => $this->cleanText($description, 300),
+            'image' => $image !== '' ? ($this->resolveUrl(html_entity_decode($image), $url) ?? '') : '',
+            'site_name' => $this->cleanText($siteName, 100),
+        ];
+    }
+
+    /**
+     * 解析标签属性
+     *
+     * @return array 小写属性名 => 属性值
+     */
+    protected function parseAttributes(string $tag): array
+    {
+        $attrs = [];
+        preg_match_all('/([a-zA-Z][\w:-]*)\s*=\s*(?:"([^"]*)"|\'([^\']*)\'|([^\s>]+))/', $tag, $matches, PREG_SET_ORDER);
+        foreach ($matches as $m) {
+            $attrs[strtolower($m[1])] = $m[2] !== '' ? $m[2] : (($m[3] ?? '') !== '' ? $m[3] : ($m[4] ?? ''));
+        }
+        return $attrs;
+    }
+
+    /**
+     * 清理文本：解码实体、去掉标签和多余空白、转为 UTF-8、截断
+     */
+    protected function cleanText(string $text, int $maxLength): string
+    {
+        $text = html_entity_decode(strip_tags($text), ENT_QUOTES | ENT_HTML5, 'UTF-8');
+        if (!mb_check_encoding($text, 'UTF-8')) {
+            $text = mb_convert_encoding($text, 'UTF-8', 'GBK');
+        }
+        $text = trim((string) preg_replace('/\s+/u', ' ', $text));
+        return mb_substr($text, 0, $maxLength);
+    }
+
+    /**
+     * 把相对地址转为绝对地址
+     *
+     * @return string|null 绝对地址，不是 http/https 返回null
+     */
+    protected function resolveUrl(string $location, string $base): ?string
+    {
+        $location = trim($location);
+        if ($location === '') {
+            return null;
+        }
+
+        if (str_starts_with($location, '//')) {
+            $location = parse_url($base, PHP_URL_SCHEME) . ':' . $location;
+        } elseif (!preg_match('#^[a-z][a-z0-9+.-]*:#i', $location)) {
+            $parts = parse_url($base);
+            $origin = $parts['scheme'] . '://' . $parts['host'] . (isset($parts['port']) ? ':' . $parts['port'] : '');
+            if (str_starts_with($location, '/')) {
+                $location = $origin . $location;
+            } else {
+                $dir = preg_replace('#/[^/]*$#', '/', $parts['path'] ?? '/');
+                $location = $origin . $dir . $location;
+            }
+        }
+
+        if (!preg_match('#^https?://#i', $location) || filter_var($location, FILTER_VALIDATE_URL) === false) {
+            return null;
+        }
+        return $location;
+    }
+}
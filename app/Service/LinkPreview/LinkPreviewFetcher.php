@@ -0,0 +1,27 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Service\LinkPreview;
+
+/**
+ * ============================================================================
+ * 链接预览抓取器接口
+ * ============================================================================
+ *
+ * 【实现】
+ * - HttpLinkPreviewFetcher：请求网页并解析 OpenGraph 信息
+ * - StubLinkPreviewFetcher：返回配置中的固定数据，不发网络请求
+ *
+ * 使用哪个实现由 config/autoload/link_preview.php 的 fetcher 决定。
+ */
+interface LinkPreviewFetcher
+{
+    /**
+     * 获取网址的预览信息
+     *
+     * @param string $url 网址（http/https）
+     * @return array|null [url, title, description, image, site_name]，无法预览返回null
+     */
+    public function fetch(string $url): ?array;
+}
@@ -0,0 +1,45 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Service\LinkPreview;
+
+/**
+ * ============================================================================
+ * 本地固定数据抓取器 - 用于开发和测试，不发网络请求
+ * ============================================================================
+ *
+ * 【返回数据】
+ * - 网址在 link_preview.stub 中有配置：返回配置的数据
+ * - 没有配置：返回以域名为标题的预览
+ */
+class StubLinkPreviewFetcher implements LinkPreviewFetcher
+{
+    public function fetch(string $url): ?array
+    {
+        $stub = config('link_preview.stub', []);
+        $host = (string) parse_url($url, PHP_URL_HOST);
+
+        if (isset($stub[$url]) && is_array($stub[$url])) {
+            return [
+                'url' => $url,
+                'title' => (string) ($stub[$url]['title'] ?? ''),
+                'description' => (string) ($stub[$url]['description'] ?? ''),
+                'image' => (string) ($stub[$url]['image'] ?? ''),
+                'site_name' => (string) ($stub[$url]['site_name'] ?? $host),
+            ];
+        }
+
+        if ($host === '') {
+            return null;
+        }
+
+        return [
+            'url' => $url,
+            'title' => $host,
+            'description' => '',
+            'image' => '',
+            'site_name' => $host,
+        ];
+    }
+}
@@ -0,0 +1,137 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Service;
+
+use App\Constants\RedisKey;
+use App\Enums\ContentType;
+use App\Model\Message;
+use App\Service\LinkPreview\HttpLinkPreviewFetcher;
+use App\Service\LinkPreview\LinkPreviewFetcher;
+use App\Service\LinkPreview\StubLinkPreviewFetcher;
+use Hyperf\Redis\Redis;
+
+/**
+ * ============================================================================
+ * 链接预览服务 - 为包含网址的文本消息生成预览卡片
+ * ============================================================================
+ *
+ * 【处理流程】
+ * 1. 取出消息中的第一个网址
+ * 2. 先查 Redis 缓存，没有再用抓取器获取 OpenGraph 信息并缓存（失败也缓存，避免反复请求）
+ * 3. 保存到消息的 link_preview 字段，历史记录中一并返回
+ *
+ * 抓取比较慢，由 WebSocketService 在消息发出之后异步调用，
+ * 拿到结果后再单独推送 link_preview 给双方。
+ */
+class LinkPreviewService
+{
+    // 与前端富文本渲染器（im-richtext.js）的网址识别规则一致
+    protected const URL_PATTERN = '#(?:https?://|www\.)[^\s<>"\'`]+#i';
+
+    protected LinkPreviewFetcher $fetcher;
+
+    public function __construct(
+        protected Redis $redis
+    ) {
+        $this->fetcher = config('link_preview.fetcher', 'http') === 'stub'
+            ? new StubLinkPreviewFetcher()
+            : new HttpLinkPreviewFetcher();
+    }
+
+    /**
+     * 消息是否需要生成预览
+     *
+     * @param Message $message 消息
+     * @return bool 启用了链接预览、是文本消息且包含网址
+     */
+    public function shouldPreview(Message $message): bool
+    {
+        return (bool) config('link_preview.enabled', true)
+            && $message->content_type === ContentType::TEXT
+            && $this->extractUrl((string) $message->content) !== null;
+    }
+
+    /**
+     * 为消息生成预览并保存
+     *
+     * @param Message $message 消息
+     * @return array|null 预览信息，无法预览返回null
+     */
+    public function attachToMessage(Message $message): ?array
+    {
+        $url = $this->extractUrl((string) $message->content);
+        if ($url === null) {
+            return null;
+        }
+
+        $preview = $this->getPreview($url);
+        if ($preview !== null) {
+            $message->link_preview = $preview;
+            $message->save();
+        }
+
+        return $preview;
+    }
+
+    /**
+     * 获取网址的预览信息（带缓存）
+     *
+     * @param string $url 网址
+     * @return array|null 预览信息，无法预览返回null
+     */
+    public function getPreview(string $url): ?array
+    {
+        $key = RedisKey::LINK_PREVIEW_PREFIX . md5($url);
+
+        $cached = $this->redis->get($key);
+        if ($cached !== false && $cached !== null) {
+            return $cached === '' ? null : json_decode($cached, true);
+        }
+
+        try {
+            $preview = $this->fetcher->fetch($url);
+        } catch (\Throwable $e) {
+            logger()->warning('Link preview fetch failed', ['url' => $url, 'error' => $e->getMessage()]);
+            $preview = null;
+        }
+
+        if ($preview === null) {
+            $this->redis->setex($key, (int) config('link_preview.failure_cache_ttl', 600), '');
+            return null;
+        }
+
+        $this->redis->setex(
+            $key,
+            (int) config('link_preview.cache_ttl', 86400),
+            json_encode($preview, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES)
+        );
+        return $preview;
+    }
+
+    /**
+     * 取出文本中的第一个网址
+     *
+     * @param string $content 消息文本
+     * @return string|null 网址（www. 开头的补全为 https://），没有返回null
+     */
+    public function extractUrl(string $content): ?string
+    {
+        if (!preg_match(self::URL_PATTERN, $content, $m)) {
+            return null;
+        }
+
+        // 去掉句末标点和不成对的右括号
+        $url = preg_replace('/[.,;:!?\'"。，；：！？）】]+$/u', '', $m[0]);
+        while (str_ends_with($url, ')') && substr_count($url, ')') > substr_count($url, '(')) {
+            $url = substr($url, 0, -1);
+        }
+
+        if (stripos($url, 'www.') === 0) {
+            $url = 'https://' . $url;
+        }
+
+        return filter_var($url, FILTER_VALIDATE_URL) !== false ? $url : null;
+    }
+}
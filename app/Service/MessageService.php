@@ -7,6 +7,8 @@ namespace App\Service;
 use App\Enums\ContentType;
 use App\Enums\SenderType;
 use App\Model\Message;
+use App\Model\MessageReaction;
+use App\Model\SystemConfig;
 
 /**
  * ============================================================================
@@ -18,6 +20,7 @@ use App\Model\Message;
  * 2. 历史查询：获取会话的历史消息
  * 3. 已读管理：标记消息为已读，统计未读数
  * 4. 系统消息：创建系统通知消息
+ * 5. 表情回应：添加/取消对消息的表情回应
  *
  * 【消息类型】
  * - 客户消息：客户发送的消息
@@ -45,6 +48,7 @@ class MessageService
      * @param int $senderId 发送者ID（系统消息为0）
      * @param string $content 消息内容
      * @param ContentType|null $contentType 内容类型，默认文本
+     * @param string|null $clientMsgId 客户端消息ID（用于重发去重）
      * @return Message 创建的消息对象
      */
     public function create(
@@ -52,7 +56,8 @@ class MessageService
         SenderType $senderType,
         int $senderId,
         string $content,
-        ?ContentType $contentType = null
+        ?ContentType $contentType = null,
+        ?string $clientMsgId = null
     ): Message {
         // 默认为文本消息
         if ($contentType === null) {
@@ -67,6 +72,7 @@ class MessageService
             'content_type' => $contentType->value,
             'content' => $content,
             'is_read' => 0,  // 新消息默认未读
+            'client_msg_id' => $clientMsgId,
         ]);
 
         // 更新会话的最后消息时间（用于排序）
@@ -75,11 +81,34 @@ class MessageService
         return $message;
     }
 
+    /**
+     * 根据客户端消息ID查找已保存的消息
+     *
+     * 【幂等去重】
+     * 客户端在没收到确认时会用同一个 client_msg_id 重发，
+     * 已保存过的消息直接返回，不会重复入库。
+     *
+     * @param SenderType $senderType 发送者类型
+     * @param int $senderId 发送者ID
+     * @param string $clientMsgId 客户端消息ID
+     * @return Message|null 已存在的消息
+     */
+    public function findByClientMsgId(SenderType $senderType, int $senderId, string $clientMsgId): ?Message
+    {
+        return Message::query()
+            ->where('sender_type', $senderType->value)
+            ->where('sender_id', $senderId)
+            ->where('client_msg_id', $clientMsgId)
+            ->first();
+    }
+
     /**
      * 获取会话历史消息
      *
      * 【分页加载】
-     * 使用 beforeId 实现向上滚动加载更多历史消息。
+     * - beforeId：向上滚动加载更早的消息
+     * - afterId：断线重连后只拉取错过的新消息
+     * 两种方式返回的列表都是旧消息在前。
      *
      * 【客户端过滤】
      * 客户端不显示转移相关的系统消息，避免客户困惑。
@@ -88,15 +117,23 @@ class MessageService
      * @param int $limit 获取条数，默认50
      * @param int|null $beforeId 获取此ID之前的消息（用于分页）
      * @param bool $forCustomer 是否为客户端获取
+     * @param int|null $afterId 获取此ID之后的消息（用于增量同步）
      * @return array 消息列表
      */
-    public function getHistory(int $conversationId, int $limit = 50, ?int $beforeId = null, bool $forCustomer = false): array
+    public function getHistory(int $conversationId, int $limit = 50, ?int $beforeId = null, bool $forCustomer = false, ?int $afterId = null): array
     {
         $query = Message::query()
             ->where('conversation_id', $conversationId)
-            ->orderBy('id', 'desc')  // 按ID倒序
             ->limit($limit);
 
+        if ($afterId) {
+            // 增量：获取指定ID之后的消息，按ID正序取最早的 limit 条
+            $query->where('id', '>', $afterId)->orderBy('id', 'asc');
+        } else {
+            // 默认取最新的 limit 条（按ID倒序）
+            $query->orderBy('id', 'desc');
+        }
+
         // 分页：获取指定ID之前的消息
         if ($beforeId) {
             $query->where('id', '<', $beforeId);
@@ -110,10 +147,20 @@ class MessageService
             });
         }
 
-        // 反转顺序，让旧消息在前面，并格式化时间为 ISO 格式
-        return $query->get()->reverse()->values()->map(function ($msg) {
+        $messages = $query->get();
+        if (!$afterId) {
+            // 反转顺序，让旧消息在前面
+            $messages = $messages->reverse()->values();
+        }
+
+        // 附带每条消息的表情回应
+        $reactions = $this->getReactions($messages->pluck('id')->all());
+
+        // 格式化时间为 ISO 格式
+        return $messages->map(function ($msg) use ($reactions) {
             $arr = $msg->toArray();
             $arr['created_at'] = $msg->created_at->toIso8601String();
+            $arr['reactions'] = $reactions[$msg->id] ?? [];
             return $arr;
         })->toArray();
     }
@@ -211,5 +258,94 @@ class MessageService
             $content
         );
     }
-}
 
+    /**
+     * 添加或取消表情回应
+     *
+     * 【切换逻辑】
+     * 同一个人对同一条消息的同一个表情：没有回应过就添加，回应过就取消。
+     *
+     * @param Message $message 被回应的消息
+     * @param SenderType $reactorType 回应者类型（客户/客服）
+     * @param int $reactorId 回应者ID
+     * @param string $emoji 表情（必须在 message_reactions 配置中）
+     * @return array|null 该消息最新的回应列表，表情不可用返回null
+     */
+    public function toggleReaction(Message $message, SenderType $reactorType, int $reactorId, string $emoji): ?array
+    {
+        if (!in_array($emoji, $this->getAllowedReactions(), true)) {
+            return null;
+        }
+
+        $deleted = MessageReaction::query()
+            ->where('message_id', $message->id)
+            ->where('reactor_type', $reactorType->value)
+            ->where('reactor_id', $reactorId)
+            ->where('emoji', $emoji)
+            ->delete();
+
+        if (!$deleted) {
+            // 同时点击两次时唯一索引冲突，按已添加处理
+            try {
+                MessageReaction::create([
+                    'message_id' => $message->id,
+                    'conversation_id' => $message->conversation_id,
+                    'reactor_type' => $reactorType->value,
+                    'reactor_id' => $reactorId,
+                    'emoji' => $emoji,
+                ]);
+            } catch (\Throwable $e) {
+                logger()->info('Duplicate message reaction ignored', ['message_id' => $message->id, 'emoji' => $emoji]);
+            }
+        }
+
+        return $this->getReactions([$message->id])[$message->id] ?? [];
+    }
+
+    /**
+     * 批量获取消息的表情回应
+     *
+     * 【返回格式】
+     * [message_id => [['emoji' => '👍', 'count' => 2, 'reacted_by' => [1, 2]], ...]]
+     * reacted_by 是回应过该表情的一方（1客户 2客服），前端据此高亮自己点过的表情。
+     * 同一消息内按表情第一次出现的顺序排列。
+     *
+     * @param array $messageIds 消息ID列表
+     * @return array 以消息ID为键的回应列表
+     */
+    public function getReactions(array $messageIds): array
+    {
+        if (empty($messageIds)) {
+            return [];
+        }
+
+        $rows = MessageReaction::query()
+            ->whereIn('message_id', $messageIds)
+            ->orderBy('id', 'asc')
+            ->get(['message_id', 'reactor_type', 'emoji']);
+
+        $result = [];
+        foreach ($rows as $row) {
+            $item = &$result[$row->message_id][$row->emoji];
+            $item ??= ['emoji' => $row->emoji, 'count' => 0, 'reacted_by' => []];
+            $item['count']++;
+            if (!in_array($row->reactor_type, $item['reacted_by'], true)) {
+                $item['reacted_by'][] = $row->reactor_type;
+            }
+            unset($item);
+        }
+
+        return array_map('array_values', $result);
+    }
+
+    /**
+     * 获取可用的回应表情（后台配置 message_reactions）
+     *
+     * @return array 表情列表
+     */
+    public function getAllowedReactions(): array
+    {
+        $config = SystemConfig::getValue('message_reactions', []);
+        return array_values(array_filter((array) ($config['emojis'] ?? []), 'is_string'));
+    }
+}
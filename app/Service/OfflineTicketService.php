@@ -0,0 +1,191 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Service;
+
+use App\Enums\TicketStatus;
+use App\Model\Customer;
+use App\Model\OfflineTicket;
+use App\Model\SystemConfig;
+
+/**
+ * ============================================================================
+ * 离线留言服务类 - 没有客服时的留言工单
+ * ============================================================================
+ *
+ * 【流程】
+ * 1. 客户端打开聊天窗口前请求 GET /customer/availability
+ * 2. 所有客服都离线时显示留言表单（姓名、邮箱、留言内容）
+ * 3. 提交后保存为留言工单（offline_ticket），不创建会话
+ * 4. 客服上线后在工作台"客户留言"页面查看，通过邮件回复客户并标记已处理
+ *
+ * 【配置】
+ * offline_form（sdk_settings 分组）：enabled 关闭后始终进入聊天（消息排队等待）
+ */
+class OfflineTicketService
+{
+    /**
+     * 留言内容最大长度
+     */
+    protected const MAX_CONTENT_LENGTH = 2000;
+
+    /**
+     * 处理备注最大长度
+     */
+    protected const MAX_REPLY_LENGTH = 2000;
+
+    public function __construct(
+        protected AgentService $agentService
+    ) {
+    }
+
+    /**
+     * 客户端是否应该显示留言表单
+     *
+     * @return bool 启用了离线留言且没有客服在工作
+     */
+    public function isOfflineMode(): bool
+    {
+        $settings = SystemConfig::getValue('offline_form', []);
+        $enabled = is_array($settings) ? (bool) ($settings['enabled'] ?? true) : true;
+
+        return $enabled && !$this->agentService->hasWorkingAgents();
+    }
+
+    /**
+     * 客户提交留言
+     *
+     * 客户资料里还没有姓名/邮箱时，一并写入客户资料。
+     *
+     * @param Customer $customer 客户
+     * @param string $name 姓名
+     * @param string $email 邮箱
+     * @param string $content 留言内容
+     * @return string|null 错误信息，成功返回null
+     */
+    public function submit(Customer $customer, string $name, string $email, string $content): ?string
+    {
+        $name = mb_substr(trim($name), 0, 50);
+        $email = trim($email);
+        $content = trim($content);
+        $lang = $customer->language ?: null;
+
+        if ($email === '' || mb_strlen($email) > 255 || !filter_var($email, FILTER_VALIDATE_EMAIL)) {
+            return SystemConfig::getText('err_email_invalid', $lang);
+        }
+        if ($content === '') {
+            return SystemConfig::getText('err_message_required', $lang);
+        }
+        if (mb_strlen($content) > self::MAX_CONTENT_LENGTH) {
+            return SystemConfig::getText('err_message_too_long', $lang, ['{max}' => self::MAX_CONTENT_LENGTH]);
+        }
+
+        OfflineTicket::create([
+            'customer_id' => $customer->id,
+            'name' => $name,
+            'email' => $email,
+            'content' => $content,
+            'status' => TicketStatus::PENDING,
+        ]);
+
+        $profile = [];
+        if ($name !== '' && !$customer->nickname) {
+            $profile['nickname'] = $name;
+        }
+        if (!$customer->email) {
+            $profile['email'] = $email;
+        }
+        if ($profile) {
+            $customer->update($profile);
+        }
+
+        return null;
+    }
+
+    /**
+     * 分页查询留言
+     *
+     * @param int|null $status 状态筛选，null表示全部
+     * @param int $page 页码
+     * @param int $pageSize 每页数量
+     * @return array [list, total, pending_count]
+     */
+    public function list(?int $status, int $page, int $pageSize): array
+    {
+        $query = OfflineTicket::query()
+            ->with(['customer:id,uuid,nickname', 'agent:id,username,nickname'])
+            ->when($status !== null, fn ($q) => $q->where('status', $status));
+
+        $total = $query->count();
+
+        $list = $query->orderBy('status')
+            ->orderBy('id', 'desc')
+            ->offset(($page - 1) * $pageSize)
+            ->limit($pageSize)
+            ->get()
+            ->map(fn (OfflineTicket $ticket) => [
+                'id' => $ticket->id,
+                'customer_id' => $ticket->customer_id,
+                'customer_uuid' => $ticket->customer?->uuid,
+                'name' => $ticket->name,
+                'email' => $ticket->email,
+                'content' => $ticket->content,
+                'status' => $ticket->status,
+                'status_text' => TicketStatus::from($ticket->status)->label(),
+                'agent' => $ticket->agent ? [
+                    'id' => $ticket->agent->id,
+                    'nickname' => $ticket->agent->nickname ?: $ticket->agent->username,
+                ] : null,
+                'reply' => $ticket->reply ?? '',
+                'handled_at' => $ticket->handled_at,
+                'created_at' => $ticket->created_at,
+            ])
+            ->toArray();
+
+        return [
+            'list' => $list,
+            'total' => $total,
+            'pending_count' => $this->getPendingCount(),
+        ];
+    }
+
+    /**
+     * 待处理留言数（工作台角标）
+     *
+     * @return int 待处理数量
+     */
+    public function getPendingCount(): int
+    {
+        return OfflineTicket::query()->where('status', TicketStatus::PENDING)->count();
+    }
+
+    /**
+     * 标记留言已处理
+     *
+     * @param OfflineTicket $ticket 留言
+     * @param int $agentId 处理的客服ID
+     * @param string $reply 处理备注（回复内容）
+     * @return string|null 错误信息，成功返回null
+     */
+    public function handle(OfflineTicket $ticket, int $agentId, string $reply): ?string
+    {
+        if (!$ticket->isPending()) {
+            return '该留言已处理';
+        }
+
+        $reply = trim($reply);
+        if (mb_strlen($reply) > self::MAX_REPLY_LENGTH) {
+            return '处理备注不能超过' . self::MAX_REPLY_LENGTH . '字';
+        }
+
+        $ticket->update([
+            'status' => TicketStatus::HANDLED,
+            'agent_id' => $agentId,
+            'reply' => $reply,
+            'handled_at' => date('Y-m-d H:i:s'),
+        ]);
+
+        return null;
+    }
+}
@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace App\Service;
 
+use App\Model\SystemConfig;
 use OSS\Core\OssException;
 use OSS\OssClient;
 
@@ -63,15 +64,20 @@ class OssService
      *
      * @param string $objectKey OSS 对象路径（如：im-mvp/prod/images/xxx.jpg）
      * @param string $localFilePath 本地文件路径
+     * @param string|null $downloadName 下载文件名（传入时浏览器以附件方式下载，否则直接打开）
      * @return string|false 成功返回文件 URL，失败返回 false
      */
-    public function uploadFile(string $objectKey, string $localFilePath): string|false
+    public function uploadFile(string $objectKey, string $localFilePath, ?string $downloadName = null): string|false
     {
+        $disposition = $downloadName === null
+            ? 'inline; filename="' . rawurlencode(basename($objectKey)) . '"'
+            : "attachment; filename*=UTF-8''" . rawurlencode($downloadName);
+
         try {
             $client = $this->getClient();
             $result = $client->uploadFile($this->bucket, $objectKey, $localFilePath, [
                 OssClient::OSS_HEADERS => [
-                    'Content-Disposition' => 'inline; filename="' . rawurlencode(basename($objectKey)) . '"',
+                    'Content-Disposition' => $disposition,
                 ]
             ]);
 
@@ -103,10 +109,11 @@ class OssService
      * 上传图片
      *
      * @param \Hyperf\HttpMessage\Upload\UploadedFile $uploadedFile 上传的文件对象
+     * @param string|null $lang 错误信息的语言，null 时使用默认语言
      * @return array 包含 url 的数组
-     * @throws \Exception 上传失败时抛出异常
+     * @throws \Exception 上传失败时抛出异常（异常信息可直接展示给用户）
      */
-    public function uploadImage(\Hyperf\HttpMessage\Upload\UploadedFile $uploadedFile): array
+    public function uploadImage(\Hyperf\HttpMessage\Upload\UploadedFile $uploadedFile, ?string $lang = null): array
     {
         $fileInfo = $uploadedFile->toArray();
         $tmpFile = $fileInfo['tmp_file'];
@@ -130,20 +137,20 @@ class OssService
             // HEIC/HEIF 由前端转换为 JPG 后上传
         ];
         if (!in_array($mime, $allowedMimes)) {
-            throw new \Exception('Unsupported image format. Supported: JPG, PNG, GIF, WEBP, BMP, SVG, TIFF, ICO');
+            throw new \Exception(SystemConfig::getText('image_type_unsupported', $lang));
         }
 
         // 验证文件扩展名
         $fileExt = strtolower(pathinfo($uploadedFile->getClientFilename(), PATHINFO_EXTENSION));
         $allowedExts = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg', 'tiff', 'tif', 'ico'];
         if (!in_array($fileExt, $allowedExts)) {
-            throw new \Exception('Unsupported file extension');
+            throw new \Exception(SystemConfig::getText('image_type_unsupported', $lang));
         }
 
         // 验证文件大小（100MB）
         $maxSize = 100 * 1024 * 1024;
         if ($uploadedFile->getSize() > $maxSize) {
-            throw new \Exception('Image size cannot exceed 100MB');
+            throw new \Exception(SystemConfig::getText('image_too_large', $lang, ['{size}' => 100]));
         }
 
         // 生成 OSS 对象路径
@@ -162,10 +169,105 @@ class OssService
         }
 
         if (!$url) {
-            throw new \Exception('Image upload failed, please try again');
+            throw new \Exception(SystemConfig::getText('upload_failed', $lang));
         }
 
         return ['url' => $url];
     }
-}
 
+    /**
+     * 上传附件（PDF、文档、压缩包等）
+     *
+     * 类型和大小由调用方按后台配置校验，这里只负责存储。
+     * 对象路径使用文件MD5，原始文件名通过 Content-Disposition 在下载时还原。
+     *
+     * @param \Hyperf\HttpMessage\Upload\UploadedFile $uploadedFile 上传的文件对象
+     * @param string|null $lang 错误信息的语言，null 时使用默认语言
+     * @return array 包含 url、name、size、mime 的数组
+     * @throws \Exception 上传失败时抛出异常（异常信息可直接展示给用户）
+     */
+    public function uploadAttachment(\Hyperf\HttpMessage\Upload\UploadedFile $uploadedFile, ?string $lang = null): array
+    {
+        $fileInfo = $uploadedFile->toArray();
+        $tmpFile = $fileInfo['tmp_file'];
+        $mime = $this->detectMimeType($uploadedFile);
+
+        $originalName = basename((string) $uploadedFile->getClientFilename());
+        $fileExt = strtolower(pathinfo($originalName, PATHINFO_EXTENSION));
+        $size = (int) $uploadedFile->getSize();
+
+        // 生成 OSS 对象路径
+        $date = date('Ymd');
+        $fileMd5 = md5_file($tmpFile);
+        $objectKey = $this->attachmentPrefix() . "{$date}_{$fileMd5}.{$fileExt}";
+
+        // 上传到 OSS
+        $url = $this->uploadFile($objectKey, $tmpFile, $originalName);
+
+        // 删除临时文件
+        if (file_exists($tmpFile)) {
+            @unlink($tmpFile);
+        }
+
+        if (!$url) {
+            throw new \Exception(SystemConfig::getText('upload_failed', $lang));
+        }
+
+        return [
+            'url' => $url,
+            'name' => $originalName,
+            'size' => $size,
+            'mime' => $mime,
+        ];
+    }
+
+    /**
+     * 按文件内容检测 MIME 类型（不信任客户端传来的类型）
+     *
+     * @param \Hyperf\HttpMessage\Upload\UploadedFile $uploadedFile 上传的文件对象
+     * @return string MIME 类型，无法识别时为 application/octet-stream
+     */
+    public function detectMimeType(\Hyperf\HttpMessage\Upload\UploadedFile $uploadedFile): string
+    {
+        $finfo = finfo_open(FILEINFO_MIME_TYPE);
+        $mime = finfo_file($finfo, $uploadedFile->toArray()['tmp_file']) ?: 'application/octet-stream';
+        finfo_close($finfo);
+
+        return $mime;
+    }
+
+    /**
+     * 是否为 uploadAttachment 上传的附件地址
+     *
+     * 文件消息的地址由客户端提交，只接受本服务存储（OSS 或配置的 CDN）上的附件，
+     * 防止把指向其他网站的链接伪装成文件卡片。
+     *
+     * @param string $url 文件地址
+     * @return bool
+     */
+    public function isAttachmentUrl(string $url): bool
+    {
+        $base = parse_url($this->cdn !== '' ? $this->cdn : $this->ossUrl);
+        $parts = parse_url($url);
+        if (!is_array($base) || !is_array($parts) || empty($base['host']) || isset($parts['user']) || isset($parts['pass'])) {
+            return false;
+        }
+
+        $path = (string) ($parts['path'] ?? '');
+        $prefix = rtrim((string) ($base['path'] ?? ''), '/') . '/' . $this->attachmentPrefix();
+
+        return in_array(strtolower((string) ($parts['scheme'] ?? '')), ['http', 'https'], true)
+            && strtolower((string) ($parts['host'] ?? '')) === strtolower($base['host'])
+            && ($parts['port'] ?? null) === ($base['port'] ?? null)
+            && str_starts_with($path, $prefix)
+            && !str_contains($path, '..');
+    }
+
+    /**
+     * 附件在 OSS 中的对象路径前缀
+     */
+    protected function attachmentPrefix(): string
+    {
+        return 'im-mvp/' . env('APP_ENV', 'dev') . '/files/';
+    }
+}
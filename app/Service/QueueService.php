@@ -0,0 +1,162 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Service;
+
+use App\Constants\RedisKey;
+use App\Enums\ConversationStatus;
+use App\Model\Conversation;
+use Hyperf\Redis\Redis;
+
+/**
+ * ============================================================================
+ * 排队服务类 - 计算等待中客户的排队位置和预计等待时间
+ * ============================================================================
+ *
+ * 【排队规则】
+ * 等待中（未分配客服）的会话按创建时间先来先服务，排在第几位就是排队位置。
+ *
+ * 【预计等待时间】
+ * 只统计排过队的会话（创建时就分配到客服的不算），分配时记录它在队首停留的秒数：
+ * 队首停留秒数 = min(排队秒数, 距上一次排队分配的秒数)
+ * 预计等待秒数 = 最近 RATE_WINDOW 秒内队首停留秒数的平均值 × 排队位置
+ * 最近没有排队分配过会话（无法估算）或非营业时间时不给出预计时间。
+ *
+ * 推送由 WebSocketService::pushQueueUpdates 完成。
+ */
+class QueueService
+{
+    /**
+     * 统计分配速度的时间窗口（秒）
+     */
+    protected const RATE_WINDOW = 1800;
+
+    public function __construct(
+        protected Redis $redis,
+        protected BusinessHoursService $businessHoursService
+    ) {
+    }
+
+    /**
+     * 记录一次会话分配（用于统计排队速度）
+     *
+     * 排队期间没有客服接待时，距上一次分配的间隔会很长，
+     * 所以取排队秒数和间隔中较小的一个，作为这个会话在队首停留的时间。
+     *
+     * @param Conversation $conversation 刚分配了客服的会话
+     */
+    public function recordAssignment(Conversation $conversation): void
+    {
+        // 创建时就分配到了客服，没有排过队
+        if ($conversation->wasRecentlyCreated) {
+            return;
+        }
+
+        $now = time();
+        $waited = max(0, $now - $conversation->created_at->getTimestamp());
+        $last = $this->redis->zRevRange(RedisKey::QUEUE_ASSIGNMENTS, 0, 0, true) ?: [];
+        $seconds = empty($last) ? $waited : min($waited, max(0, $now - (int) reset($last)));
+
+        $this->redis->zAdd(RedisKey::QUEUE_ASSIGNMENTS, $now, $conversation->id . ':' . $seconds);
+        $this->redis->zRemRangeByScore(RedisKey::QUEUE_ASSIGNMENTS, '-inf', (string) ($now - self::RATE_WINDOW));
+    }
+
+    /**
+     * 获取当前排队情况
+     *
+     * @return array [['conversation' => Conversation, 'position' => 排队位置（从1开始）, 'estimated_wait' => 预计等待秒数|null], ...]
+     */
+    public function getQueue(): array
+    {
+        $conversations = Conversation::query()
+            ->with(['customer'])
+            ->where('status', ConversationStatus::WAITING)
+            ->whereNull('agent_id')
+            ->orderBy('created_at', 'asc')
+            ->orderBy('id', 'asc')
+            ->get();
+
+        if ($conversations->isEmpty()) {
+            return [];
+        }
+
+        $secondsPerAssignment = $this->getSecondsPerAssignment();
+
+        $queue = [];
+        foreach ($conversations as $index => $conversation) {
+            $position = $index + 1;
+            $queue[] = [
+                'conversation' => $conversation,
+                'position' => $position,
+                'estimated_wait' => $secondsPerAssignment === null ? null : (int) ceil($secondsPerAssignment * $position),
+            ];
+        }
+
+        return $queue;
+    }
+
+    /**
+     * 获取单个会话的排队情况
+     *
+     * 只数排在它前面的会话，客户发消息、重连时不用加载整个队列。
+     *
+     * @param int $conversationId 会话ID
+     * @return array|null 格式同 getQueue() 的每一项，会话不在排队中返回null
+     */
+    public function getQueueItem(int $conversationId): ?array
+    {
+        $conversation = Conversation::query()
+            ->with(['customer'])
+            ->where('id', $conversationId)
+            ->where('status', ConversationStatus::WAITING)
+            ->whereNull('agent_id')
+            ->first();
+        if (!$conversation) {
+            return null;
+        }
+
+        $ahead = Conversation::query()
+            ->where('status', ConversationStatus::WAITING)
+            ->whereNull('agent_id')
+            ->where(function ($query) use ($conversation) {
+                $query->where('created_at', '<', $conversation->created_at)
+                    ->orWhere(function ($query) use ($conversation) {
+                        $query->where('created_at', $conversation->created_at)
+                            ->where('id', '<', $conversation->id);
+                    });
+            })
+            ->count();
+
+        $position = $ahead + 1;
+        $secondsPerAssignment = $this->getSecondsPerAssignment();
+
+        return [
+            'conversation' => $conversation,
+            'position' => $position,
+            'estimated_wait' => $secondsPerAssignment === null ? null : (int) ceil($secondsPerAssignment * $position),
+        ];
+    }
+
+    /**
+     * 按最近的排队分配记录计算平均每个会话在队首停留的秒数
+     *
+     * @return float|null 最近没有排队分配记录或非营业时间返回null
+     */
+    protected function getSecondsPerAssignment(): ?float
+    {
+        if (!$this->businessHoursService->isOpen()) {
+            return null;
+        }
+
+        $members = $this->redis->zRangeByScore(RedisKey::QUEUE_ASSIGNMENTS, (string) (time() - self::RATE_WINDOW), '+inf') ?: [];
+        if (empty($members)) {
+            return null;
+        }
+
+        // 成员格式：{conversation_id}:{队首停留秒数}
+        $seconds = array_map(fn ($member) => (int) (explode(':', (string) $member)[1] ?? 0), $members);
+
+        return array_sum($seconds) / count($seconds);
+    }
+}
@@ -0,0 +1,133 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Service;
+
+use App\Model\Conversation;
+use App\Model\ConversationRating;
+use App\Model\Customer;
+use App\Model\SystemConfig;
+
+/**
+ * ============================================================================
+ * 满意度评价服务类 - 会话结束后的 CSAT 评价
+ * ============================================================================
+ *
+ * 【流程】
+ * 1. 客服结束会话，客户端收到 conversation_closed 后显示评价框
+ * 2. 客户选择评分（星级或赞/踩）并可填写评价，提交到 POST /customer/rating
+ * 3. 评价保存到 conversation_rating，记录会话关闭时的接待客服
+ * 4. 工作台的历史会话和统计页面读取评价数据
+ *
+ * 【配置】
+ * csat_survey（sdk_settings 分组）：enabled / type / allow_comment
+ */
+class RatingService
+{
+    /**
+     * 评价方式对应的有效评分
+     */
+    protected const SCORES = [
+        'stars' => [1, 2, 3, 4, 5],
+        'thumbs' => [1, 5],
+    ];
+
+    /**
+     * 评价内容最大长度
+     */
+    protected const MAX_COMMENT_LENGTH = 500;
+
+    /**
+     * 获取评价配置
+     *
+     * @return array [enabled, type, allow_comment]
+     */
+    public function getSettings(): array
+    {
+        $settings = SystemConfig::getValue('csat_survey', []);
+        $settings = is_array($settings) ? $settings : [];
+
+        $type = $settings['type'] ?? 'stars';
+
+        return [
+            'enabled' => (bool) ($settings['enabled'] ?? true),
+            'type' => isset(self::SCORES[$type]) ? $type : 'stars',
+            'allow_comment' => (bool) ($settings['allow_comment'] ?? true),
+        ];
+    }
+
+    /**
+     * 客户提交会话评价
+     *
+     * @param Customer $customer 客户
+     * @param int $conversationId 会话ID
+     * @param int $score 评分（星级 1-5；赞=5，踩=1）
+     * @param string $comment 评价内容
+     * @return string|null 错误信息，成功返回null
+     */
+    public function submit(Customer $customer, int $conversationId, int $score, string $comment = ''): ?string
+    {
+        $lang = $customer->language ?: null;
+        $settings = $this->getSettings();
+        if (!$settings['enabled']) {
+            return SystemConfig::getText('err_rating_disabled', $lang);
+        }
+
+        $conversation = Conversation::find($conversationId);
+        if (!$conversation || $conversation->customer_id !== $customer->id) {
+            return SystemConfig::getText('err_conversation_not_found', $lang);
+        }
+
+        if (!$conversation->isClosed()) {
+            return SystemConfig::getText('err_rating_not_closed', $lang);
+        }
+
+        if (!in_array($score, self::SCORES[$settings['type']], true)) {
+            return SystemConfig::getText('err_rating_invalid', $lang);
+        }
+
+        $comment = $settings['allow_comment'] ? mb_substr(trim($comment), 0, self::MAX_COMMENT_LENGTH) : '';
+
+        if (ConversationRating::query()->where('conversation_id', $conversationId)->exists()) {
+            return SystemConfig::getText('err_rating_duplicate', $lang);
+        }
+
+        try {
+            ConversationRating::create([
+                'conversation_id' => $conversationId,
+                'customer_id' => $customer->id,
+                'agent_id' => $conversation->agent_id,
+                'rating_type' => $settings['type'],
+                'score' => $score,
+                'comment' => $comment,
+            ]);
+        } catch (\Throwable $e) {
+            // 同时提交两次时唯一索引冲突
+            logger()->info('Duplicate conversation rating ignored', ['conversation_id' => $conversationId]);
+            return SystemConfig::getText('err_rating_duplicate', $lang);
+        }
+
+        return null;
+    }
+
+    /**
+     * 格式化评价数据（返回给工作台）
+     *
+     * @param ConversationRating|null $rating 评价
+     * @return array|null 没有评价返回null
+     */
+    public function format(?ConversationRating $rating): ?array
+    {
+        if (!$rating) {
+            return null;
+        }
+
+        return [
+            'rating_type' => $rating->rating_type,
+            'score' => $rating->score,
+            'comment' => $rating->comment,
+            'created_at' => $rating->created_at,
+        ];
+    }
+}
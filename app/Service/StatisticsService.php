@@ -6,6 +6,7 @@ namespace App\Service;
 
 use App\Enums\ConversationStatus;
 use App\Model\Conversation;
+use App\Model\ConversationRating;
 use App\Model\Message;
 use Hyperf\DbConnection\Db;
 
@@ -22,6 +23,7 @@ use Hyperf\DbConnection\Db;
  * 1. 客服个人统计：单个客服的工作数据
  * 2. 全局统计：整个客服团队的数据
  * 3. 响应时间计算：客服首次回复的平均时间
+ * 4. 满意度（CSAT）：客户评价的平均分和满意率
  *
  * 【统计维度】
  * - 今日：当天的数据
@@ -40,6 +42,7 @@ class StatisticsService
      * - 发送消息数：客服发送的消息数
      * - 接收消息数：客户发送的消息数
      * - 平均响应时间：客服首次回复的平均时间
+     * - 满意度：评价数、平均评分、满意率
      *
      * @param int $agentId 客服ID
      * @param string $startDate 开始日期 (Y-m-d)
@@ -90,7 +93,7 @@ class StatisticsService
             'received_messages' => $receivedMessages,
             'avg_response_time' => $avgResponseTime,
             'avg_response_time_formatted' => $this->formatSeconds($avgResponseTime),
-        ];
+        ] + $this->calculateRatingStats($agentId, $startTime, $endTime);
     }
 
     /**
@@ -102,6 +105,7 @@ class StatisticsService
      * - 等待中会话数：当前等待分配的会话数
      * - 进行中会话数：当前正在进行的会话数
      * - 总消息数：所有消息数量
+     * - 满意度：全部评价的平均评分和满意率
      * - 按客服统计：每个客服的详细KPI数据
      *
      * @param string $startDate 开始日期 (Y-m-d)
@@ -149,7 +153,7 @@ class StatisticsService
             'active_conversations' => $activeConversations,
             'total_messages' => $totalMessages,
             'agent_detail_stats' => $agentDetailStats,
-        ];
+        ] + $this->calculateRatingStats(null, $startTime, $endTime);
     }
 
     /**
@@ -161,6 +165,7 @@ class StatisticsService
      * - 发送消息数
      * - 接收消息数
      * - 平均响应时间
+     * - 满意度
      * - 当前活跃会话数（实时）
      *
      * @param string $startDate 开始日期
@@ -195,6 +200,9 @@ class StatisticsService
                 'received_messages' => $stats['received_messages'],
                 'avg_response_time' => $stats['avg_response_time'],
                 'avg_response_time_formatted' => $stats['avg_response_time_formatted'],
+                'rating_count' => $stats['rating_count'],
+                'avg_rating' => $stats['avg_rating'],
+                'csat_rate' => $stats['csat_rate'],
                 'current_active_conversations' => $currentActiveConversations,
             ];
         }
@@ -273,6 +281,38 @@ class StatisticsService
         return $count > 0 ? (int) ($totalTime / $count) : 0;
     }
 
+    /**
+     * 计算满意度统计
+     *
+     * 【指标】
+     * - rating_count：评价数
+     * - avg_rating：平均评分（1-5，保留1位小数），没有评价为null
+     * - csat_rate：满意率（评分 >= 4 的占比，百分数，保留1位小数），没有评价为null
+     *
+     * 按评价时间统计，评价记在会话关闭时的接待客服名下。
+     *
+     * @param int|null $agentId 客服ID，null表示全部客服
+     * @param string $startTime 开始时间
+     * @param string $endTime 结束时间
+     * @return array 满意度数据
+     */
+    protected function calculateRatingStats(?int $agentId, string $startTime, string $endTime): array
+    {
+        $row = ConversationRating::query()
+            ->when($agentId !== null, fn ($q) => $q->where('agent_id', $agentId))
+            ->whereBetween('created_at', [$startTime, $endTime])
+            ->selectRaw('COUNT(*) AS total, AVG(score) AS avg_score, SUM(score >= ?) AS satisfied', [ConversationRating::SATISFIED_SCORE])
+            ->first();
+
+        $total = (int) ($row->total ?? 0);
+
+        return [
+            'rating_count' => $total,
+            'avg_rating' => $total > 0 ? round((float) $row->avg_score, 1) : null,
+            'csat_rate' => $total > 0 ? round((int) $row->satisfied * 100 / $total, 1) : null,
+        ];
+    }
+
     /**
      * 格式化秒数为可读时间
      *
@@ -10,7 +10,9 @@ use App\Enums\SenderType;
 use App\Model\Agent;
 use App\Model\Conversation;
 use App\Model\Customer;
+use App\Model\Message;
 use App\Model\SystemConfig;
+use Hyperf\Coroutine\Coroutine;
 use Hyperf\Redis\Redis;
 use Hyperf\WebSocketServer\Sender;
 
@@ -36,8 +38,12 @@ use Hyperf\WebSocketServer\Sender;
  * - messages_read：消息已读
  * - conversation_assigned：会话分配
  * - agent_assigned：客服接入通知
- * - queue_notice：排队通知
+ * - queue_notice：排队通知（新会话没有客服接待时发送一次）
+ * - queue_update：排队位置和预计等待时间
  * - offline_messages：离线消息
+ * - link_preview：消息的链接预览（消息发出后异步生成）
+ * - message_reaction：消息的表情回应有变化
+ * - page_view：客户切换了页面（推送给接待的客服）
  *
  * 【FD是什么？】
  * FD(File Descriptor)是文件描述符，在WebSocket中代表一个连接。
@@ -54,6 +60,9 @@ class WebSocketService
      * @param CustomerService $customerService 客户服务
      * @param ConversationService $conversationService 会话服务
      * @param MessageService $messageService 消息服务
+     * @param LinkPreviewService $linkPreviewService 链接预览服务
+     * @param BusinessHoursService $businessHoursService 营业时间服务
+     * @param QueueService $queueService 排队服务
      */
     public function __construct(
         protected Sender $sender,
@@ -61,7 +70,11 @@ class WebSocketService
         protected AgentService $agentService,
         protected CustomerService $customerService,
         protected ConversationService $conversationService,
-        protected MessageService $messageService
+        protected MessageService $messageService,
+        protected LinkPreviewService $linkPreviewService,
+        protected BusinessHoursService $businessHoursService,
+        protected QueueService $queueService,
+        protected OssService $ossService
     ) {
     }
 
@@ -91,6 +104,11 @@ class WebSocketService
             return;
         }
 
+        // 非营业时间不分配，等营业时间开始后由定时任务分配
+        if (!$this->businessHoursService->isOpen()) {
+            return;
+        }
+
         // 获取当前进行中的会话数
         $currentSessionCount = $this->agentService->getActiveSessionCount($agentId);
         $availableSlots = $agent->max_sessions - $currentSessionCount;
@@ -111,6 +129,8 @@ class WebSocketService
             ->limit($availableSlots)  // 只取可分配的数量
             ->get();
 
+        $assignedCount = 0;
+
         // 遍历等待中的会话
         foreach ($waitingConversations as $conversation) {
             // 再次检查容量（防止循环中超额分配）
@@ -121,6 +141,8 @@ class WebSocketService
 
             // 尝试分配给当前客服
             if ($this->conversationService->assignAgentTo($conversation, $agentId)) {
+                $assignedCount++;
+
                 // 通知客服有新会话
                 $this->sendToAgent($agentId, [
                     'type' => 'conversation_assigned',
@@ -130,12 +152,15 @@ class WebSocketService
                             'id' => $conversation->customer->id ?? 0,
                             'uuid' => $conversation->customer->uuid ?? '',
                             'ip' => $conversation->customer->ip ?? '',
+                            'nickname' => $conversation->customer->nickname ?? '',
                         ],
                         'messages' => $conversation->messages->map(function ($msg) {
                             return [
                                 'id' => $msg->id,
                                 'sender_type' => $msg->sender_type,
                                 'content' => $msg->content,
+                                'content_type' => $msg->content_type,
+                                'link_preview' => $msg->link_preview,
                                 'created_at' => $msg->created_at->toIso8601String(),
                             ];
                         })->toArray(),
@@ -147,7 +172,7 @@ class WebSocketService
                     $this->sendToCustomer($conversation->customer->uuid, [
                         'type' => 'agent_assigned',
                         'data' => [
-                            'message' => SystemConfig::getText('msg_agent_assigned'),
+                            'message' => SystemConfig::getText('msg_agent_assigned', $conversation->customer->language ?: null),
                             'conversation_id' => $conversation->id,
                         ],
                     ]);
@@ -159,6 +184,49 @@ class WebSocketService
                 ]);
             }
         }
+
+        // 排队位置变化，通知其余排队中的客户
+        if ($assignedCount > 0) {
+            $this->pushQueueUpdates();
+        }
+    }
+
+    /**
+     * 推送排队位置和预计等待时间
+     *
+     * 【调用时机】
+     * - 排队变化时：会话被分配、排队中的会话被关闭
+     * - 客户发消息进入排队、客户重新连接时（只推送给该客户）
+     * - 定时任务每分钟刷新一次预计等待时间
+     *
+     * @param string|null $uuid 只推送给指定客户，null表示推送给所有排队中的客户
+     */
+    public function pushQueueUpdates(?string $uuid = null): void
+    {
+        if ($uuid !== null) {
+            // 只推送给一个客户时单独计算它的位置，不加载整个队列
+            $conversationId = $this->customerService->getCurrentConversation($uuid);
+            $item = $conversationId ? $this->queueService->getQueueItem($conversationId) : null;
+            $queue = $item ? [$item] : [];
+        } else {
+            $queue = $this->queueService->getQueue();
+        }
+
+        foreach ($queue as $item) {
+            $customerUuid = $item['conversation']->customer->uuid ?? null;
+            if (!$customerUuid || ($uuid !== null && $customerUuid !== $uuid)) {
+                continue;
+            }
+
+            $this->sendToCustomer($customerUuid, [
+                'type' => 'queue_update',
+                'data' => [
+                    'conversation_id' => $item['conversation']->id,
+                    'position' => $item['position'],
+                    'estimated_wait' => $item['estimated_wait'],
+                ],
+            ]);
+        }
     }
 
     /**
@@ -283,24 +351,49 @@ class WebSocketService
             return;
         }
 
+        // 客户端消息ID：超时重发或刷新页面后重发时携带同一个ID
+        $clientMsgId = $this->normalizeClientMsgId($data['client_msg_id'] ?? null);
+
+        // 已经保存过的消息只回复确认，不重复入库和推送
+        if ($clientMsgId !== null) {
+            $existing = $this->messageService->findByClientMsgId(SenderType::CUSTOMER(), $customer->id, $clientMsgId);
+            if ($existing) {
+                $this->sendMessageSentAck($uuid, $existing);
+                return;
+            }
+        }
+
         // 获取或创建会话
         $conversation = $this->conversationService->getOrCreateForCustomer($customer);
         $isNewConversation = $conversation->wasRecentlyCreated;
 
         // 获取消息内容和类型
-        $content = $data['content'] ?? '';
-        $contentType = isset($data['content_type']) && $data['content_type'] == ContentType::IMAGE
-            ? ContentType::IMAGE()
-            : ContentType::TEXT();
+        $contentType = ContentType::fromInput($data['content_type'] ?? null);
+        $content = $this->normalizeContent($contentType, (string) ($data['content'] ?? ''));
+        if ($content === null) {
+            return;
+        }
 
-        // 保存消息到数据库
-        $message = $this->messageService->create(
-            $conversation->id,
-            SenderType::CUSTOMER(),
-            $customer->id,
-            $content,
-            $contentType
-        );
+        // 保存消息到数据库（并发重发时唯一索引冲突，按已存在处理）
+        try {
+            $message = $this->messageService->create(
+                $conversation->id,
+                SenderType::CUSTOMER(),
+                $customer->id,
+                $content,
+                $contentType,
+                $clientMsgId
+            );
+        } catch (\Throwable $e) {
+            $existing = $clientMsgId !== null
+                ? $this->messageService->findByClientMsgId(SenderType::CUSTOMER(), $customer->id, $clientMsgId)
+                : null;
+            if (!$existing) {
+                throw $e;
+            }
+            $this->sendMessageSentAck($uuid, $existing);
+            return;
+        }
 
         // 构建消息数据（用于推送）
         $msgData = [
@@ -312,6 +405,7 @@ class WebSocketService
                 'sender_id' => $customer->id,
                 'content' => $message->content,
                 'content_type' => $message->content_type,
+                'client_msg_id' => $message->client_msg_id,
                 'created_at' => $message->created_at->toIso8601String(),
             ],
         ];
@@ -330,19 +424,23 @@ class WebSocketService
                             'id' => $customer->id,
                             'uuid' => $customer->uuid,
                             'ip' => $customer->ip,
+                            'nickname' => $customer->nickname,
                         ],
                     ],
                 ]);
             }
         } else {
-            // 没有客服在线，通知客户排队等待
-            $this->sendToCustomer($uuid, [
-                'type' => 'queue_notice',
-                'data' => [
-                    'message' => SystemConfig::getText('msg_queue_waiting'),
-                    'conversation_id' => $conversation->id,
-                ],
-            ]);
+            // 没有客服接待，新会话先通知一次客户排队等待，之后只更新排队位置
+            if ($isNewConversation) {
+                $this->sendToCustomer($uuid, [
+                    'type' => 'queue_notice',
+                    'data' => [
+                        'message' => $this->getQueueNoticeText($customer),
+                        'conversation_id' => $conversation->id,
+                    ],
+                ]);
+            }
+            $this->pushQueueUpdates($uuid);
         }
 
         // 回复确认给客户（让客户知道消息已发送成功）
@@ -353,6 +451,147 @@ class WebSocketService
 
         // 更新客户最后消息时间（用于超时自动转移判断）
         $this->conversationService->updateCustomerMessageTime($conversation->id);
+
+        $this->pushLinkPreview($message, $uuid, $conversation->agent_id);
+    }
+
+    /**
+     * 获取排队通知的文本
+     *
+     * 非营业时间且营业时间配置为自动回复（auto_reply）时，告诉客户恢复服务的时间
+     * （按客户上报的时区显示），否则使用普通的排队通知。
+     *
+     * @param Customer $customer 客户
+     * @return string 通知文本
+     */
+    protected function getQueueNoticeText(Customer $customer): string
+    {
+        if (!$this->businessHoursService->isOpen()
+            && $this->businessHoursService->getSettings()['outside_mode'] === 'auto_reply') {
+            $time = $this->businessHoursService->formatNextOpenAt($customer->timezone);
+            if ($time !== '') {
+                return SystemConfig::getText('msg_outside_hours', $customer->language ?: null, ['{time}' => $time]);
+            }
+        }
+
+        return SystemConfig::getText('msg_queue_waiting', $customer->language ?: null);
+    }
+
+    /**
+     * 异步生成链接预览并推送给双方
+     *
+     * 抓取网页可能要几秒，放到单独的协程里执行，不耽误消息本身的推送。
+     * 抓取器用协程 socket 和 System::dnsLookup 访问网络（见 HttpLinkPreviewFetcher），
+     * 等待期间让出 worker，不影响其他连接。
+     *
+     * @param Message $message 刚保存的消息
+     * @param string|null $uuid 客户UUID
+     * @param int|null $agentId 客服ID
+     */
+    protected function pushLinkPreview(Message $message, ?string $uuid, ?int $agentId): void
+    {
+        if (!$this->linkPreviewService->shouldPreview($message)) {
+            return;
+        }
+
+        Coroutine::create(function () use ($message, $uuid, $agentId) {
+            try {
+                $preview = $this->linkPreviewService->attachToMessage($message);
+            } catch (\Throwable $e) {
+                logger()->warning('Link preview failed', ['message_id' => $message->id, 'error' => $e->getMessage()]);
+                return;
+            }
+            if ($preview === null) {
+                return;
+            }
+
+            $data = [
+                'type' => 'link_preview',
+                'data' => [
+                    'message_id' => $message->id,
+                    'conversation_id' => $message->conversation_id,
+                    'link_preview' => $preview,
+                ],
+            ];
+            if ($uuid) {
+                $this->sendToCustomer($uuid, $data);
+            }
+            if ($agentId) {
+                $this->sendToAgent($agentId, $data);
+            }
+        });
+    }
+
+    /**
+     * 校验消息内容
+     *
+     * 文件消息的内容是客户端上传后拼出的JSON，这里只保留约定的字段，
+     * 并要求下载地址必须是本服务存储上的附件（/upload/file 返回的地址），
+     * 避免在对方页面生成 javascript: 链接或伪装成文件的外部网站链接。
+     *
+     * @param ContentType $contentType 内容类型
+     * @param string $content 客户端传入的内容
+     * @return string|null 合法的内容，不合法返回null
+     */
+    protected function normalizeContent(ContentType $contentType, string $content): ?string
+    {
+        if ($contentType->value !== ContentType::FILE) {
+            return $content;
+        }
+
+        $file = json_decode($content, true);
+        if (!is_array($file)) {
+            return null;
+        }
+        $url = (string) ($file['url'] ?? '');
+        $name = trim((string) ($file['name'] ?? ''));
+        if ($name === '' || filter_var($url, FILTER_VALIDATE_URL) === false || !$this->ossService->isAttachmentUrl($url)) {
+            return null;
+        }
+
+        return json_encode([
+            'url' => $url,
+            'name' => mb_substr($name, 0, 255),
+            'size' => max(0, (int) ($file['size'] ?? 0)),
+            'mime' => (string) ($file['mime'] ?? ''),
+        ], JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+    }
+
+    /**
+     * 校验客户端消息ID
+     *
+     * @param mixed $clientMsgId 客户端传入的ID
+     * @return string|null 合法的ID，不合法或未传返回null
+     */
+    protected function normalizeClientMsgId(mixed $clientMsgId): ?string
+    {
+        if (!is_string($clientMsgId) || !preg_match('/^[A-Za-z0-9_\-]{1,64}$/', $clientMsgId)) {
+            return null;
+        }
+        return $clientMsgId;
+    }
+
+    /**
+     * 回复已保存消息的发送确认（重复消息去重时使用）
+     *
+     * @param string $uuid 客户UUID
+     * @param Message $message 已保存的消息
+     */
+    protected function sendMessageSentAck(string $uuid, Message $message): void
+    {
+        $this->sendToCustomer($uuid, [
+            'type' => 'message_sent',
+            'data' => [
+                'id' => $message->id,
+                'conversation_id' => $message->conversation_id,
+                'sender_type' => $message->sender_type,
+                'sender_id' => $message->sender_id,
+                'content' => $message->content,
+                'content_type' => $message->content_type,
+                'client_msg_id' => $message->client_msg_id,
+                'created_at' => $message->created_at->toIso8601String(),
+            ],
+        ]);
     }
 
     /**
@@ -384,9 +623,11 @@ class WebSocketService
         }
 
         // 获取消息类型
-        $contentType = isset($data['content_type']) && $data['content_type'] == ContentType::IMAGE
-            ? ContentType::IMAGE()
-            : ContentType::TEXT();
+        $contentType = ContentType::fromInput($data['content_type'] ?? null);
+        $content = $this->normalizeContent($contentType, (string) $content);
+        if ($content === null) {
+            return;
+        }
 
         // 保存消息到数据库
         $message = $this->messageService->create(
@@ -424,6 +665,8 @@ class WebSocketService
 
         // 更新客服最后回复时间（用于超时自动转移判断）
         $this->conversationService->updateAgentReplyTime($conversationId);
+
+        $this->pushLinkPreview($message, $conversation->customer->uuid ?? null, $agentId);
     }
 
     /**
@@ -496,6 +739,51 @@ class WebSocketService
         ]);
     }
 
+    /**
+     * 处理客户页面切换
+     *
+     * 【功能说明】
+     * SDK 在页面加载和单页应用路由切换时上报当前页面，
+     * 记录到浏览轨迹后推送给正在接待的客服，客服工作台实时显示客户所在页面。
+     *
+     * @param string $uuid 客户UUID
+     * @param array $data 包含 url、title 字段
+     */
+    public function handleCustomerPageView(string $uuid, array $data): void
+    {
+        $customer = Customer::where('uuid', $uuid)->first();
+        if (!$customer) {
+            return;
+        }
+
+        $pageView = $this->customerService->recordPageView(
+            $customer->id,
+            (string) ($data['url'] ?? ''),
+            (string) ($data['title'] ?? '')
+        );
+        if ($pageView === null) {
+            return;
+        }
+
+        $conversation = Conversation::query()
+            ->where('customer_id', $customer->id)
+            ->whereIn('status', [ConversationStatus::WAITING, ConversationStatus::ACTIVE])
+            ->first();
+
+        if (!$conversation || !$conversation->agent_id) {
+            return;
+        }
+
+        $this->sendToAgent($conversation->agent_id, [
+            'type' => 'page_view',
+            'data' => [
+                'conversation_id' => $conversation->id,
+                'customer_id' => $customer->id,
+                'page_view' => $pageView,
+            ],
+        ]);
+    }
+
     /**
      * 处理客服标记已读
      *
@@ -576,5 +864,86 @@ class WebSocketService
             ]);
         }
     }
-}
 
+    /**
+     * 处理客服的表情回应（添加/取消）
+     *
+     * @param int $agentId 客服ID
+     * @param array $data 包含 message_id 和 emoji 字段
+     */
+    public function handleAgentReaction(int $agentId, array $data): void
+    {
+        $message = Message::find((int) ($data['message_id'] ?? 0));
+        if (!$message) {
+            return;
+        }
+
+        // 验证会话归属（只能回应自己会话中的消息）
+        $conversation = Conversation::with('customer')->find($message->conversation_id);
+        if (!$conversation || $conversation->agent_id !== $agentId) {
+            return;
+        }
+
+        $this->applyReaction($conversation, $message, SenderType::AGENT(), $agentId, (string) ($data['emoji'] ?? ''));
+    }
+
+    /**
+     * 处理客户的表情回应（添加/取消）
+     *
+     * @param string $uuid 客户UUID
+     * @param array $data 包含 message_id 和 emoji 字段
+     */
+    public function handleCustomerReaction(string $uuid, array $data): void
+    {
+        $customer = Customer::where('uuid', $uuid)->first();
+        $message = Message::find((int) ($data['message_id'] ?? 0));
+        if (!$customer || !$message) {
+            return;
+        }
+
+        // 验证会话归属（只能回应自己会话中的消息）
+        $conversation = Conversation::with('customer')->find($message->conversation_id);
+        if (!$conversation || $conversation->customer_id !== $customer->id) {
+            return;
+        }
+
+        $this->applyReaction($conversation, $message, SenderType::CUSTOMER(), $customer->id, (string) ($data['emoji'] ?? ''));
+    }
+
+    /**
+     * 保存表情回应并推送最新的回应列表给双方
+     *
+     * @param Conversation $conversation 消息所属会话
+     * @param Message $message 被回应的消息
+     * @param SenderType $reactorType 回应者类型
+     * @param int $reactorId 回应者ID
+     * @param string $emoji 表情
+     */
+    protected function applyReaction(Conversation $conversation, Message $message, SenderType $reactorType, int $reactorId, string $emoji): void
+    {
+        // 系统消息不能回应
+        if ($message->sender_type === SenderType::SYSTEM) {
+            return;
+        }
+
+        $reactions = $this->messageService->toggleReaction($message, $reactorType, $reactorId, $emoji);
+        if ($reactions === null) {
+            return;
+        }
+
+        $data = [
+            'type' => 'message_reaction',
+            'data' => [
+                'message_id' => $message->id,
+                'conversation_id' => $conversation->id,
+                'reactions' => $reactions,
+            ],
+        ];
+        if ($conversation->customer) {
+            $this->sendToCustomer($conversation->customer->uuid, $data);
+        }
+        if ($conversation->agent_id) {
+            $this->sendToAgent($conversation->agent_id, $data);
+        }
+    }
+}
@@ -10,6 +10,7 @@ use App\Model\Agent;
 use App\Model\Conversation;
 use App\Service\AgentService;
 use App\Service\ConversationService;
+use App\Service\WebSocketService;
 use Hyperf\Context\ApplicationContext;
 use Hyperf\Contract\StdoutLoggerInterface;
 
@@ -30,6 +31,7 @@ use Hyperf\Contract\StdoutLoggerInterface;
  * 2. 获取所有在线客服，按负载从低到高排序
  * 3. 遍历客服，如果有空余容量，分配会话
  * 4. 直到所有待分配会话都被分配或没有可用客服
+ * 5. 推送排队位置给仍在排队的客户（刷新预计等待时间）
  */
 class WaitingConversationTask
 {
@@ -75,8 +77,8 @@ class WaitingConversationTask
                 continue;
             }
 
-            // 尝试分配待分配会话给该客服
-            $assigned = $conversationService->tryAssignWaitingConversations($agent->id);
+            // 尝试分配待分配会话给该客服（排队位置在任务结束时统一推送）
+            $assigned = $conversationService->tryAssignWaitingConversations($agent->id, false);
             $totalAssigned += $assigned;
 
             if ($assigned > 0) {
@@ -101,6 +103,9 @@ class WaitingConversationTask
                 'total_assigned' => $totalAssigned,
             ]);
         }
+
+        // 排队位置和预计等待时间（随分配速度变化）每次巡检只推送一次
+        $container->get(WebSocketService::class)->pushQueueUpdates();
     }
 }
 
@@ -0,0 +1,24 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * ============================================================================
+ * 客户身份认证配置
+ * ============================================================================
+ *
+ * 【配置说明】
+ * 宿主网站的用户登录后，可以通过 ImSDK.identify() 把访客和自己系统里的用户关联起来。
+ * 为防止伪造身份，宿主网站的后端需要用下面的密钥对用户ID做 HMAC-SHA256 签名：
+ *
+ *     signature = hash_hmac('sha256', userId, IDENTITY_SECRET)
+ *
+ * 【安全提示】
+ * - 密钥只能保存在宿主网站的后端，不能出现在前端代码中
+ * - 未配置密钥时，身份认证接口直接拒绝所有请求
+ */
+
+return [
+    // HMAC 签名密钥
+    'secret' => env('IDENTITY_SECRET', ''),
+];
@@ -0,0 +1,42 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * ============================================================================
+ * 链接预览配置
+ * ============================================================================
+ *
+ * 【配置说明】
+ * 消息中包含网址时，服务端抓取该网页的 OpenGraph 信息（标题、描述、缩略图），
+ * 保存到消息并推送给双方，客户端在消息下方显示预览卡片。
+ *
+ * 【抓取器】
+ * - http：真实请求网页（只允许公网 http/https 地址，禁止访问内网；协程 IO，不阻塞 worker）
+ * - stub：不发请求，返回下面 stub 中配置的固定数据，用于本地开发和测试
+ */
+
+return [
+    // 是否启用链接预览
+    'enabled' => (bool) env('LINK_PREVIEW_ENABLED', true),
+
+    // 抓取器：http / stub
+    'fetcher' => env('LINK_PREVIEW_FETCHER', 'http'),
+
+    // 请求超时（秒）
+    'timeout' => 5,
+
+    // 最多读取的网页字节数（OpenGraph 信息都在 <head> 里，不需要读完整页面）
+    'max_bytes' => 512 * 1024,
+
+    // 最多跟随的重定向次数（每一跳都重新做地址校验）
+    'max_redirects' => 3,
+
+    // 缓存时间（秒）：抓取成功 / 抓取失败
+    'cache_ttl' => 86400,
+    'failure_cache_ttl' => 600,
+
+    // stub 抓取器的固定数据：url => [title, description, image, site_name]
+    // 未配置的网址返回以域名为标题的预览
+    'stub' => [],
+];
@@ -13,8 +13,10 @@
  * 5. 消息路由：需要认证
  * 6. 客户路由：无需认证（SDK使用）
  * 7. 快捷回复路由：需要认证
- * 8. 统计路由：需要认证
- * 9. WebSocket路由
+ * 8. 离线留言路由：需要认证
+ * 9. 主动邀请规则路由：需要认证
+ * 10. 统计路由：需要认证
+ * 11. WebSocket路由
  *
  * 【认证说明】
  * 带有 AuthMiddleware 的路由需要在请求头携带Token：
@@ -80,6 +82,22 @@ Router::get('/sdk/im-sdk.js', function (): ResponseInterface {
         ->withBody(new \Hyperf\HttpMessage\Stream\SwooleStream(file_get_contents($file)));
 });
 
+// 富文本渲染器（客户端SDK和客服工作台共用）
+Router::get('/sdk/im-richtext.js', function (): ResponseInterface {
+    $file = BASE_PATH . '/public/sdk/im-richtext.js';
+    $response = \Hyperf\Context\Context::get(ResponseInterface::class);
+    return $response->withHeader('Content-Type', 'application/javascript; charset=utf-8')
+        ->withBody(new \Hyperf\HttpMessage\Stream\SwooleStream(file_get_contents($file)));
+});
+
+// 表情数据（客户端SDK和客服工作台共用，表情选择器使用）
+Router::get('/sdk/im-emoji.js', function (): ResponseInterface {
+    $file = BASE_PATH . '/public/sdk/im-emoji.js';
+    $response = \Hyperf\Context\Context::get(ResponseInterface::class);
+    return $response->withHeader('Content-Type', 'application/javascript; charset=utf-8')
+        ->withBody(new \Hyperf\HttpMessage\Stream\SwooleStream(file_get_contents($file)));
+});
+
 // 消息提示音
 Router::get('/dingding.mp3', function (): ResponseInterface {
     $file = BASE_PATH . '/public/dingding.mp3';
@@ -132,15 +150,24 @@ Router::addGroup('/customer', function () {
     Router::post('/init', [App\Controller\Http\CustomerController::class, 'init']);           // 客户初始化
     Router::get('/history', [App\Controller\Http\CustomerController::class, 'history']);      // 历史消息
     Router::post('/save-welcome', [App\Controller\Http\CustomerController::class, 'saveWelcome']); // 保存欢迎语
+    Router::post('/identify', [App\Controller\Http\CustomerController::class, 'identify']);   // 关联已登录用户身份
+    Router::post('/attributes', [App\Controller\Http\CustomerController::class, 'attributes']); // 写入自定义属性
+    Router::post('/rating', [App\Controller\Http\CustomerController::class, 'rating']);       // 提交满意度评价
+    Router::get('/availability', [App\Controller\Http\CustomerController::class, 'availability']); // 是否有客服可以接待
+    Router::post('/offline-ticket', [App\Controller\Http\CustomerController::class, 'offlineTicket']); // 没有客服时留言
+    Router::get('/triggers', [App\Controller\Http\CustomerController::class, 'triggers']);      // 主动邀请规则
+    Router::post('/trigger-hit', [App\Controller\Http\CustomerController::class, 'triggerHit']); // 记录主动邀请触发
 });
 
 // ==================== 上传路由 ====================
 
 // 客户上传（无需认证）
 Router::post('/upload/image', [App\Controller\Http\UploadController::class, 'image']);
+Router::post('/upload/file', [App\Controller\Http\UploadController::class, 'file']);
 
 // 客服上传（需要认证）
 Router::post('/agent/upload/image', [App\Controller\Http\UploadController::class, 'image'], ['middleware' => [App\Middleware\AuthMiddleware::class]]);
+Router::post('/agent/upload/file', [App\Controller\Http\UploadController::class, 'file'], ['middleware' => [App\Middleware\AuthMiddleware::class]]);
 
 // 客户相关（需要认证，客服使用）
 Router::put('/customer/{id:\d+}', [App\Controller\Http\CustomerController::class, 'update'], ['middleware' => [App\Middleware\AuthMiddleware::class]]);
@@ -156,6 +183,22 @@ Router::addGroup('/quick-reply', function () {
     Router::delete('/delete/{id:\d+}', [App\Controller\Http\QuickReplyController::class, 'delete']); // 删除
 }, ['middleware' => [App\Middleware\AuthMiddleware::class]]);
 
+// ==================== 离线留言路由（需要认证） ====================
+Router::addGroup('/offline-ticket', function () {
+    Router::get('/list', [App\Controller\Http\OfflineTicketController::class, 'list']);                // 留言列表
+    Router::get('/pending-count', [App\Controller\Http\OfflineTicketController::class, 'pendingCount']); // 待处理数量
+    Router::post('/handle/{id:\d+}', [App\Controller\Http\OfflineTicketController::class, 'handle']);   // 标记已处理
+}, ['middleware' => [App\Middleware\AuthMiddleware::class]]);
+
+// ==================== 主动邀请规则路由（需要认证，仅管理员） ====================
+
+Router::addGroup('/chat-trigger', function () {
+    Router::get('/all', [App\Controller\Http\ChatTriggerController::class, 'all']);                // 规则列表及效果统计
+    Router::post('/create', [App\Controller\Http\ChatTriggerController::class, 'create']);         // 创建
+    Router::put('/update/{id:\d+}', [App\Controller\Http\ChatTriggerController::class, 'update']); // 更新
+    Router::delete('/delete/{id:\d+}', [App\Controller\Http\ChatTriggerController::class, 'delete']); // 删除
+}, ['middleware' => [App\Middleware\AuthMiddleware::class]]);
+
 // ==================== 统计路由（需要认证） ====================
 
 Router::addGroup('/statistics', function () {
@@ -169,6 +212,9 @@ Router::addGroup('/statistics', function () {
 // SDK文案配置（公开接口，无需认证）
 Router::get('/config/sdk-texts', [App\Controller\Http\SystemConfigController::class, 'sdkTexts']);
 
+// SDK功能设置（公开接口，无需认证）
+Router::get('/config/sdk-settings', [App\Controller\Http\SystemConfigController::class, 'sdkSettings']);
+
 // 后台配置管理（需要管理员认证）
 Router::addGroup('/admin/config', function () {
     Router::get('', [App\Controller\Http\SystemConfigController::class, 'index']);                // 获取所有配置
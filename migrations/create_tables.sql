@@ -22,6 +22,33 @@ CREATE TABLE `agent` (
                          UNIQUE KEY `username` (`username`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='客服表';
 
+CREATE TABLE `chat_trigger` (
+                                `id` int unsigned NOT NULL AUTO_INCREMENT,
+                                `name` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '规则名称',
+                                `url_pattern` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT '页面地址包含此内容时匹配，支持*通配符，空为所有页面',
+                                `delay_seconds` int unsigned DEFAULT '0' COMMENT '在页面停留秒数',
+                                `scroll_percent` tinyint unsigned DEFAULT '0' COMMENT '页面滚动百分比(0不限)',
+                                `exit_intent` tinyint unsigned DEFAULT '0' COMMENT '是否在访客准备离开页面时触发: 0否 1是',
+                                `message` varchar(500) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '自动打开窗口时显示的问候语',
+                                `sort_order` int NOT NULL DEFAULT '0' COMMENT '排序(同时满足多条规则时取靠前的)',
+                                `is_active` tinyint NOT NULL DEFAULT '1' COMMENT '是否启用',
+                                `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                                `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                                PRIMARY KEY (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='主动邀请规则表';
+
+CREATE TABLE `chat_trigger_hit` (
+                                    `id` int unsigned NOT NULL AUTO_INCREMENT,
+                                    `trigger_id` int unsigned NOT NULL COMMENT '规则ID',
+                                    `customer_id` int unsigned NOT NULL COMMENT '客户ID',
+                                    `page_url` varchar(500) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT '触发时的页面地址',
+                                    `conversation_id` int unsigned DEFAULT NULL COMMENT '因本次邀请发起的会话ID',
+                                    `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                                    PRIMARY KEY (`id`),
+                                    KEY `idx_trigger` (`trigger_id`),
+                                    KEY `idx_customer_created` (`customer_id`,`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='主动邀请触发记录表';
+
 CREATE TABLE `conversation` (
                                 `id` int unsigned NOT NULL AUTO_INCREMENT,
                                 `customer_id` int unsigned NOT NULL COMMENT '客户ID',
@@ -38,6 +65,21 @@ CREATE TABLE `conversation` (
                                 KEY `idx_status` (`status`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='会话表';
 
+CREATE TABLE `conversation_rating` (
+                                      `id` int unsigned NOT NULL AUTO_INCREMENT,
+                                      `conversation_id` int unsigned NOT NULL COMMENT '会话ID',
+                                      `customer_id` int unsigned NOT NULL COMMENT '客户ID',
+                                      `agent_id` int unsigned DEFAULT NULL COMMENT '接待客服ID',
+                                      `rating_type` varchar(10) COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'stars' COMMENT '评价方式: stars星级 thumbs赞踩',
+                                      `score` tinyint unsigned NOT NULL COMMENT '评分1-5(赞=5 踩=1)',
+                                      `comment` varchar(500) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT '评价内容',
+                                      `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                                      PRIMARY KEY (`id`),
+                                      UNIQUE KEY `uk_conversation` (`conversation_id`),
+                                      KEY `idx_agent_created` (`agent_id`,`created_at`),
+                                      KEY `idx_created` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='会话满意度评价表';
+
 CREATE TABLE `conversation_transfer` (
                                          `id` int unsigned NOT NULL AUTO_INCREMENT,
                                          `conversation_id` int unsigned NOT NULL COMMENT '会话ID',
@@ -57,6 +99,7 @@ CREATE TABLE `conversation_transfer` (
 CREATE TABLE `customer` (
                             `id` int unsigned NOT NULL AUTO_INCREMENT,
                             `uuid` varchar(64) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '客户唯一标识',
+                            `external_user_id` varchar(64) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '宿主网站用户ID(身份认证后写入)',
                             `ip` varchar(45) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT 'IP地址',
                             `user_agent` varchar(500) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT '浏览器UA',
                             `source_url` varchar(500) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT '来源页面URL',
@@ -67,11 +110,16 @@ CREATE TABLE `customer` (
                             `city` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT '城市(根据IP解析)',
                             `nickname` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT '昵称',
                             `email` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT '邮箱',
+                            `phone` varchar(30) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT '电话(咨询前表单填写)',
+                            `topic` varchar(100) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT '咨询类型(咨询前表单选择)',
                             `timezone` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT '时区',
+                            `language` varchar(16) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT '客户端使用的语言(系统消息按此语言发送)',
+                            `custom_attributes` json DEFAULT NULL COMMENT '自定义属性(宿主网站通过 ImSDK.setAttributes 写入)',
                             `last_active_at` timestamp NULL DEFAULT NULL COMMENT '最后活跃时间',
                             `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
                             PRIMARY KEY (`id`),
                             UNIQUE KEY `uuid` (`uuid`),
+                            UNIQUE KEY `uk_external_user` (`external_user_id`),
                             KEY `idx_uuid` (`uuid`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='客户表';
 
@@ -80,15 +128,48 @@ CREATE TABLE `message` (
                            `conversation_id` int unsigned NOT NULL COMMENT '会话ID',
                            `sender_type` tinyint unsigned NOT NULL COMMENT '发送者类型: 1客户 2客服 3系统',
                            `sender_id` int unsigned NOT NULL COMMENT '发送者ID',
-                           `content_type` tinyint unsigned DEFAULT '1' COMMENT '内容类型: 1文本 2图片',
+                           `content_type` tinyint unsigned DEFAULT '1' COMMENT '内容类型: 1文本 2图片 3文件',
                            `content` text COLLATE utf8mb4_unicode_ci COMMENT '消息内容',
                            `is_read` tinyint unsigned DEFAULT '0' COMMENT '是否已读: 0未读 1已读',
+                           `client_msg_id` varchar(64) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '客户端消息ID(幂等去重)',
+                           `link_preview` json DEFAULT NULL COMMENT '链接预览(消息中第一个网址的OpenGraph信息)',
                            `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
                            PRIMARY KEY (`id`),
+                           UNIQUE KEY `uk_sender_client_msg` (`sender_type`,`sender_id`,`client_msg_id`),
                            KEY `idx_conversation` (`conversation_id`),
                            KEY `idx_created` (`created_at`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='消息表';
 
+CREATE TABLE `message_reaction` (
+                                    `id` bigint unsigned NOT NULL AUTO_INCREMENT,
+                                    `message_id` bigint unsigned NOT NULL COMMENT '消息ID',
+                                    `conversation_id` int unsigned NOT NULL COMMENT '会话ID',
+                                    `reactor_type` tinyint unsigned NOT NULL COMMENT '回应者类型: 1客户 2客服',
+                                    `reactor_id` int unsigned NOT NULL COMMENT '回应者ID',
+                                    `emoji` varchar(32) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '表情',
+                                    `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                                    PRIMARY KEY (`id`),
+                                    UNIQUE KEY `uk_message_reactor_emoji` (`message_id`,`reactor_type`,`reactor_id`,`emoji`),
+                                    KEY `idx_conversation` (`conversation_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='消息表情回应表';
+
+CREATE TABLE `offline_ticket` (
+                               `id` int unsigned NOT NULL AUTO_INCREMENT,
+                               `customer_id` int unsigned NOT NULL COMMENT '客户ID',
+                               `name` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT '' COMMENT '客户填写的姓名',
+                               `email` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '客户填写的邮箱',
+                               `content` text COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '留言内容',
+                               `status` tinyint unsigned DEFAULT '0' COMMENT '状态: 0待处理 1已处理',
+                               `agent_id` int unsigned DEFAULT NULL COMMENT '处理的客服ID',
+                               `reply` text COLLATE utf8mb4_unicode_ci COMMENT '处理备注(回复内容)',
+                               `handled_at` timestamp NULL DEFAULT NULL COMMENT '处理时间',
+                               `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+                               `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                               PRIMARY KEY (`id`),
+                               KEY `idx_customer` (`customer_id`),
+                               KEY `idx_status_created` (`status`,`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='离线留言工单表';
+
 CREATE TABLE `quick_reply` (
                                `id` bigint unsigned NOT NULL AUTO_INCREMENT,
                                `title` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '标题',
@@ -106,7 +187,7 @@ CREATE TABLE `system_config` (
                                  `id` int unsigned NOT NULL AUTO_INCREMENT,
                                  `key` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT '配置键',
                                  `value` text COLLATE utf8mb4_unicode_ci COMMENT '配置值（JSON格式）',
-                                 `group` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT 'general' COMMENT '配置分组: general, sdk_texts, system_messages',
+                                 `group` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT 'general' COMMENT '配置分组: general, sdk_texts, system_messages, sdk_settings',
                                  `description` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT '配置说明',
                                  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
                                  `updated_at` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -136,5 +217,79 @@ INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `descriptio
 INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (12, 'offline_messages_tip', '{\"zh\": \"您有 {count} 条离线消息\", \"en\": \"You have {count} offline message(s)\"}', 'sdk_texts', '离线消息提示', '2025-12-06 22:36:47', '2025-12-06 22:36:47');
 INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (13, 'msg_agent_assigned', '{\"zh\": \"客服已接入，正在为您服务。\", \"en\": \"Agent connected. We are here to help.\"}', 'system_messages', '客服接入通知', '2025-12-06 22:36:47', '2025-12-06 22:36:47');
 INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (14, 'msg_queue_waiting', '{\"zh\": \"当前暂无客服在线，您的消息已收到，客服上线后会尽快回复您。\", \"en\": \"No agents available. Your message has been received and will be answered soon.\"}', 'system_messages', '无客服在线通知', '2025-12-06 22:36:47', '2025-12-06 22:36:47');
-
-
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (15, 'message_failed', '{\"zh\": \"发送失败，点击重试\", \"en\": \"Not sent. Tap to retry\"}', 'sdk_texts', '消息发送失败提示', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (16, 'status_connecting', '{\"zh\": \"正在连接...\", \"en\": \"Connecting...\"}', 'sdk_texts', '连接状态-连接中', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (17, 'status_reconnecting', '{\"zh\": \"{seconds} 秒后重新连接\", \"en\": \"Reconnecting in {seconds}s\"}', 'sdk_texts', '连接状态-等待重连（{seconds} 为剩余秒数）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (18, 'status_offline', '{\"zh\": \"网络已断开\", \"en\": \"Offline\"}', 'sdk_texts', '连接状态-网络断开', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (19, 'retry_now', '{\"zh\": \"重试\", \"en\": \"Retry\"}', 'sdk_texts', '立即重连按钮', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (20, 'upload_file_types', '{\"extensions\": [\"pdf\", \"doc\", \"docx\", \"xls\", \"xlsx\", \"ppt\", \"pptx\", \"txt\", \"csv\", \"zip\", \"rar\", \"7z\"], \"max_size_mb\": 20}', 'sdk_settings', '允许发送的文件类型（extensions 扩展名白名单，max_size_mb 单个文件大小上限MB）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (21, 'image_compression', '{\"max_dimension\": 1920, \"quality\": 0.8}', 'sdk_settings', '图片压缩（max_dimension 最长边像素，超过则在浏览器端缩小后上传；quality 为JPEG压缩质量0-1）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (22, 'message_reactions', '{\"emojis\": [\"👍\", \"❤️\", \"😂\", \"😮\", \"😢\", \"🙏\"]}', 'sdk_settings', '消息表情回应（emojis 可用的回应表情，客户和客服都只能使用这些表情回应消息）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (23, 'pre_chat_form', '{\"enabled\": false, \"fields\": [{\"key\": \"name\", \"label\": {\"zh\": \"姓名\", \"en\": \"Name\"}, \"required\": true}, {\"key\": \"email\", \"label\": {\"zh\": \"邮箱\", \"en\": \"Email\"}, \"required\": true}, {\"key\": \"phone\", \"label\": {\"zh\": \"电话\", \"en\": \"Phone\"}, \"required\": false}, {\"key\": \"topic\", \"label\": {\"zh\": \"咨询类型\", \"en\": \"Topic\"}, \"required\": false, \"options\": [\"Sales\", \"Support\", \"Billing\"]}]}', 'sdk_settings', '咨询前表单（enabled 是否启用；fields 按顺序显示的字段，key 只能是 name/email/phone/topic，label 可按语言配置，required 是否必填，topic 的 options 为下拉选项）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (24, 'pre_chat_title', '{\"zh\": \"开始咨询前，请留下您的信息\", \"en\": \"Before we start, please tell us about yourself\"}', 'sdk_texts', '咨询前表单-标题', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (25, 'pre_chat_submit', '{\"zh\": \"开始咨询\", \"en\": \"Start chat\"}', 'sdk_texts', '咨询前表单-提交按钮', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (26, 'pre_chat_select', '{\"zh\": \"请选择\", \"en\": \"Please select\"}', 'sdk_texts', '咨询前表单-下拉框占位', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (27, 'pre_chat_required', '{\"zh\": \"请填写{field}\", \"en\": \"{field} is required\"}', 'sdk_texts', '咨询前表单-必填提示（{field} 为字段名）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (28, 'pre_chat_invalid', '{\"zh\": \"{field}格式不正确\", \"en\": \"Please enter a valid {field}\"}', 'sdk_texts', '咨询前表单-格式错误提示（{field} 为字段名）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (29, 'csat_survey', '{\"enabled\": true, \"type\": \"stars\", \"allow_comment\": true}', 'sdk_settings', '会话结束后的满意度评价（enabled 是否启用；type 为 stars 1-5星 或 thumbs 赞/踩；allow_comment 是否允许填写评价内容）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (30, 'csat_title', '{\"zh\": \"请为本次服务评分\", \"en\": \"How would you rate this conversation?\"}', 'sdk_texts', '满意度评价-标题', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (31, 'csat_comment_placeholder', '{\"zh\": \"说说您的感受（选填）\", \"en\": \"Tell us more (optional)\"}', 'sdk_texts', '满意度评价-评价内容占位符', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (32, 'csat_submit', '{\"zh\": \"提交评价\", \"en\": \"Submit\"}', 'sdk_texts', '满意度评价-提交按钮', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (33, 'csat_thanks', '{\"zh\": \"感谢您的评价！\", \"en\": \"Thanks for your feedback!\"}', 'sdk_texts', '满意度评价-提交成功提示', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (34, 'offline_form', '{\"enabled\": true}', 'sdk_settings', '离线留言（enabled 为 true 时，所有客服都离线的情况下客户端显示留言表单，留言保存为工单，由客服上线后邮件回复）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (35, 'offline_title', '{\"zh\": \"客服暂时不在线，请留言，我们会通过邮件回复您。\", \"en\": \"We are offline right now. Leave a message and we will reply by email.\"}', 'sdk_texts', '离线留言-说明', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (36, 'offline_name', '{\"zh\": \"姓名\", \"en\": \"Name\"}', 'sdk_texts', '离线留言-姓名', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (37, 'offline_email', '{\"zh\": \"邮箱\", \"en\": \"Email\"}', 'sdk_texts', '离线留言-邮箱', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (38, 'offline_message', '{\"zh\": \"留言内容\", \"en\": \"Message\"}', 'sdk_texts', '离线留言-留言内容', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (39, 'offline_submit', '{\"zh\": \"提交留言\", \"en\": \"Send message\"}', 'sdk_texts', '离线留言-提交按钮', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (40, 'offline_thanks', '{\"zh\": \"留言已收到，我们会尽快通过邮件回复您。\", \"en\": \"Thanks! We have received your message and will reply by email soon.\"}', 'sdk_texts', '离线留言-提交成功提示', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (41, 'business_hours', '{\"enabled\": false, \"timezone\": \"Asia/Shanghai\", \"weekly\": {\"mon\": [\"09:00-18:00\"], \"tue\": [\"09:00-18:00\"], \"wed\": [\"09:00-18:00\"], \"thu\": [\"09:00-18:00\"], \"fri\": [\"09:00-18:00\"], \"sat\": [], \"sun\": []}, \"holidays\": [], \"outside_mode\": \"offline\"}', 'sdk_settings', '营业时间（enabled 是否启用；timezone 营业时间所在时区；weekly 每天的营业时段，可多段，不能跨零点；holidays 休息日如 2026-10-01；outside_mode 非营业时间的处理方式：none 照常聊天、offline 显示留言表单、hide 隐藏聊天组件、auto_reply 自动回复。非营业时间不会分配客服）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (42, 'hours_closed_notice', '{\"zh\": \"现在是非工作时间，我们将于 {time}（您的当地时间）恢复服务。\", \"en\": \"We are closed right now. We will be back at {time} (your time).\"}', 'sdk_texts', '非营业时间提示（{time} 为按客户当地时间显示的恢复服务时间）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (43, 'msg_outside_hours', '{\"zh\": \"您好，现在是非工作时间，您的消息已收到，我们将于 {time}（您的当地时间）恢复服务后尽快回复您。\", \"en\": \"Hi, we are currently closed. Your message has been received and we will reply after we are back at {time} (your time).\"}', 'system_messages', '非营业时间自动回复（营业时间 outside_mode 为 auto_reply 时发送，{time} 为恢复服务时间）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (44, 'queue_position', '{\"zh\": \"您当前排在第 {position} 位\", \"en\": \"You are number {position} in the queue\"}', 'sdk_texts', '排队提示-排队位置（{position} 为排在第几位）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (45, 'queue_wait', '{\"zh\": \"预计等待约 {minutes} 分钟\", \"en\": \"Estimated wait: about {minutes} min\"}', 'sdk_texts', '排队提示-预计等待时间（{minutes} 为分钟数，按最近的接待速度估算）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (46, 'proactive_chat', '{\"enabled\": true, \"min_interval_minutes\": 60, \"per_trigger_limit\": 1}', 'sdk_settings', '主动邀请（enabled 是否启用，规则在管理中心-主动邀请中配置；min_interval_minutes 同一访客两次邀请的最短间隔分钟数；per_trigger_limit 同一规则对同一访客最多触发几次，0为不限）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (47, 'customer_attributes', '{\"default_visible\": true, \"fields\": {}}', 'agent_settings', '客户自定义属性的客服权限（fields 按属性名配置，如 {\"plan\": {\"label\": \"套餐\", \"visible\": true, \"editable\": false, \"type\": \"string\"}}：label 显示名称，visible 客服是否可见，editable 客服是否可修改，type 限定值的类型 string/number/boolean；default_visible 没有配置的属性客服是否可见（只读）。管理员可查看和修改所有属性）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (48, 'sdk_languages', '[\"zh\", \"en\"]', 'sdk_settings', '客户端支持的语言（按访客的浏览器语言或 init 的 locale 参数自动选择，都不匹配时使用默认语言；新增语言如 ar 后在文案配置中填写译文，没有填写的文案显示英文；ar、he、fa、ur 等语言自动使用从右到左布局）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (49, 'a11y_open_chat', '{\"zh\": \"打开在线客服\", \"en\": \"Open chat\"}', 'sdk_texts', '无障碍-聊天按钮（屏幕阅读器朗读，下同）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (50, 'a11y_close_chat', '{\"zh\": \"关闭聊天窗口\", \"en\": \"Close chat\"}', 'sdk_texts', '无障碍-关闭按钮', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (51, 'a11y_unread', '{\"zh\": \"{count} 条未读消息\", \"en\": \"{count} unread messages\"}', 'sdk_texts', '无障碍-聊天按钮的未读数（{count} 为未读消息数）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (52, 'a11y_send_image', '{\"zh\": \"发送图片\", \"en\": \"Send image\"}', 'sdk_texts', '无障碍-发送图片按钮', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (53, 'a11y_send_file', '{\"zh\": \"发送文件\", \"en\": \"Send file\"}', 'sdk_texts', '无障碍-发送文件按钮', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (54, 'a11y_emoji', '{\"zh\": \"插入表情\", \"en\": \"Insert emoji\"}', 'sdk_texts', '无障碍-表情按钮', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (55, 'a11y_message_input', '{\"zh\": \"输入消息\", \"en\": \"Message\"}', 'sdk_texts', '无障碍-消息输入框', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (56, 'a11y_new_message', '{\"zh\": \"{name}发来消息：{content}\", \"en\": \"New message from {name}: {content}\"}', 'sdk_texts', '无障碍-朗读客服新消息（{name} 为客服名称，{content} 为消息内容）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (57, 'a11y_image', '{\"zh\": \"图片\", \"en\": \"Image\"}', 'sdk_texts', '无障碍-图片消息', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (58, 'a11y_close_image', '{\"zh\": \"关闭图片预览\", \"en\": \"Close image preview\"}', 'sdk_texts', '无障碍-关闭图片预览按钮', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (59, 'uploading', '{\"zh\": \"上传中...\", \"en\": \"Uploading...\"}', 'sdk_texts', '上传-上传中提示', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (60, 'uploading_file', '{\"zh\": \"文件上传中...\", \"en\": \"Uploading file...\"}', 'sdk_texts', '上传-文件上传中提示', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (61, 'compressing_image', '{\"zh\": \"正在压缩图片...\", \"en\": \"Compressing...\"}', 'sdk_texts', '上传-压缩图片提示', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (62, 'converting_heic', '{\"zh\": \"正在转换 HEIC 图片...\", \"en\": \"Converting HEIC image...\"}', 'sdk_texts', '上传-转换 HEIC 图片提示', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (63, 'cancel', '{\"zh\": \"取消\", \"en\": \"Cancel\"}', 'sdk_texts', '取消按钮（取消上传、取消发送预览中的文件）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (64, 'caption_placeholder', '{\"zh\": \"添加说明...\", \"en\": \"Add a caption...\"}', 'sdk_texts', '发送文件预览-说明输入框占位符', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (65, 'reaction_add', '{\"zh\": \"添加表情回应\", \"en\": \"React\"}', 'sdk_texts', '表情回应-添加按钮', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (66, 'customer_avatar', '{\"zh\": \"我\", \"en\": \"Me\"}', 'sdk_texts', '客户消息的头像文字', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (67, 'image_type_unsupported', '{\"zh\": \"仅支持图片文件（JPG、PNG、GIF、WEBP、HEIC、HEIF、BMP、SVG、TIFF、ICO）\", \"en\": \"Only image files are supported (JPG, PNG, GIF, WEBP, HEIC, HEIF, BMP, SVG, TIFF, ICO)\"}', 'sdk_texts', '上传-图片格式不支持', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (68, 'image_too_large', '{\"zh\": \"图片大小不能超过 {size}MB\", \"en\": \"Image size cannot exceed {size}MB\"}', 'sdk_texts', '上传-图片过大（{size} 为大小上限）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (69, 'heic_convert_failed', '{\"zh\": \"HEIC 图片转换失败，请换一种格式\", \"en\": \"Failed to convert HEIC image. Please try a different format.\"}', 'sdk_texts', '上传-HEIC 图片转换失败', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (70, 'file_type_unsupported', '{\"zh\": \"不支持该文件类型，支持：{types}\", \"en\": \"Unsupported file type. Allowed: {types}\"}', 'sdk_texts', '上传-文件类型不支持（{types} 为允许的扩展名）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (71, 'file_too_large', '{\"zh\": \"文件大小不能超过 {size}MB\", \"en\": \"File size cannot exceed {size}MB\"}', 'sdk_texts', '上传-文件过大（{size} 为大小上限）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (72, 'upload_failed', '{\"zh\": \"上传失败，请重试\", \"en\": \"Upload failed, please try again\"}', 'sdk_texts', '上传-上传失败', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (73, 'a11y_close_survey', '{\"zh\": \"关闭评价\", \"en\": \"Close survey\"}', 'sdk_texts', '无障碍-满意度评价的关闭按钮', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (74, 'a11y_rating_star', '{\"zh\": \"{score} 星（满分 5 星）\", \"en\": \"{score} of 5 stars\"}', 'sdk_texts', '无障碍-星级评分按钮（{score} 为星数）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (75, 'a11y_rating_good', '{\"zh\": \"满意\", \"en\": \"Thumbs up\"}', 'sdk_texts', '无障碍-赞评分按钮', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (76, 'a11y_rating_bad', '{\"zh\": \"不满意\", \"en\": \"Thumbs down\"}', 'sdk_texts', '无障碍-踩评分按钮', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (77, 'a11y_reaction', '{\"zh\": \"{emoji}，{count} 人回应\", \"en\": \"{emoji}, {count} reactions\"}', 'sdk_texts', '无障碍-消息下的表情回应（{emoji} 为表情，{count} 为人数）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (78, 'a11y_react_with', '{\"zh\": \"用 {emoji} 回应\", \"en\": \"React with {emoji}\"}', 'sdk_texts', '无障碍-选择回应表情的按钮（{emoji} 为表情）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (79, 'default_agent_name', '{\"zh\": \"在线客服\", \"en\": \"Customer Service\"}', 'sdk_texts', '客服默认名称（消息上显示和屏幕阅读器朗读，init 传入 agentName 时使用传入的名称）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (80, 'err_pre_chat_disabled', '{\"zh\": \"咨询前表单未启用\", \"en\": \"The pre-chat form is not enabled\"}', 'sdk_texts', '错误提示-咨询前表单未启用', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (81, 'err_rating_disabled', '{\"zh\": \"未开启满意度评价\", \"en\": \"Ratings are not enabled\"}', 'sdk_texts', '错误提示-未开启满意度评价', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (82, 'err_conversation_not_found', '{\"zh\": \"会话不存在\", \"en\": \"Conversation not found\"}', 'sdk_texts', '错误提示-会话不存在', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (83, 'err_rating_not_closed', '{\"zh\": \"会话结束后才能评价\", \"en\": \"You can rate the conversation after it ends\"}', 'sdk_texts', '错误提示-会话未结束时评价', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (84, 'err_rating_invalid', '{\"zh\": \"评分无效\", \"en\": \"Invalid rating\"}', 'sdk_texts', '错误提示-评分无效', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (85, 'err_rating_duplicate', '{\"zh\": \"该会话已评价\", \"en\": \"You have already rated this conversation\"}', 'sdk_texts', '错误提示-重复评价', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (86, 'err_email_invalid', '{\"zh\": \"邮箱格式不正确\", \"en\": \"Please enter a valid email\"}', 'sdk_texts', '错误提示-留言邮箱格式错误', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (87, 'err_message_required', '{\"zh\": \"留言内容不能为空\", \"en\": \"Please enter a message\"}', 'sdk_texts', '错误提示-留言内容为空', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (88, 'err_message_too_long', '{\"zh\": \"留言内容不能超过{max}字\", \"en\": \"Message cannot exceed {max} characters\"}', 'sdk_texts', '错误提示-留言内容过长（{max} 为字数上限）', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (89, 'err_upload_no_file', '{\"zh\": \"请选择要上传的文件\", \"en\": \"Please choose a file to upload\"}', 'sdk_texts', '错误提示-上传时没有选择文件', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
+INSERT INTO `im_mvp`.`system_config` (`id`, `key`, `value`, `group`, `description`, `created_at`, `updated_at`) VALUES (90, 'err_file_content_mismatch', '{\"zh\": \"文件内容与扩展名不符\", \"en\": \"File content does not match its extension\"}', 'sdk_texts', '错误提示-上传文件内容与扩展名不符', '2026-10-19 10:00:00', '2026-10-19 10:00:00');
@@ -23,13 +23,25 @@
         customerTyping: {},          // 客户打字状态 { convId: bool }
         customerTypingTimer: {},     // 客户打字状态超时定时器
         quickReplies: [],            // 快捷回复列表
+        triggerList: [],             // 主动邀请规则列表（管理页面用）
         godViewMode: false,          // 超管上帝视角模式
         allAgents: [],               // 所有客服列表（上帝视角用）
         currentView: 'chat',         // 当前视图：chat/stats
         currentCustomer: null,       // 当前选中会话的客户信息
-        customerPanelVisible: true   // 客户信息面板是否显示
+        customerPanelVisible: true,  // 客户信息面板是否显示
+        editingAttribute: null,      // 客户信息面板中正在编辑的自定义属性名
+        textLanguages: ['zh', 'en'], // 客户端支持的语言（文案配置按语言填写）
+        settings: {},                // 功能设置（后台 sdk_settings 分组，如允许发送的文件类型）
+        uploading: false,            // 正在处理/上传图片或文件（同一时间只允许一个）
+        uploadXhr: null,             // 上传中的请求（用于取消）
+        uploadCancelled: false,      // 压缩阶段点了取消，压缩完不再上传
+        previewFile: null,           // 粘贴/拖入后待确认发送的文件
+        previewUrl: null             // 预览图片的 Object URL（关闭预览时释放）
     };
 
+    // 小于此大小且尺寸未超限的图片直接上传，不重新编码
+    const IMAGE_COMPRESS_MIN_SIZE = 300 * 1024;
+
     const $ = (sel) => document.querySelector(sel);
 
     // 初始化并解锁音频（需要在用户点击事件中调用）
@@ -96,6 +108,7 @@
         $('#password').onkeypress = (e) => { if (e.key === 'Enter') login(); };
         $('#logoutBtn').onclick = logout;
         $('#statusSelect').onchange = updateStatus;
+        $('#ticketBtn').onclick = showTicketPage;
 
         // 监听页面任意点击，解锁音频（针对已登录用户刷新页面的情况）
         document.addEventListener('click', function onFirstClick() {
@@ -115,12 +128,57 @@
         $('#statsMenuItem').onclick = () => { closeAdminDropdown(); showStatsPage(); };
         $('#agentMgmtMenuItem').onclick = () => { closeAdminDropdown(); showAgentMgmtPage(); };
         $('#quickReplyMgmtMenuItem').onclick = () => { closeAdminDropdown(); showQuickReplyMgmtPage(); };
+        $('#triggerMgmtMenuItem').onclick = () => { closeAdminDropdown(); showTriggerMgmtPage(); };
         $('#textConfigMenuItem').onclick = () => { closeAdminDropdown(); showTextConfigModal(); };
-        // 点击其他区域关闭下拉菜单
+        $('#systemSettingsMenuItem').onclick = () => { closeAdminDropdown(); showSystemSettingsModal(); };
+
+        // 拖入文件到聊天区域：先预览，确认后再发送（只读模式下没有输入框，不处理）
+        const chatArea = $('#chatArea');
+        chatArea.addEventListener('dragover', (e) => {
+            if (!$('#chatInput') || !Array.from(e.dataTransfer.types).includes('Files')) return;
+            e.preventDefault();
+            chatArea.classList.add('dragover');
+        });
+        chatArea.addEventListener('dragleave', (e) => {
+            if (!chatArea.contains(e.relatedTarget)) {
+                chatArea.classList.remove('dragover');
+            }
+        });
+        chatArea.addEventListener('drop', (e) => {
+            chatArea.classList.remove('dragover');
+            const file = e.dataTransfer.files[0];
+            if (file && $('#chatInput')) {
+                e.preventDefault();
+                openFilePreview(file);
+            }
+        });
+        $('#filePreviewCaption').onkeydown = (e) => {
+            if (e.key === 'Enter') confirmFilePreview();
+            if (e.key === 'Escape') closeFilePreview();
+        };
+        // 点击其他区域关闭下拉菜单、表情选择器和回应表情栏
         document.addEventListener('click', (e) => {
             if (!e.target.closest('.admin-dropdown')) {
                 closeAdminDropdown();
             }
+            if (!e.target.closest('.emoji-bar') && $('#emojiPanel')) {
+                $('#emojiPanel').style.display = 'none';
+            }
+            if (!e.target.closest('.react-bar, .react-add')) {
+                closeReactionBar();
+            }
+        });
+
+        // 表情回应：添加按钮打开可用表情，点击表情添加/取消
+        chatArea.addEventListener('click', (e) => {
+            const addBtn = e.target.closest('[data-react-picker]');
+            if (addBtn) openReactionBar(addBtn);
+
+            const reaction = e.target.closest('[data-react]');
+            if (reaction) {
+                sendReaction(Number(reaction.dataset.msg), decodeURIComponent(reaction.dataset.react));
+                closeReactionBar();
+            }
         });
     }
 
@@ -211,6 +269,8 @@
 
         loadConversations();
         loadQuickReplies();
+        loadSettings();
+        loadTicketPendingCount();
         connectWS();
     }
 
@@ -305,7 +365,7 @@
             if (lastMsg) {
                 // 根据发送者类型显示前缀
                 const prefix = lastMsg.sender_type === 2 ? '我: ' : '';
-                preview = prefix + (lastMsg.content || '');
+                preview = prefix + getMessagePreview(lastMsg);
                 // 截断过长的内容
                 if (preview.length > 20) {
                     preview = preview.substring(0, 20) + '...';
@@ -337,7 +397,7 @@
                 <div class="conversation-item ${c.id === state.currentConvId ? 'active' : ''}" data-id="${c.id}">
                     <div class="conv-avatar">${(c.customer?.uuid || '?').charAt(0).toUpperCase()}</div>
                     <div class="conv-info">
-                        <div class="conv-name">客户 ${c.customer?.id || c.id}${statusLabel}${unreadBadge}</div>
+                        <div class="conv-name">${getCustomerName(c)}${statusLabel}${unreadBadge}</div>
                         ${agentLabel}
                         <div class="conv-preview">${preview}</div>
                     </div>
@@ -464,6 +524,7 @@
 
         const c = state.currentCustomer;
         const emailValue = c.email || '';
+        state.editingAttribute = null;
         const emailDisplay = emailValue || '未填写';
 
         body.innerHTML = `
@@ -475,6 +536,16 @@
                 <div class="panel-info-label">UUID</div>
                 <div class="panel-info-value" style="font-size:12px;">${c.uuid}</div>
             </div>
+            ${c.external_user_id ? `
+            <div class="panel-info-row">
+                <div class="panel-info-label">用户ID <span class="panel-verified-tag">已认证</span></div>
+                <div class="panel-info-value">${escapeHtml(c.external_user_id)}</div>
+            </div>` : ''}
+            ${c.nickname ? `
+            <div class="panel-info-row">
+                <div class="panel-info-label">姓名</div>
+                <div class="panel-info-value">${escapeHtml(c.nickname)}</div>
+            </div>` : ''}
             <div class="panel-info-row">
                 <div class="panel-info-label">邮箱</div>
                 <div class="panel-info-value">
@@ -489,6 +560,16 @@
                     </div>
                 </div>
             </div>
+            ${c.phone ? `
+            <div class="panel-info-row">
+                <div class="panel-info-label">电话</div>
+                <div class="panel-info-value">${escapeHtml(c.phone)}</div>
+            </div>` : ''}
+            ${c.topic ? `
+            <div class="panel-info-row">
+                <div class="panel-info-label">咨询类型</div>
+                <div class="panel-info-value">${escapeHtml(c.topic)}</div>
+            </div>` : ''}
             <div class="panel-info-row">
                 <div class="panel-info-label">时区</div>
                 <div class="panel-info-value">${c.timezone || '-'}</div>
@@ -517,6 +598,8 @@
                 <div class="panel-info-label">来源页面</div>
                 <div class="panel-info-value" style="font-size:12px;">${c.source_url ? `<a href="${escapeHtml(c.source_url)}" target="_blank">${escapeHtml(c.source_url)}</a>` : '-'}</div>
             </div>
+            <div id="panelPageViews">${renderPageViews(c.page_views || [])}</div>
+            <div id="panelAttributes">${renderAttributes(c.attributes || [])}</div>
             <div class="panel-section-title">统计信息</div>
             <div class="panel-stats-row">
                 <span class="panel-stats-label">历史会话</span>
@@ -546,6 +629,146 @@
         panel.style.display = 'flex';
     }
 
+    // 渲染浏览轨迹（第一条为客户当前所在页面）
+    function renderPageViews(pageViews) {
+        if (!pageViews.length) return '';
+
+        const link = (pv) => `<a href="${escapeHtml(pv.url)}" target="_blank" title="${escapeHtml(pv.url)}">${escapeHtml(pv.title || pv.url)}</a>`;
+        const [current, ...trail] = pageViews;
+
+        return `
+            <div class="panel-info-row">
+                <div class="panel-info-label">当前页面 <span class="page-view-time">${formatTime(current.viewed_at)}</span></div>
+                <div class="panel-info-value" style="font-size:12px;">${link(current)}</div>
+            </div>
+            ${trail.length ? `
+            <div class="panel-section-title">浏览轨迹</div>
+            <ul class="page-view-list">
+                ${trail.map(pv => `
+                <li class="page-view-item">
+                    <span class="page-view-time">${formatTime(pv.viewed_at)}</span>
+                    <span class="page-view-link">${link(pv)}</span>
+                </li>`).join('')}
+            </ul>` : ''}
+        `;
+    }
+
+    // 渲染自定义属性（宿主网站通过 ImSDK.setAttributes 写入，只包含当前客服可见的）
+    function renderAttributes(attributes) {
+        if (!attributes.length) return '';
+
+        return `
+            <div class="panel-section-title">自定义属性</div>
+            ${attributes.map(attr => {
+                const editing = attr.editable && state.editingAttribute === attr.key;
+                return `
+                <div class="panel-info-row">
+                    <div class="panel-info-label" title="${escapeHtml(attr.key)}">${escapeHtml(attr.label)}</div>
+                    <div class="panel-info-value">
+                        ${editing ? `
+                        <div class="email-edit-form show">
+                            ${renderAttributeInput(attr)}
+                            <button class="email-save-btn" onclick="saveCustomerAttribute('${attr.key}')">保存</button>
+                            <button class="email-cancel-btn" onclick="editCustomerAttribute(null)">取消</button>
+                        </div>` : `
+                        <div class="email-display">
+                            <span class="email-text">${formatAttributeValue(attr.value)}</span>
+                            ${attr.editable ? `<button class="email-edit-btn" onclick="editCustomerAttribute('${attr.key}')">✏️ 编辑</button>` : ''}
+                        </div>`}
+                    </div>
+                </div>`;
+            }).join('')}
+        `;
+    }
+
+    function formatAttributeValue(value) {
+        if (value === null || value === undefined || value === '') return '-';
+        if (typeof value === 'boolean') return value ? '是' : '否';
+        return escapeHtml(String(value));
+    }
+
+    // 属性编辑框：按值的类型选择输入方式
+    function renderAttributeInput(attr) {
+        if (attr.type === 'boolean') {
+            return `
+                <select class="email-edit-input" id="attributeEditInput">
+                    <option value="true" ${attr.value === true ? 'selected' : ''}>是</option>
+                    <option value="false" ${attr.value === false ? 'selected' : ''}>否</option>
+                </select>`;
+        }
+        const value = attr.value === null ? '' : escapeHtml(String(attr.value));
+        const type = attr.type === 'number' ? 'number" step="any' : 'text';
+        return `<input type="${type}" class="email-edit-input" id="attributeEditInput" value="${value}" placeholder="留空则删除">`;
+    }
+
+    // 编辑自定义属性（key 为 null 时取消编辑）
+    window.editCustomerAttribute = function(key) {
+        state.editingAttribute = key;
+        const section = $('#panelAttributes');
+        if (section) {
+            section.innerHTML = renderAttributes(state.currentCustomer?.attributes || []);
+        }
+        if (key) {
+            $('#attributeEditInput')?.focus();
+        }
+    };
+
+    // 保存自定义属性：按属性类型转换输入值，留空表示删除
+    window.saveCustomerAttribute = async function(key) {
+        const customer = state.currentCustomer;
+        const attr = (customer?.attributes || []).find(a => a.key === key);
+        const input = $('#attributeEditInput');
+        if (!attr || !input) return;
+
+        const raw = input.value.trim();
+        let value = raw;
+        if (attr.type === 'boolean') {
+            value = raw === 'true';
+        } else if (raw === '') {
+            value = null;
+        } else if (attr.type === 'number') {
+            value = Number(raw);
+            if (!Number.isFinite(value)) {
+                showToast('请输入有效的数字');
+                return;
+            }
+        }
+
+        try {
+            const res = await fetch(`${API_BASE}/customer/${customer.id}`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${state.token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ attributes: { [key]: value } })
+            });
+            const data = await res.json();
+            if (data.code === 0) {
+                customer.attributes = data.data.attributes || [];
+                editCustomerAttribute(null);
+                showToast('属性更新成功');
+            } else {
+                showToast(data.message || '更新失败');
+            }
+        } catch (e) {
+            console.log('Save attribute failed:', e);
+            showToast('更新失败');
+        }
+    };
+
+    // 客户切换了页面：只更新浏览轨迹部分，不影响面板上正在编辑的内容
+    function handlePageView(data) {
+        const c = state.currentCustomer;
+        if (!data?.page_view || data.conversation_id !== state.currentConvId || !c || c.id !== data.customer_id) return;
+
+        c.page_views = [data.page_view, ...(c.page_views || [])].slice(0, 20);
+        const section = $('#panelPageViews');
+        if (section) {
+            section.innerHTML = renderPageViews(c.page_views);
+        }
+    }
+
     // 切换客户信息面板显示/隐藏
     window.toggleCustomerPanel = function() {
         state.customerPanelVisible = !state.customerPanelVisible;
@@ -665,8 +888,10 @@
 
         // 输入区域（上帝视角模式下隐藏）
         const inputArea = isReadonly ? '' : `
-            <div class="uploading-indicator" id="uploadingIndicator" style="display:none; padding:10px; background:#f9f9f9; color:#666; font-size:12px;">
-                Picture uploading...
+            <div class="uploading-indicator${state.uploading ? ' show' : ''}" id="uploadingIndicator">
+                <span id="uploadingText">Uploading...</span>
+                <div class="upload-progress"><div class="upload-progress-bar" id="uploadProgressBar"></div></div>
+                <button class="upload-cancel-btn" onclick="cancelUpload()">取消</button>
             </div>
             <div class="chat-input-area">
                 <div class="quick-reply-bar" id="quickReplyBar">
@@ -678,6 +903,12 @@
                 </div>
                 <button class="image-btn" id="imageBtn" title="发送图片"><img src="https://customservice95.oss-us-east-1.aliyuncs.com/im-mvp/dev/images/20260209_61f6e30bdda1c07c24a4d58796ea0977.png" alt="上传图片"></button>
                 <input type="file" id="imageInput" accept="image/jpeg,image/png,image/gif,image/webp,image/heic,image/heif,image/bmp,image/svg+xml,image/tiff,.jpg,.jpeg,.png,.gif,.webp,.heic,.heif,.bmp,.svg,.tiff,.tif,.ico" style="display:none;">
+                <button class="file-btn" id="fileBtn" title="发送文件">📎</button>
+                <input type="file" id="fileInput" accept="${getAllowedFileExts().map(ext => '.' + ext).join(',')}" style="display:none;">
+                <div class="emoji-bar">
+                    <button class="emoji-btn" id="emojiBtn" title="表情">😊</button>
+                    <div class="emoji-panel" id="emojiPanel" style="display:none;"></div>
+                </div>
                 <textarea class="chat-input" id="chatInput" placeholder="输入消息..." rows="1"></textarea>
                 <button class="send-btn" id="sendBtn">发送</button>
             </div>`;
@@ -685,7 +916,7 @@
         $('#chatArea').innerHTML = `
             ${readonlyNotice}
             <div class="chat-header">
-                <span class="chat-title">客户 ${conv.customer?.id || conv.id}${agentInfo}</span>
+                <span class="chat-title">${getCustomerName(conv)}${agentInfo}</span>
                 <span class="typing-indicator" id="typingIndicator" style="display:${isTyping ? 'inline' : 'none'}; margin-left:10px; color:#999; font-size:12px;">对方正在输入...</span>
                 ${actionButtons}
             </div>
@@ -705,6 +936,14 @@
             chatInput.onkeypress = (e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); sendMessage(); } };
             chatInput.oninput = () => sendTypingStatus(true);
             chatInput.onblur = () => sendTypingStatus(false);
+            // 粘贴截图：先预览，确认后再发送
+            chatInput.onpaste = (e) => {
+                const file = e.clipboardData && e.clipboardData.files[0];
+                if (file) {
+                    e.preventDefault();
+                    openFilePreview(file);
+                }
+            };
 
             // 快捷回复事件
             $('#quickReplyToggle').onclick = toggleQuickReply;
@@ -719,7 +958,67 @@
             // 图片上传事件
             $('#imageBtn').onclick = () => $('#imageInput').click();
             $('#imageInput').onchange = handleImageUpload;
+
+            // 文件上传事件
+            $('#fileBtn').onclick = () => $('#fileInput').click();
+            $('#fileInput').onchange = handleFileUpload;
+
+            // 表情选择器事件
+            $('#emojiBtn').onclick = toggleEmojiPanel;
+            $('#emojiPanel').onclick = (e) => {
+                const tab = e.target.closest('[data-emoji-tab]');
+                const emoji = e.target.closest('[data-emoji]');
+                if (tab) showEmojiCategory(Number(tab.dataset.emojiTab));
+                if (emoji) insertEmoji(decodeURIComponent(emoji.dataset.emoji));
+            };
+        }
+    }
+
+    // 打开/关闭表情选择器
+    function toggleEmojiPanel() {
+        const panel = $('#emojiPanel');
+        if (panel.style.display !== 'none') {
+            panel.style.display = 'none';
+            return;
+        }
+
+        if (!panel.innerHTML) {
+            panel.innerHTML = `
+                <div class="emoji-tabs">
+                    ${ImEmoji.categories.map((c, i) => `<button data-emoji-tab="${i}" title="${escapeHtml(c.name)}">${c.icon}</button>`).join('')}
+                </div>
+                <div class="emoji-grid" id="emojiGrid"></div>`;
+            showEmojiCategory(0);
         }
+        panel.style.display = 'block';
+    }
+
+    function showEmojiCategory(index) {
+        const category = ImEmoji.categories[index];
+        if (!category) return;
+
+        document.querySelectorAll('#emojiPanel [data-emoji-tab]').forEach(tab => {
+            tab.classList.toggle('active', Number(tab.dataset.emojiTab) === index);
+        });
+        $('#emojiGrid').innerHTML = category.emojis
+            .map(emoji => `<button data-emoji="${encodeURIComponent(emoji)}">${emoji}</button>`)
+            .join('');
+    }
+
+    // 在输入框光标处插入表情
+    function insertEmoji(emoji) {
+        const input = $('#chatInput');
+        const start = input.selectionStart;
+        const end = input.selectionEnd;
+        input.value = input.value.slice(0, start) + emoji + input.value.slice(end);
+        input.focus();
+        input.setSelectionRange(start + emoji.length, start + emoji.length);
+    }
+
+    // 会话显示的客户名称：填写过咨询前表单或身份认证时用姓名，否则用客户ID
+    function getCustomerName(conv) {
+        const nickname = conv.customer?.nickname;
+        return nickname ? escapeHtml(nickname) : `客户 ${conv.customer?.id || conv.id}`;
     }
 
     // HTML转义
@@ -765,25 +1064,57 @@
         // 格式化时间：使用 formatMessageTime 兼容 ISO 格式
         const timeStr = m.created_at ? formatMessageTime(m.created_at) : '';
 
-        // 消息内容：图片或文本
+        // 消息内容：图片、文件或文本
         let contentHTML = '';
+        const file = m.content_type === 3 ? parseFileContent(m.content) : null;
         if (isImage) {
             const escapedUrl = escapeHtml(m.content);
             contentHTML = `<img src="${escapedUrl}" class="msg-image" onclick="openImageModal('${escapedUrl}')" alt="图片" style="max-width:200px; max-height:200px; border-radius:8px; cursor:pointer;">`;
+        } else if (file) {
+            contentHTML = `
+                <a class="msg-file-card" href="${escapeHtml(file.url)}" target="_blank" rel="noopener noreferrer" download>
+                    <span class="msg-file-icon">📄</span>
+                    <span class="msg-file-info">
+                        <div class="msg-file-name" title="${escapeHtml(file.name)}">${escapeHtml(file.name)}</div>
+                        <div class="msg-file-size">${formatFileSize(file.size)}</div>
+                    </span>
+                </a>`;
         } else {
-            contentHTML = escapeHtml(m.content);
+            // 链接、换行、粗体/斜体、行内代码、列表（与客户端 SDK 共用渲染器）
+            contentHTML = ImRichText.render(m.content);
         }
 
         return `
-            <div class="msg-wrapper ${wrapperCls}">
+            <div class="msg-wrapper ${wrapperCls}" data-msg-id="${m.id}">
                 <div class="msg-avatar ${avatarCls}">${avatarText}</div>
                 <div class="msg-bubble">
                     <div class="msg ${cls}">${contentHTML}${readStatus}</div>
+                    ${getLinkPreviewHTML(m.link_preview)}
+                    ${getReactionsHTML(m)}
                     <div class="msg-time">${timeStr}</div>
                 </div>
             </div>`;
     }
 
+    // 链接预览卡片（标题、描述、缩略图），地址必须是 http(s)
+    function getLinkPreviewHTML(preview) {
+        const isSafeUrl = url => /^https?:\/\/[^"'<>\s]+$/i.test(url || '');
+        if (!preview || !preview.title || !isSafeUrl(preview.url)) return '';
+
+        const image = isSafeUrl(preview.image)
+            ? `<img class="link-preview-image" src="${preview.image}" alt="" loading="lazy">`
+            : '';
+        return `
+            <a class="link-preview" href="${preview.url}" target="_blank" rel="noopener noreferrer">
+                ${image}
+                <span class="link-preview-info">
+                    <span class="link-preview-site">${escapeHtml(preview.site_name)}</span>
+                    <span class="link-preview-title">${escapeHtml(preview.title)}</span>
+                    ${preview.description ? `<span class="link-preview-desc">${escapeHtml(preview.description)}</span>` : ''}
+                </span>
+            </a>`;
+    }
+
     // 打开图片预览弹窗
     window.openImageModal = function(imageUrl) {
         // 创建或显示图片预览弹窗
@@ -843,18 +1174,31 @@
         const content = input.value.trim();
         if (!content || !state.ws || state.ws.readyState !== WebSocket.OPEN) return;
 
+        sendTextMessage(content);
+        input.value = '';
+    }
+
+    // 发送文本消息
+    function sendTextMessage(content) {
+        if (!state.ws || state.ws.readyState !== WebSocket.OPEN || !state.currentConvId) return;
+
         state.ws.send(JSON.stringify({
             type: 'message',
             data: { conversation_id: state.currentConvId, content, content_type: 1 }
         }));
-        input.value = '';
     }
 
     // 处理图片上传
     async function handleImageUpload(e) {
-        let file = e.target.files[0];
-        if (!file) return;
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file && validateImage(file)) {
+            uploadImage(file);
+        }
+    }
 
+    // 验证图片类型和大小，不通过时提示并返回 false
+    function validateImage(file) {
         // 验证文件类型（支持更多格式，包括 HEIC/HEIF）
         const allowedTypes = [
             'image/jpeg',
@@ -878,21 +1222,32 @@
 
         if (!allowedTypes.includes(file.type) && !hasValidExt) {
             alert('Only image files are supported (JPG, PNG, GIF, WEBP, HEIC, HEIF, BMP, SVG, TIFF, ICO)');
-            return;
+            return false;
         }
 
         // 验证文件大小（100MB）
         if (file.size > 100 * 1024 * 1024) {
             alert('Image size cannot exceed 100MB');
-            return;
+            return false;
         }
+        return true;
+    }
+
+    // 是否按图片发送（拖入、粘贴的文件据此区分图片和附件）
+    function isImageFile(file) {
+        return /^image\//.test(file.type) || /\.(heic|heif)$/i.test(file.name);
+    }
+
+    /**
+     * 上传图片并发送（HEIC 转换 → 压缩 → 上传）
+     * 返回是否发送成功
+     */
+    async function uploadImage(file) {
+        if (state.uploading) return false;
+        const fileName = file.name.toLowerCase();
 
         // 显示上传中状态
-        const indicator = $('#uploadingIndicator');
-        if (indicator) {
-            indicator.style.display = 'block';
-            indicator.textContent = 'Uploading...';
-        }
+        showUploading('Uploading...');
 
         try {
             // 检查是否是 HEIC/HEIF 格式，需要转换
@@ -900,41 +1255,192 @@
                            fileName.endsWith('.heic') || fileName.endsWith('.heif');
 
             if (isHeic) {
-                if (indicator) indicator.textContent = 'Converting HEIC image...';
+                setUploadingText('Converting HEIC image...');
                 file = await convertHeicToJpg(file);
                 if (!file) {
                     alert('Failed to convert HEIC image. Please try a different format.');
-                    return;
+                    return false;
                 }
             }
 
-            if (indicator) indicator.textContent = 'Uploading...';
-            const formData = new FormData();
-            formData.append('file', file);
-
-            const response = await fetch('/agent/upload/image', {
-                method: 'POST',
-                headers: { 'Authorization': `Bearer ${state.token}` },
-                body: formData
-            });
+            // 大图在浏览器端缩小、重新编码后再上传
+            setUploadingText('Compressing...');
+            file = await compressImage(file);
 
-            const result = await response.json();
+            setUploadingText('Uploading...');
+            const result = await uploadWithProgress('/agent/upload/image', file);
 
             if (result.code === 0 && result.data.url) {
                 // 上传成功，发送图片消息
                 sendImageMessage(result.data.url);
-            }else {
-                alert(result.message || 'Upload failed');
+                return true;
             }
+            alert(result.message || 'Upload failed');
         } catch (error) {
-            console.error('Upload error:', error);
-            alert('Upload failed, please try again');
+            if (!error.cancelled) {
+                console.error('Upload error:', error);
+                alert('Upload failed, please try again');
+            }
         }finally {
             // 隐藏上传中状态
-            if (indicator) indicator.style.display = 'none';
-            // 清空文件选择
-            $('#imageInput').value = '';
+            hideUploading();
+        }
+        return false;
+    }
+
+    /**
+     * 压缩图片
+     * 最长边超过 max_dimension 时等比缩小，并按 quality 重新编码为 JPEG；
+     * GIF（可能是动图）、SVG（矢量图）以及压缩后反而更大的图片保持原样。
+     */
+    async function compressImage(file) {
+        const options = state.settings.image_compression || {};
+        const maxDimension = options.max_dimension || 1920;
+        const quality = options.quality || 0.8;
+        if (/image\/(gif|svg)/.test(file.type)) return file;
+
+        let bitmap;
+        try {
+            bitmap = await decodeImage(file);
+        } catch (e) {
+            return file;
+        }
+
+        const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+        if (scale === 1 && file.size <= IMAGE_COMPRESS_MIN_SIZE) {
+            if (bitmap.close) bitmap.close();
+            return file;
+        }
+
+        const width = Math.round(bitmap.width * scale);
+        const height = Math.round(bitmap.height * scale);
+        let blob;
+        try {
+            if (typeof OffscreenCanvas === 'function') {
+                const canvas = new OffscreenCanvas(width, height);
+                drawImageOnWhite(canvas.getContext('2d'), bitmap, width, height);
+                blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+            } else {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                drawImageOnWhite(canvas.getContext('2d'), bitmap, width, height);
+                blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+            }
+        } catch (e) {
+            console.warn('Compress image failed, uploading original', e);
+            return file;
+        } finally {
+            if (bitmap.close) bitmap.close();
+        }
+
+        if (!blob || blob.size >= file.size) return file;
+        const name = file.name.replace(/\.[^.]+$/, '') + '.jpg';
+        return new File([blob], name, { type: 'image/jpeg' });
+    }
+
+    // 解码图片，优先 createImageBitmap（不阻塞主线程，且会按 EXIF 方向旋转）
+    function decodeImage(file) {
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(file, { imageOrientation: 'from-image' });
+        }
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = (e) => {
+                URL.revokeObjectURL(url);
+                reject(e);
+            };
+            img.src = url;
+        });
+    }
+
+    // 透明背景（PNG）转 JPEG 会变黑，先铺白底
+    function drawImageOnWhite(ctx, image, width, height) {
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(image, 0, 0, width, height);
+    }
+
+    /**
+     * 上传文件并显示进度
+     * 使用 XHR（fetch 拿不到上传进度），返回服务端响应JSON；被取消时抛出 cancelled 错误
+     */
+    function uploadWithProgress(url, file) {
+        return new Promise((resolve, reject) => {
+            if (state.uploadCancelled) {
+                const error = new Error('Upload cancelled');
+                error.cancelled = true;
+                reject(error);
+                return;
+            }
+            const xhr = new XMLHttpRequest();
+            state.uploadXhr = xhr;
+            xhr.open('POST', url);
+            xhr.setRequestHeader('Authorization', `Bearer ${state.token}`);
+            xhr.upload.onprogress = (e) => {
+                if (e.lengthComputable) {
+                    updateUploadProgress(e.loaded / e.total);
+                }
+            };
+            xhr.onload = () => {
+                try {
+                    resolve(JSON.parse(xhr.responseText));
+                } catch (e) {
+                    reject(e);
+                }
+            };
+            xhr.onerror = () => reject(new Error('Network error'));
+            xhr.onabort = () => {
+                const error = new Error('Upload cancelled');
+                error.cancelled = true;
+                reject(error);
+            };
+
+            const formData = new FormData();
+            formData.append('file', file);
+            xhr.send(formData);
+        }).finally(() => {
+            state.uploadXhr = null;
+        });
+    }
+
+    // 取消正在进行的上传
+    window.cancelUpload = function() {
+        if (state.uploadXhr) {
+            state.uploadXhr.abort();
+        } else if (state.uploading) {
+            state.uploadCancelled = true;
         }
+    };
+
+    function showUploading(text) {
+        state.uploading = true;
+        state.uploadCancelled = false;
+        setUploadingText(text);
+        updateUploadProgress(0);
+        const indicator = $('#uploadingIndicator');
+        if (indicator) indicator.classList.add('show');
+    }
+
+    function hideUploading() {
+        state.uploading = false;
+        const indicator = $('#uploadingIndicator');
+        if (indicator) indicator.classList.remove('show');
+    }
+
+    function setUploadingText(text) {
+        const el = $('#uploadingText');
+        if (el) el.textContent = text;
+    }
+
+    function updateUploadProgress(ratio) {
+        const bar = $('#uploadProgressBar');
+        if (bar) bar.style.width = `${Math.round(ratio * 100)}%`;
     }
 
     // 将 HEIC/HEIF 转换为 JPG（使用 heic2any 库）
@@ -976,6 +1482,176 @@
         });
     }
 
+    // 加载功能设置（允许发送的文件类型等）
+    async function loadSettings() {
+        try {
+            const res = await fetch(`${API_BASE}/config/sdk-settings`);
+            const data = await res.json();
+            if (data.code === 0) {
+                state.settings = data.data || {};
+            }
+        } catch (e) {
+            console.error('加载功能设置失败', e);
+        }
+    }
+
+    // 后台允许发送的文件扩展名（小写，不带点）
+    function getAllowedFileExts() {
+        const types = state.settings.upload_file_types || {};
+        return (types.extensions || []).map(ext => String(ext).toLowerCase());
+    }
+
+    // 处理文件上传（PDF、文档、压缩包等，类型和大小由后台配置）
+    async function handleFileUpload(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file && validateAttachment(file)) {
+            uploadAttachment(file);
+        }
+    }
+
+    // 验证附件类型和大小，不通过时提示并返回 false
+    function validateAttachment(file) {
+        const allowedExts = getAllowedFileExts();
+        const ext = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+        if (!allowedExts.includes(ext)) {
+            alert('不支持的文件类型，允许：' + allowedExts.join(', ').toUpperCase());
+            return false;
+        }
+
+        const maxSizeMb = (state.settings.upload_file_types || {}).max_size_mb || 20;
+        if (file.size > maxSizeMb * 1024 * 1024) {
+            alert(`文件大小不能超过 ${maxSizeMb}MB`);
+            return false;
+        }
+        return true;
+    }
+
+    // 上传附件并发送，返回是否发送成功
+    async function uploadAttachment(file) {
+        if (state.uploading) return false;
+        showUploading('Uploading file...');
+
+        try {
+            const result = await uploadWithProgress('/agent/upload/file', file);
+
+            if (result.code === 0 && result.data.url) {
+                sendFileMessage(result.data);
+                return true;
+            }
+            alert(result.message || 'Upload failed');
+        } catch (error) {
+            if (!error.cancelled) {
+                console.error('Upload error:', error);
+                alert('Upload failed, please try again');
+            }
+        } finally {
+            hideUploading();
+        }
+        return false;
+    }
+
+    /**
+     * 打开发送前预览（粘贴截图、拖入文件时）
+     * 可以附加一段说明文字，确认后先发送文件再发送说明
+     */
+    function openFilePreview(file) {
+        if (state.uploading) return;
+        const isImage = isImageFile(file);
+        if (!(isImage ? validateImage(file) : validateAttachment(file))) return;
+
+        closeFilePreview();
+        state.previewFile = file;
+
+        // HEIC 浏览器大多无法直接显示，按文件卡片展示
+        const content = $('#filePreviewContent');
+        if (isImage && !/\.(heic|heif)$/i.test(file.name) && !/image\/hei[cf]/.test(file.type)) {
+            state.previewUrl = URL.createObjectURL(file);
+            content.innerHTML = `<img class="file-preview-image" src="${state.previewUrl}" alt="预览">`;
+        } else {
+            content.innerHTML = `
+                <div class="msg-file-card">
+                    <span class="msg-file-icon">📄</span>
+                    <span class="msg-file-info">
+                        <div class="msg-file-name">${escapeHtml(file.name || 'file')}</div>
+                        <div class="msg-file-size">${formatFileSize(file.size)}</div>
+                    </span>
+                </div>`;
+        }
+
+        $('#filePreviewCaption').value = '';
+        $('#filePreviewModal').classList.add('show');
+        $('#filePreviewCaption').focus();
+    }
+
+    function closeFilePreview() {
+        if (state.previewUrl) {
+            URL.revokeObjectURL(state.previewUrl);
+        }
+        state.previewUrl = null;
+        state.previewFile = null;
+        $('#filePreviewModal').classList.remove('show');
+        $('#filePreviewContent').innerHTML = '';
+    }
+
+    async function confirmFilePreview() {
+        const file = state.previewFile;
+        if (!file) return;
+        const caption = $('#filePreviewCaption').value.trim();
+        closeFilePreview();
+
+        const sent = isImageFile(file) ? await uploadImage(file) : await uploadAttachment(file);
+        if (sent && caption) {
+            sendTextMessage(caption);
+        }
+    }
+
+    // 发送文件消息（内容为文件信息JSON）
+    function sendFileMessage(file) {
+        if (!state.ws || state.ws.readyState !== WebSocket.OPEN || !state.currentConvId) return;
+
+        state.ws.send(JSON.stringify({
+            type: 'message',
+            data: {
+                conversation_id: state.currentConvId,
+                content: JSON.stringify({ url: file.url, name: file.name, size: file.size, mime: file.mime }),
+                content_type: 3
+            }
+        }));
+    }
+
+    // 解析文件消息内容，格式不对返回 null
+    function parseFileContent(content) {
+        try {
+            const file = JSON.parse(content);
+            return file && /^https?:\/\/[^"'<>\s]+$/i.test(file.url) ? file : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // 文件大小格式化：1536 → 1.5 KB
+    function formatFileSize(bytes) {
+        if (!bytes) return '';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let size = bytes;
+        let i = 0;
+        while (size >= 1024 && i < units.length - 1) {
+            size /= 1024;
+            i++;
+        }
+        return `${i === 0 ? size : size.toFixed(1)} ${units[i]}`;
+    }
+
+    // 会话列表中的消息摘要
+    function getMessagePreview(msg) {
+        if (msg.content_type === 3) {
+            const file = parseFileContent(msg.content);
+            return '[文件] ' + (file ? file.name : '');
+        }
+        return msg.content || '';
+    }
+
     // 发送图片消息
     function sendImageMessage(imageUrl) {
         if (!state.ws || state.ws.readyState !== WebSocket.OPEN || !state.currentConvId) return;
@@ -1163,7 +1839,7 @@
         container.innerHTML = historyState.list.map(conv => {
             const statusClass = `status-${conv.status}`;
             const agentName = conv.agent ? conv.agent.nickname : '未分配';
-            const lastMsg = conv.last_message ? conv.last_message.content : '无消息';
+            const lastMsg = conv.last_message ? getMessagePreview(conv.last_message) : '无消息';
             const createdAt = formatDate(conv.created_at);
 
             return `
@@ -1176,6 +1852,7 @@
                         <div class="history-conv-meta">
                             客服：${escapeHtml(agentName)} | ${conv.message_count} 条消息 | ${createdAt}
                         </div>
+                        ${getRatingHTML(conv.rating)}
                         <div class="history-conv-preview">${escapeHtml(lastMsg)}</div>
                     </div>
                     <div class="history-conv-arrow">›</div>
@@ -1187,6 +1864,19 @@
         renderHistoryPagination();
     }
 
+    // 满意度评价：星级显示为 ★★★★☆，赞/踩显示为 👍/👎
+    function getRatingHTML(rating) {
+        if (!rating) return '';
+        const score = rating.rating_type === 'thumbs'
+            ? (rating.score >= 4 ? '👍' : '👎')
+            : '★'.repeat(rating.score) + '☆'.repeat(5 - rating.score);
+        return `
+            <div class="history-conv-rating">
+                评价：<span class="rating-score">${score}</span>${escapeHtml(rating.comment || '')}
+            </div>
+        `;
+    }
+
     // 渲染分页
     function renderHistoryPagination() {
         const totalPages = Math.ceil(historyState.total / historyState.pageSize);
@@ -1395,6 +2085,18 @@
                 // 客户已读消息
                 handleMessagesRead(data.data);
                 break;
+            case 'link_preview':
+                // 消息的链接预览已生成
+                handleLinkPreview(data.data);
+                break;
+            case 'message_reaction':
+                // 消息的表情回应有变化
+                handleMessageReaction(data.data);
+                break;
+            case 'page_view':
+                // 客户切换了页面
+                handlePageView(data.data);
+                break;
             case 'kicked':
                 // 被踢下线
                 handleKicked(data.message);
@@ -1467,18 +2169,98 @@
         }
     }
 
-    // 只更新消息的已读状态显示
-    function updateReadStatus() {
-        const chatMessages = $('#chatMessages');
-        if (!chatMessages) return;
+    // 补充消息的链接预览并重新渲染该消息
+    function handleLinkPreview(data) {
+        const convId = data?.conversation_id;
+        const msg = (state.messages[convId] || []).find(m => m.id === data.message_id);
+        if (!msg || !data.link_preview) return;
 
-        // 更新所有客服消息的已读标记（msg-right 是客服消息）
-        const statusElements = chatMessages.querySelectorAll('.msg-right .msg-status');
-        statusElements.forEach(el => {
-            if (!el.classList.contains('read')) {
-                el.classList.remove('sent', 'sending');
-                el.classList.add('read');
-                el.textContent = '✓✓';
+        msg.link_preview = data.link_preview;
+        if (convId === state.currentConvId) {
+            rerenderMessage(msg);
+        }
+    }
+
+    // 更新消息的表情回应并重新渲染该消息
+    function handleMessageReaction(data) {
+        const convId = data?.conversation_id;
+        const msg = (state.messages[convId] || []).find(m => m.id === data.message_id);
+        if (!msg) return;
+
+        msg.reactions = data.reactions || [];
+        if (convId === state.currentConvId) {
+            rerenderMessage(msg);
+        }
+    }
+
+    // 重新渲染当前会话中的一条消息（高度变化时，原本在底部则保持在底部）
+    function rerenderMessage(msg) {
+        const chatMessages = $('#chatMessages');
+        const el = chatMessages && chatMessages.querySelector(`[data-msg-id="${msg.id}"]`);
+        if (el) {
+            const atBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 40;
+            el.outerHTML = renderMessageHTML(msg);
+            if (atBottom) scrollToBottom();
+        }
+    }
+
+    // 添加/取消表情回应（服务端处理后推送 message_reaction）
+    function sendReaction(messageId, emoji) {
+        if (!messageId || !emoji || state.godViewMode) return;
+        if (!state.ws || state.ws.readyState !== WebSocket.OPEN) return;
+
+        state.ws.send(JSON.stringify({
+            type: 'reaction',
+            data: { message_id: messageId, emoji }
+        }));
+    }
+
+    // 在消息下方显示可用的回应表情
+    function openReactionBar(anchor) {
+        const msgId = anchor.dataset.reactPicker;
+        const wasOpen = document.querySelector(`.react-bar[data-for="${msgId}"]`);
+        closeReactionBar();
+        if (wasOpen) return;
+
+        const emojis = (state.settings.message_reactions || {}).emojis || [];
+        const bar = document.createElement('div');
+        bar.className = 'react-bar';
+        bar.dataset.for = msgId;
+        bar.innerHTML = emojis.map(emoji =>
+            `<button data-react="${encodeURIComponent(emoji)}" data-msg="${msgId}">${escapeHtml(emoji)}</button>`
+        ).join('');
+        anchor.closest('.reactions').after(bar);
+    }
+
+    function closeReactionBar() {
+        document.querySelectorAll('.react-bar').forEach(bar => bar.remove());
+    }
+
+    // 回应列表：每个表情显示人数，客服点过的高亮（上帝视角只读，不显示添加按钮）
+    function getReactionsHTML(m) {
+        const reactions = m.reactions || [];
+        if (state.godViewMode && reactions.length === 0) return '';
+
+        const chips = reactions.map(r => {
+            const mine = (r.reacted_by || []).includes(2) ? ' mine' : '';
+            return `<button class="reaction${mine}" data-react="${encodeURIComponent(r.emoji)}" data-msg="${m.id}">${escapeHtml(r.emoji)} ${r.count}</button>`;
+        }).join('');
+        const addBtn = state.godViewMode ? '' : `<button class="react-add" data-react-picker="${m.id}" title="回应">☺</button>`;
+        return `<div class="reactions">${chips}${addBtn}</div>`;
+    }
+
+    // 只更新消息的已读状态显示
+    function updateReadStatus() {
+        const chatMessages = $('#chatMessages');
+        if (!chatMessages) return;
+
+        // 更新所有客服消息的已读标记（msg-right 是客服消息）
+        const statusElements = chatMessages.querySelectorAll('.msg-right .msg-status');
+        statusElements.forEach(el => {
+            if (!el.classList.contains('read')) {
+                el.classList.remove('sent', 'sending');
+                el.classList.add('read');
+                el.textContent = '✓✓';
             }
         });
     }
@@ -1536,6 +2318,7 @@
             conv.last_message = {
                 id: msg.id,
                 content: msg.content,
+                content_type: msg.content_type,
                 sender_type: msg.sender_type,
                 created_at: msg.created_at
             };
@@ -1568,6 +2351,9 @@
         $('#mainContent').style.display = 'none';
         $('#statsContainer').style.display = 'block';
         $('#agentMgmtContainer').style.display = 'none';
+        $('#quickMgmtContainer').style.display = 'none';
+        $('#ticketContainer').style.display = 'none';
+        $('#triggerContainer').style.display = 'none';
 
         // 默认日期范围：最近7天
         const endDate = new Date().toISOString().split('T')[0];
@@ -1601,6 +2387,8 @@
         $('#statsContainer').style.display = 'none';
         $('#agentMgmtContainer').style.display = 'none';
         $('#quickMgmtContainer').style.display = 'none';
+        $('#ticketContainer').style.display = 'none';
+        $('#triggerContainer').style.display = 'none';
     }
 
     // 隐藏统计页面（兼容旧代码）
@@ -1654,6 +2442,14 @@
                     <div class="stats-card-title">总消息数</div>
                     <div class="stats-card-value">${stats.total_messages}</div>
                 </div>
+                <div class="stats-card">
+                    <div class="stats-card-title">平均评分（${stats.rating_count} 条评价）</div>
+                    <div class="stats-card-value" style="color:#faad14;">${formatRating(stats.avg_rating)}</div>
+                </div>
+                <div class="stats-card">
+                    <div class="stats-card-title">满意率（CSAT）</div>
+                    <div class="stats-card-value" style="color:#52c41a;">${formatCsat(stats.csat_rate)}</div>
+                </div>
             </div>
 
             <div class="stats-table-container">
@@ -1668,6 +2464,8 @@
                             <th>发送消息</th>
                             <th>接收消息</th>
                             <th>平均响应时间</th>
+                            <th>平均评分</th>
+                            <th>满意率</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -1680,15 +2478,27 @@
                                 <td>${a.sent_messages}</td>
                                 <td>${a.received_messages}</td>
                                 <td>${a.avg_response_time_formatted || '-'}</td>
+                                <td>${formatRating(a.avg_rating)}${a.rating_count ? ` <span style="color:#999;font-size:12px;">(${a.rating_count})</span>` : ''}</td>
+                                <td>${formatCsat(a.csat_rate)}</td>
                             </tr>
                         `).join('')}
-                        ${agentStats.length === 0 ? '<tr><td colspan="7" style="text-align:center;color:#999;">暂无数据</td></tr>' : ''}
+                        ${agentStats.length === 0 ? '<tr><td colspan="9" style="text-align:center;color:#999;">暂无数据</td></tr>' : ''}
                     </tbody>
                 </table>
             </div>
         `;
     }
 
+    // 平均评分（1-5），没有评价显示 -
+    function formatRating(avg) {
+        return avg === null || avg === undefined ? '-' : `${avg} / 5`;
+    }
+
+    // 满意率（评分 >= 4 的占比），没有评价显示 -
+    function formatCsat(rate) {
+        return rate === null || rate === undefined ? '-' : `${rate}%`;
+    }
+
     // ==================== 客服管理页面功能 ====================
 
     // 显示客服管理页面
@@ -1697,6 +2507,9 @@
         $('#mainContent').style.display = 'none';
         $('#statsContainer').style.display = 'none';
         $('#agentMgmtContainer').style.display = 'block';
+        $('#quickMgmtContainer').style.display = 'none';
+        $('#ticketContainer').style.display = 'none';
+        $('#triggerContainer').style.display = 'none';
 
         $('#agentMgmtContainer').innerHTML = `
             <div class="agent-mgmt-header">
@@ -1891,6 +2704,220 @@
         }
     }
 
+    // ==================== 客户留言功能 ====================
+    // 所有客服都离线时，客户端显示留言表单，留言在这里处理（通过邮件回复客户后标记已处理）
+
+    const ticketState = {
+        status: '0',    // 默认只看待处理
+        page: 1,
+        pageSize: 20,
+        total: 0,
+        list: [],
+        current: null   // 弹窗中正在查看的留言
+    };
+
+    // 更新头部"客户留言"按钮上的待处理数
+    function updateTicketBadge(count) {
+        const badge = $('#ticketBadge');
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.style.display = count > 0 ? 'inline-block' : 'none';
+    }
+
+    async function loadTicketPendingCount() {
+        try {
+            const res = await fetch(`${API_BASE}/offline-ticket/pending-count`, {
+                headers: { 'Authorization': `Bearer ${state.token}` }
+            });
+            const data = await res.json();
+            if (data.code === 0) {
+                updateTicketBadge(data.data.count);
+            }
+        } catch (e) {}
+    }
+
+    // 显示客户留言页面
+    async function showTicketPage() {
+        state.currentView = 'tickets';
+        $('#mainContent').style.display = 'none';
+        $('#statsContainer').style.display = 'none';
+        $('#agentMgmtContainer').style.display = 'none';
+        $('#quickMgmtContainer').style.display = 'none';
+        $('#ticketContainer').style.display = 'block';
+        $('#triggerContainer').style.display = 'none';
+
+        $('#ticketContainer').innerHTML = `
+            <div class="ticket-mgmt-header">
+                <h2>📮 客户留言</h2>
+                <div>
+                    <select id="ticketStatusFilter">
+                        <option value="0">待处理</option>
+                        <option value="1">已处理</option>
+                        <option value="">全部</option>
+                    </select>
+                    <button class="back-btn" id="backFromTickets">返回工作台</button>
+                </div>
+            </div>
+            <div class="quick-table-container">
+                <table class="quick-table">
+                    <thead>
+                        <tr>
+                            <th style="width:60px;">ID</th>
+                            <th style="width:140px;">客户</th>
+                            <th style="width:200px;">邮箱</th>
+                            <th>留言内容</th>
+                            <th style="width:150px;">留言时间</th>
+                            <th style="width:80px;">状态</th>
+                            <th style="width:90px;">操作</th>
+                        </tr>
+                    </thead>
+                    <tbody id="ticketTableBody">
+                        <tr><td colspan="7" style="text-align:center;padding:40px;">加载中...</td></tr>
+                    </tbody>
+                </table>
+                <div id="ticketPagination"></div>
+            </div>
+        `;
+
+        $('#ticketStatusFilter').value = ticketState.status;
+        $('#ticketStatusFilter').onchange = () => {
+            ticketState.status = $('#ticketStatusFilter').value;
+            ticketState.page = 1;
+            loadTickets();
+        };
+        $('#backFromTickets').onclick = backToWorkspace;
+
+        await loadTickets();
+    }
+
+    // 加载留言列表
+    async function loadTickets() {
+        try {
+            const params = new URLSearchParams({ status: ticketState.status, page: ticketState.page, page_size: ticketState.pageSize });
+            const res = await fetch(`${API_BASE}/offline-ticket/list?${params}`, {
+                headers: { 'Authorization': `Bearer ${state.token}` }
+            });
+            const data = await res.json();
+            if (data.code === 0) {
+                ticketState.list = data.data.list;
+                ticketState.total = data.data.total;
+                updateTicketBadge(data.data.pending_count);
+                renderTicketTable();
+            } else {
+                showToast(data.message || '加载失败');
+            }
+        } catch (e) {
+            showToast('加载客户留言失败');
+        }
+    }
+
+    // 渲染留言表格
+    function renderTicketTable() {
+        if (!$('#ticketTableBody')) return;
+
+        if (ticketState.list.length === 0) {
+            $('#ticketTableBody').innerHTML = '<tr><td colspan="7" style="text-align:center;padding:40px;color:#999;">暂无留言</td></tr>';
+            $('#ticketPagination').innerHTML = '';
+            return;
+        }
+
+        $('#ticketTableBody').innerHTML = ticketState.list.map(t => `
+            <tr>
+                <td>${t.id}</td>
+                <td>${escapeHtml(t.name || `客户 ${t.customer_id}`)}</td>
+                <td><a href="mailto:${encodeURIComponent(t.email)}">${escapeHtml(t.email)}</a></td>
+                <td class="ticket-content" title="${escapeHtml(t.content)}">${escapeHtml(t.content)}</td>
+                <td>${formatDate(t.created_at)}</td>
+                <td><span class="ticket-status status-${t.status}">${t.status_text}</span></td>
+                <td><button class="action-btn edit" onclick="openTicketModal(${t.id})">${t.status === 0 ? '处理' : '查看'}</button></td>
+            </tr>
+        `).join('');
+
+        const totalPages = Math.ceil(ticketState.total / ticketState.pageSize);
+        $('#ticketPagination').innerHTML = totalPages > 1 ? `
+            <div class="history-pagination">
+                <button ${ticketState.page <= 1 ? 'disabled' : ''} onclick="ticketPageChange(${ticketState.page - 1})">上一页</button>
+                <span style="padding: 6px 12px;">${ticketState.page} / ${totalPages}</span>
+                <button ${ticketState.page >= totalPages ? 'disabled' : ''} onclick="ticketPageChange(${ticketState.page + 1})">下一页</button>
+            </div>
+        ` : '';
+    }
+
+    window.ticketPageChange = async function(page) {
+        ticketState.page = page;
+        await loadTickets();
+    };
+
+    // 打开留言详情：待处理的可以填写处理备注并标记已处理
+    window.openTicketModal = function(id) {
+        const ticket = ticketState.list.find(t => t.id === id);
+        if (!ticket) return;
+        ticketState.current = ticket;
+
+        const isPending = ticket.status === 0;
+        const subject = encodeURIComponent('Re: 您的留言');
+        const body = encodeURIComponent(`\n\n> ${ticket.content.replace(/\n/g, '\n> ')}`);
+
+        $('#ticketModalTitle').textContent = `客户留言 #${ticket.id}`;
+        $('#ticketModalBody').innerHTML = `
+            <div class="ticket-detail-row">
+                <div class="label">客户</div>
+                ${escapeHtml(ticket.name || `客户 ${ticket.customer_id}`)}
+            </div>
+            <div class="ticket-detail-row">
+                <div class="label">邮箱</div>
+                <a href="mailto:${encodeURIComponent(ticket.email)}?subject=${subject}&body=${body}">${escapeHtml(ticket.email)}</a>（点击发送邮件回复）
+            </div>
+            <div class="ticket-detail-row">
+                <div class="label">留言内容（${formatDate(ticket.created_at)}）</div>
+                <div class="ticket-detail-message">${escapeHtml(ticket.content)}</div>
+            </div>
+            ${isPending ? `
+                <div class="form-group">
+                    <label>处理备注</label>
+                    <textarea id="ticketReply" rows="3" maxlength="2000" placeholder="如：已邮件回复，说明了退款流程" style="width:100%;resize:vertical;padding:8px;border:1px solid #ddd;border-radius:4px;font-size:14px;"></textarea>
+                </div>
+            ` : `
+                <div class="ticket-detail-row">
+                    <div class="label">处理人（${formatDate(ticket.handled_at)}）</div>
+                    ${escapeHtml(ticket.agent ? ticket.agent.nickname : '-')}
+                </div>
+                <div class="ticket-detail-row">
+                    <div class="label">处理备注</div>
+                    <div class="ticket-detail-message">${escapeHtml(ticket.reply || '-')}</div>
+                </div>
+            `}
+        `;
+        $('#ticketModalFooter').style.display = isPending ? 'block' : 'none';
+        $('#ticketModal').classList.add('show');
+    };
+
+    // 标记留言已处理
+    window.submitTicketHandle = async function() {
+        const ticket = ticketState.current;
+        if (!ticket) return;
+
+        try {
+            const res = await fetch(`${API_BASE}/offline-ticket/handle/${ticket.id}`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${state.token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ reply: $('#ticketReply').value.trim() })
+            });
+            const data = await res.json();
+            if (data.code === 0) {
+                closeModal('ticketModal');
+                showToast('已标记为已处理');
+                await loadTickets();
+            } else {
+                showToast(data.message || '操作失败');
+            }
+        } catch (e) {
+            showToast('操作失败: ' + e.message);
+        }
+    };
+
     // ==================== 快捷回复管理功能 ====================
 
     // 显示快捷回复管理页面
@@ -1900,6 +2927,8 @@
         $('#statsContainer').style.display = 'none';
         $('#agentMgmtContainer').style.display = 'none';
         $('#quickMgmtContainer').style.display = 'block';
+        $('#ticketContainer').style.display = 'none';
+        $('#triggerContainer').style.display = 'none';
 
         $('#quickMgmtContainer').innerHTML = `
             <div class="quick-mgmt-header">
@@ -2089,8 +3118,210 @@
         }
     }
 
+    // ==================== 主动邀请规则管理 ====================
+
+    // 显示主动邀请规则页面
+    async function showTriggerMgmtPage() {
+        state.currentView = 'triggerMgmt';
+        $('#mainContent').style.display = 'none';
+        $('#statsContainer').style.display = 'none';
+        $('#agentMgmtContainer').style.display = 'none';
+        $('#quickMgmtContainer').style.display = 'none';
+        $('#ticketContainer').style.display = 'none';
+        $('#triggerContainer').style.display = 'block';
+
+        $('#triggerContainer').innerHTML = `
+            <div class="quick-mgmt-header">
+                <h2>🎯 主动邀请</h2>
+                <div>
+                    <button class="add-quick-btn" id="addTriggerBtn">+ 新增规则</button>
+                    <button class="back-btn" id="backFromTriggerMgmt">返回工作台</button>
+                </div>
+            </div>
+            <div class="trigger-tip">访客满足规则的全部条件时自动打开聊天窗口并显示问候语。邀请频率在系统设置的 proactive_chat 中配置。</div>
+            <div class="quick-table-container">
+                <table class="quick-table">
+                    <thead>
+                        <tr>
+                            <th style="width:60px;">ID</th>
+                            <th style="width:150px;">规则名称</th>
+                            <th style="width:200px;">触发条件</th>
+                            <th>问候语</th>
+                            <th style="width:130px;">效果</th>
+                            <th style="width:80px;">状态</th>
+                            <th style="width:150px;">操作</th>
+                        </tr>
+                    </thead>
+                    <tbody id="triggerTableBody">
+                        <tr><td colspan="7" style="text-align:center;padding:40px;">加载中...</td></tr>
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        $('#backFromTriggerMgmt').onclick = backToWorkspace;
+        $('#addTriggerBtn').onclick = () => openTriggerEditModal(null);
+
+        await loadTriggerList();
+    }
+
+    // 加载规则列表（含效果统计）
+    async function loadTriggerList() {
+        try {
+            const res = await fetch('/chat-trigger/all', {
+                headers: { 'Authorization': `Bearer ${state.token}` }
+            });
+            const data = await res.json();
+            if (data.code === 0) {
+                state.triggerList = data.data.list || [];
+                renderTriggerTable(state.triggerList);
+            } else {
+                showToast(data.message || '加载失败');
+            }
+        } catch (e) {
+            showToast('加载邀请规则失败');
+        }
+    }
+
+    // 规则的触发条件说明
+    function formatTriggerConditions(t) {
+        const conditions = [t.url_pattern ? `页面包含 ${escapeHtml(t.url_pattern)}` : '所有页面'];
+        if (t.delay_seconds > 0) conditions.push(`停留 ${t.delay_seconds} 秒`);
+        if (t.scroll_percent > 0) conditions.push(`滚动到 ${t.scroll_percent}%`);
+        if (t.exit_intent === 1) conditions.push('准备离开页面时');
+        return conditions.join('<br>');
+    }
+
+    // 渲染规则表格
+    function renderTriggerTable(list) {
+        if (list.length === 0) {
+            $('#triggerTableBody').innerHTML = '<tr><td colspan="7" style="text-align:center;padding:40px;color:#999;">暂无邀请规则，点击上方按钮添加</td></tr>';
+            return;
+        }
+
+        $('#triggerTableBody').innerHTML = list.map(t => {
+            const statusClass = t.is_active === 1 ? 'active' : 'inactive';
+            const statusText = t.is_active === 1 ? '启用' : '禁用';
+            const messagePreview = t.message.length > 50 ? t.message.substring(0, 50) + '...' : t.message;
+            return `
+                <tr>
+                    <td>${t.id}</td>
+                    <td>${escapeHtml(t.name)}</td>
+                    <td class="trigger-conditions">${formatTriggerConditions(t)}</td>
+                    <td class="quick-content" title="${escapeHtml(t.message)}">${escapeHtml(messagePreview)}</td>
+                    <td class="trigger-stats">
+                        触发 <strong>${t.hit_count}</strong> 次<br>
+                        发起会话 <strong>${t.conversation_count}</strong> 个（${t.conversion_rate}%）
+                    </td>
+                    <td><span class="quick-status ${statusClass}">${statusText}</span></td>
+                    <td>
+                        <button class="action-btn edit" onclick="openTriggerEditModal(${t.id})">编辑</button>
+                        <button class="action-btn delete" onclick="confirmDeleteTrigger(${t.id}, '${escapeHtml(t.name)}')">删除</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // 打开规则编辑弹窗
+    window.openTriggerEditModal = function(id) {
+        const item = id ? (state.triggerList || []).find(t => t.id === id) : null;
+
+        $('#triggerEditTitle').textContent = item ? '编辑邀请规则' : '新增邀请规则';
+        $('#editTriggerId').value = item ? item.id : '';
+        $('#editTriggerName').value = item ? item.name : '';
+        $('#editTriggerUrl').value = item ? item.url_pattern : '';
+        $('#editTriggerDelay').value = item ? item.delay_seconds : 30;
+        $('#editTriggerScroll').value = item ? item.scroll_percent : 0;
+        $('#editTriggerExit').value = item ? item.exit_intent : 0;
+        $('#editTriggerMessage').value = item ? item.message : '';
+        $('#editTriggerSortOrder').value = item ? item.sort_order : 0;
+        $('#editTriggerStatus').value = item ? item.is_active : 1;
+
+        $('#triggerEditModal').classList.add('show');
+    };
+
+    // 提交规则编辑
+    window.submitTriggerEdit = async function() {
+        const id = $('#editTriggerId').value;
+        const isEdit = id !== '';
+        const body = {
+            name: $('#editTriggerName').value.trim(),
+            url_pattern: $('#editTriggerUrl').value.trim(),
+            delay_seconds: parseInt($('#editTriggerDelay').value) || 0,
+            scroll_percent: parseInt($('#editTriggerScroll').value) || 0,
+            exit_intent: parseInt($('#editTriggerExit').value) || 0,
+            message: $('#editTriggerMessage').value.trim(),
+            sort_order: parseInt($('#editTriggerSortOrder').value) || 0,
+            is_active: parseInt($('#editTriggerStatus').value) || 0
+        };
+
+        if (!body.name) {
+            showToast('规则名称不能为空');
+            return;
+        }
+        if (!body.message) {
+            showToast('问候语不能为空');
+            return;
+        }
+
+        try {
+            const url = isEdit ? `/chat-trigger/update/${id}` : '/chat-trigger/create';
+            const res = await fetch(url, {
+                method: isEdit ? 'PUT' : 'POST',
+                headers: {
+                    'Authorization': `Bearer ${state.token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            if (data.code === 0) {
+                showToast(isEdit ? '修改成功' : '添加成功');
+                closeModal('triggerEditModal');
+                await loadTriggerList();
+            } else {
+                showToast(data.message || '操作失败');
+            }
+        } catch (e) {
+            showToast('操作失败: ' + e.message);
+        }
+    };
+
+    // 确认删除规则
+    window.confirmDeleteTrigger = function(id, name) {
+        if (confirm(`确定要删除邀请规则「${name}」吗？触发记录会一并删除。`)) {
+            deleteTrigger(id);
+        }
+    };
+
+    // 删除规则
+    async function deleteTrigger(id) {
+        try {
+            const res = await fetch(`/chat-trigger/delete/${id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${state.token}` }
+            });
+            const data = await res.json();
+            if (data.code === 0) {
+                showToast('删除成功');
+                await loadTriggerList();
+            } else {
+                showToast(data.message || '删除失败');
+            }
+        } catch (e) {
+            showToast('删除失败: ' + e.message);
+        }
+    }
+
     // ==================== 文案配置管理 ====================
 
+    const LANGUAGE_NAMES = { zh: '中文', en: 'English' };
+
+    function languageLabel(lang) {
+        return LANGUAGE_NAMES[lang] ? `${LANGUAGE_NAMES[lang]} (${lang})` : lang;
+    }
+
     // 打开文案配置弹窗
     async function showTextConfigModal() {
         try {
@@ -2099,9 +3330,12 @@
             });
             const data = await res.json();
             if (data.code === 0) {
+                state.textLanguages = data.data.languages || ['zh', 'en'];
                 renderTextConfigList(data.data);
                 // 设置当前语言
                 const lang = data.data.current_language || 'en';
+                $('#sdkLanguageSelect').innerHTML = state.textLanguages
+                    .map(l => `<option value="${escapeHtml(l)}">${escapeHtml(languageLabel(l))}</option>`).join('');
                 $('#sdkLanguageSelect').value = typeof lang === 'string' ? lang.replace(/"/g, '') : lang;
                 $('#textConfigModal').classList.add('show');
             } else {
@@ -2124,15 +3358,13 @@
 
         let html = '';
         for (const [group, items] of Object.entries(grouped)) {
-            if (group === 'general') continue; // 跳过general，语言设置单独处理
+            if (!groupNames[group]) continue; // 只处理多语言文案，语言设置和功能设置单独处理
 
             html += `<div class="config-group">`;
             html += `<div class="config-group-title">${groupNames[group] || group}</div>`;
 
             for (const item of items) {
                 const value = item.value;
-                const zhValue = (typeof value === 'object' && value.zh) ? value.zh : '';
-                const enValue = (typeof value === 'object' && value.en) ? value.en : '';
 
                 html += `
                 <div class="config-item" data-key="${item.key}">
@@ -2144,14 +3376,11 @@
                         <button class="config-save-btn" onclick="saveConfigItem('${item.key}')">保存</button>
                     </div>
                     <div class="config-item-values">
+                        ${state.textLanguages.map(lang => `
                         <div class="config-lang-field">
-                            <label class="config-lang-label">中文 (zh)</label>
-                            <input type="text" class="config-lang-input" id="config_zh_${item.key}" value="${escapeHtml(zhValue)}">
-                        </div>
-                        <div class="config-lang-field">
-                            <label class="config-lang-label">English (en)</label>
-                            <input type="text" class="config-lang-input" id="config_en_${item.key}" value="${escapeHtml(enValue)}">
-                        </div>
+                            <label class="config-lang-label">${escapeHtml(languageLabel(lang))}</label>
+                            <input type="text" class="config-lang-input" id="config_${lang}_${item.key}" value="${escapeHtml((typeof value === 'object' && value[lang]) ? value[lang] : '')}" dir="auto">
+                        </div>`).join('')}
                     </div>
                 </div>`;
             }
@@ -2163,19 +3392,16 @@
 
     // 保存单个配置项
     window.saveConfigItem = async function(key) {
-        const zhInput = $(`#config_zh_${key}`);
-        const enInput = $(`#config_en_${key}`);
-
-        if (!zhInput || !enInput) {
-            showToast('找不到输入框');
-            return;
+        const value = {};
+        for (const lang of state.textLanguages) {
+            const input = $(`#config_${lang}_${key}`);
+            if (!input) {
+                showToast('找不到输入框');
+                return;
+            }
+            value[lang] = input.value;
         }
 
-        const value = {
-            zh: zhInput.value,
-            en: enInput.value
-        };
-
         try {
             const res = await fetch(`${API_BASE}/admin/config/${key}`, {
                 method: 'PUT',
@@ -2219,6 +3445,85 @@
         }
     };
 
+    // ==================== 系统设置管理 ====================
+
+    // 打开系统设置弹窗（sdk_settings 和 agent_settings 分组，值为JSON）
+    async function showSystemSettingsModal() {
+        try {
+            const res = await fetch(`${API_BASE}/admin/config`, {
+                headers: { 'Authorization': `Bearer ${state.token}` }
+            });
+            const data = await res.json();
+            if (data.code === 0) {
+                const grouped = data.data.grouped || {};
+                renderSystemSettingsList([...(grouped.sdk_settings || []), ...(grouped.agent_settings || [])]);
+                $('#systemSettingsModal').classList.add('show');
+            } else {
+                showToast(data.message || '获取配置失败');
+            }
+        } catch (e) {
+            showToast('获取配置失败: ' + e.message);
+        }
+    }
+
+    // 渲染系统设置列表，每项一个JSON编辑框
+    function renderSystemSettingsList(items) {
+        const container = $('#systemSettingsList');
+        if (items.length === 0) {
+            container.innerHTML = '<div class="empty-chat">暂无设置项</div>';
+            return;
+        }
+
+        container.innerHTML = items.map(item => `
+            <div class="config-item" data-key="${item.key}">
+                <div class="config-item-header">
+                    <div>
+                        <span class="config-item-key">${item.key}</span>
+                        <span class="config-item-desc">${escapeHtml(item.description || '')}</span>
+                    </div>
+                    <button class="config-save-btn" onclick="saveSettingItem('${item.key}')">保存</button>
+                </div>
+                <textarea class="config-json-input" id="setting_${item.key}" rows="6">${escapeHtml(JSON.stringify(item.value, null, 2))}</textarea>
+            </div>`).join('');
+    }
+
+    // 保存单个设置项
+    window.saveSettingItem = async function(key) {
+        const input = $(`#setting_${key}`);
+        if (!input) {
+            showToast('找不到输入框');
+            return;
+        }
+
+        let value;
+        try {
+            value = JSON.parse(input.value);
+        } catch (e) {
+            showToast('JSON 格式错误: ' + e.message);
+            return;
+        }
+
+        try {
+            const res = await fetch(`${API_BASE}/admin/config/${key}`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${state.token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ value: value })
+            });
+            const data = await res.json();
+            if (data.code === 0) {
+                showToast('保存成功');
+                loadSettings();
+            } else {
+                showToast(data.message || '保存失败');
+            }
+        } catch (e) {
+            showToast('保存失败: ' + e.message);
+        }
+    };
+
     // 暴露函数到全局
     window.showStatsPage = showStatsPage;
     window.showAgentMgmtPage = showAgentMgmtPage;
@@ -2227,6 +3532,9 @@
     window.confirmDeleteAgent = confirmDeleteAgent;
     window.backToWorkspace = backToWorkspace;
     window.showTextConfigModal = showTextConfigModal;
+    window.showSystemSettingsModal = showSystemSettingsModal;
+    window.closeFilePreview = closeFilePreview;
+    window.confirmFilePreview = confirmFilePreview;
 
     init();
 })();
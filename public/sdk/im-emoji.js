@@ -0,0 +1,58 @@
+/**
+ * IM 表情数据（客户端 SDK 与客服工作台共用）
+ *
+ * 表情选择器使用的表情列表，随项目一起部署，不依赖 CDN。
+ * 表情直接以 Unicode 字符插入输入框，按普通文本发送。
+ *
+ * 使用：ImEmoji.categories => [{ name, icon, emojis: [...] }]
+ */
+(function (window) {
+    'use strict';
+
+    const categories = [
+        {
+            name: 'Smileys',
+            icon: '😀',
+            emojis: [
+                '😀', '😃', '😄', '😁', '😆', '😅', '🤣', '😂', '🙂', '🙃',
+                '😉', '😊', '😇', '🥰', '😍', '🤩', '😘', '😗', '😚', '😋',
+                '😛', '😜', '🤪', '😝', '🤗', '🤭', '🤫', '🤔', '🤐', '🤨',
+                '😐', '😑', '😶', '😏', '😒', '🙄', '😬', '😌', '😔', '😪',
+                '😴', '😷', '🤒', '🤕', '🥵', '🥶', '😵', '🤯', '🥳', '😎',
+                '🤓', '😕', '😟', '🙁', '😮', '😯', '😲', '😳', '🥺', '😦',
+                '😧', '😨', '😰', '😥', '😢', '😭', '😱', '😖', '😣', '😞',
+                '😓', '😩', '😫', '😤', '😡', '😠', '🤬'
+            ]
+        },
+        {
+            name: 'Gestures',
+            icon: '👍',
+            emojis: [
+                '👍', '👎', '👌', '✌️', '🤞', '🤟', '🤘', '🤙', '👈', '👉',
+                '👆', '👇', '☝️', '✋', '🤚', '🖐️', '🖖', '👋', '👏', '🙌',
+                '👐', '🤲', '🤝', '🙏', '✍️', '💪', '👀', '🙋', '🙅', '🙆',
+                '🤷', '🤦'
+            ]
+        },
+        {
+            name: 'Symbols',
+            icon: '❤️',
+            emojis: [
+                '❤️', '🧡', '💛', '💚', '💙', '💜', '🖤', '🤍', '💔', '💕',
+                '💖', '💯', '✅', '❌', '❗', '❓', '⚠️', '⭐', '🌟', '✨',
+                '🔥', '💡', '🎉', '🎊', '🎁', '🏆', '👑', '💰', '⏰', '📌'
+            ]
+        },
+        {
+            name: 'Objects',
+            icon: '📦',
+            emojis: [
+                '📦', '🛒', '💳', '🧾', '📱', '💻', '⌨️', '🖨️', '📷', '📞',
+                '✉️', '📧', '📝', '📄', '📎', '🔗', '🔒', '🔑', '🚚', '✈️',
+                '🏠', '🏢', '☕', '🍰', '🌹', '🌈', '☀️', '🌙', '⚡', '☔'
+            ]
+        }
+    ];
+
+    window.ImEmoji = { categories };
+})(window);
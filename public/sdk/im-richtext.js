@@ -0,0 +1,132 @@
+/**
+ * IM 富文本渲染（客户端 SDK 与客服工作台共用）
+ *
+ * 把纯文本消息渲染为安全的 HTML：
+ * - 网址自动转为链接（新窗口打开，rel="noopener noreferrer"）
+ * - 换行
+ * - **粗体**、*斜体* / _斜体_、`行内代码`
+ * - 以 "- " 或 "* " 开头的连续行渲染为无序列表
+ *
+ * 原始文本中的 HTML 一律转义，不会作为标签输出；
+ * 只有本文件生成的固定标签（a/strong/em/code/ul/li/br）会出现在结果中。
+ *
+ * 使用：ImRichText.render(text) => html
+ */
+(function (window) {
+    'use strict';
+
+    const HTML_ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    // 行内代码或网址（其余部分按普通文本处理）
+    const INLINE_PATTERN = /(`[^`\n]+`)|((?:https?:\/\/|www\.)[^\s<>"'`]+)/gi;
+
+    // 列表项：行首 "- " / "* " / "• "
+    const LIST_ITEM_PATTERN = /^\s*[-*•]\s+(.*)$/;
+
+    // 网址末尾的标点通常属于句子而不是链接
+    const URL_TRAILING_PUNCT = /[.,;:!?'"。，；：！？）】]+$/;
+
+    function escapeHtml(str) {
+        return String(str).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+    }
+
+    // 粗体、斜体（输入已转义，* 和 _ 不在转义范围内）
+    function renderEmphasis(escaped) {
+        return escaped
+            .replace(/\*\*(\S(?:[^*\n]*?\S)?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*\w])\*(\S(?:[^*\n]*?\S)?)\*(?![*\w])/g, '$1<em>$2</em>')
+            .replace(/(^|[^_\w])_(\S(?:[^_\n]*?\S)?)_(?![_\w])/g, '$1<em>$2</em>');
+    }
+
+    function renderLink(raw) {
+        let url = raw;
+        let trailing = '';
+
+        const punct = url.match(URL_TRAILING_PUNCT);
+        if (punct) {
+            trailing = punct[0];
+            url = url.slice(0, -trailing.length);
+        }
+        // 右括号不成对时视为外层括号的一部分，如 "(见 https://a.com/x)"
+        while (url.endsWith(')') && (url.match(/\)/g) || []).length > (url.match(/\(/g) || []).length) {
+            url = url.slice(0, -1);
+            trailing = ')' + trailing;
+        }
+
+        const href = /^www\./i.test(url) ? 'https://' + url : url;
+        return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>` +
+            renderEmphasis(escapeHtml(trailing));
+    }
+
+    // 渲染单行内容
+    function renderInline(line) {
+        let html = '';
+        let lastIndex = 0;
+        let match;
+
+        INLINE_PATTERN.lastIndex = 0;
+        while ((match = INLINE_PATTERN.exec(line)) !== null) {
+            html += renderEmphasis(escapeHtml(line.slice(lastIndex, match.index)));
+            if (match[1]) {
+                html += `<code>${escapeHtml(match[1].slice(1, -1))}</code>`;
+            } else {
+                html += renderLink(match[2]);
+            }
+            lastIndex = INLINE_PATTERN.lastIndex;
+        }
+        html += renderEmphasis(escapeHtml(line.slice(lastIndex)));
+
+        return html;
+    }
+
+    /**
+     * 渲染消息文本
+     * @param {string} text 原始文本
+     * @returns {string} 安全的 HTML
+     */
+    function render(text) {
+        if (text === null || text === undefined || text === '') return '';
+
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+        let listItems = [];
+
+        const flushParagraph = () => {
+            if (paragraph.length) {
+                blocks.push(paragraph.map(renderInline).join('<br>'));
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (listItems.length) {
+                blocks.push('<ul>' + listItems.map(item => `<li>${renderInline(item)}</li>`).join('') + '</ul>');
+                listItems = [];
+            }
+        };
+
+        lines.forEach(line => {
+            const item = line.match(LIST_ITEM_PATTERN);
+            if (item) {
+                flushParagraph();
+                listItems.push(item[1]);
+            } else {
+                flushList();
+                paragraph.push(line);
+            }
+        });
+        flushParagraph();
+        flushList();
+
+        // 列表是块级元素，与前后段落之间不需要再加换行
+        return blocks.join('');
+    }
+
+    window.ImRichText = { render, escapeHtml };
+})(window);
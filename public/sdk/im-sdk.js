@@ -7,6 +7,36 @@
 
     const VERSION = '1.0.0';
 
+    // 消息发送超时时间（毫秒），超时未收到服务器确认则标记为发送失败
+    const SEND_TIMEOUT = 10000;
+
+    // 心跳与重连（毫秒）
+    const HEARTBEAT_INTERVAL = 30000;   // 心跳间隔
+    const PONG_TIMEOUT = 10000;         // 发出 ping 后多久没有任何响应视为连接已死
+    const RECONNECT_BASE_DELAY = 1000;  // 重连初始等待
+    const RECONNECT_MAX_DELAY = 30000;  // 重连最长等待
+
+    // 多标签页协调：同一浏览器只由一个主标签页持有连接，其他标签页通过广播收发
+    const TAB_CHANNEL_NAME = 'im_sdk_tabs';
+    const TAB_LOCK_NAME = 'im_sdk_leader';
+
+    // 历史消息
+    const HISTORY_PAGE_SIZE = 50;       // 每页条数
+    const HISTORY_LOAD_THRESHOLD = 40;  // 滚动到距顶部多少像素时加载更早的消息
+
+    // 主动邀请
+    const TRIGGER_CHECK_INTERVAL = 1000; // 检查停留时间条件的间隔
+
+    // 页面浏览上报
+    const PAGE_VIEW_DELAY = 300;         // 路由切换后等待页面标题更新的时间
+
+    // 从右到左书写的语言（按主语言判断）
+    const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur'];
+
+    // 无障碍
+    const ANNOUNCE_DELAY = 100;          // 清空朗读区域后再写入的间隔，保证相同内容也会再次朗读
+    const FOCUSABLE_SELECTOR = 'button:not([disabled]), a[href], input:not([disabled]):not([type="file"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
     // 默认配置
     const defaultConfig = {
         server: '',              // WebSocket 地址，如: ws://example.com/ws
@@ -15,51 +45,426 @@
         theme: '#1890ff',
         title: 'Customer Service',
         zIndex: 2147483647,
+        shadowDom: 'open',       // 'open' | 'closed' | false（false 为兼容模式：样式注入 head，组件直接挂在 body 下）
+        locale: '',              // 界面语言，如 'zh-CN'、'ar'（不填则使用浏览器语言，服务端不支持时使用后台默认语言）
         agentAvatar: 'https://customservice95.oss-us-east-1.aliyuncs.com/im-mvp/dev/images/20260209_c94dcbf17a8a6a5f7f3adcbc4de5ed3c.jpg',   // 客服头像图片地址
-        agentName: 'Customer Service' // 客服名称
+        agentName: ''            // 客服名称（不填则使用文案 default_agent_name，随访客语言显示）
     };
 
     // 默认文案配置（fallback，当无法获取服务器配置时使用）
     const defaultTexts = {
+        language: 'en',          // 文案实际使用的语言（服务端返回）
         welcome_message: 'Hello, how can I help you?',
+        default_agent_name: 'Customer Service',
         input_placeholder: 'Type a message...',
         send_button: 'Send',
         status_connected: 'Connected',
         status_disconnected: 'Disconnected',
         status_error: 'Connection error',
+        status_connecting: 'Connecting...',
+        status_reconnecting: 'Reconnecting in {seconds}s',
+        status_offline: 'Offline',
+        retry_now: 'Retry',
         agent_typing: 'Agent is typing...',
         conversation_closed: 'Conversation ended',
         queue_waiting: 'Waiting in queue...',
         agent_assigned: 'Agent connected',
-        offline_messages_tip: 'You have {count} offline message(s)'
+        offline_messages_tip: 'You have {count} offline message(s)',
+        message_failed: 'Not sent. Tap to retry',
+        pre_chat_title: 'Before we start, please tell us about yourself',
+        pre_chat_submit: 'Start chat',
+        pre_chat_select: 'Please select',
+        pre_chat_required: '{field} is required',
+        pre_chat_invalid: 'Please enter a valid {field}',
+        csat_title: 'How would you rate this conversation?',
+        csat_comment_placeholder: 'Tell us more (optional)',
+        csat_submit: 'Submit',
+        csat_thanks: 'Thanks for your feedback!',
+        offline_title: 'We are offline right now. Leave a message and we will reply by email.',
+        offline_name: 'Name',
+        offline_email: 'Email',
+        offline_message: 'Message',
+        offline_submit: 'Send message',
+        offline_thanks: 'Thanks! We have received your message and will reply by email soon.',
+        hours_closed_notice: 'We are closed right now. We will be back at {time} (your time).',
+        queue_position: 'You are number {position} in the queue',
+        queue_wait: 'Estimated wait: about {minutes} min',
+        uploading: 'Uploading...',
+        uploading_file: 'Uploading file...',
+        compressing_image: 'Compressing...',
+        converting_heic: 'Converting HEIC image...',
+        cancel: 'Cancel',
+        caption_placeholder: 'Add a caption...',
+        reaction_add: 'React',
+        customer_avatar: 'Me',
+        image_type_unsupported: 'Only image files are supported (JPG, PNG, GIF, WEBP, HEIC, HEIF, BMP, SVG, TIFF, ICO)',
+        image_too_large: 'Image size cannot exceed {size}MB',
+        heic_convert_failed: 'Failed to convert HEIC image. Please try a different format.',
+        file_type_unsupported: 'Unsupported file type. Allowed: {types}',
+        file_too_large: 'File size cannot exceed {size}MB',
+        upload_failed: 'Upload failed, please try again',
+        // 屏幕阅读器朗读的文案
+        a11y_open_chat: 'Open chat',
+        a11y_close_chat: 'Close chat',
+        a11y_unread: '{count} unread messages',
+        a11y_send_image: 'Send image',
+        a11y_send_file: 'Send file',
+        a11y_emoji: 'Insert emoji',
+        a11y_message_input: 'Message',
+        a11y_new_message: 'New message from {name}: {content}',
+        a11y_image: 'Image',
+        a11y_close_image: 'Close image preview',
+        a11y_close_survey: 'Close survey',
+        a11y_rating_star: '{score} of 5 stars',
+        a11y_rating_good: 'Thumbs up',
+        a11y_rating_bad: 'Thumbs down',
+        a11y_reaction: '{emoji}, {count} reactions',
+        a11y_react_with: 'React with {emoji}'
     };
 
-    // SDK主对象
-    const ImSDK = {
-        version: VERSION,
-        config: { ...defaultConfig },
-        texts: { ...defaultTexts },
-        state: {
+    // 默认功能设置（fallback，当无法获取服务器配置时使用，对应后台 sdk_settings 分组）
+    const defaultSettings = {
+        upload_file_types: {
+            extensions: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'csv', 'zip', 'rar', '7z'],
+            max_size_mb: 20
+        },
+        image_compression: {
+            max_dimension: 1920,     // 最长边超过此像素的图片缩小后再上传
+            quality: 0.8             // JPEG 压缩质量（0-1）
+        },
+        message_reactions: {
+            emojis: ['👍', '❤️', '😂', '😮', '😢', '🙏']
+        },
+        pre_chat_form: {
+            enabled: false,          // 启用后首次咨询前需要先填写表单
+            fields: []               // [{ key: name/email/phone/topic, label, required, options }]
+        },
+        csat_survey: {
+            enabled: true,           // 会话结束后请客户评价
+            type: 'stars',           // stars: 1-5星，thumbs: 赞/踩
+            allow_comment: true      // 是否可以填写评价内容
+        },
+        offline_form: {
+            enabled: true            // 所有客服都离线时显示留言表单，不进入聊天
+        },
+        business_hours: {
+            enabled: false           // 营业时间（时段由服务端判断），outside_mode 为非营业时间的处理方式
+        },
+        proactive_chat: {
+            enabled: true            // 按后台规则自动打开窗口邀请访客（频率限制由服务端处理）
+        },
+        server_utc_offset: 28800     // 服务端时区与 UTC 相差的秒数（不是后台配置，由接口附带返回；服务端默认时区为 Asia/Shanghai）
+    };
+
+    // 非营业时间隐藏组件后，最长间隔多久重新检查一次营业状态
+    const HOURS_RECHECK_MAX_DELAY = 60 * 60 * 1000;
+
+    // 小于此大小且尺寸未超限的图片直接上传，不重新编码
+    const IMAGE_COMPRESS_MIN_SIZE = 300 * 1024;
+
+    // 初始运行状态（init / destroy 时重置）
+    function createState() {
+        return {
             isOpen: false,
             isConnected: false,
             customerUuid: null,
             conversationId: null,
             unreadCount: 0,
+            lastUnreadCount: 0,        // 上次通知的未读数（用于 unread:changed 事件）
             messages: [],
+            messageIds: new Set(),     // 已有消息ID索引（历史同步去重）
+            hasMoreHistory: true,      // 服务端是否还有更早的消息
+            loadingOlder: false,       // 正在加载更早的消息
+            historySyncing: false,     // 正在增量同步历史
+            historyResync: false,      // 同步期间又触发了同步，结束后再同步一次
             agentTyping: false,        // 客服正在输入
             typingTimer: null,         // 打字状态发送节流
             agentTypingTimer: null,    // 客服打字状态超时
-            pendingWelcome: null       // 待入库的欢迎语
+            pendingWelcome: null,      // 待入库的欢迎语
+            welcomeSaving: null,       // 欢迎语入库中的 Promise（并发发送时等待同一次入库）
+            outboxTimers: {},          // 待确认消息的超时定时器 { client_msg_id: timer }
+            shouldConnect: false,      // 是否需要保持连接（首次 connect 后为 true，断线自动重连）
+            reconnectAttempts: 0,      // 连续重连次数（用于退避计算）
+            reconnectAt: 0,            // 下次重连时间戳（用于倒计时显示）
+            isLeader: false,           // 是否为持有连接的主标签页
+            statusText: '',            // 当前连接状态文字（同步给新打开的标签页）
+            statusRetry: false,
+            uploading: false,          // 正在处理/上传图片或文件（同一时间只允许一个）
+            uploadXhr: null,           // 上传中的请求（用于取消）
+            uploadCancelled: false,    // 压缩阶段点了取消，压缩完不再上传
+            previewFile: null,         // 粘贴/拖入后待确认发送的文件
+            previewUrl: null,          // 预览图片的 Object URL（关闭预览时释放）
+            csatConversationId: null,  // 正在评价的会话ID（评价框显示中）
+            csatScore: 0,              // 评价框中已选的评分
+            businessHours: null,       // 服务端返回的营业状态 { enabled, open, next_open_at, outside_mode }
+            hoursTimer: null,          // 非营业时间隐藏组件后，重新检查营业状态的定时器
+            triggers: [],              // 当前访客可用的主动邀请规则
+            triggerTimer: null,        // 检查主动邀请条件的定时器
+            triggerStartedAt: 0,       // 开始计算停留时间的时间
+            triggerScrollPercent: 0,   // 页面滚动到过的最大百分比
+            triggerPageUrl: null,      // 停留时间和滚动位置所属的页面地址（单页应用切换路由后重新计算）
+            proactiveGreeting: null,   // 主动邀请的问候语（代替默认欢迎语）
+            lastPageUrl: null,         // 最近一次上报的页面地址
+            pageViewTimer: null,       // 路由切换后延迟上报的定时器
+            announceTimer: null,       // 写入朗读区域的定时器
+            imageModalReturnFocus: null // 关闭图片预览后要还原焦点的元素
+        };
+    }
+
+    /**
+     * 本地消息存储
+     * 优先使用 IndexedDB：按会话保存全部已确认消息，写入是单条增量的，不会阻塞主线程；
+     * 浏览器禁用存储时（Safari 无痕模式、第三方 iframe 等）退化为内存存储，仅在当前页面有效。
+     *
+     * messages 主键为 [conversation_id, id]，索引：id（消息ID）、created_at（[conversation_id, created_at]）
+     * outbox   主键为 client_msg_id，保存待发送/发送失败的消息
+     */
+    const MessageStore = {
+        DB_NAME: 'im_sdk',
+        DB_VERSION: 1,
+        OPEN_TIMEOUT: 3000,            // 部分浏览器禁用存储时 open 既不成功也不报错
+        db: null,
+        opening: null,
+        memory: { messages: new Map(), outbox: new Map() },
+
+        // 打开数据库（多次调用共用同一次打开），失败时使用内存存储
+        open() {
+            if (!this.opening) {
+                this.opening = this.openDatabase()
+                    .then(db => {
+                        this.db = db;
+                        this.migrateLocalStorage();
+                    })
+                    .catch(e => {
+                        console.warn('[IM-SDK] IndexedDB unavailable, using memory storage', e);
+                        this.db = null;
+                    });
+            }
+            return this.opening;
+        },
+
+        openDatabase() {
+            return new Promise((resolve, reject) => {
+                let request;
+                try {
+                    request = window.indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+                const timer = setTimeout(() => reject(new Error('open timeout')), this.OPEN_TIMEOUT);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('messages')) {
+                        const store = db.createObjectStore('messages', { keyPath: ['conversation_id', 'id'] });
+                        store.createIndex('id', 'id', { unique: true });
+                        store.createIndex('created_at', ['conversation_id', 'created_at']);
+                    }
+                    if (!db.objectStoreNames.contains('outbox')) {
+                        db.createObjectStore('outbox', { keyPath: 'client_msg_id' });
+                    }
+                };
+                request.onsuccess = () => {
+                    clearTimeout(timer);
+                    const db = request.result;
+                    // 其他标签页升级数据库时主动让出连接
+                    db.onversionchange = () => {
+                        db.close();
+                        this.db = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => {
+                    clearTimeout(timer);
+                    reject(request.error);
+                };
+                request.onblocked = () => {
+                    clearTimeout(timer);
+                    reject(new Error('open blocked'));
+                };
+            });
+        },
+
+        // 旧版本缓存在 localStorage 的消息导入数据库
+        migrateLocalStorage() {
+            try {
+                const messages = JSON.parse(localStorage.getItem('im_messages') || '[]');
+                const outbox = JSON.parse(localStorage.getItem('im_outbox') || '[]');
+                this.putMessages(messages.filter(m => this.isPersistable(m)));
+                outbox.forEach(m => this.putOutbox(m));
+                localStorage.removeItem('im_messages');
+                localStorage.removeItem('im_outbox');
+            } catch (e) {}
+        },
+
+        // 只保存服务端已确认的消息（本地提示、待发送消息不入库）
+        isPersistable(msg) {
+            return !msg.sendStatus && !!msg.conversation_id && typeof msg.id === 'number';
+        },
+
+        // 执行一个事务，数据库不可用时改用内存存储
+        transaction(storeName, mode, work) {
+            return new Promise((resolve, reject) => {
+                const tx = this.db.transaction(storeName, mode);
+                let result;
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+                work(tx.objectStore(storeName), value => { result = value; });
+            }).catch(e => {
+                console.warn('[IM-SDK] IndexedDB error, using memory storage', e);
+                this.db = null;
+                throw e;
+            });
+        },
+
+        // 最近一条消息所在的会话ID（即客户最近的会话），没有消息返回 null
+        getLatestConversationId() {
+            if (!this.db) {
+                let latest = null;
+                this.memory.messages.forEach(m => {
+                    if (!latest || m.id > latest.id) latest = m;
+                });
+                return Promise.resolve(latest ? latest.conversation_id : null);
+            }
+            return this.transaction('messages', 'readonly', (store, done) => {
+                store.index('id').openCursor(null, 'prev').onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    done(cursor ? cursor.value.conversation_id : null);
+                };
+            }).catch(() => this.getLatestConversationId());
+        },
+
+        /**
+         * 读取一个会话中ID小于 beforeId 的最后 limit 条消息（按主键 [conversation_id, id] 倒序游标），返回旧消息在前的列表
+         * beforeId 为 null 时读取该会话最新的消息
+         */
+        readConversation(conversationId, beforeId, limit) {
+            if (!this.db) {
+                const list = Array.from(this.memory.messages.values())
+                    .filter(m => m.conversation_id === conversationId && (beforeId === null || m.id < beforeId))
+                    .sort((a, b) => a.id - b.id);
+                return Promise.resolve(list.slice(-limit));
+            }
+            return this.transaction('messages', 'readonly', (store, done) => {
+                const range = IDBKeyRange.bound(
+                    [conversationId, -Infinity],
+                    [conversationId, beforeId === null ? Infinity : beforeId],
+                    false,
+                    beforeId !== null
+                );
+                const list = [];
+                store.openCursor(range, 'prev').onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (cursor && list.length < limit) {
+                        list.push(cursor.value);
+                        cursor.continue();
+                    } else {
+                        done(list.reverse());
+                    }
+                };
+            }).catch(() => this.readConversation(conversationId, beforeId, limit));
+        },
+
+        // 会话最新的 limit 条消息
+        getLatest(conversationId, limit) {
+            return this.readConversation(conversationId, null, limit);
+        },
+
+        // 会话中指定ID之前的 limit 条消息
+        getBefore(conversationId, beforeId, limit) {
+            return this.readConversation(conversationId, beforeId, limit);
+        },
+
+        putMessages(list) {
+            if (list.length === 0) return Promise.resolve();
+            if (!this.db) {
+                list.forEach(m => this.memory.messages.set(m.id, m));
+                return Promise.resolve();
+            }
+            return this.transaction('messages', 'readwrite', (store) => {
+                list.forEach(m => store.put(m));
+            }).catch(() => this.putMessages(list));
+        },
+
+        getOutbox() {
+            if (!this.db) {
+                return Promise.resolve(Array.from(this.memory.outbox.values()));
+            }
+            return this.transaction('outbox', 'readonly', (store, done) => {
+                store.getAll().onsuccess = (e) => done(e.target.result);
+            }).catch(() => this.getOutbox());
+        },
+
+        putOutbox(msg) {
+            if (!this.db) {
+                this.memory.outbox.set(msg.client_msg_id, msg);
+                return Promise.resolve();
+            }
+            return this.transaction('outbox', 'readwrite', (store) => {
+                store.put(msg);
+            }).catch(() => this.putOutbox(msg));
+        },
+
+        deleteOutbox(clientMsgId) {
+            if (!this.db) {
+                this.memory.outbox.delete(clientMsgId);
+                return Promise.resolve();
+            }
+            return this.transaction('outbox', 'readwrite', (store) => {
+                store.delete(clientMsgId);
+            }).catch(() => this.deleteOutbox(clientMsgId));
         },
+
+        // 清空消息（outbox = true 时同时清空待发送消息）
+        clear(outbox = false) {
+            this.memory.messages.clear();
+            if (outbox) this.memory.outbox.clear();
+            if (!this.db) return Promise.resolve();
+            const stores = outbox ? ['messages', 'outbox'] : ['messages'];
+            return Promise.all(stores.map(name =>
+                this.transaction(name, 'readwrite', (store) => store.clear())
+            )).catch(() => {});
+        }
+    };
+
+    // SDK主对象
+    const ImSDK = {
+        version: VERSION,
+        config: { ...defaultConfig },
+        texts: { ...defaultTexts },
+        settings: { ...defaultSettings },
+        state: createState(),
         ws: null,
         elements: {},
+        shadowRoot: null,              // 组件所在的 Shadow Root（兼容模式下为 null）
         reconnectTimer: null,
+        reconnectCountdownTimer: null,
         heartbeatTimer: null,
+        pongTimer: null,
+        eventHandlers: {},             // 事件监听器 { 事件名: [回调] }
+        domListeners: [],              // 已绑定的DOM事件（销毁时统一解绑）
+        initSeq: 0,                    // 初始化序号（init 过程中被销毁或重新初始化时，旧流程作废）
+        initialized: false,
+        tabChannel: null,              // 标签页间通信的 BroadcastChannel（不支持时为 null，各标签页独立连接）
+        tabLockAbort: null,            // 取消排队中的主标签页锁请求
+        historyPatch: null,            // 改写前的 history.pushState/replaceState 及改写后的函数（销毁时还原）
+        locale: 'en',                  // 日期时间格式使用的语言（BCP 47）
+        direction: 'ltr',              // 文字方向：'ltr' | 'rtl'
+        dateFormats: {},               // 缓存的 Intl.DateTimeFormat { 选项: 格式化器 }
+        releaseLeadership: null,       // 释放主标签页锁
 
         /**
          * 初始化SDK
+         * 重复调用时会先销毁旧实例，可用于更换配置（已注册的事件监听器保留）
          */
         async init(options = {}) {
+            if (this.initialized || this.initSeq > 0) {
+                this.teardown();
+            }
+            const seq = ++this.initSeq;
+
             this.config = { ...defaultConfig, ...options };
 
             if (!this.config.server) {
@@ -67,16 +472,159 @@
                 return;
             }
 
-            // 先加载文案配置
-            await this.loadTextsConfig();
+            // 先加载文案、功能设置和富文本渲染器
+            await Promise.all([this.loadTextsConfig(), this.loadSettings(), this.loadRichText()]);
+
+            // 加载期间被销毁或重新初始化，放弃本次初始化
+            if (seq !== this.initSeq) return;
 
             this.loadCustomerUuid();
-            this.loadMessages();
+            await this.loadMessages();
+
+            if (seq !== this.initSeq) return;
+
+            this.createRoot();
             this.injectStyles();
             this.render();
             this.bindEvents();
+            this.initialized = true;
+            this.startTabCoordination();
+            this.checkHiddenHours();
+            this.startPageTracking();
+            this.startTriggers();
 
             console.log('[IM-SDK] Initialized', this.config);
+            this.emit('ready', { uuid: this.state.customerUuid });
+        },
+
+        /**
+         * 销毁SDK
+         * 断开连接、清理定时器、移除DOM和样式、解绑所有事件，之后可以重新 init()
+         * options.clearSession = true 时同时清除本地客户身份和消息缓存（如宿主网站用户退出登录）
+         */
+        destroy(options = {}) {
+            this.teardown();
+            this.eventHandlers = {};
+
+            if (options.clearSession) {
+                localStorage.removeItem('im_customer_uuid');
+                localStorage.removeItem('im_pre_chat_done');
+                MessageStore.clear(true);
+            }
+
+            console.log('[IM-SDK] Destroyed');
+        },
+
+        // 释放运行时资源（连接、定时器、DOM、事件）
+        teardown() {
+            // 使进行中的 init 失效
+            this.initSeq++;
+            this.initialized = false;
+
+            this.stopTabCoordination();
+            this.stopPageTracking();
+            this.closeFilePreview();
+            this.cancelUpload();
+            this.closeSocket();
+            this.clearReconnect();
+            this.stopHeartbeat();
+            clearTimeout(this.state.typingTimer);
+            clearTimeout(this.state.agentTypingTimer);
+            clearTimeout(this.state.hoursTimer);
+            clearInterval(this.state.triggerTimer);
+            clearTimeout(this.state.pageViewTimer);
+            clearTimeout(this.state.announceTimer);
+            Object.values(this.state.outboxTimers).forEach(timer => clearTimeout(timer));
+
+            this.domListeners.forEach(({ target, type, handler, options }) => {
+                target.removeEventListener(type, handler, options);
+            });
+            this.domListeners = [];
+
+            if (this.elements.host) {
+                // Shadow DOM 模式：样式和组件都在宿主节点内，一起移除
+                this.elements.host.remove();
+            } else {
+                if (this.elements.widget) {
+                    this.elements.widget.remove();
+                }
+                const style = document.getElementById('im-sdk-styles');
+                if (style) {
+                    style.remove();
+                }
+            }
+
+            this.elements = {};
+            this.shadowRoot = null;
+            this.state = createState();
+            this.config = { ...defaultConfig };
+            this.texts = { ...defaultTexts };
+            this.settings = { ...defaultSettings };
+            this.dateFormats = {};
+        },
+
+        // 关闭当前连接，并解绑回调，避免旧连接的 onclose 触发重连
+        closeSocket() {
+            if (!this.ws) return;
+            const socket = this.ws;
+            this.ws = null;
+            socket.onopen = null;
+            socket.onmessage = null;
+            socket.onclose = null;
+            socket.onerror = null;
+            try {
+                socket.close();
+            } catch (e) {}
+        },
+
+        // 绑定DOM事件并登记，销毁时统一解绑
+        listen(target, type, handler, options) {
+            target.addEventListener(type, handler, options);
+            this.domListeners.push({ target, type, handler, options });
+        },
+
+        /**
+         * 监听事件
+         * 支持的事件：ready、open、close、message:received、message:sent、
+         * unread:changed、connection:changed、conversation:closed
+         */
+        on(event, handler) {
+            if (typeof handler !== 'function') return this;
+            (this.eventHandlers[event] = this.eventHandlers[event] || []).push(handler);
+            return this;
+        },
+
+        // 取消监听（不传 handler 时移除该事件的全部监听器）
+        off(event, handler) {
+            const handlers = this.eventHandlers[event];
+            if (!handlers) return this;
+            this.eventHandlers[event] = handler
+                ? handlers.filter(h => h !== handler && h._original !== handler)
+                : [];
+            return this;
+        },
+
+        // 只监听一次
+        once(event, handler) {
+            if (typeof handler !== 'function') return this;
+            const wrapper = (payload) => {
+                this.off(event, wrapper);
+                handler(payload);
+            };
+            wrapper._original = handler;
+            return this.on(event, wrapper);
+        },
+
+        // 触发事件（单个监听器出错不影响其他监听器和SDK自身）
+        emit(event, payload) {
+            const handlers = (this.eventHandlers[event] || []).slice();
+            handlers.forEach(handler => {
+                try {
+                    handler(payload);
+                } catch (e) {
+                    console.error(`[IM-SDK] Error in "${event}" handler:`, e);
+                }
+            });
         },
 
         /**
@@ -95,12 +643,15 @@
         },
 
         /**
-         * 从服务器加载文案配置
+         * 从服务器加载访客语言的文案配置
+         * 语言取 init 的 locale 参数，没有则取浏览器语言；服务端不支持时返回后台默认语言的文案
          */
         async loadTextsConfig() {
+            const requested = this.detectLocale();
             try {
                 const httpServer = this.getApiServer();
-                const res = await fetch(`${httpServer}/config/sdk-texts`);
+                const params = new URLSearchParams({ lang: requested });
+                const res = await fetch(`${httpServer}/config/sdk-texts?${params}`);
                 const data = await res.json();
                 if (data.code === 0 && data.data) {
                     this.texts = { ...defaultTexts, ...data.data };
@@ -109,6 +660,78 @@
             } catch (e) {
                 console.log('[IM-SDK] Load texts config failed, using defaults', e);
             }
+            this.applyLocale(requested);
+        },
+
+        // 访客语言：init 的 locale 参数 > 浏览器语言，无效的语言标签跳过
+        detectLocale() {
+            const candidates = [this.config.locale, ...(navigator.languages || []), navigator.language];
+            for (const candidate of candidates) {
+                if (!candidate) continue;
+                try {
+                    return Intl.getCanonicalLocales(candidate)[0];
+                } catch (e) {}
+            }
+            return 'en';
+        },
+
+        /**
+         * 确定日期格式和文字方向
+         * 跟随文案实际使用的语言：访客语言与之相同时保留地区（如 en-GB 的日期顺序），否则直接使用文案的语言
+         */
+        applyLocale(requested) {
+            const language = this.texts.language || 'en';
+            const primary = language.toLowerCase().split('-')[0];
+            this.locale = requested.toLowerCase().split('-')[0] === primary ? requested : language;
+            this.direction = RTL_LANGUAGES.includes(primary) ? 'rtl' : 'ltr';
+            this.dateFormats = {};
+        },
+
+        /**
+         * 按访客语言格式化日期时间
+         * @param {Date} date 日期
+         * @param {Object} options Intl.DateTimeFormat 选项
+         */
+        formatDateTime(date, options) {
+            const key = JSON.stringify(options);
+            if (!this.dateFormats[key]) {
+                try {
+                    this.dateFormats[key] = new Intl.DateTimeFormat(this.locale, options);
+                } catch (e) {
+                    this.dateFormats[key] = new Intl.DateTimeFormat('en', options);
+                }
+            }
+            return this.dateFormats[key].format(date);
+        },
+
+        async loadSettings() {
+            try {
+                const res = await fetch(`${this.getApiServer()}/config/sdk-settings`);
+                const data = await res.json();
+                if (data.code === 0 && data.data) {
+                    this.settings = { ...defaultSettings, ...data.data };
+                }
+            } catch (e) {
+                console.log('[IM-SDK] Load settings failed, using defaults', e);
+            }
+        },
+
+        // 加载富文本渲染器（与客服工作台共用），失败时按纯文本显示
+        async loadRichText() {
+            if (window.ImRichText) return;
+            try {
+                await this.loadScript(`${this.getApiServer()}/sdk/im-richtext.js`);
+            } catch (e) {
+                console.log('[IM-SDK] Load rich text renderer failed, using plain text', e);
+            }
+        },
+
+        // 渲染文本消息：链接、换行、粗体/斜体、行内代码、列表（原始 HTML 一律转义）
+        renderRichText(text) {
+            if (window.ImRichText) {
+                return window.ImRichText.render(text);
+            }
+            return this.escapeHtml(text).replace(/\n/g, '<br>');
         },
 
         /**
@@ -124,43 +747,195 @@
         },
 
         /**
-         * 从本地存储加载消息
+         * 关联已登录用户身份
+         * signature 由宿主网站后端生成：hash_hmac('sha256', userId, IDENTITY_SECRET)
+         * 服务端会把当前匿名访客并入该用户，多设备、多浏览器共享同一份聊天记录
+         */
+        async identify({ userId, name, email, signature } = {}) {
+            if (!userId || !signature) {
+                console.error('[IM-SDK] identify 需要 userId 和 signature');
+                return false;
+            }
+            if (!this.state.customerUuid) {
+                this.loadCustomerUuid();
+            }
+
+            try {
+                const params = new URLSearchParams({
+                    uuid: this.state.customerUuid,
+                    user_id: String(userId),
+                    name: name || '',
+                    email: email || '',
+                    signature: signature
+                });
+                const res = await fetch(`${this.getApiServer()}/customer/identify`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: params.toString()
+                });
+                const data = await res.json();
+                if (data.code !== 0) {
+                    console.error('[IM-SDK] Identify failed:', data.message);
+                    return false;
+                }
+
+                // 并入了已有客户，切换到该客户的UUID
+                if (data.data.uuid && data.data.uuid !== this.state.customerUuid) {
+                    this.switchCustomer(data.data.uuid);
+                }
+                // 宿主网站已提供用户身份，不再需要咨询前表单
+                this.finishPreChat();
+                return true;
+            } catch (e) {
+                console.error('[IM-SDK] Identify failed:', e);
+                return false;
+            }
+        },
+
+        /**
+         * 写入客户自定义属性，显示在客服工作台的客户信息面板中
+         * 值可以是字符串、数字或布尔值（保留类型），null 表示删除该属性；未传入的属性保持不变
+         * 例：ImSDK.setAttributes({ plan: 'pro', orderId: 123, lifetimeValue: 540 })
+         * 返回保存后的全部属性，失败返回 null
          */
-        loadMessages() {
+        async setAttributes(attributes = {}) {
+            if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+                console.error('[IM-SDK] setAttributes 需要传入对象');
+                return null;
+            }
+            if (!this.state.customerUuid) {
+                this.loadCustomerUuid();
+            }
+
             try {
-                const saved = localStorage.getItem('im_messages');
-                if (saved) {
-                    this.state.messages = JSON.parse(saved);
+                const res = await fetch(`${this.getApiServer()}/customer/attributes`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ uuid: this.state.customerUuid, attributes })
+                });
+                const data = await res.json();
+                if (data.code !== 0) {
+                    console.error('[IM-SDK] Set attributes failed:', data.message);
+                    return null;
                 }
+                return data.data.attributes;
             } catch (e) {
-                this.state.messages = [];
+                console.error('[IM-SDK] Set attributes failed:', e);
+                return null;
+            }
+        },
+
+        // 切换客户UUID（本地缓存的消息属于旧客户，清空后重新连接并拉取历史）
+        // 其他标签页共用同一个客户身份，一并切换
+        switchCustomer(uuid, broadcast = true) {
+            if (broadcast) {
+                this.postToTabs({ type: 'customer_switched', to: uuid });
+            }
+            localStorage.setItem('im_customer_uuid', uuid);
+            this.state.customerUuid = uuid;
+            this.state.conversationId = null;
+            // 未发出的消息保留，连接新客户后继续发送
+            this.state.messages = this.state.messages.filter(m => m.sendStatus);
+            this.state.hasMoreHistory = true;
+            this.indexMessages();
+            MessageStore.clear();
+            if (this.elements.messages) {
+                this.renderMessages();
+            }
+            // 评价框和排队提示属于原客户的会话
+            this.hideCsatSurvey();
+            this.hideQueueBanner();
+
+            if (this.ws) {
+                this.clearReconnect();
+                this.closeSocket();
+                this.stopHeartbeat();
+                this.state.isConnected = false;
+                this.connect();
             }
         },
 
         /**
-         * 保存消息到本地存储
+         * 从本地存储加载最近的消息和未发送成功的消息
+         * 更早的消息在滚动到顶部时按需读取（见 loadOlderMessages）
          */
-        saveMessages() {
+        async loadMessages() {
+            await MessageStore.open();
             try {
-                // 只保留最近100条
-                const toSave = this.state.messages.slice(-100);
-                localStorage.setItem('im_messages', JSON.stringify(toSave));
+                // 只加载最近一个会话的消息，与服务端历史接口返回的会话一致
+                const conversationId = await MessageStore.getLatestConversationId();
+                this.state.messages = conversationId ? await MessageStore.getLatest(conversationId, HISTORY_PAGE_SIZE) : [];
             } catch (e) {
-                console.error('[IM-SDK] Save messages failed', e);
+                this.state.messages = [];
+            }
+
+            // 恢复上次未发送成功的消息（连接后自动重发，服务端按 client_msg_id 去重）
+            try {
+                const outbox = await MessageStore.getOutbox();
+                outbox.forEach(m => {
+                    m.sendStatus = 'sending';
+                    this.state.messages.push(m);
+                });
+            } catch (e) {}
+
+            this.indexMessages();
+        },
+
+        // 重建消息ID索引
+        indexMessages() {
+            this.state.messageIds = new Set(this.state.messages.map(m => m.id));
+        },
+
+        /**
+         * 保存单条消息到本地存储
+         * 已确认的消息按会话入库，待发送/发送失败的消息存 outbox
+         */
+        saveMessage(msg) {
+            if (msg.sendStatus) {
+                MessageStore.putOutbox(msg);
+                return;
+            }
+            if (msg.client_msg_id) {
+                MessageStore.deleteOutbox(msg.client_msg_id);
+            }
+            if (MessageStore.isPersistable(msg)) {
+                MessageStore.putMessages([msg]);
+            }
+        },
+
+        /**
+         * 创建 Shadow Root
+         * 组件的样式和DOM与宿主页面互相隔离；浏览器不支持或配置关闭时使用兼容模式
+         */
+        createRoot() {
+            const mode = this.config.shadowDom;
+            if (!mode || typeof document.body.attachShadow !== 'function') {
+                this.shadowRoot = null;
+                return;
             }
+
+            const host = document.createElement('div');
+            host.id = 'im-sdk-host';
+            // 屏蔽宿主页面对宿主节点本身的样式影响（如全局 div 样式）
+            host.setAttribute('style', 'all: initial !important;');
+            document.body.appendChild(host);
+
+            this.elements.host = host;
+            this.shadowRoot = host.attachShadow({ mode: mode === 'closed' ? 'closed' : 'open' });
         },
 
         /**
          * 注入样式
          */
         injectStyles() {
-            if (document.getElementById('im-sdk-styles')) return;
+            const parent = this.shadowRoot || document.head;
+            if (parent.querySelector('#im-sdk-styles')) return;
 
             const css = this.getStyles();
             const style = document.createElement('style');
             style.id = 'im-sdk-styles';
             style.textContent = css;
-            document.head.appendChild(style);
+            parent.appendChild(style);
         },
 
         /**
@@ -171,7 +946,12 @@
             const position = this.config.position;
             const positionStyle = position === 'left' ? 'left: 20px;' : 'right: 20px;';
 
-            return `
+            // Shadow DOM 模式下重置从宿主继承的样式（字体、颜色、行高等）
+            const hostReset = this.shadowRoot ? `
+                :host { all: initial; }
+            ` : '';
+
+            return `${hostReset}
                 .im-sdk-widget {
                     position: fixed !important;
                     bottom: 20px !important;
@@ -187,6 +967,8 @@
                     border-radius: 50%;
                     background: ${theme};
                     box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+                    border: none;
+                    padding: 0;
                     cursor: pointer;
                     display: flex;
                     align-items: center;
@@ -246,8 +1028,20 @@
                 .im-sdk-status {
                     font-size: 12px;
                     opacity: 0.8;
-                    margin-right: 12px;
+                    margin-inline-end: 12px;
+                }
+                .im-sdk-retry {
+                    background: rgba(255,255,255,0.2);
+                    border: 1px solid rgba(255,255,255,0.6);
+                    color: white;
+                    border-radius: 10px;
+                    padding: 0 8px;
+                    margin-inline-start: 6px;
+                    font-size: 12px;
+                    line-height: 18px;
+                    cursor: pointer;
                 }
+                .im-sdk-retry:hover { background: rgba(255,255,255,0.3); }
                 .im-sdk-close {
                     background: none;
                     border: none;
@@ -306,25 +1100,98 @@
                 }
                 .im-sdk-msg-left {
                     background: white;
-                    border-bottom-left-radius: 4px;
+                    border-end-start-radius: 4px;
                 }
                 .im-sdk-msg-right {
                     background: ${theme};
                     color: white;
-                    border-bottom-right-radius: 4px;
+                    border-end-end-radius: 4px;
+                }
+                .im-sdk-msg a:not(.im-sdk-file-card) {
+                    color: inherit;
+                    text-decoration: underline;
+                }
+                .im-sdk-msg-left a:not(.im-sdk-file-card) { color: ${theme}; }
+                .im-sdk-link-preview {
+                    display: flex;
+                    flex-direction: column;
+                    margin-top: 6px;
+                    max-width: 240px;
+                    overflow: hidden;
+                    border: 1px solid #eee;
+                    border-radius: 8px;
+                    background: white;
+                    color: #333;
+                    text-decoration: none;
+                }
+                .im-sdk-msg-wrapper-right .im-sdk-link-preview { margin-inline-start: auto; }
+                .im-sdk-link-preview-image {
+                    width: 100%;
+                    max-height: 120px;
+                    object-fit: cover;
+                }
+                .im-sdk-link-preview-info {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 2px;
+                    padding: 8px 10px;
+                }
+                .im-sdk-link-preview-site {
+                    font-size: 11px;
+                    color: #999;
+                }
+                .im-sdk-link-preview-title {
+                    font-size: 13px;
+                    font-weight: 500;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+                .im-sdk-link-preview-desc {
+                    font-size: 12px;
+                    color: #666;
+                    display: -webkit-box;
+                    -webkit-line-clamp: 2;
+                    -webkit-box-orient: vertical;
+                    overflow: hidden;
+                }
+                .im-sdk-msg ul {
+                    margin: 4px 0;
+                    padding-inline-start: 18px;
+                }
+                .im-sdk-msg code {
+                    padding: 1px 4px;
+                    border-radius: 4px;
+                    background: rgba(0, 0, 0, 0.08);
+                    font-family: Menlo, Consolas, monospace;
+                    font-size: 0.9em;
                 }
                 .im-sdk-msg-time {
                     font-size: 10px;
                     color: #999;
                     margin-top: 4px;
                 }
-                .im-sdk-msg-wrapper-right .im-sdk-msg-time { text-align: right; }
+                .im-sdk-msg-wrapper-right .im-sdk-msg-time { text-align: end; }
                 .im-sdk-msg-system {
                     text-align: center;
                     color: #999;
                     font-size: 12px;
                     margin: 10px 0;
                 }
+                .im-sdk-date-separator {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    color: #999;
+                    font-size: 11px;
+                    margin: 12px 0;
+                }
+                .im-sdk-date-separator::before,
+                .im-sdk-date-separator::after {
+                    content: '';
+                    flex: 1;
+                    border-top: 1px solid #e8e8e8;
+                }
                 .im-sdk-typing {
                     color: #999;
                     font-size: 12px;
@@ -334,14 +1201,33 @@
                 .im-sdk-typing.show { display: block; }
                 .im-sdk-msg-status {
                     font-size: 11px;
-                    margin-left: 6px;
+                    margin-inline-start: 6px;
                     opacity: 0.7;
                 }
                 .im-sdk-msg-status.read { color: #52c41a; }
-                .im-sdk-footer {
-                    padding: 12px;
-                    background: white;
-                    border-top: 1px solid #eee;
+                .im-sdk-msg-status.failed {
+                    display: inline-block;
+                    width: 16px;
+                    height: 16px;
+                    line-height: 16px;
+                    text-align: center;
+                    border-radius: 50%;
+                    background: #ff4d4f;
+                    color: white;
+                    opacity: 1;
+                    font-weight: bold;
+                }
+                .im-sdk-msg-failed {
+                    font-size: 11px;
+                    color: #ff4d4f;
+                    margin-top: 4px;
+                    text-align: end;
+                    cursor: pointer;
+                }
+                .im-sdk-footer {
+                    padding: 12px;
+                    background: white;
+                    border-top: 1px solid #eee;
                     display: flex;
                     gap: 8px;
                 }
@@ -381,6 +1267,284 @@
                 }
                 .im-sdk-image-btn:hover img { opacity: 1; }
                 .im-sdk-image-input { display: none; }
+                .im-sdk-file-btn {
+                    background: none;
+                    border: none;
+                    cursor: pointer;
+                    padding: 8px 4px;
+                    font-size: 18px;
+                    line-height: 1;
+                    opacity: 0.6;
+                    transition: opacity 0.2s;
+                }
+                .im-sdk-file-btn:hover { opacity: 1; }
+                .im-sdk-file-input { display: none; }
+                .im-sdk-hours-notice {
+                    display: none;
+                    padding: 8px 16px;
+                    font-size: 12px;
+                    line-height: 1.5;
+                    color: #8a6d3b;
+                    background: #fffbe6;
+                    border-bottom: 1px solid #ffe58f;
+                }
+                .im-sdk-hours-notice.show { display: block; }
+                .im-sdk-queue {
+                    display: none;
+                    padding: 8px 16px;
+                    font-size: 12px;
+                    line-height: 1.5;
+                    color: #333;
+                    background: #f0f7ff;
+                    border-bottom: 1px solid #e6e6e6;
+                }
+                .im-sdk-queue.show { display: block; }
+                .im-sdk-queue strong { color: ${theme}; }
+                .im-sdk-offline-active .im-sdk-queue { display: none; }
+                .im-sdk-prechat,
+                .im-sdk-offline {
+                    display: none;
+                    flex: 1;
+                    flex-direction: column;
+                    gap: 12px;
+                    padding: 20px;
+                    overflow-y: auto;
+                    background: #f5f5f5;
+                }
+                .im-sdk-prechat-active .im-sdk-prechat,
+                .im-sdk-offline-active .im-sdk-offline { display: flex; }
+                .im-sdk-prechat-active .im-sdk-messages,
+                .im-sdk-prechat-active .im-sdk-typing,
+                .im-sdk-prechat-active .im-sdk-footer,
+                .im-sdk-offline-active .im-sdk-prechat,
+                .im-sdk-offline-active .im-sdk-messages,
+                .im-sdk-offline-active .im-sdk-typing,
+                .im-sdk-offline-active .im-sdk-csat,
+                .im-sdk-offline-active .im-sdk-footer { display: none; }
+                .im-sdk-prechat-title {
+                    font-size: 14px;
+                    color: #333;
+                    line-height: 1.5;
+                }
+                .im-sdk-prechat-field {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 4px;
+                    font-size: 13px;
+                    color: #666;
+                }
+                .im-sdk-prechat-field input,
+                .im-sdk-prechat-field select,
+                .im-sdk-prechat-field textarea {
+                    padding: 9px 12px;
+                    border: 1px solid #ddd;
+                    border-radius: 6px;
+                    font-size: 14px;
+                    background: white;
+                    outline: none;
+                }
+                .im-sdk-prechat-field textarea {
+                    font-family: inherit;
+                    resize: vertical;
+                }
+                .im-sdk-prechat-field input:focus,
+                .im-sdk-prechat-field select:focus,
+                .im-sdk-prechat-field textarea:focus { border-color: ${theme}; }
+                .im-sdk-prechat-error {
+                    min-height: 16px;
+                    font-size: 12px;
+                    color: #ff4d4f;
+                }
+                .im-sdk-prechat-submit {
+                    background: ${theme};
+                    color: white;
+                    border: none;
+                    border-radius: 20px;
+                    padding: 10px 20px;
+                    cursor: pointer;
+                    font-size: 14px;
+                }
+                .im-sdk-prechat-submit:disabled { opacity: 0.6; cursor: not-allowed; }
+                .im-sdk-csat {
+                    display: none;
+                    position: relative;
+                    padding: 14px 16px;
+                    background: white;
+                    border-top: 1px solid #eee;
+                    text-align: center;
+                }
+                .im-sdk-csat.show { display: block; }
+                .im-sdk-csat-close {
+                    position: absolute;
+                    top: 6px;
+                    inset-inline-end: 8px;
+                    background: none;
+                    border: none;
+                    color: #999;
+                    font-size: 18px;
+                    cursor: pointer;
+                }
+                .im-sdk-csat-title {
+                    font-size: 13px;
+                    color: #333;
+                    margin-bottom: 10px;
+                    padding: 0 16px;
+                }
+                .im-sdk-csat-scores {
+                    display: flex;
+                    justify-content: center;
+                    gap: 6px;
+                    margin-bottom: 10px;
+                }
+                .im-sdk-csat-score {
+                    background: none;
+                    border: none;
+                    cursor: pointer;
+                    font-size: 24px;
+                    line-height: 1;
+                    padding: 2px;
+                }
+                .im-sdk-csat-stars .im-sdk-csat-score { color: #ddd; }
+                .im-sdk-csat-stars .im-sdk-csat-score.active { color: #faad14; }
+                .im-sdk-csat-thumbs .im-sdk-csat-score {
+                    opacity: 0.4;
+                    border-radius: 8px;
+                    padding: 4px 10px;
+                }
+                .im-sdk-csat-thumbs .im-sdk-csat-score.active {
+                    opacity: 1;
+                    background: #f5f5f5;
+                }
+                .im-sdk-csat-comment {
+                    width: 100%;
+                    box-sizing: border-box;
+                    padding: 8px 10px;
+                    border: 1px solid #ddd;
+                    border-radius: 6px;
+                    font-size: 13px;
+                    font-family: inherit;
+                    resize: none;
+                    outline: none;
+                }
+                .im-sdk-csat-comment:focus { border-color: ${theme}; }
+                .im-sdk-csat-error {
+                    min-height: 14px;
+                    margin: 4px 0;
+                    font-size: 12px;
+                    color: #ff4d4f;
+                }
+                .im-sdk-csat-submit {
+                    background: ${theme};
+                    color: white;
+                    border: none;
+                    border-radius: 16px;
+                    padding: 6px 20px;
+                    cursor: pointer;
+                    font-size: 13px;
+                }
+                .im-sdk-csat-submit:disabled { opacity: 0.5; cursor: not-allowed; }
+                .im-sdk-prechat-active .im-sdk-csat { display: none; }
+                .im-sdk-emoji-btn {
+                    background: none;
+                    border: none;
+                    cursor: pointer;
+                    padding: 8px 4px;
+                    font-size: 18px;
+                    line-height: 1;
+                    opacity: 0.6;
+                    transition: opacity 0.2s;
+                }
+                .im-sdk-emoji-btn:hover { opacity: 1; }
+                .im-sdk-emoji-panel {
+                    display: none;
+                    position: absolute;
+                    left: 8px;
+                    right: 8px;
+                    bottom: 68px;
+                    background: white;
+                    border: 1px solid #eee;
+                    border-radius: 8px;
+                    box-shadow: 0 4px 16px rgba(0,0,0,0.12);
+                    z-index: 5;
+                }
+                .im-sdk-emoji-panel.show { display: block; }
+                .im-sdk-emoji-tabs {
+                    display: flex;
+                    gap: 4px;
+                    padding: 6px 8px;
+                    border-bottom: 1px solid #f0f0f0;
+                }
+                .im-sdk-emoji-tabs button,
+                .im-sdk-emoji-grid button {
+                    background: none;
+                    border: none;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    font-size: 20px;
+                    line-height: 1;
+                    padding: 4px;
+                }
+                .im-sdk-emoji-tabs button.active { background: #f0f0f0; }
+                .im-sdk-emoji-grid {
+                    display: grid;
+                    grid-template-columns: repeat(8, 1fr);
+                    max-height: 180px;
+                    overflow-y: auto;
+                    padding: 6px 8px;
+                }
+                .im-sdk-emoji-grid button:hover { background: #f5f5f5; }
+                .im-sdk-reactions {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 4px;
+                    margin-top: 4px;
+                }
+                .im-sdk-msg-wrapper-right .im-sdk-reactions { justify-content: flex-end; }
+                .im-sdk-reaction,
+                .im-sdk-react-add,
+                .im-sdk-react-bar button {
+                    background: white;
+                    border: 1px solid #eee;
+                    border-radius: 12px;
+                    cursor: pointer;
+                    font-size: 12px;
+                    padding: 2px 8px;
+                }
+                .im-sdk-reaction.mine {
+                    border-color: ${theme};
+                    background: #f5f5f5;
+                }
+                .im-sdk-react-add {
+                    color: #999;
+                    opacity: 0;
+                    transition: opacity 0.2s;
+                }
+                .im-sdk-msg-wrapper:hover .im-sdk-react-add,
+                .im-sdk-react-add:focus { opacity: 1; }
+                .im-sdk-react-bar {
+                    display: flex;
+                    gap: 4px;
+                    margin-top: 4px;
+                }
+                .im-sdk-react-bar button { font-size: 16px; }
+                .im-sdk-file-card {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    min-width: 180px;
+                    max-width: 240px;
+                    color: inherit;
+                    text-decoration: none;
+                }
+                .im-sdk-file-icon { font-size: 28px; flex-shrink: 0; }
+                .im-sdk-file-info { min-width: 0; }
+                .im-sdk-file-name {
+                    font-size: 14px;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+                .im-sdk-file-size { font-size: 12px; opacity: 0.7; }
                 .im-sdk-msg-image {
                     max-width: 200px;
                     max-height: 200px;
@@ -389,6 +1553,14 @@
                     display: block;
                 }
                 .im-sdk-msg-image:hover { opacity: 0.9; }
+                .im-sdk-msg-image-btn {
+                    display: block;
+                    padding: 0;
+                    border: none;
+                    border-radius: 8px;
+                    background: none;
+                    cursor: pointer;
+                }
                 .im-sdk-image-modal {
                     position: fixed;
                     top: 0;
@@ -408,13 +1580,125 @@
                     max-height: 90%;
                     object-fit: contain;
                 }
+                .im-sdk-image-close {
+                    position: absolute;
+                    top: 16px;
+                    inset-inline-end: 16px;
+                    background: none;
+                    border: none;
+                    color: white;
+                    font-size: 32px;
+                    line-height: 1;
+                    cursor: pointer;
+                }
+                /* 键盘操作时显示焦点框；主题色背景上改用白色 */
+                .im-sdk-widget :focus-visible {
+                    outline: 2px solid ${theme};
+                    outline-offset: 2px;
+                }
+                .im-sdk-header :focus-visible,
+                .im-sdk-image-modal :focus-visible { outline-color: white; }
+                /* 只给屏幕阅读器看的内容 */
+                .im-sdk-sr-only {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    padding: 0;
+                    margin: -1px;
+                    overflow: hidden;
+                    clip: rect(0, 0, 0, 0);
+                    white-space: nowrap;
+                    border: 0;
+                }
                 .im-sdk-uploading {
                     color: #999;
                     font-size: 12px;
                     padding: 8px 16px;
                     display: none;
+                    align-items: center;
+                    gap: 8px;
+                }
+                .im-sdk-uploading.show { display: flex; }
+                .im-sdk-uploading-text { flex-shrink: 0; }
+                .im-sdk-progress {
+                    flex: 1;
+                    height: 4px;
+                    background: #eee;
+                    border-radius: 2px;
+                    overflow: hidden;
+                }
+                .im-sdk-progress-bar {
+                    width: 0;
+                    height: 100%;
+                    background: ${theme};
+                    transition: width 0.2s;
                 }
-                .im-sdk-uploading.show { display: block; }
+                .im-sdk-upload-cancel {
+                    background: none;
+                    border: none;
+                    color: #999;
+                    cursor: pointer;
+                    font-size: 12px;
+                    padding: 0;
+                    text-decoration: underline;
+                }
+                .im-sdk-upload-cancel:hover { color: #666; }
+                .im-sdk-window.im-sdk-dragover .im-sdk-messages {
+                    outline: 2px dashed ${theme};
+                    outline-offset: -8px;
+                }
+                .im-sdk-preview {
+                    position: absolute;
+                    top: 0;
+                    left: 0;
+                    right: 0;
+                    bottom: 0;
+                    background: rgba(0,0,0,0.45);
+                    display: none;
+                    align-items: center;
+                    justify-content: center;
+                    z-index: 2;
+                }
+                .im-sdk-preview.show { display: flex; }
+                .im-sdk-preview-box {
+                    background: white;
+                    border-radius: 12px;
+                    padding: 16px;
+                    width: 85%;
+                    box-sizing: border-box;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 12px;
+                }
+                .im-sdk-preview-image {
+                    max-width: 100%;
+                    max-height: 220px;
+                    object-fit: contain;
+                    align-self: center;
+                    border-radius: 8px;
+                }
+                .im-sdk-preview-caption {
+                    border: 1px solid #ddd;
+                    border-radius: 20px;
+                    padding: 8px 14px;
+                    font-size: 14px;
+                    outline: none;
+                }
+                .im-sdk-preview-caption:focus { border-color: ${theme}; }
+                .im-sdk-preview-actions {
+                    display: flex;
+                    justify-content: flex-end;
+                    gap: 8px;
+                }
+                .im-sdk-preview-actions button {
+                    border: none;
+                    border-radius: 16px;
+                    padding: 6px 16px;
+                    cursor: pointer;
+                    font-size: 14px;
+                }
+                .im-sdk-preview-cancel { background: #f0f0f0; color: #333; }
+                .im-sdk-preview-send { background: ${theme}; color: white; }
             `;
         },
 
@@ -424,108 +1708,896 @@
         render() {
             const widget = document.createElement('div');
             widget.className = 'im-sdk-widget';
+            widget.lang = this.locale;
+            widget.dir = this.direction;
             widget.innerHTML = this.getBubbleHTML() + this.getWindowHTML();
-            document.body.appendChild(widget);
+            (this.shadowRoot || document.body).appendChild(widget);
+
+            this.elements.widget = widget;
+            this.elements.bubble = widget.querySelector('.im-sdk-bubble');
+            this.elements.badge = widget.querySelector('.im-sdk-badge');
+            this.elements.window = widget.querySelector('.im-sdk-window');
+            this.elements.messages = widget.querySelector('.im-sdk-messages');
+            this.elements.preChatForm = widget.querySelector('.im-sdk-prechat');
+            this.elements.csatForm = widget.querySelector('.im-sdk-csat');
+            this.elements.offlineForm = widget.querySelector('.im-sdk-offline');
+            this.elements.hoursNotice = widget.querySelector('.im-sdk-hours-notice');
+            this.elements.queueBanner = widget.querySelector('.im-sdk-queue');
+            this.elements.input = widget.querySelector('.im-sdk-input');
+            this.elements.sendBtn = widget.querySelector('.im-sdk-send');
+            this.elements.closeBtn = widget.querySelector('.im-sdk-close');
+            this.elements.status = widget.querySelector('.im-sdk-status');
+            this.elements.typing = widget.querySelector('.im-sdk-typing');
+            this.elements.imageBtn = widget.querySelector('.im-sdk-image-btn');
+            this.elements.imageInput = widget.querySelector('.im-sdk-image-input');
+            this.elements.fileBtn = widget.querySelector('.im-sdk-file-btn');
+            this.elements.fileInput = widget.querySelector('.im-sdk-file-input');
+            this.elements.emojiBtn = widget.querySelector('.im-sdk-emoji-btn');
+            this.elements.emojiPanel = widget.querySelector('.im-sdk-emoji-panel');
+            this.elements.imageModal = widget.querySelector('.im-sdk-image-modal');
+            this.elements.imageClose = widget.querySelector('.im-sdk-image-close');
+            this.elements.liveRegion = widget.querySelector('.im-sdk-live');
+            this.elements.uploading = widget.querySelector('.im-sdk-uploading');
+            this.elements.uploadingText = widget.querySelector('.im-sdk-uploading-text');
+            this.elements.uploadProgress = widget.querySelector('.im-sdk-progress-bar');
+            this.elements.uploadCancel = widget.querySelector('.im-sdk-upload-cancel');
+            this.elements.preview = widget.querySelector('.im-sdk-preview');
+            this.elements.previewContent = widget.querySelector('.im-sdk-preview-content');
+            this.elements.previewCaption = widget.querySelector('.im-sdk-preview-caption');
+        },
+
+        getBubbleHTML() {
+            return `
+                <button type="button" class="im-sdk-bubble" aria-label="${this.escapeHtml(this.texts.a11y_open_chat)}" aria-haspopup="dialog">
+                    <svg viewBox="0 0 24 24" aria-hidden="true" focusable="false"><path d="M20 2H4c-1.1 0-2 .9-2 2v18l4-4h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2z"/></svg>
+                    <span class="im-sdk-badge" aria-hidden="true">0</span>
+                </button>
+            `;
+        },
+
+        getWindowHTML() {
+            return `
+                <div class="im-sdk-window" role="dialog" aria-modal="true" aria-label="${this.escapeHtml(this.config.title)}" style="display:none;">
+                    <div class="im-sdk-header">
+                        <span class="im-sdk-title">${this.config.title}</span>
+                        <span class="im-sdk-status">${this.texts.status_disconnected}</span>
+                        <button type="button" class="im-sdk-close" aria-label="${this.escapeHtml(this.texts.a11y_close_chat)}">&times;</button>
+                    </div>
+                    <div class="im-sdk-hours-notice"></div>
+                    <div class="im-sdk-queue"></div>
+                    <form class="im-sdk-prechat" novalidate></form>
+                    <form class="im-sdk-offline" novalidate></form>
+                    <div class="im-sdk-messages"></div>
+                    <div class="im-sdk-typing">${this.texts.agent_typing}</div>
+                    <form class="im-sdk-csat" novalidate></form>
+                    <div class="im-sdk-uploading">
+                        <span class="im-sdk-uploading-text">${this.texts.uploading}</span>
+                        <div class="im-sdk-progress"><div class="im-sdk-progress-bar"></div></div>
+                        <button type="button" class="im-sdk-upload-cancel">${this.texts.cancel}</button>
+                    </div>
+                    <div class="im-sdk-footer">
+                        <button type="button" class="im-sdk-image-btn" title="${this.escapeHtml(this.texts.a11y_send_image)}" aria-label="${this.escapeHtml(this.texts.a11y_send_image)}"><img src="https://customservice95.oss-us-east-1.aliyuncs.com/im-mvp/dev/images/20260209_61f6e30bdda1c07c24a4d58796ea0977.png" alt=""></button>
+                        <input type="file" class="im-sdk-image-input" accept="image/jpeg,image/png,image/gif,image/webp,image/heic,image/heif,image/bmp,image/svg+xml,image/tiff,.jpg,.jpeg,.png,.gif,.webp,.heic,.heif,.bmp,.svg,.tiff,.tif,.ico">
+                        <button type="button" class="im-sdk-file-btn" title="${this.escapeHtml(this.texts.a11y_send_file)}" aria-label="${this.escapeHtml(this.texts.a11y_send_file)}">📎</button>
+                        <input type="file" class="im-sdk-file-input" accept="${this.getAllowedFileExts().map(ext => '.' + ext).join(',')}">
+                        <button type="button" class="im-sdk-emoji-btn" title="${this.escapeHtml(this.texts.a11y_emoji)}" aria-label="${this.escapeHtml(this.texts.a11y_emoji)}" aria-expanded="false">😊</button>
+                        <input type="text" class="im-sdk-input" dir="auto" placeholder="${this.texts.input_placeholder}" aria-label="${this.escapeHtml(this.texts.a11y_message_input)}">
+                        <button type="button" class="im-sdk-send" aria-label="${this.escapeHtml(this.texts.send_button)}">➤</button>
+                    </div>
+                    <div class="im-sdk-emoji-panel"></div>
+                    <div class="im-sdk-preview">
+                        <div class="im-sdk-preview-box">
+                            <div class="im-sdk-preview-content"></div>
+                            <input type="text" class="im-sdk-preview-caption" placeholder="${this.escapeHtml(this.texts.caption_placeholder)}">
+                            <div class="im-sdk-preview-actions">
+                                <button class="im-sdk-preview-cancel">${this.texts.cancel}</button>
+                                <button class="im-sdk-preview-send">${this.texts.send_button}</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+                <div class="im-sdk-live im-sdk-sr-only" aria-live="polite" aria-atomic="true"></div>
+                <div class="im-sdk-image-modal" role="dialog" aria-modal="true" aria-label="${this.escapeHtml(this.texts.a11y_image)}">
+                    <button type="button" class="im-sdk-image-close" aria-label="${this.escapeHtml(this.texts.a11y_close_image)}">&times;</button>
+                    <img src="" alt="">
+                </div>
+            `;
+        },
+
+        bindEvents() {
+            this.listen(this.elements.bubble, 'click', () => this.toggle());
+            this.listen(this.elements.closeBtn, 'click', () => this.close());
+            this.listen(this.elements.sendBtn, 'click', () => this.sendMessage());
+            this.listen(this.elements.input, 'keypress', (e) => {
+                if (e.key === 'Enter') this.sendMessage();
+            });
+            // 打字状态
+            this.listen(this.elements.input, 'input', () => this.sendTypingStatus(true));
+            this.listen(this.elements.input, 'blur', () => this.sendTypingStatus(false));
+            // 图片上传
+            this.listen(this.elements.imageBtn, 'click', () => this.elements.imageInput.click());
+            this.listen(this.elements.imageInput, 'change', (e) => this.handleImageUpload(e));
+            this.listen(this.elements.fileBtn, 'click', () => this.elements.fileInput.click());
+            this.listen(this.elements.fileInput, 'change', (e) => this.handleFileUpload(e));
+            this.listen(this.elements.uploadCancel, 'click', () => this.cancelUpload());
+            // 粘贴截图、拖入文件：先预览，确认后再发送
+            this.listen(this.elements.input, 'paste', (e) => {
+                const file = e.clipboardData && e.clipboardData.files[0];
+                if (file) {
+                    e.preventDefault();
+                    this.openFilePreview(file);
+                }
+            });
+            this.listen(this.elements.window, 'dragover', (e) => {
+                if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+                e.preventDefault();
+                this.elements.window.classList.add('im-sdk-dragover');
+            });
+            this.listen(this.elements.window, 'dragleave', (e) => {
+                if (!this.elements.window.contains(e.relatedTarget)) {
+                    this.elements.window.classList.remove('im-sdk-dragover');
+                }
+            });
+            this.listen(this.elements.window, 'drop', (e) => {
+                this.elements.window.classList.remove('im-sdk-dragover');
+                const file = e.dataTransfer && e.dataTransfer.files[0];
+                if (file) {
+                    e.preventDefault();
+                    this.openFilePreview(file);
+                }
+            });
+            this.listen(this.elements.preview.querySelector('.im-sdk-preview-cancel'), 'click', () => this.closeFilePreview());
+            this.listen(this.elements.preview.querySelector('.im-sdk-preview-send'), 'click', () => this.confirmFilePreview());
+            this.listen(this.elements.previewCaption, 'keydown', (e) => {
+                if (e.key === 'Enter') this.confirmFilePreview();
+            });
+            // 图片放大关闭：点击任意位置或按 Esc，打开期间焦点限制在预览内
+            this.listen(this.elements.imageModal, 'click', () => this.closeImageModal());
+            this.listen(this.elements.imageModal, 'keydown', (e) => {
+                if (e.key === 'Escape') this.closeImageModal();
+                if (e.key === 'Tab') this.trapFocus(e, this.elements.imageModal);
+            });
+            // 手动重连
+            this.listen(this.elements.status, 'click', (e) => {
+                if (e.target.closest('.im-sdk-retry')) this.reconnectNow();
+            });
+            // 网络状态与页面可见性
+            this.listen(window, 'online', () => this.handleOnline());
+            this.listen(window, 'offline', () => this.handleOffline());
+            this.listen(document, 'visibilitychange', () => this.handleVisibilityChange());
+            // 主标签页关闭时通知其他标签页连接已断开，由下一个主标签页接管
+            this.listen(window, 'pagehide', () => {
+                if (this.state.isLeader) {
+                    this.postToTabs({ type: 'connection', connected: false });
+                }
+            });
+            // 咨询前表单
+            this.listen(this.elements.preChatForm, 'submit', (e) => {
+                e.preventDefault();
+                this.submitPreChatForm();
+            });
+            // 离线留言
+            this.listen(this.elements.offlineForm, 'submit', (e) => {
+                e.preventDefault();
+                this.submitOfflineForm();
+            });
+            // 满意度评价：选择评分、关闭、提交
+            this.listen(this.elements.csatForm, 'click', (e) => {
+                const scoreBtn = e.target.closest('[data-score]');
+                if (scoreBtn) {
+                    this.selectCsatScore(parseInt(scoreBtn.dataset.score, 10));
+                } else if (e.target.closest('.im-sdk-csat-close')) {
+                    this.hideCsatSurvey();
+                }
+            });
+            this.listen(this.elements.csatForm, 'submit', (e) => {
+                e.preventDefault();
+                this.submitCsatSurvey();
+            });
+            // 表情选择器：点击面板外或按 Esc 关闭
+            this.listen(this.elements.emojiBtn, 'click', () => this.toggleEmojiPanel());
+            this.listen(this.elements.emojiPanel, 'click', (e) => {
+                const tab = e.target.closest('[data-emoji-tab]');
+                const emoji = e.target.closest('[data-emoji]');
+                if (tab) this.showEmojiCategory(Number(tab.getAttribute('data-emoji-tab')));
+                if (emoji) this.insertEmoji(decodeURIComponent(emoji.getAttribute('data-emoji')));
+            });
+            this.listen(this.elements.window, 'click', (e) => {
+                if (!e.target.closest('.im-sdk-emoji-panel, .im-sdk-emoji-btn')) this.closeEmojiPanel();
+                if (!e.target.closest('.im-sdk-react-bar, .im-sdk-react-add')) this.closeReactionBar();
+            });
+            // 键盘操作：Tab 焦点限制在窗口内；Esc 先关闭表情面板、回应栏和文件预览，都没有打开时关闭窗口
+            this.listen(this.elements.window, 'keydown', (e) => {
+                if (e.key === 'Tab') {
+                    this.trapFocus(e, this.elements.window);
+                    return;
+                }
+                if (e.key !== 'Escape') return;
+
+                const active = this.getActiveElement();
+                const reactionBar = this.elements.messages.querySelector('.im-sdk-react-bar');
+                if (this.elements.emojiPanel.classList.contains('show') || reactionBar) {
+                    // 焦点在被关闭的面板里时，还给打开它的按钮
+                    if (this.elements.emojiPanel.contains(active)) {
+                        this.elements.emojiBtn.focus();
+                    } else if (reactionBar && reactionBar.contains(active)) {
+                        this.elements.messages.querySelector(`[data-react-picker="${reactionBar.getAttribute('data-for')}"]`)?.focus();
+                    }
+                    this.closeEmojiPanel();
+                    this.closeReactionBar();
+                } else if (this.state.previewFile) {
+                    this.closeFilePreview();
+                    this.elements.input.focus();
+                } else {
+                    this.close();
+                }
+            });
+            // 发送失败的消息点击重发；查看大图；表情回应的添加和切换
+            this.listen(this.elements.messages, 'click', (e) => {
+                const retry = e.target.closest('[data-retry]');
+                if (retry) this.retryMessage(retry.getAttribute('data-retry'));
+
+                const image = e.target.closest('[data-image]');
+                if (image) this.openImageModal(image.getAttribute('data-image'));
+
+                const addBtn = e.target.closest('[data-react-picker]');
+                if (addBtn) this.openReactionBar(addBtn);
+
+                const reaction = e.target.closest('[data-react]');
+                if (reaction) {
+                    this.sendReaction(Number(reaction.getAttribute('data-msg')), decodeURIComponent(reaction.getAttribute('data-react')));
+                    this.closeReactionBar();
+                }
+            });
+            // 重发提示不是按钮，键盘按 Enter 或空格时同样重发
+            this.listen(this.elements.messages, 'keydown', (e) => {
+                const retry = (e.key === 'Enter' || e.key === ' ') && e.target.closest('[data-retry]');
+                if (retry) {
+                    e.preventDefault();
+                    this.retryMessage(retry.getAttribute('data-retry'));
+                }
+            });
+            // 滚动到顶部时加载更早的消息
+            this.listen(this.elements.messages, 'scroll', () => {
+                if (this.elements.messages.scrollTop < HISTORY_LOAD_THRESHOLD) {
+                    this.loadOlderMessages();
+                }
+            });
+        },
+
+        toggle() {
+            this.state.isOpen ? this.close() : this.open();
+        },
+
+        /**
+         * 打开聊天窗口
+         * @param {Object} [options]
+         * @param {boolean} [options.focus=true] 是否把焦点移到窗口内（主动邀请自动打开时不抢走访客在页面上的焦点）
+         */
+        open({ focus = true } = {}) {
+            this.state.isOpen = true;
+            this.elements.window.style.display = 'flex';
+            this.elements.bubble.style.display = 'none';
+            this.state.unreadCount = 0;
+            this.updateBadge();
+            this.renderMessages();
+            if (focus) this.focusWindow();
+            this.enterChat({ focus });
+            this.emit('open');
+        },
+
+        /**
+         * 把焦点移到窗口内：优先显示中的表单的第一个输入项，其次消息输入框，都没有时为关闭按钮
+         */
+        focusWindow() {
+            const target = [this.elements.offlineForm, this.elements.preChatForm, this.elements.csatForm]
+                .filter(form => form.getClientRects().length > 0)
+                .map(form => form.querySelector('input, select, textarea, button'))
+                .find(Boolean)
+                || (this.elements.input.getClientRects().length > 0 ? this.elements.input : this.elements.closeBtn);
+            target.focus();
+        },
+
+        // 当前获得焦点的元素（Shadow DOM 内的元素从 shadowRoot 上取）
+        getActiveElement() {
+            return (this.shadowRoot || document).activeElement;
+        },
+
+        /**
+         * Tab / Shift+Tab 时焦点在容器内循环，不跳到页面上
+         * @param {KeyboardEvent} e 键盘事件
+         * @param {HTMLElement} container 容器（聊天窗口或图片预览）
+         */
+        trapFocus(e, container) {
+            const focusable = Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+                .filter(el => el.getClientRects().length > 0);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const active = this.getActiveElement();
+            if (e.shiftKey && (active === first || !container.contains(active))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && active === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        },
+
+        /**
+         * 通过隐藏的 aria-live 区域让屏幕阅读器朗读（不打断正在朗读的内容）
+         * 先清空再写入，连续两次相同的内容也会朗读
+         */
+        announce(text) {
+            const region = this.elements.liveRegion;
+            if (!region || !text) return;
+            region.textContent = '';
+            clearTimeout(this.state.announceTimer);
+            this.state.announceTimer = setTimeout(() => {
+                region.textContent = text;
+            }, ANNOUNCE_DELAY);
+        },
+
+        // 消息上显示的客服名称：init 传入的 agentName，没有传时按访客语言使用默认名称
+        getAgentName() {
+            return this.config.agentName || this.texts.default_agent_name;
+        },
+
+        // 朗读客服发来的新消息（图片读作"图片"，文件读文件名）
+        announceMessage(msg) {
+            let content = msg.content;
+            if (msg.content_type === 2) {
+                content = this.texts.a11y_image;
+            } else if (msg.content_type === 3) {
+                content = this.parseFileContent(msg.content)?.name || '';
+            }
+            this.announce(this.texts.a11y_new_message
+                .replace('{name}', this.getAgentName())
+                .replace('{content}', content));
+        },
+
+        /**
+         * 打开窗口后决定显示什么：
+         * 所有客服都离线或非营业时间（outside_mode 为 offline）→ 留言表单；首次咨询 → 咨询前表单；否则直接开始聊天
+         * @param {Object} [options]
+         * @param {boolean} [options.focus=true] 是否把焦点移到表单或输入框（见 open）
+         */
+        async enterChat({ focus = true } = {}) {
+            const offline = await this.isOfflineMode();
+            this.updateHoursNotice();
+            if (offline) {
+                // 等待期间关闭了窗口，下次打开重新判断
+                if (this.state.isOpen) this.showOfflineForm({ focus });
+                return;
+            }
+            if (!this.state.isOpen) return;
+            this.hideOfflineForm();
+
+            // 首次咨询需要先填写表单，提交后再连接
+            if (this.needsPreChatForm()) {
+                this.showPreChatForm({ focus });
+            } else {
+                this.startChat({ focus });
+            }
+        },
+
+        /**
+         * 是否进入离线留言模式（请求失败时按有客服处理，照常进入聊天）
+         * 客户有未结束的会话时服务端返回 false，继续原来的会话
+         */
+        async isOfflineMode() {
+            if (!(this.settings.offline_form || {}).enabled && !(this.settings.business_hours || {}).enabled) return false;
+            const availability = await this.fetchAvailability();
+            return !!availability?.offline;
+        },
+
+        /**
+         * 查询客服接待情况和营业状态
+         * @returns {Promise<Object|null>} { offline, hide, business_hours }，请求失败返回 null
+         */
+        async fetchAvailability() {
+            try {
+                const params = new URLSearchParams({ uuid: this.state.customerUuid });
+                const res = await fetch(`${this.getApiServer()}/customer/availability?${params}`);
+                const data = await res.json();
+                if (data.code !== 0 || !data.data) return null;
+                this.state.businessHours = data.data.business_hours || null;
+                return data.data;
+            } catch (e) {
+                console.log('[IM-SDK] Check availability failed', e);
+                return null;
+            }
+        },
+
+        /**
+         * 非营业时间且后台配置为隐藏（outside_mode 为 hide）时隐藏整个组件，
+         * 到下次营业时间（最长间隔 HOURS_RECHECK_MAX_DELAY）再检查一次
+         */
+        async checkHiddenHours() {
+            clearTimeout(this.state.hoursTimer);
+            if (!(this.settings.business_hours || {}).enabled) return;
+
+            const widget = this.elements.widget;
+            const availability = await this.fetchAvailability();
+            // 检查期间组件被销毁或重新初始化
+            if (!widget || this.elements.widget !== widget) return;
+
+            const hidden = !!availability?.hide && !this.state.isOpen;
+            widget.style.display = hidden ? 'none' : '';
+            if (!hidden) return;
+
+            const nextOpenAt = availability.business_hours?.next_open_at;
+            const delay = nextOpenAt ? Math.max(nextOpenAt * 1000 - Date.now(), 1000) : HOURS_RECHECK_MAX_DELAY;
+            this.state.hoursTimer = setTimeout(() => this.checkHiddenHours(), Math.min(delay, HOURS_RECHECK_MAX_DELAY));
+            this.emit('hours:hidden', { nextOpenAt: nextOpenAt || null });
+        },
+
+        // 非营业时间在窗口顶部提示恢复服务的时间（按客户本地时间显示）
+        updateHoursNotice() {
+            const notice = this.elements.hoursNotice;
+            if (!notice) return;
+
+            const hours = this.state.businessHours;
+            if (!hours || !hours.enabled || hours.open || !hours.next_open_at) {
+                notice.classList.remove('show');
+                notice.textContent = '';
+                return;
+            }
+
+            notice.textContent = this.texts.hours_closed_notice.replace('{time}', this.formatOpenTime(hours.next_open_at));
+            notice.classList.add('show');
+        },
+
+        /**
+         * 格式化恢复服务的时间：当天只显示时间，其他日期带上星期和日期
+         * @param {number} timestamp 秒级时间戳
+         */
+        formatOpenTime(timestamp) {
+            const date = new Date(timestamp * 1000);
+            if (date.toDateString() === new Date().toDateString()) {
+                return this.formatDateTime(date, { hour: '2-digit', minute: '2-digit' });
+            }
+            return this.formatDateTime(date, { weekday: 'short', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        },
+
+        showOfflineForm({ focus = true } = {}) {
+            const form = this.elements.offlineForm;
+            if (!form) return;
+
+            // 已经显示（如刚提交完的感谢提示）时保持不变
+            if (!this.elements.window.classList.contains('im-sdk-offline-active')) {
+                form.innerHTML = `
+                    <div class="im-sdk-prechat-title">${this.escapeHtml(this.texts.offline_title)}</div>
+                    <label class="im-sdk-prechat-field">
+                        <span>${this.escapeHtml(this.texts.offline_name)}</span>
+                        <input name="name" type="text" maxlength="50">
+                    </label>
+                    <label class="im-sdk-prechat-field">
+                        <span>${this.escapeHtml(this.texts.offline_email)} *</span>
+                        <input name="email" type="email" maxlength="255">
+                    </label>
+                    <label class="im-sdk-prechat-field">
+                        <span>${this.escapeHtml(this.texts.offline_message)} *</span>
+                        <textarea name="content" rows="5" maxlength="2000"></textarea>
+                    </label>
+                    <div class="im-sdk-prechat-error"></div>
+                    <button type="submit" class="im-sdk-prechat-submit">${this.escapeHtml(this.texts.offline_submit)}</button>`;
+            }
+
+            this.elements.window.classList.add('im-sdk-offline-active');
+            const first = form.querySelector('input');
+            if (focus && first) first.focus();
+        },
+
+        hideOfflineForm() {
+            if (!this.elements.window) return;
+            this.elements.window.classList.remove('im-sdk-offline-active');
+            this.elements.offlineForm.innerHTML = '';
+        },
+
+        // 校验并提交离线留言
+        async submitOfflineForm() {
+            const form = this.elements.offlineForm;
+            const errorEl = form.querySelector('.im-sdk-prechat-error');
+            const submitBtn = form.querySelector('.im-sdk-prechat-submit');
+            if (!submitBtn) return;
+
+            const values = {
+                name: form.querySelector('[name="name"]').value.trim(),
+                email: form.querySelector('[name="email"]').value.trim(),
+                content: form.querySelector('[name="content"]').value.trim()
+            };
+
+            let error = '';
+            if (!values.email) {
+                error = this.texts.pre_chat_required.replace('{field}', this.texts.offline_email);
+            } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+                error = this.texts.pre_chat_invalid.replace('{field}', this.texts.offline_email);
+            } else if (!values.content) {
+                error = this.texts.pre_chat_required.replace('{field}', this.texts.offline_message);
+            }
+            if (error) {
+                errorEl.textContent = error;
+                return;
+            }
+
+            errorEl.textContent = '';
+            submitBtn.disabled = true;
+
+            let result = null;
+            try {
+                const res = await fetch(`${this.getApiServer()}/customer/offline-ticket`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: new URLSearchParams({ uuid: this.state.customerUuid, ...values }).toString()
+                });
+                result = await res.json();
+            } catch (e) {
+                console.log('[IM-SDK] Submit offline message failed', e);
+            }
+
+            // 提交期间组件被销毁或重新初始化
+            if (this.elements.offlineForm !== form) return;
+
+            if (!result || result.code !== 0) {
+                submitBtn.disabled = false;
+                errorEl.textContent = (result && result.message) || this.texts.status_error;
+                return;
+            }
+
+            form.innerHTML = `<div class="im-sdk-prechat-title">${this.escapeHtml(this.texts.offline_thanks)}</div>`;
+            this.emit('offline:submitted', values);
+        },
+
+        // 连接并同步消息（打开窗口时，或咨询前表单提交后）；focus 为 false 时不移动焦点（见 open）
+        startChat({ focus = true } = {}) {
+            this.connect();
+            if (focus) this.elements.input.focus();
+
+            // 每次打开窗口时，如果已连接则发送已读状态
+            if (this.state.isConnected && this.state.conversationId) {
+                this.sendReadStatus();
+            }
+
+            // 每次打开窗口时调用 history 接口同步错过的消息和已读状态
+            this.fetchHistory();
+
+            // 显示欢迎语（每次打开窗口都显示，但只显示一次）
+            this.showWelcomeMessage();
+        },
+
+        /**
+         * 是否需要先填写咨询前表单
+         * 后台启用了表单，且当前客户没有提交过、也没有聊天记录（老客户不再填写）
+         */
+        needsPreChatForm() {
+            const form = this.settings.pre_chat_form || {};
+            if (!form.enabled || !(form.fields || []).length) return false;
+            if (localStorage.getItem('im_pre_chat_done') === this.state.customerUuid) return false;
+            return !this.state.conversationId && !this.state.messages.some(m => typeof m.id === 'number');
+        },
+
+        // 字段名称：可按语言配置 { zh, en }，也可以直接是字符串
+        getPreChatLabel(field) {
+            const label = field.label;
+            if (label && typeof label === 'object') {
+                return label[this.texts.language] || label.en || Object.values(label)[0] || field.key;
+            }
+            return label || field.key;
+        },
+
+        showPreChatForm({ focus = true } = {}) {
+            const fields = (this.settings.pre_chat_form.fields || [])
+                .filter(f => ['name', 'email', 'phone', 'topic'].includes(f.key));
+            const inputTypes = { name: 'text', email: 'email', phone: 'tel' };
+            const maxLengths = { name: 50, email: 255, phone: 30 };
+
+            const form = this.elements.preChatForm;
+            form.innerHTML = `
+                <div class="im-sdk-prechat-title">${this.escapeHtml(this.texts.pre_chat_title)}</div>
+                ${fields.map(f => `
+                    <label class="im-sdk-prechat-field">
+                        <span>${this.escapeHtml(this.getPreChatLabel(f))}${f.required ? ' *' : ''}</span>
+                        ${f.key === 'topic'
+                            ? `<select name="topic"><option value="">${this.escapeHtml(this.texts.pre_chat_select)}</option></select>`
+                            : `<input name="${f.key}" type="${inputTypes[f.key]}" maxlength="${maxLengths[f.key]}">`}
+                    </label>`).join('')}
+                <div class="im-sdk-prechat-error"></div>
+                <button type="submit" class="im-sdk-prechat-submit">${this.escapeHtml(this.texts.pre_chat_submit)}</button>`;
+
+            // 下拉选项用 DOM 添加，选项内容不经过 HTML 拼接
+            const topic = fields.find(f => f.key === 'topic');
+            const select = form.querySelector('select[name="topic"]');
+            if (topic && select) {
+                (topic.options || []).forEach(option => select.add(new Option(option, option)));
+            }
+
+            this.elements.window.classList.add('im-sdk-prechat-active');
+            const first = form.querySelector('input, select');
+            if (focus && first) first.focus();
+        },
+
+        hidePreChatForm() {
+            if (!this.elements.window) return;
+            this.elements.window.classList.remove('im-sdk-prechat-active');
+            this.elements.preChatForm.innerHTML = '';
+        },
+
+        // 表单已提交（本标签页、其他标签页或 identify 后）：记录并开始咨询
+        finishPreChat() {
+            localStorage.setItem('im_pre_chat_done', this.state.customerUuid);
+            if (this.elements.window && this.elements.window.classList.contains('im-sdk-prechat-active')) {
+                this.hidePreChatForm();
+                if (this.state.isOpen) this.startChat();
+            }
+        },
+
+        // 校验并提交咨询前表单（通过 /customer/init 写入客户资料）
+        async submitPreChatForm() {
+            const form = this.elements.preChatForm;
+            const errorEl = form.querySelector('.im-sdk-prechat-error');
+            const submitBtn = form.querySelector('.im-sdk-prechat-submit');
+            const values = {};
+
+            for (const field of this.settings.pre_chat_form.fields || []) {
+                const el = form.querySelector(`[name="${field.key}"]`);
+                if (!el) continue;
+
+                const value = el.value.trim();
+                const label = this.getPreChatLabel(field);
+                let error = '';
+                if (!value && field.required) {
+                    error = this.texts.pre_chat_required;
+                } else if (value && field.key === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+                    error = this.texts.pre_chat_invalid;
+                } else if (value && field.key === 'phone' && !/^\+?[0-9\s\-()]{5,30}$/.test(value)) {
+                    error = this.texts.pre_chat_invalid;
+                }
+                if (error) {
+                    errorEl.textContent = error.replace('{field}', label);
+                    el.focus();
+                    return;
+                }
+                values[field.key] = value;
+            }
+
+            errorEl.textContent = '';
+            submitBtn.disabled = true;
+            const result = await this.initCustomer({ pre_chat: '1', ...values });
+            // 提交期间组件被销毁或重新初始化
+            if (this.elements.preChatForm !== form) return;
+            submitBtn.disabled = false;
+
+            if (!result || result.code !== 0) {
+                errorEl.textContent = (result && result.message) || this.texts.status_error;
+                return;
+            }
+
+            this.postToTabs({ type: 'pre_chat_done' });
+            this.emit('prechat:submitted', values);
+            this.finishPreChat();
+        },
+
+        /**
+         * 会话结束后显示满意度评价
+         * 评分方式（星级/赞踩）和是否可填写评价内容由后台 csat_survey 配置
+         */
+        showCsatSurvey(conversationId) {
+            const survey = this.settings.csat_survey || {};
+            if (!survey.enabled || !conversationId || !this.elements.csatForm) return;
+
+            const scores = survey.type === 'thumbs'
+                ? [{ score: 5, label: '👍', name: this.texts.a11y_rating_good }, { score: 1, label: '👎', name: this.texts.a11y_rating_bad }]
+                : [1, 2, 3, 4, 5].map(score => ({ score, label: '★', name: this.texts.a11y_rating_star.replace('{score}', score) }));
+
+            this.state.csatConversationId = conversationId;
+            this.state.csatScore = 0;
+            this.elements.csatForm.className = `im-sdk-csat show im-sdk-csat-${survey.type === 'thumbs' ? 'thumbs' : 'stars'}`;
+            this.elements.csatForm.innerHTML = `
+                <button type="button" class="im-sdk-csat-close" aria-label="${this.escapeHtml(this.texts.a11y_close_survey)}">&times;</button>
+                <div class="im-sdk-csat-title">${this.escapeHtml(this.texts.csat_title)}</div>
+                <div class="im-sdk-csat-scores">
+                    ${scores.map(s => `<button type="button" class="im-sdk-csat-score" data-score="${s.score}" aria-label="${this.escapeHtml(s.name)}" aria-pressed="false">${s.label}</button>`).join('')}
+                </div>
+                ${survey.allow_comment ? `<textarea class="im-sdk-csat-comment" maxlength="500" rows="2" placeholder="${this.escapeHtml(this.texts.csat_comment_placeholder)}"></textarea>` : ''}
+                <div class="im-sdk-csat-error"></div>
+                <button type="submit" class="im-sdk-csat-submit" disabled>${this.escapeHtml(this.texts.csat_submit)}</button>`;
+        },
+
+        hideCsatSurvey() {
+            if (!this.elements.csatForm) return;
+            this.state.csatConversationId = null;
+            this.elements.csatForm.className = 'im-sdk-csat';
+            this.elements.csatForm.innerHTML = '';
+        },
+
+        // 星级：点亮所选及之前的星；赞踩：只高亮所选（屏幕阅读器只读所选的为按下状态）
+        selectCsatScore(score) {
+            const form = this.elements.csatForm;
+            const isStars = form.classList.contains('im-sdk-csat-stars');
+            this.state.csatScore = score;
+            form.querySelectorAll('[data-score]').forEach(btn => {
+                const value = parseInt(btn.dataset.score, 10);
+                btn.classList.toggle('active', isStars ? value <= score : value === score);
+                btn.setAttribute('aria-pressed', String(value === score));
+            });
+            form.querySelector('.im-sdk-csat-submit').disabled = false;
+        },
+
+        // 提交满意度评价
+        async submitCsatSurvey() {
+            const form = this.elements.csatForm;
+            const conversationId = this.state.csatConversationId;
+            if (!conversationId || !this.state.csatScore) return;
+
+            const comment = form.querySelector('.im-sdk-csat-comment');
+            const errorEl = form.querySelector('.im-sdk-csat-error');
+            const submitBtn = form.querySelector('.im-sdk-csat-submit');
+            submitBtn.disabled = true;
+
+            let result = null;
+            try {
+                const res = await fetch(`${this.getApiServer()}/customer/rating`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: new URLSearchParams({
+                        uuid: this.state.customerUuid,
+                        conversation_id: conversationId,
+                        score: this.state.csatScore,
+                        comment: comment ? comment.value.trim() : ''
+                    }).toString()
+                });
+                result = await res.json();
+            } catch (e) {
+                console.log('[IM-SDK] Submit rating failed', e);
+            }
+
+            // 提交期间评价框已关闭或换成了其他会话
+            if (this.state.csatConversationId !== conversationId) return;
+
+            if (!result || result.code !== 0) {
+                submitBtn.disabled = false;
+                errorEl.textContent = (result && result.message) || this.texts.status_error;
+                return;
+            }
+
+            const rating = { conversation_id: conversationId, score: this.state.csatScore };
+            this.hideCsatSurvey();
+            this.addSystemMessage(this.texts.csat_thanks);
+            this.postToTabs({ type: 'csat_done', conversation_id: conversationId });
+            this.emit('rating:submitted', rating);
+        },
+
+        /**
+         * 开始检查主动邀请规则
+         * 规则由服务端按频率限制筛选，访客正在咨询或没有客服接待时为空
+         */
+        async startTriggers() {
+            if (!(this.settings.proactive_chat || {}).enabled) return;
 
-            this.elements.widget = widget;
-            this.elements.bubble = widget.querySelector('.im-sdk-bubble');
-            this.elements.badge = widget.querySelector('.im-sdk-badge');
-            this.elements.window = widget.querySelector('.im-sdk-window');
-            this.elements.messages = widget.querySelector('.im-sdk-messages');
-            this.elements.input = widget.querySelector('.im-sdk-input');
-            this.elements.sendBtn = widget.querySelector('.im-sdk-send');
-            this.elements.closeBtn = widget.querySelector('.im-sdk-close');
-            this.elements.status = widget.querySelector('.im-sdk-status');
-            this.elements.typing = widget.querySelector('.im-sdk-typing');
-            this.elements.imageBtn = widget.querySelector('.im-sdk-image-btn');
-            this.elements.imageInput = widget.querySelector('.im-sdk-image-input');
-            this.elements.imageModal = widget.querySelector('.im-sdk-image-modal');
-            this.elements.uploading = widget.querySelector('.im-sdk-uploading');
+            const widget = this.elements.widget;
+            let list = [];
+            try {
+                const params = new URLSearchParams({ uuid: this.state.customerUuid });
+                const res = await fetch(`${this.getApiServer()}/customer/triggers?${params}`);
+                const data = await res.json();
+                if (data.code === 0) list = data.data?.list || [];
+            } catch (e) {
+                console.log('[IM-SDK] Load triggers failed', e);
+            }
+            // 请求期间组件被销毁或重新初始化
+            if (!list.length || !widget || this.elements.widget !== widget) return;
+
+            this.state.triggers = list;
+            this.resetTriggerProgress();
+
+            this.state.triggerTimer = setInterval(() => this.checkTriggers(false), TRIGGER_CHECK_INTERVAL);
+            this.listen(window, 'scroll', () => {
+                this.state.triggerScrollPercent = Math.max(this.state.triggerScrollPercent, this.getScrollPercent());
+                this.checkTriggers(false);
+            }, { passive: true });
+            // 鼠标从页面顶部移出（准备关闭标签页或切换地址）视为离开意图
+            this.listen(document, 'mouseout', (e) => {
+                if (!e.relatedTarget && e.clientY <= 0) this.checkTriggers(true);
+            });
         },
 
-        getBubbleHTML() {
-            return `
-                <div class="im-sdk-bubble">
-                    <svg viewBox="0 0 24 24"><path d="M20 2H4c-1.1 0-2 .9-2 2v18l4-4h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2z"/></svg>
-                    <span class="im-sdk-badge">0</span>
-                </div>
-            `;
+        // 从当前页面重新计算停留时间和滚动位置
+        resetTriggerProgress() {
+            this.state.triggerStartedAt = Date.now();
+            this.state.triggerScrollPercent = this.getScrollPercent();
+            this.state.triggerPageUrl = window.location.href;
         },
 
-        getWindowHTML() {
-            return `
-                <div class="im-sdk-window" style="display:none;">
-                    <div class="im-sdk-header">
-                        <span class="im-sdk-title">${this.config.title}</span>
-                        <span class="im-sdk-status">${this.texts.status_disconnected}</span>
-                        <button class="im-sdk-close">&times;</button>
-                    </div>
-                    <div class="im-sdk-messages"></div>
-                    <div class="im-sdk-typing">${this.texts.agent_typing}</div>
-                    <div class="im-sdk-uploading">Uploading image...</div>
-                    <div class="im-sdk-footer">
-                        <button class="im-sdk-image-btn" title="Send image"><img src="https://customservice95.oss-us-east-1.aliyuncs.com/im-mvp/dev/images/20260209_61f6e30bdda1c07c24a4d58796ea0977.png" alt="Upload"></button>
-                        <input type="file" class="im-sdk-image-input" accept="image/jpeg,image/png,image/gif,image/webp,image/heic,image/heif,image/bmp,image/svg+xml,image/tiff,.jpg,.jpeg,.png,.gif,.webp,.heic,.heif,.bmp,.svg,.tiff,.tif,.ico">
-                        <input type="text" class="im-sdk-input" placeholder="${this.texts.input_placeholder}">
-                        <button class="im-sdk-send">➤</button>
-                    </div>
-                </div>
-                <div class="im-sdk-image-modal">
-                    <img src="" alt="Preview">
-                </div>
-            `;
+        stopTriggers() {
+            clearInterval(this.state.triggerTimer);
+            this.state.triggerTimer = null;
+            this.state.triggers = [];
         },
 
-        bindEvents() {
-            this.elements.bubble.addEventListener('click', () => this.toggle());
-            this.elements.closeBtn.addEventListener('click', () => this.close());
-            this.elements.sendBtn.addEventListener('click', () => this.sendMessage());
-            this.elements.input.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') this.sendMessage();
-            });
-            // 打字状态
-            this.elements.input.addEventListener('input', () => this.sendTypingStatus(true));
-            this.elements.input.addEventListener('blur', () => this.sendTypingStatus(false));
-            // 图片上传
-            this.elements.imageBtn.addEventListener('click', () => this.elements.imageInput.click());
-            this.elements.imageInput.addEventListener('change', (e) => this.handleImageUpload(e));
-            // 图片放大关闭
-            this.elements.imageModal.addEventListener('click', () => this.closeImageModal());
+        // 页面滚动到的位置（0-100）
+        getScrollPercent() {
+            const doc = document.documentElement;
+            const scrollable = doc.scrollHeight - window.innerHeight;
+            if (scrollable <= 0) return 100;
+            return Math.min(100, Math.round(window.scrollY / scrollable * 100));
         },
 
-        toggle() {
-            this.state.isOpen ? this.close() : this.open();
+        /**
+         * 检查是否有满足条件的规则（按排序取第一条）
+         * @param {boolean} exitIntent 是否由离开意图触发
+         */
+        checkTriggers(exitIntent) {
+            if (!this.state.triggers.length) return;
+            // 访客已经自己打开了窗口，不再邀请
+            if (this.state.isOpen) {
+                this.stopTriggers();
+                return;
+            }
+
+            const elapsed = (Date.now() - this.state.triggerStartedAt) / 1000;
+            const trigger = this.state.triggers.find(t =>
+                this.matchTriggerUrl(t.url_pattern)
+                && elapsed >= t.delay_seconds
+                && this.state.triggerScrollPercent >= t.scroll_percent
+                && (!t.exit_intent || exitIntent)
+            );
+            if (trigger) this.fireTrigger(trigger);
         },
 
-        open() {
-            this.state.isOpen = true;
-            this.elements.window.style.display = 'flex';
-            this.elements.bubble.style.display = 'none';
-            this.state.unreadCount = 0;
-            this.updateBadge();
-            this.renderMessages();
-            this.connect();
-            this.elements.input.focus();
+        // 页面地址是否匹配规则（包含即匹配，* 匹配任意字符，空为所有页面）
+        matchTriggerUrl(pattern) {
+            if (!pattern) return true;
+            const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+            return new RegExp(source, 'i').test(window.location.href);
+        },
 
-            // 每次打开窗口时，如果已连接则发送已读状态
-            if (this.ws && this.ws.readyState === WebSocket.OPEN && this.state.conversationId) {
-                this.sendReadStatus();
+        /**
+         * 触发主动邀请：服务端记录成功（未超过频率限制）后打开窗口并显示规则的问候语
+         */
+        async fireTrigger(trigger) {
+            this.stopTriggers();
+
+            const widget = this.elements.widget;
+            let result = null;
+            try {
+                const res = await fetch(`${this.getApiServer()}/customer/trigger-hit`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: new URLSearchParams({
+                        uuid: this.state.customerUuid,
+                        trigger_id: trigger.id,
+                        page_url: window.location.href
+                    }).toString()
+                });
+                result = await res.json();
+            } catch (e) {
+                console.log('[IM-SDK] Record trigger hit failed', e);
             }
 
-            // 每次打开窗口时调用 history 接口同步已读状态
-            this.fetchHistory();
+            // 其他标签页已经邀请过（超过频率限制），或期间组件被销毁、窗口已被打开
+            if (!result || result.code !== 0 || this.elements.widget !== widget || this.state.isOpen) return;
+            // 非营业时间隐藏了组件
+            if (widget.style.display === 'none') return;
 
-            // 显示欢迎语（每次打开窗口都显示，但只显示一次）
-            this.showWelcomeMessage();
+            this.state.proactiveGreeting = trigger.message;
+            this.open({ focus: false });
+            this.emit('trigger:fired', { trigger_id: trigger.id, message: trigger.message });
         },
 
         /**
          * 显示欢迎语
          * 每次打开聊天窗口时显示欢迎消息（以客服身份）
+         * 由主动邀请打开时显示规则的问候语
          */
         showWelcomeMessage() {
-            // 优先使用服务器配置的欢迎语，否则使用本地配置
-            const welcomeText = this.texts.welcome_message || this.config.welcomeMessage;
+            // 优先使用主动邀请的问候语，其次服务器配置的欢迎语，否则使用本地配置
+            const welcomeText = this.state.proactiveGreeting || this.texts.welcome_message || this.config.welcomeMessage;
+            this.state.proactiveGreeting = null;
             if (!welcomeText) return;
 
             // 创建欢迎消息（以客服身份显示，待入库）
@@ -559,70 +2631,260 @@
             // 使用客服消息样式渲染（和 getMessageHTML 逻辑一致）
             const time = this.formatTime(msg.created_at);
             const agentAvatar = this.config.agentAvatar || '/avatar.jpg';
-            const agentName = this.config.agentName || 'Customer Service';
+            const agentName = this.getAgentName();
 
             const html = `
-                <div class="im-sdk-msg-wrapper im-sdk-msg-wrapper-left" data-msg-id="${msg.id}">
-                    <div class="im-sdk-msg-avatar im-sdk-avatar-agent"><img src="${agentAvatar}" alt="Agent"></div>
+                <div class="im-sdk-msg-wrapper im-sdk-msg-wrapper-left" data-msg-id="${msg.id}" data-day="${this.getDayKey(msg.created_at)}">
+                    <div class="im-sdk-msg-avatar im-sdk-avatar-agent"><img src="${agentAvatar}" alt=""></div>
                     <div class="im-sdk-msg-bubble">
                         <div class="im-sdk-agent-name">${this.escapeHtml(agentName)}</div>
-                        <div class="im-sdk-msg im-sdk-msg-left">${this.escapeHtml(msg.content)}</div>
+                        <div class="im-sdk-msg im-sdk-msg-left" dir="auto">${this.renderRichText(msg.content)}</div>
                         <div class="im-sdk-msg-time">${time}</div>
                     </div>
                 </div>
             `;
 
             container.insertAdjacentHTML('beforeend', html);
+            this.updateDateSeparators();
             this.scrollToBottom();
         },
 
         close() {
+            // 焦点在窗口内时（键盘操作关闭），还给聊天按钮
+            const hadFocus = this.elements.window.contains(this.getActiveElement());
             this.state.isOpen = false;
+            // 邀请的问候语只用于这一次打开（例如显示了咨询前表单、还没用上就关闭了）
+            this.state.proactiveGreeting = null;
             this.elements.window.style.display = 'none';
             this.elements.bubble.style.display = 'flex';
+            if (hadFocus) this.elements.bubble.focus();
+            this.emit('close');
         },
 
         connect() {
-            if (this.ws && this.ws.readyState === WebSocket.OPEN) return;
+            this.state.shouldConnect = true;
+            // 非主标签页不自己连接，请主标签页连接
+            if (this.isFollower()) {
+                this.postToTabs({ type: 'connect' });
+                return;
+            }
+            if (this.ws && (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING)) return;
+            this.clearReconnect();
+
+            // 离线时不尝试，等 online 事件
+            if (navigator.onLine === false) {
+                this.updateStatus(this.texts.status_offline);
+                return;
+            }
+            this.updateStatus(this.texts.status_connecting);
 
             // 先初始化客户信息（发送来源页面等）
             this.initCustomer();
 
             const wsUrl = `${this.config.server}?type=customer&uuid=${this.state.customerUuid}`;
-            this.ws = new WebSocket(wsUrl);
+            const socket = new WebSocket(wsUrl);
+            this.ws = socket;
 
-            this.ws.onopen = () => {
+            socket.onopen = () => {
                 this.state.isConnected = true;
+                this.state.reconnectAttempts = 0;
                 this.updateStatus(this.texts.status_connected);
+                this.emit('connection:changed', { connected: true });
+                this.postToTabs({ type: 'connection', connected: true });
                 this.startHeartbeat();
+                this.flushOutbox();
                 this.fetchHistory();
             };
 
-            this.ws.onmessage = (e) => {
+            socket.onmessage = (e) => {
+                // 收到任何数据都说明连接是活的
+                clearTimeout(this.pongTimer);
+                this.pongTimer = null;
                 try {
                     const data = JSON.parse(e.data);
                     this.handleMessage(data);
+                    if (data.type !== 'pong') {
+                        this.postToTabs({ type: 'ws_message', data });
+                    }
                 } catch (err) {}
             };
 
-            this.ws.onclose = () => {
-                this.state.isConnected = false;
-                this.updateStatus(this.texts.status_disconnected);
-                this.stopHeartbeat();
-                if (this.state.isOpen) {
-                    this.reconnectTimer = setTimeout(() => this.connect(), 3000);
-                }
+            socket.onclose = () => {
+                // 已被替换或销毁的旧连接，不再处理（避免重连）
+                if (this.ws !== socket) return;
+                this.ws = null;
+                this.handleDisconnected();
             };
 
-            this.ws.onerror = () => {
+            socket.onerror = () => {
                 this.updateStatus(this.texts.status_error);
             };
         },
 
+        // 连接断开（正常关闭、网络中断或心跳超时）后的统一处理
+        handleDisconnected() {
+            const wasConnected = this.state.isConnected;
+            this.state.isConnected = false;
+            this.stopHeartbeat();
+            if (wasConnected) {
+                this.emit('connection:changed', { connected: false });
+                this.postToTabs({ type: 'connection', connected: false });
+            }
+            this.scheduleReconnect();
+        },
+
+        /**
+         * 安排重连
+         * 指数退避 + 随机抖动，避免服务重启后所有客户端同时重连
+         */
+        scheduleReconnect() {
+            this.clearReconnect();
+            if (!this.state.shouldConnect) {
+                this.updateStatus(this.texts.status_disconnected);
+                return;
+            }
+            if (navigator.onLine === false) {
+                this.updateStatus(this.texts.status_offline);
+                return;
+            }
+
+            const maxDelay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, this.state.reconnectAttempts));
+            const delay = Math.round(maxDelay / 2 + Math.random() * maxDelay / 2);
+            this.state.reconnectAttempts++;
+            this.state.reconnectAt = Date.now() + delay;
+
+            this.reconnectTimer = setTimeout(() => this.connect(), delay);
+            this.updateReconnectCountdown();
+            this.reconnectCountdownTimer = setInterval(() => this.updateReconnectCountdown(), 1000);
+        },
+
+        // 显示"N秒后重连"及手动重试按钮
+        updateReconnectCountdown() {
+            const seconds = Math.max(1, Math.ceil((this.state.reconnectAt - Date.now()) / 1000));
+            this.updateStatus(this.texts.status_reconnecting.replace('{seconds}', seconds), true);
+        },
+
+        // 取消待执行的重连
+        clearReconnect() {
+            clearTimeout(this.reconnectTimer);
+            clearInterval(this.reconnectCountdownTimer);
+            this.reconnectTimer = null;
+            this.reconnectCountdownTimer = null;
+        },
+
+        // 立即重连（手动重试、网络恢复、页面重新可见时）
+        reconnectNow() {
+            if (this.isFollower()) {
+                this.postToTabs({ type: 'reconnect_now' });
+                return;
+            }
+            if (this.state.isConnected) return;
+            this.state.reconnectAttempts = 0;
+            this.connect();
+        },
+
+        // 网络恢复
+        handleOnline() {
+            if (this.isFollower()) return;
+            if (this.state.shouldConnect) {
+                this.reconnectNow();
+            }
+        },
+
+        // 网络断开：主动关闭连接，等网络恢复后再连
+        handleOffline() {
+            if (!this.state.shouldConnect || this.isFollower()) return;
+            if (this.ws) {
+                this.closeSocket();
+                this.handleDisconnected();
+            } else {
+                this.clearReconnect();
+                this.updateStatus(this.texts.status_offline);
+            }
+        },
+
+        // 页面重新可见：后台标签页的定时器会被节流，这里立即检查一次连接
+        handleVisibilityChange() {
+            if (document.visibilityState !== 'visible' || !this.state.shouldConnect || this.isFollower()) return;
+            if (this.state.isConnected) {
+                this.sendPing();
+            } else {
+                this.reconnectNow();
+            }
+        },
+
+        /**
+         * 页面浏览上报
+         * initCustomer 只在连接时带上来源页面，单页应用切换路由不会刷新页面，
+         * 这里改写 history.pushState/replaceState 并监听 popstate、hashchange，地址变化时通过 WebSocket 上报，
+         * 客服工作台据此显示客户当前所在页面和浏览轨迹
+         */
+        startPageTracking() {
+            if (this.historyPatch) return;
+
+            const sdk = this;
+            const original = { pushState: history.pushState, replaceState: history.replaceState };
+            const patched = {};
+            ['pushState', 'replaceState'].forEach(name => {
+                patched[name] = function (...args) {
+                    const result = original[name].apply(this, args);
+                    sdk.handleUrlChange();
+                    return result;
+                };
+                history[name] = patched[name];
+            });
+            this.historyPatch = { original, patched };
+
+            this.listen(window, 'popstate', () => this.handleUrlChange());
+            this.listen(window, 'hashchange', () => this.handleUrlChange());
+            // 切回标签页时重新上报，多标签页时客服看到的是客户正在看的页面
+            this.listen(document, 'visibilitychange', () => {
+                if (document.visibilityState !== 'visible') return;
+                this.state.lastPageUrl = null;
+                this.reportPageView();
+            });
+        },
+
+        stopPageTracking() {
+            if (!this.historyPatch) return;
+            const { original, patched } = this.historyPatch;
+            // 宿主页面在之后又改写了 history 方法时不还原，避免丢掉它的改写（此时改写的函数仍会调用原方法）
+            ['pushState', 'replaceState'].forEach(name => {
+                if (history[name] === patched[name]) {
+                    history[name] = original[name];
+                }
+            });
+            this.historyPatch = null;
+        },
+
+        // 地址变化：稍后再上报，单页应用通常在切换路由之后才更新页面标题
+        handleUrlChange() {
+            if (!this.initialized) return;
+            // 主动邀请的停留时间、滚动条件按当前页面计算，切换路由后重新开始
+            if (this.state.triggers.length && window.location.href !== this.state.triggerPageUrl) {
+                this.resetTriggerProgress();
+            }
+            clearTimeout(this.state.pageViewTimer);
+            this.state.pageViewTimer = setTimeout(() => this.reportPageView(), PAGE_VIEW_DELAY);
+        },
+
+        // 上报当前页面，地址没变时不重复上报；未连接时跳过，连接后会重新上报
+        reportPageView() {
+            const url = window.location.href;
+            if (url === this.state.lastPageUrl) return;
+            if (this.sendFrame({ type: 'page_view', data: { url, title: document.title } })) {
+                this.state.lastPageUrl = url;
+            }
+        },
+
         /**
          * 初始化客户信息（发送来源页面、设备信息等）
          */
-        initCustomer() {
+        /**
+         * 初始化客户信息（来源页面、时区等）
+         * extra 为附加参数（如咨询前表单），返回接口结果，请求失败返回 null
+         */
+        initCustomer(extra = {}) {
             const httpServer = this.getApiServer();
 
             // 自动获取客户时区
@@ -641,14 +2903,21 @@
                 uuid: this.state.customerUuid,
                 source_url: window.location.href,
                 referrer: document.referrer || '',
-                timezone: timezone
+                timezone: timezone,
+                language: this.texts.language,
+                ...extra
             });
 
-            fetch(`${httpServer}/customer/init`, {
+            return fetch(`${httpServer}/customer/init`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
                 body: params.toString()
-            }).catch(e => console.log('[IM-SDK] Init customer failed', e));
+            })
+                .then(res => res.json())
+                .catch(e => {
+                    console.log('[IM-SDK] Init customer failed', e);
+                    return null;
+                });
         },
 
         handleMessage(data) {
@@ -658,6 +2927,11 @@
                     if (this.state.conversationId) {
                         this.sendReadStatus();
                     }
+                    // 上报当前页面（多标签页时由可见的标签页上报）
+                    this.state.lastPageUrl = null;
+                    if (!document.hidden || !this.isFollower()) {
+                        this.reportPageView();
+                    }
                     break;
                 case 'new_message':
                 case 'message_sent':
@@ -665,21 +2939,38 @@
                     if (data.data?.conversation_id && !this.state.conversationId) {
                         this.state.conversationId = data.data.conversation_id;
                     }
-                    this.addMessage(data.data);
+                    if (this.addMessage(data.data)) {
+                        if (data.type === 'message_sent') {
+                            this.emit('message:sent', data.data);
+                        } else if (data.data?.sender_type === 2) {
+                            this.announceMessage(data.data);
+                            this.emit('message:received', data.data);
+                        }
+                    }
                     // 消息送达后发送已读确认
                     if (data.data?.sender_type === 2 && this.state.isOpen) {
                         this.sendReadStatus();
                     }
                     break;
-                case 'conversation_closed':
+                case 'conversation_closed': {
+                    const closedId = data.data?.conversation_id || this.state.conversationId;
                     this.addSystemMessage(this.texts.conversation_closed);
+                    this.hideQueueBanner();
+                    this.showCsatSurvey(closedId);
+                    this.emit('conversation:closed', { conversation_id: closedId });
                     break;
+                }
                 case 'queue_notice':
                     // 排队等待通知
                     this.addSystemMessage(data.data?.message || this.texts.queue_waiting);
                     break;
+                case 'queue_update':
+                    // 排队位置变化
+                    this.handleQueueUpdate(data.data);
+                    break;
                 case 'agent_assigned':
                     // 客服已接入
+                    this.hideQueueBanner();
                     this.addSystemMessage(data.data?.message || this.texts.agent_assigned);
                     this.state.conversationId = data.data?.conversation_id;
                     break;
@@ -693,11 +2984,48 @@
                 case 'messages_read':
                     this.handleMessagesRead(data.data);
                     break;
+                case 'link_preview':
+                    this.handleLinkPreview(data.data);
+                    break;
+                case 'message_reaction':
+                    this.handleMessageReaction(data.data);
+                    break;
                 case 'pong':
                     break;
             }
         },
 
+        /**
+         * 在窗口顶部显示排队位置和预计等待时间（不插入聊天记录）
+         * @param {Object} data { conversation_id, position, estimated_wait 预计等待秒数，无法估算时为 null }
+         */
+        handleQueueUpdate(data) {
+            const banner = this.elements.queueBanner;
+            if (!banner || !data?.position) return;
+
+            const position = `<strong>${Number(data.position)}</strong>`;
+            let html = this.escapeHtml(this.texts.queue_position).replace('{position}', position);
+            if (data.estimated_wait) {
+                const minutes = Math.max(1, Math.ceil(data.estimated_wait / 60));
+                html += '<br>' + this.escapeHtml(this.texts.queue_wait).replace('{minutes}', minutes);
+            }
+            banner.innerHTML = html;
+            banner.classList.add('show');
+
+            this.emit('queue:updated', {
+                conversation_id: data.conversation_id,
+                position: data.position,
+                estimated_wait: data.estimated_wait ?? null
+            });
+        },
+
+        hideQueueBanner() {
+            const banner = this.elements.queueBanner;
+            if (!banner) return;
+            banner.classList.remove('show');
+            banner.innerHTML = '';
+        },
+
         // 处理离线消息
         handleOfflineMessages(data) {
             const messages = data?.messages || [];
@@ -710,7 +3038,11 @@
             this.addSystemMessage(offlineTip);
 
             // 添加每条消息
-            messages.forEach(m => this.addMessage(m));
+            messages.forEach(m => {
+                if (this.addMessage(m) && m.sender_type === 2) {
+                    this.emit('message:received', m);
+                }
+            });
 
             // 发送已读确认
             this.sendReadStatus();
@@ -719,6 +3051,10 @@
         // 处理客服打字状态
         handleTyping(data) {
             const isTyping = data?.is_typing;
+            // 开始输入时朗读一次，输入过程中重复收到的状态不再朗读
+            if (isTyping && !this.state.agentTyping && this.state.isOpen) {
+                this.announce(this.texts.agent_typing);
+            }
             this.state.agentTyping = isTyping;
 
             // 清除之前的超时定时器
@@ -746,15 +3082,15 @@
 
         // 发送打字状态
         sendTypingStatus(isTyping) {
-            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+            if (!this.state.isConnected) return;
 
             // 节流
             if (isTyping) {
                 if (this.state.typingTimer) return;
-                this.ws.send(JSON.stringify({
+                this.sendFrame({
                     type: 'typing',
                     data: { is_typing: true }
-                }));
+                });
                 this.state.typingTimer = setTimeout(() => {
                     this.state.typingTimer = null;
                 }, 2000);
@@ -763,20 +3099,22 @@
                     clearTimeout(this.state.typingTimer);
                     this.state.typingTimer = null;
                 }
-                this.ws.send(JSON.stringify({
+                this.sendFrame({
                     type: 'typing',
                     data: { is_typing: false }
-                }));
+                });
             }
         },
 
-        // 发送已读状态
+        // 发送已读状态（其他标签页同步清零未读数）
         sendReadStatus() {
-            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
-            this.ws.send(JSON.stringify({
+            const sent = this.sendFrame({
                 type: 'read',
                 data: { conversation_id: this.state.conversationId }
-            }));
+            });
+            if (sent) {
+                this.postToTabs({ type: 'read' });
+            }
         },
 
         // 处理消息已读通知
@@ -784,7 +3122,7 @@
             if (data?.reader === 'agent') {
                 // 标记客户发送的消息为已读
                 this.state.messages.forEach(m => {
-                    if (m.sender_type === 1) {
+                    if (m.sender_type === 1 && !m.sendStatus) {
                         m.is_read = true;
                     }
                 });
@@ -793,12 +3131,161 @@
             }
         },
 
+        // 消息的链接预览生成后，补充到消息并重新渲染
+        handleLinkPreview(data) {
+            const msg = this.state.messages.find(m => m.id === data?.message_id);
+            if (!msg || !data.link_preview) return;
+
+            msg.link_preview = data.link_preview;
+            this.saveMessage(msg);
+            this.rerenderMessage(msg);
+        },
+
+        // 消息的表情回应有变化（任意一方添加或取消）
+        handleMessageReaction(data) {
+            const msg = this.state.messages.find(m => m.id === data?.message_id);
+            if (!msg) return;
+
+            msg.reactions = data.reactions || [];
+            this.saveMessage(msg);
+            this.rerenderMessage(msg);
+        },
+
+        // 按消息ID重新渲染已显示的消息（内容追加后高度变化，原本在底部时保持在底部）
+        rerenderMessage(msg) {
+            const container = this.elements.messages;
+            const el = container && container.querySelector(`[data-msg-id="${msg.id}"]`);
+            if (el) {
+                const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+                el.outerHTML = this.getMessageHTML(msg);
+                if (atBottom) this.scrollToBottom();
+            }
+        },
+
+        // 添加/取消表情回应（服务端处理后推送 message_reaction）
+        sendReaction(messageId, emoji) {
+            if (!messageId || !emoji) return;
+            this.sendFrame({
+                type: 'reaction',
+                data: { message_id: messageId, emoji }
+            });
+        },
+
+        // 在消息下方显示可用的回应表情
+        openReactionBar(anchor) {
+            const msgId = anchor.getAttribute('data-react-picker');
+            const wasOpen = this.elements.messages.querySelector(`.im-sdk-react-bar[data-for="${msgId}"]`);
+            this.closeReactionBar();
+            if (wasOpen) return;
+
+            const emojis = (this.settings.message_reactions || {}).emojis || [];
+            const msg = this.state.messages.find(m => m.id === Number(msgId));
+            const mine = ((msg && msg.reactions) || []).filter(r => (r.reacted_by || []).includes(1)).map(r => r.emoji);
+            const bar = document.createElement('div');
+            bar.className = 'im-sdk-react-bar';
+            bar.setAttribute('data-for', msgId);
+            bar.innerHTML = emojis.map(emoji =>
+                `<button type="button" data-react="${encodeURIComponent(emoji)}" data-msg="${msgId}" aria-label="${this.escapeHtml(this.texts.a11y_react_with.replace('{emoji}', emoji))}" aria-pressed="${mine.includes(emoji)}">${this.escapeHtml(emoji)}</button>`
+            ).join('');
+            anchor.closest('.im-sdk-reactions').after(bar);
+            anchor.setAttribute('aria-expanded', 'true');
+        },
+
+        closeReactionBar() {
+            const container = this.elements.messages;
+            if (!container) return;
+            container.querySelectorAll('.im-sdk-react-bar').forEach(bar => bar.remove());
+            container.querySelectorAll('.im-sdk-react-add[aria-expanded="true"]').forEach(btn => btn.setAttribute('aria-expanded', 'false'));
+        },
+
+        // 回应列表：每个表情显示人数，自己（客户）点过的高亮
+        getReactionsHTML(msg) {
+            if (typeof msg.id !== 'number') return '';
+
+            const chips = (msg.reactions || []).map(r => {
+                const mine = (r.reacted_by || []).includes(1);
+                const label = this.texts.a11y_reaction.replace('{emoji}', r.emoji).replace('{count}', r.count);
+                return `<button type="button" class="im-sdk-reaction${mine ? ' mine' : ''}" data-react="${encodeURIComponent(r.emoji)}" data-msg="${msg.id}" aria-label="${this.escapeHtml(label)}" aria-pressed="${mine}">${this.escapeHtml(r.emoji)} ${r.count}</button>`;
+            }).join('');
+            const addLabel = this.escapeHtml(this.texts.reaction_add);
+            return `
+                <div class="im-sdk-reactions">
+                    ${chips}
+                    <button type="button" class="im-sdk-react-add" data-react-picker="${msg.id}" title="${addLabel}" aria-label="${addLabel}" aria-expanded="false">☺</button>
+                </div>`;
+        },
+
+        /**
+         * 打开/关闭表情选择器
+         * 表情数据（im-emoji.js）第一次打开时从服务器加载
+         */
+        async toggleEmojiPanel() {
+            const panel = this.elements.emojiPanel;
+            if (panel.classList.contains('show')) {
+                this.closeEmojiPanel();
+                return;
+            }
+
+            if (!window.ImEmoji) {
+                try {
+                    await this.loadScript(`${this.getApiServer()}/sdk/im-emoji.js`);
+                } catch (e) {
+                    console.log('[IM-SDK] Load emoji data failed', e);
+                    return;
+                }
+            }
+            // 加载期间组件被销毁或重新初始化
+            if (this.elements.emojiPanel !== panel) return;
+
+            if (!panel.innerHTML) {
+                const categories = window.ImEmoji.categories;
+                panel.innerHTML = `
+                    <div class="im-sdk-emoji-tabs">
+                        ${categories.map((c, i) => `<button data-emoji-tab="${i}" title="${this.escapeHtml(c.name)}">${c.icon}</button>`).join('')}
+                    </div>
+                    <div class="im-sdk-emoji-grid"></div>`;
+                this.showEmojiCategory(0);
+            }
+            panel.classList.add('show');
+            this.elements.emojiBtn.setAttribute('aria-expanded', 'true');
+        },
+
+        closeEmojiPanel() {
+            if (this.elements.emojiPanel) {
+                this.elements.emojiPanel.classList.remove('show');
+                this.elements.emojiBtn.setAttribute('aria-expanded', 'false');
+            }
+        },
+
+        showEmojiCategory(index) {
+            const panel = this.elements.emojiPanel;
+            const category = window.ImEmoji.categories[index];
+            if (!category) return;
+
+            panel.querySelectorAll('[data-emoji-tab]').forEach(tab => {
+                tab.classList.toggle('active', Number(tab.getAttribute('data-emoji-tab')) === index);
+            });
+            panel.querySelector('.im-sdk-emoji-grid').innerHTML = category.emojis
+                .map(emoji => `<button data-emoji="${encodeURIComponent(emoji)}">${emoji}</button>`)
+                .join('');
+        },
+
+        // 在输入框光标处插入表情
+        insertEmoji(emoji) {
+            const input = this.elements.input;
+            const start = input.selectionStart ?? input.value.length;
+            const end = input.selectionEnd ?? input.value.length;
+            input.value = input.value.slice(0, start) + emoji + input.value.slice(end);
+            input.focus();
+            input.setSelectionRange(start + emoji.length, start + emoji.length);
+        },
+
         // 只更新消息的已读状态显示
         updateReadStatus() {
             const container = this.elements.messages;
             if (!container) return;
 
-            const statusElements = container.querySelectorAll('.im-sdk-msg-wrapper-right .im-sdk-msg-status');
+            const statusElements = container.querySelectorAll('.im-sdk-msg-wrapper-right .im-sdk-msg-status:not(.sending):not(.failed)');
             statusElements.forEach(el => {
                 if (!el.classList.contains('read')) {
                     el.classList.add('read');
@@ -809,25 +3296,140 @@
 
         async sendMessage() {
             const content = this.elements.input.value.trim();
-            if (!content || !this.state.isConnected) return;
+            if (!content) return;
 
             // 先清空输入框，提升用户体验
             this.elements.input.value = '';
 
+            this.enqueueMessage(content, 1);
+        },
+
+        /**
+         * 消息加入发送队列
+         * 立即以"发送中"状态显示，收到服务器确认后变为已发送，超时则标记失败
+         */
+        enqueueMessage(content, contentType) {
+            const msg = {
+                client_msg_id: this.createClientMsgId(),
+                sender_type: 1,
+                content: content,
+                content_type: contentType,
+                created_at: new Date().toISOString(),
+                sendStatus: 'sending'
+            };
+            this.state.messages.push(msg);
+            this.saveMessage(msg);
+            this.appendMessage(msg);
+            this.transmitMessage(msg);
+        },
+
+        // 生成客户端消息ID
+        createClientMsgId() {
+            return 'c' + Date.now().toString(36) + Math.random().toString(36).substr(2, 10);
+        },
+
+        /**
+         * 发送队列中的消息
+         * 不论是否已连接都开始计算确认超时，超时标记为失败（可点击重发）；
+         * 未连接时等连接后由 flushOutbox 发送，帧发出时重新计时
+         */
+        async transmitMessage(msg) {
+            msg.sendStatus = 'sending';
+            this.startSendTimeout(msg);
+
+            if (!this.state.isConnected) return;
+
             // 如果有待入库的欢迎语，先保存
             await this.savePendingWelcome();
 
-            // 发送消息
-            this.ws.send(JSON.stringify({
+            this.startSendTimeout(msg);
+            msg.transmitted = this.sendFrame({
                 type: 'message',
-                data: { content, content_type: 1 }
-            }));
+                data: {
+                    content: msg.content,
+                    content_type: msg.content_type,
+                    client_msg_id: msg.client_msg_id
+                }
+            });
+        },
+
+        // 重新开始计算消息的确认超时
+        startSendTimeout(msg) {
+            clearTimeout(this.state.outboxTimers[msg.client_msg_id]);
+            this.state.outboxTimers[msg.client_msg_id] = setTimeout(() => this.markMessageFailed(msg), SEND_TIMEOUT);
+        },
+
+        /**
+         * 连接建立后重发所有待确认的消息
+         * 断线期间超时标记为失败、还没有发出过的消息一并发送
+         */
+        flushOutbox() {
+            this.state.messages
+                .filter(m => m.sendStatus === 'sending' || (m.sendStatus === 'failed' && !m.transmitted))
+                .forEach(m => {
+                    const wasFailed = m.sendStatus === 'failed';
+                    this.transmitMessage(m);
+                    if (wasFailed) {
+                        this.saveMessage(m);
+                        this.updateMessageElement(m);
+                    }
+                });
+        },
+
+        // 超时未确认，标记为发送失败
+        markMessageFailed(msg) {
+            delete this.state.outboxTimers[msg.client_msg_id];
+            if (msg.sendStatus !== 'sending') return;
+            msg.sendStatus = 'failed';
+            this.saveMessage(msg);
+            this.updateMessageElement(msg);
+        },
+
+        // 点击重发失败的消息
+        retryMessage(clientMsgId) {
+            const msg = this.state.messages.find(m => m.sendStatus === 'failed' && m.client_msg_id === clientMsgId);
+            if (!msg) return;
+            this.transmitMessage(msg);
+            this.saveMessage(msg);
+            this.updateMessageElement(msg);
+        },
+
+        // 服务器确认收到，待发消息转为正式消息
+        confirmMessage(pending, msg) {
+            clearTimeout(this.state.outboxTimers[pending.client_msg_id]);
+            delete this.state.outboxTimers[pending.client_msg_id];
+            delete pending.sendStatus;
+            delete pending.transmitted;
+            Object.assign(pending, msg);
+            this.state.messageIds.add(pending.id);
+            this.saveMessage(pending);
+            this.updateMessageElement(pending);
+        },
+
+        // 重新渲染单条消息（发送状态变化时）
+        updateMessageElement(msg) {
+            const container = this.elements.messages;
+            if (!container || !msg.client_msg_id) return;
+            const el = container.querySelector(`[data-client-id="${msg.client_msg_id}"]`);
+            if (el) {
+                el.outerHTML = this.getMessageHTML(msg);
+            }
         },
 
         /**
          * 保存待入库的欢迎语
+         * 多条消息同时发送时共用同一次入库，保证欢迎语排在第一条消息之前
          */
-        async savePendingWelcome() {
+        savePendingWelcome() {
+            if (!this.state.welcomeSaving) {
+                this.state.welcomeSaving = this.doSavePendingWelcome().finally(() => {
+                    this.state.welcomeSaving = null;
+                });
+            }
+            return this.state.welcomeSaving;
+        },
+
+        async doSavePendingWelcome() {
             if (!this.state.pendingWelcome) return;
 
             const welcome = this.state.pendingWelcome;
@@ -856,10 +3458,12 @@
                     if (data.data.conversation_id) {
                         this.state.conversationId = data.data.conversation_id;
                     }
+                    welcome.conversation_id = this.state.conversationId;
 
                     // 将欢迎语加入消息列表（用于持久化）
                     this.state.messages.push(welcome);
-                    this.saveMessages();
+                    this.state.messageIds.add(welcome.id);
+                    this.saveMessage(welcome);
                 }
             } catch (e) {
                 console.error('[IM-SDK] Failed to save welcome message:', e);
@@ -871,9 +3475,15 @@
 
         // 处理图片上传
         async handleImageUpload(e) {
-            let file = e.target.files[0];
-            if (!file) return;
+            const file = e.target.files[0];
+            this.elements.imageInput.value = '';
+            if (file && this.validateImage(file)) {
+                this.uploadImage(file);
+            }
+        },
 
+        // 验证图片类型和大小，不通过时提示并返回 false
+        validateImage(file) {
             // 验证文件类型（支持更多格式，包括 HEIC/HEIF）
             const allowedTypes = [
                 'image/jpeg',
@@ -896,19 +3506,33 @@
             const hasValidExt = allowedExts.some(ext => fileName.endsWith(ext));
 
             if (!allowedTypes.includes(file.type) && !hasValidExt) {
-                alert('Only image files are supported (JPG, PNG, GIF, WEBP, HEIC, HEIF, BMP, SVG, TIFF, ICO)');
-                return;
+                alert(this.texts.image_type_unsupported);
+                return false;
             }
 
             // 验证文件大小（100MB）
             if (file.size > 100 * 1024 * 1024) {
-                alert('Image size cannot exceed 100MB');
-                return;
+                alert(this.texts.image_too_large.replace('{size}', 100));
+                return false;
             }
+            return true;
+        },
+
+        // 是否按图片发送（拖入、粘贴的文件据此区分图片和附件）
+        isImageFile(file) {
+            return /^image\//.test(file.type) || /\.(heic|heif)$/i.test(file.name);
+        },
+
+        /**
+         * 上传图片并发送（HEIC 转换 → 压缩 → 上传）
+         * 返回是否发送成功
+         */
+        async uploadImage(file) {
+            if (this.state.uploading) return false;
+            const fileName = file.name.toLowerCase();
 
             // 显示上传中状态
-            this.elements.uploading.classList.add('show');
-            this.updateUploadingText('Uploading...');
+            this.showUploading(this.texts.uploading);
 
             try {
                 // 检查是否是 HEIC/HEIF 格式，需要转换
@@ -916,47 +3540,342 @@
                                fileName.endsWith('.heic') || fileName.endsWith('.heif');
 
                 if (isHeic) {
-                    this.updateUploadingText('Converting HEIC image...');
+                    this.updateUploadingText(this.texts.converting_heic);
                     file = await this.convertHeicToJpg(file);
                     if (!file) {
-                        alert('Failed to convert HEIC image. Please try a different format.');
-                        return;
+                        alert(this.texts.heic_convert_failed);
+                        return false;
                     }
                 }
 
-                this.updateUploadingText('Uploading...');
-                const formData = new FormData();
-                formData.append('file', file);
-
-                const httpServer = this.getApiServer();
-                const response = await fetch(`${httpServer}/upload/image`, {
-                    method: 'POST',
-                    body: formData
-                });
+                // 大图在浏览器端缩小、重新编码后再上传
+                this.updateUploadingText(this.texts.compressing_image);
+                file = await this.compressImage(file);
 
-                const result = await response.json();
+                this.updateUploadingText(this.texts.uploading);
+                const result = await this.uploadWithProgress('/upload/image', file);
 
                 if (result.code === 0 && result.data.url) {
                     // 上传成功，发送图片消息
                     this.sendImageMessage(result.data.url);
-                }else {
-                    alert(result.message || 'Upload failed');
+                    return true;
                 }
+                alert(result.message || this.texts.upload_failed);
             }catch (error) {
-                console.error('Upload error:', error);
-                alert('Upload failed, please try again');
+                if (!error.cancelled) {
+                    console.error('Upload error:', error);
+                    alert(this.texts.upload_failed);
+                }
             } finally {
                 // 隐藏上传中状态
+                this.hideUploading();
+            }
+            return false;
+        },
+
+        /**
+         * 压缩图片
+         * 最长边超过 max_dimension 时等比缩小，并按 quality 重新编码为 JPEG；
+         * GIF（可能是动图）、SVG（矢量图）以及压缩后反而更大的图片保持原样。
+         */
+        async compressImage(file) {
+            const options = this.settings.image_compression || {};
+            const maxDimension = options.max_dimension || 1920;
+            const quality = options.quality || 0.8;
+            if (/image\/(gif|svg)/.test(file.type)) return file;
+
+            let bitmap;
+            try {
+                bitmap = await this.decodeImage(file);
+            } catch (e) {
+                return file;
+            }
+
+            const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+            if (scale === 1 && file.size <= IMAGE_COMPRESS_MIN_SIZE) {
+                if (bitmap.close) bitmap.close();
+                return file;
+            }
+
+            const width = Math.round(bitmap.width * scale);
+            const height = Math.round(bitmap.height * scale);
+            let blob;
+            try {
+                if (typeof OffscreenCanvas === 'function') {
+                    const canvas = new OffscreenCanvas(width, height);
+                    this.drawImageOnWhite(canvas.getContext('2d'), bitmap, width, height);
+                    blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+                } else {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = width;
+                    canvas.height = height;
+                    this.drawImageOnWhite(canvas.getContext('2d'), bitmap, width, height);
+                    blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+                }
+            } catch (e) {
+                console.warn('[IM-SDK] Compress image failed, uploading original', e);
+                return file;
+            } finally {
+                if (bitmap.close) bitmap.close();
+            }
+
+            if (!blob || blob.size >= file.size) return file;
+            const name = file.name.replace(/\.[^.]+$/, '') + '.jpg';
+            return new File([blob], name, { type: 'image/jpeg' });
+        },
+
+        // 解码图片，优先 createImageBitmap（不阻塞主线程，且会按 EXIF 方向旋转）
+        decodeImage(file) {
+            if (typeof createImageBitmap === 'function') {
+                return createImageBitmap(file, { imageOrientation: 'from-image' });
+            }
+            return new Promise((resolve, reject) => {
+                const url = URL.createObjectURL(file);
+                const img = new Image();
+                img.onload = () => {
+                    URL.revokeObjectURL(url);
+                    resolve(img);
+                };
+                img.onerror = (e) => {
+                    URL.revokeObjectURL(url);
+                    reject(e);
+                };
+                img.src = url;
+            });
+        },
+
+        // 透明背景（PNG）转 JPEG 会变黑，先铺白底
+        drawImageOnWhite(ctx, image, width, height) {
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, width, height);
+            ctx.drawImage(image, 0, 0, width, height);
+        },
+
+        /**
+         * 上传文件并显示进度
+         * 使用 XHR（fetch 拿不到上传进度），返回服务端响应JSON；被取消时抛出 cancelled 错误
+         */
+        uploadWithProgress(path, file) {
+            return new Promise((resolve, reject) => {
+                if (this.state.uploadCancelled) {
+                    const error = new Error('Upload cancelled');
+                    error.cancelled = true;
+                    reject(error);
+                    return;
+                }
+                const xhr = new XMLHttpRequest();
+                this.state.uploadXhr = xhr;
+                xhr.open('POST', `${this.getApiServer()}${path}`);
+                xhr.upload.onprogress = (e) => {
+                    if (e.lengthComputable) {
+                        this.updateUploadProgress(e.loaded / e.total);
+                    }
+                };
+                xhr.onload = () => {
+                    try {
+                        resolve(JSON.parse(xhr.responseText));
+                    } catch (e) {
+                        reject(e);
+                    }
+                };
+                xhr.onerror = () => reject(new Error('Network error'));
+                xhr.onabort = () => {
+                    const error = new Error('Upload cancelled');
+                    error.cancelled = true;
+                    reject(error);
+                };
+
+                const formData = new FormData();
+                formData.append('file', file);
+                formData.append('language', this.texts.language);
+                xhr.send(formData);
+            }).finally(() => {
+                this.state.uploadXhr = null;
+            });
+        },
+
+        // 取消正在进行的上传
+        cancelUpload() {
+            if (this.state.uploadXhr) {
+                this.state.uploadXhr.abort();
+            } else if (this.state.uploading) {
+                this.state.uploadCancelled = true;
+            }
+        },
+
+        showUploading(text) {
+            this.state.uploading = true;
+            this.state.uploadCancelled = false;
+            this.updateUploadingText(text);
+            this.updateUploadProgress(0);
+            this.elements.uploading.classList.add('show');
+        },
+
+        hideUploading() {
+            this.state.uploading = false;
+            if (this.elements.uploading) {
                 this.elements.uploading.classList.remove('show');
-                // 清空文件选择
-                this.elements.imageInput.value = '';
             }
         },
 
+        updateUploadProgress(ratio) {
+            if (this.elements.uploadProgress) {
+                this.elements.uploadProgress.style.width = `${Math.round(ratio * 100)}%`;
+            }
+        },
+
+        // 后台允许发送的文件扩展名（小写，不带点）
+        getAllowedFileExts() {
+            const types = this.settings.upload_file_types || {};
+            return (types.extensions || []).map(ext => String(ext).toLowerCase());
+        },
+
+        // 处理文件上传（PDF、文档、压缩包等，类型和大小由后台配置）
+        async handleFileUpload(e) {
+            const file = e.target.files[0];
+            this.elements.fileInput.value = '';
+            if (file && this.validateAttachment(file)) {
+                this.uploadAttachment(file);
+            }
+        },
+
+        // 验证附件类型和大小，不通过时提示并返回 false
+        validateAttachment(file) {
+            const allowedExts = this.getAllowedFileExts();
+            const ext = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+            if (!allowedExts.includes(ext)) {
+                alert(this.texts.file_type_unsupported.replace('{types}', allowedExts.join(', ').toUpperCase()));
+                return false;
+            }
+
+            const maxSizeMb = (this.settings.upload_file_types || {}).max_size_mb || 20;
+            if (file.size > maxSizeMb * 1024 * 1024) {
+                alert(this.texts.file_too_large.replace('{size}', maxSizeMb));
+                return false;
+            }
+            return true;
+        },
+
+        // 上传附件并发送，返回是否发送成功
+        async uploadAttachment(file) {
+            if (this.state.uploading) return false;
+            this.showUploading(this.texts.uploading_file);
+
+            try {
+                const result = await this.uploadWithProgress('/upload/file', file);
+
+                if (result.code === 0 && result.data.url) {
+                    this.sendFileMessage(result.data);
+                    return true;
+                }
+                alert(result.message || this.texts.upload_failed);
+            } catch (error) {
+                if (!error.cancelled) {
+                    console.error('Upload error:', error);
+                    alert(this.texts.upload_failed);
+                }
+            } finally {
+                this.hideUploading();
+            }
+            return false;
+        },
+
+        /**
+         * 打开发送前预览（粘贴截图、拖入文件时）
+         * 可以附加一段说明文字，确认后先发送文件再发送说明
+         */
+        openFilePreview(file) {
+            if (this.state.uploading) return;
+            const isImage = this.isImageFile(file);
+            if (!(isImage ? this.validateImage(file) : this.validateAttachment(file))) return;
+
+            this.closeFilePreview();
+            this.state.previewFile = file;
+
+            // HEIC 浏览器大多无法直接显示，按文件卡片展示
+            if (isImage && !/\.(heic|heif)$/i.test(file.name) && !/image\/hei[cf]/.test(file.type)) {
+                this.state.previewUrl = URL.createObjectURL(file);
+                this.elements.previewContent.innerHTML = `<img class="im-sdk-preview-image" src="${this.state.previewUrl}" alt="${this.escapeHtml(file.name)}">`;
+            } else {
+                this.elements.previewContent.innerHTML = `
+                    <div class="im-sdk-file-card">
+                        <span class="im-sdk-file-icon">📄</span>
+                        <span class="im-sdk-file-info">
+                            <div class="im-sdk-file-name">${this.escapeHtml(file.name || 'file')}</div>
+                            <div class="im-sdk-file-size">${this.formatFileSize(file.size)}</div>
+                        </span>
+                    </div>`;
+            }
+
+            this.elements.previewCaption.value = '';
+            this.elements.preview.classList.add('show');
+            this.elements.previewCaption.focus();
+        },
+
+        closeFilePreview() {
+            if (this.state.previewUrl) {
+                URL.revokeObjectURL(this.state.previewUrl);
+            }
+            this.state.previewUrl = null;
+            this.state.previewFile = null;
+            if (this.elements.preview) {
+                this.elements.preview.classList.remove('show');
+                this.elements.previewContent.innerHTML = '';
+            }
+        },
+
+        async confirmFilePreview() {
+            const file = this.state.previewFile;
+            if (!file) return;
+            const caption = this.elements.previewCaption.value.trim();
+            this.closeFilePreview();
+            this.elements.input.focus();
+
+            const sent = this.isImageFile(file)
+                ? await this.uploadImage(file)
+                : await this.uploadAttachment(file);
+            if (sent && caption) {
+                this.enqueueMessage(caption, 1);
+            }
+        },
+
+        // 发送文件消息（内容为文件信息JSON）
+        sendFileMessage(file) {
+            this.enqueueMessage(JSON.stringify({
+                url: file.url,
+                name: file.name,
+                size: file.size,
+                mime: file.mime
+            }), 3);
+        },
+
+        // 解析文件消息内容，格式不对返回 null
+        parseFileContent(content) {
+            try {
+                const file = JSON.parse(content);
+                return file && /^https?:\/\/[^"'<>\s]+$/i.test(file.url) ? file : null;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        // 文件大小格式化：1536 → 1.5 KB
+        formatFileSize(bytes) {
+            if (!bytes) return '';
+            const units = ['B', 'KB', 'MB', 'GB'];
+            let size = bytes;
+            let i = 0;
+            while (size >= 1024 && i < units.length - 1) {
+                size /= 1024;
+                i++;
+            }
+            return `${i === 0 ? size : size.toFixed(1)} ${units[i]}`;
+        },
+
         // 更新上传提示文字
         updateUploadingText(text) {
-            if (this.elements.uploading) {
-                this.elements.uploading.textContent = text;
+            if (this.elements.uploadingText) {
+                this.elements.uploadingText.textContent = text;
             }
         },
 
@@ -1000,39 +3919,43 @@
         },
 
         // 发送图片消息
-        async sendImageMessage(imageUrl) {
-            if (!this.state.isConnected) return;
-
-            // 如果有待入库的欢迎语，先保存
-            await this.savePendingWelcome();
-
-            this.ws.send(JSON.stringify({
-                type: 'message',
-                data: {
-                    content: imageUrl,
-                    content_type: 2
-                }
-            }));
+        sendImageMessage(imageUrl) {
+            this.enqueueMessage(imageUrl, 2);
         },
 
-        // 关闭图片预览
+        // 关闭图片预览，焦点还给打开前的元素（消息中的图片）
         closeImageModal() {
             this.elements.imageModal.classList.remove('show');
+            const returnFocus = this.state.imageModalReturnFocus;
+            this.state.imageModalReturnFocus = null;
+            if (returnFocus && returnFocus.isConnected) returnFocus.focus();
         },
 
-        // 打开图片预览
+        // 打开图片预览，焦点移到关闭按钮
         openImageModal(imageUrl) {
             const img = this.elements.imageModal.querySelector('img');
             img.src = imageUrl;
+            this.state.imageModalReturnFocus = this.getActiveElement();
             this.elements.imageModal.classList.add('show');
+            this.elements.imageClose.focus();
         },
 
+        // 添加消息，返回是否为新消息
         addMessage(msg) {
-            const exists = this.state.messages.find(m => m.id === msg.id);
-            if (exists) return;
+            // 自己发出的待确认消息，收到服务器回显后原地更新
+            if (msg.client_msg_id) {
+                const pending = this.state.messages.find(m => m.sendStatus && m.client_msg_id === msg.client_msg_id);
+                if (pending) {
+                    this.confirmMessage(pending, msg);
+                    return true;
+                }
+            }
+
+            if (this.state.messageIds.has(msg.id)) return false;
 
             this.state.messages.push(msg);
-            this.saveMessages();
+            this.state.messageIds.add(msg.id);
+            this.saveMessage(msg);
 
             // 只追加新消息，不重新渲染整个列表
             this.appendMessage(msg);
@@ -1041,6 +3964,7 @@
                 this.state.unreadCount++;
                 this.updateBadge();
             }
+            return true;
         },
 
         // 追加单条消息到列表末尾
@@ -1049,12 +3973,14 @@
             if (!container) return;
 
             container.insertAdjacentHTML('beforeend', this.getMessageHTML(msg));
+            this.updateDateSeparators();
             this.scrollToBottom();
         },
 
         addSystemMessage(text) {
             this.addMessage({
-                id: Date.now(),
+                // 本地提示使用字符串ID，不参与历史游标计算
+                id: 'sys_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6),
                 sender_type: 3,
                 content: text,
                 created_at: new Date().toISOString()
@@ -1065,6 +3991,7 @@
         renderMessages() {
             const container = this.elements.messages;
             container.innerHTML = this.state.messages.map(m => this.getMessageHTML(m)).join('');
+            this.updateDateSeparators();
             this.scrollToBottom();
         },
 
@@ -1082,14 +4009,20 @@
             const isSystem = msg.sender_type === 3;
             const isImage = msg.content_type === 2;
 
+            const dayAttr = ` data-day="${this.getDayKey(msg.created_at)}"`;
+
             if (isSystem) {
-                return `<div class="im-sdk-msg-system">${this.escapeHtml(msg.content)}</div>`;
+                return `<div class="im-sdk-msg-system"${dayAttr}>${this.escapeHtml(msg.content)}</div>`;
             }
 
-            // 客户发送的消息显示已读状态
+            // 客户发送的消息显示发送/已读状态
             let statusHTML = '';
             if (isCustomer) {
-                if (msg.is_read) {
+                if (msg.sendStatus === 'sending') {
+                    statusHTML = '<span class="im-sdk-msg-status sending">···</span>';
+                } else if (msg.sendStatus === 'failed') {
+                    statusHTML = '<span class="im-sdk-msg-status failed">!</span>';
+                } else if (msg.is_read) {
                     statusHTML = '<span class="im-sdk-msg-status read">✓✓</span>';
                 } else if (msg.id) {
                     statusHTML = '<span class="im-sdk-msg-status">✓</span>';
@@ -1103,11 +4036,11 @@
 
             // 头像内容：客服用图片，客户用文字
             const avatarContent = isCustomer
-                ? 'Me'
-                : `<img src="${this.config.agentAvatar || '/avatar.jpg'}" alt="Agent">`;
+                ? this.escapeHtml(this.texts.customer_avatar)
+                : `<img src="${this.config.agentAvatar || '/avatar.jpg'}" alt="">`;
 
             // 客服名称（仅客服消息显示）
-            const agentName = !isCustomer ? `<div class="im-sdk-agent-name">${this.escapeHtml(this.config.agentName || 'Customer Service')}</div>` : '';
+            const agentName = !isCustomer ? `<div class="im-sdk-agent-name">${this.escapeHtml(this.getAgentName())}</div>` : '';
 
             // 格式化时间
             let timeStr = '';
@@ -1115,26 +4048,64 @@
                 timeStr = this.formatTime(msg.created_at);
             }
 
-            // 消息内容：图片或文本
+            // 消息内容：图片、文件或文本
             let contentHTML = '';
+            const file = msg.content_type === 3 ? this.parseFileContent(msg.content) : null;
             if (isImage) {
                 const escapedUrl = this.escapeHtml(msg.content);
-                contentHTML = `<img src="${escapedUrl}" class="im-sdk-msg-image" onclick="ImSDK.openImageModal('${escapedUrl}')" alt="Image">`;
+                contentHTML = `<button type="button" class="im-sdk-msg-image-btn" data-image="${escapedUrl}" aria-label="${this.escapeHtml(this.texts.a11y_image)}"><img src="${escapedUrl}" class="im-sdk-msg-image" alt=""></button>`;
+            } else if (file) {
+                contentHTML = `
+                    <a class="im-sdk-file-card" href="${this.escapeHtml(file.url)}" target="_blank" rel="noopener noreferrer" download>
+                        <span class="im-sdk-file-icon">📄</span>
+                        <span class="im-sdk-file-info">
+                            <div class="im-sdk-file-name" title="${this.escapeHtml(file.name)}">${this.escapeHtml(file.name)}</div>
+                            <div class="im-sdk-file-size">${this.formatFileSize(file.size)}</div>
+                        </span>
+                    </a>`;
             }else {
-                contentHTML = this.escapeHtml(msg.content);
+                contentHTML = this.renderRichText(msg.content);
             }
 
+            // 发送失败时，时间位置显示重发提示
+            const footerHTML = msg.sendStatus === 'failed'
+                ? `<div class="im-sdk-msg-failed" role="button" tabindex="0" data-retry="${this.escapeHtml(msg.client_msg_id)}">${this.escapeHtml(this.texts.message_failed)}</div>`
+                : `<div class="im-sdk-msg-time">${timeStr}</div>`;
+            const clientIdAttr = msg.client_msg_id ? ` data-client-id="${this.escapeHtml(msg.client_msg_id)}"` : '';
+            const msgIdAttr = typeof msg.id === 'number' ? ` data-msg-id="${msg.id}"` : '';
+
             return `
-                <div class="im-sdk-msg-wrapper ${wrapperCls}">
+                <div class="im-sdk-msg-wrapper ${wrapperCls}"${clientIdAttr}${msgIdAttr}${dayAttr}>
                     <div class="im-sdk-msg-avatar ${avatarCls}">${avatarContent}</div>
                     <div class="im-sdk-msg-bubble">
                         ${agentName}
-                        <div class="im-sdk-msg ${msgCls}">${contentHTML}${statusHTML}</div>
-                        <div class="im-sdk-msg-time">${timeStr}</div>
+                        <div class="im-sdk-msg ${msgCls}" dir="auto">${contentHTML}${statusHTML}</div>
+                        ${this.getLinkPreviewHTML(msg.link_preview)}
+                        ${this.getReactionsHTML(msg)}
+                        ${footerHTML}
                     </div>
                 </div>`;
         },
 
+        // 链接预览卡片（标题、描述、缩略图），地址必须是 http(s)
+        getLinkPreviewHTML(preview) {
+            const isSafeUrl = url => /^https?:\/\/[^"'<>\s]+$/i.test(url || '');
+            if (!preview || !preview.title || !isSafeUrl(preview.url)) return '';
+
+            const image = isSafeUrl(preview.image)
+                ? `<img class="im-sdk-link-preview-image" src="${preview.image}" alt="" loading="lazy">`
+                : '';
+            return `
+                <a class="im-sdk-link-preview" href="${preview.url}" target="_blank" rel="noopener noreferrer">
+                    ${image}
+                    <span class="im-sdk-link-preview-info">
+                        <span class="im-sdk-link-preview-site">${this.escapeHtml(preview.site_name)}</span>
+                        <span class="im-sdk-link-preview-title">${this.escapeHtml(preview.title)}</span>
+                        ${preview.description ? `<span class="im-sdk-link-preview-desc">${this.escapeHtml(preview.description)}</span>` : ''}
+                    </span>
+                </a>`;
+        },
+
         // HTML转义，防止XSS攻击
         escapeHtml(str) {
             if (!str) return '';
@@ -1143,33 +4114,130 @@
             return div.innerHTML;
         },
 
-        // 格式化时间（支持多种格式）
+        /**
+         * 解析消息时间
+         * 服务端返回的 Y-m-d H:i:s 没有时区，是服务端时区的时间：按 server_utc_offset 换算，
+         * 不交给 new Date() 解析（Safari 无法解析该格式，其他浏览器会当作访客本地时间）；
+         * 本地生成的消息时间是 ISO 8601 格式，直接解析
+         * @returns {Date} 无法解析时为 Invalid Date
+         */
+        parseTime(timeStr) {
+            const match = String(timeStr).match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/);
+            if (!match) return new Date(timeStr);
+            const [, year, month, day, hour, minute, second] = match.map(Number);
+            const offset = Number(this.settings.server_utc_offset) || 0;
+            return new Date(Date.UTC(year, month - 1, day, hour, minute, second || 0) - offset * 1000);
+        },
+
+        // 格式化消息时间（只显示时间，日期由日期分隔线显示）
         formatTime(timeStr) {
             if (!timeStr) return '';
 
-            try {
-                // 尝试解析时间
-                const date = new Date(timeStr);
-                if (isNaN(date.getTime())) {
-                    // 如果无法解析，尝试手动提取 HH:MM
-                    const match = timeStr.match(/(\d{2}):(\d{2})/);
-                    return match ? match[0] : '';
-                }
-
-                // 格式化为 HH:MM
-                const hours = date.getHours().toString().padStart(2, '0');
-                const minutes = date.getMinutes().toString().padStart(2, '0');
-                return `${hours}:${minutes}`;
-            } catch (e) {
-                return '';
+            const date = this.parseTime(timeStr);
+            if (isNaN(date.getTime())) {
+                // 如果无法解析，尝试手动提取 HH:MM
+                const match = String(timeStr).match(/(\d{2}):(\d{2})/);
+                return match ? match[0] : '';
+            }
+            return this.formatDateTime(date, { hour: '2-digit', minute: '2-digit' });
+        },
+
+        // 消息所在的日期（本地时间 YYYY-MM-DD），用于插入日期分隔线
+        getDayKey(timeStr) {
+            const date = timeStr ? this.parseTime(timeStr) : null;
+            if (!date || isNaN(date.getTime())) return '';
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
+            return `${date.getFullYear()}-${month}-${day}`;
+        },
+
+        /**
+         * 日期分隔线的文字：今天、昨天（按访客语言），一周内显示星期，更早显示完整日期（今年的省略年份）
+         * @param {string} dayKey YYYY-MM-DD
+         */
+        formatDayLabel(dayKey) {
+            const [year, month, day] = dayKey.split('-').map(Number);
+            const date = new Date(year, month - 1, day);
+            const now = new Date();
+            const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            const diffDays = Math.round((date - today) / 86400000);
+
+            if (diffDays === 0 || diffDays === -1) {
+                try {
+                    const label = new Intl.RelativeTimeFormat(this.locale, { numeric: 'auto' }).format(diffDays, 'day');
+                    return label.charAt(0).toLocaleUpperCase(this.locale) + label.slice(1);
+                } catch (e) {}
+            }
+            if (diffDays < 0 && diffDays > -7) {
+                return this.formatDateTime(date, { weekday: 'long' });
             }
+            return this.formatDateTime(date, year === now.getFullYear()
+                ? { weekday: 'short', month: 'long', day: 'numeric' }
+                : { year: 'numeric', month: 'long', day: 'numeric' });
         },
 
-        updateStatus(text) {
-            this.elements.status.textContent = text;
+        /**
+         * 在每天的第一条消息前插入日期分隔线
+         * 消息增删（追加、加载更早的消息）后调用，已有的分隔线位置正确时保留
+         */
+        updateDateSeparators() {
+            const container = this.elements.messages;
+            if (!container) return;
+
+            let lastDay = null;
+            Array.from(container.children).forEach(el => {
+                if (el.classList.contains('im-sdk-date-separator')) {
+                    // 后面不是当天的第一条消息（如上面又插入了同一天更早的消息），移除后按需重新插入
+                    const next = el.nextElementSibling;
+                    if (!next || next.dataset.day !== el.dataset.day || el.dataset.day === lastDay) {
+                        el.remove();
+                    }
+                    return;
+                }
+
+                const day = el.dataset.day;
+                if (!day || day === lastDay) return;
+                lastDay = day;
+
+                const prev = el.previousElementSibling;
+                if (!prev || !prev.classList.contains('im-sdk-date-separator')) {
+                    el.insertAdjacentHTML('beforebegin',
+                        `<div class="im-sdk-date-separator" data-day="${day}"><span>${this.escapeHtml(this.formatDayLabel(day))}</span></div>`);
+                }
+            });
+        },
+
+        // 更新连接状态文字，showRetry 为 true 时附带"重试"按钮
+        updateStatus(text, showRetry = false) {
+            this.state.statusText = text;
+            this.state.statusRetry = showRetry;
+            if (this.state.isLeader) {
+                this.postToTabs({ type: 'status', text, showRetry });
+            }
+            const status = this.elements.status;
+            if (!status) return;
+            status.textContent = text;
+            if (showRetry) {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'im-sdk-retry';
+                btn.textContent = this.texts.retry_now;
+                status.appendChild(btn);
+            }
         },
 
         updateBadge() {
+            if (this.state.unreadCount !== this.state.lastUnreadCount) {
+                this.state.lastUnreadCount = this.state.unreadCount;
+                this.emit('unread:changed', { count: this.state.unreadCount });
+            }
+
+            // 角标对屏幕阅读器隐藏，未读数写在聊天按钮的名称里
+            const label = this.texts.a11y_open_chat;
+            this.elements.bubble.setAttribute('aria-label', this.state.unreadCount > 0
+                ? `${label} (${this.texts.a11y_unread.replace('{count}', this.state.unreadCount)})`
+                : label);
+
             const badge = this.elements.badge;
             if (this.state.unreadCount > 0) {
                 badge.textContent = this.state.unreadCount > 99 ? '99+' : this.state.unreadCount;
@@ -1180,11 +4248,8 @@
         },
 
         startHeartbeat() {
-            this.heartbeatTimer = setInterval(() => {
-                if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-                    this.ws.send(JSON.stringify({ type: 'ping' }));
-                }
-            }, 30000);
+            this.stopHeartbeat();
+            this.heartbeatTimer = setInterval(() => this.sendPing(), HEARTBEAT_INTERVAL);
         },
 
         stopHeartbeat() {
@@ -1192,22 +4257,295 @@
                 clearInterval(this.heartbeatTimer);
                 this.heartbeatTimer = null;
             }
+            clearTimeout(this.pongTimer);
+            this.pongTimer = null;
         },
 
-        fetchHistory() {
-            const httpServer = this.getApiServer();
-            fetch(`${httpServer}/customer/history?uuid=${this.state.customerUuid}`)
-                .then(r => r.json())
-                .then(res => {
-                    if (res.code === 0 && res.data.list) {
-                        // 从历史消息中获取会话ID
-                        if (res.data.conversation_id) {
-                            this.state.conversationId = res.data.conversation_id;
-                        }
-                        res.data.list.forEach(m => this.addMessage(m));
+        // 发送心跳，超时没有任何响应则判定为半开连接，强制重连
+        sendPing() {
+            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+            this.ws.send(JSON.stringify({ type: 'ping' }));
+            if (!this.pongTimer) {
+                this.pongTimer = setTimeout(() => {
+                    this.pongTimer = null;
+                    console.warn('[IM-SDK] Pong timeout, reconnecting');
+                    this.closeSocket();
+                    this.handleDisconnected();
+                }, PONG_TIMEOUT);
+            }
+        },
+
+        // 发送一帧数据：本标签页持有连接时直接发送，否则交给主标签页转发
+        sendFrame(frame) {
+            if (this.isFollower()) {
+                if (!this.state.isConnected) return false;
+                this.postToTabs({ type: 'frame', frame });
+                return true;
+            }
+            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return false;
+            this.ws.send(JSON.stringify(frame));
+            return true;
+        },
+
+        /**
+         * 多标签页协调
+         * 用 Web Locks 选出主标签页，由它持有唯一的 WebSocket 连接（服务端每个客户只保留一个连接）；
+         * 其他标签页通过 BroadcastChannel 收发消息、同步已读和连接状态。
+         * 主标签页关闭后锁自动释放，排队中的下一个标签页接管连接。
+         */
+        startTabCoordination() {
+            if (typeof BroadcastChannel !== 'function' || !navigator.locks) return;
+
+            const channel = new BroadcastChannel(TAB_CHANNEL_NAME);
+            channel.onmessage = (e) => this.handleTabMessage(e.data || {});
+            this.tabChannel = channel;
+
+            const abort = new AbortController();
+            this.tabLockAbort = abort;
+            navigator.locks.request(TAB_LOCK_NAME, { signal: abort.signal }, () => {
+                // 拿到锁前已销毁，立即释放
+                if (this.tabLockAbort !== abort) return;
+                return new Promise(resolve => {
+                    this.releaseLeadership = resolve;
+                    this.becomeLeader();
+                });
+            }).catch(() => {});
+
+            // 向主标签页要当前连接状态
+            this.postToTabs({ type: 'hello' });
+        },
+
+        stopTabCoordination() {
+            if (this.tabLockAbort) {
+                this.tabLockAbort.abort();
+                this.tabLockAbort = null;
+            }
+            if (this.state.isLeader) {
+                this.postToTabs({ type: 'connection', connected: false });
+            }
+            if (this.releaseLeadership) {
+                this.releaseLeadership();
+                this.releaseLeadership = null;
+            }
+            if (this.tabChannel) {
+                this.tabChannel.close();
+                this.tabChannel = null;
+            }
+            this.state.isLeader = false;
+        },
+
+        // 当前标签页是否由主标签页代为连接
+        isFollower() {
+            return !!this.tabChannel && !this.state.isLeader;
+        },
+
+        becomeLeader() {
+            this.state.isLeader = true;
+            console.log('[IM-SDK] This tab now holds the connection');
+            this.postToTabs({ type: 'leader' });
+            if (this.state.shouldConnect) {
+                this.connect();
+            }
+        },
+
+        postToTabs(message) {
+            if (!this.tabChannel) return;
+            try {
+                this.tabChannel.postMessage({ ...message, uuid: this.state.customerUuid });
+            } catch (e) {}
+        },
+
+        handleTabMessage(message) {
+            if (message.type === 'customer_switched') {
+                if (message.to !== this.state.customerUuid) {
+                    this.switchCustomer(message.to, false);
+                }
+                return;
+            }
+            // 其他客户身份的消息（切换身份过程中）忽略
+            if (message.uuid !== this.state.customerUuid) return;
+
+            // 所有标签页：已读同步
+            if (message.type === 'read') {
+                this.state.unreadCount = 0;
+                this.updateBadge();
+                return;
+            }
+            // 所有标签页：其他标签页已提交咨询前表单
+            if (message.type === 'pre_chat_done') {
+                this.finishPreChat();
+                return;
+            }
+            // 所有标签页：其他标签页已提交满意度评价
+            if (message.type === 'csat_done') {
+                if (this.state.csatConversationId === message.conversation_id) {
+                    this.hideCsatSurvey();
+                }
+                return;
+            }
+
+            if (this.state.isLeader) {
+                switch (message.type) {
+                    case 'hello':
+                        this.postToTabs({ type: 'connection', connected: this.state.isConnected });
+                        this.postToTabs({ type: 'status', text: this.state.statusText, showRetry: this.state.statusRetry });
+                        break;
+                    case 'connect':
+                        this.connect();
+                        break;
+                    case 'reconnect_now':
+                        this.reconnectNow();
+                        break;
+                    case 'frame':
+                        this.sendFrame(message.frame);
+                        break;
+                }
+                return;
+            }
+
+            switch (message.type) {
+                case 'leader':
+                    // 新的主标签页上任，需要连接时告诉它
+                    if (this.state.shouldConnect) {
+                        this.postToTabs({ type: 'connect' });
+                    }
+                    break;
+                case 'ws_message':
+                    this.handleMessage(message.data);
+                    break;
+                case 'connection':
+                    this.handleLeaderConnection(message.connected);
+                    break;
+                case 'status':
+                    if (message.text) this.updateStatus(message.text, message.showRetry);
+                    break;
+            }
+        },
+
+        // 主标签页连接状态变化（与本标签页自己的 onopen / 断开处理对应）
+        handleLeaderConnection(connected) {
+            if (connected === this.state.isConnected) return;
+            this.state.isConnected = connected;
+            this.emit('connection:changed', { connected });
+            if (connected) {
+                this.flushOutbox();
+                this.fetchHistory();
+            }
+        },
+
+        // 请求 history 接口
+        async requestHistory(params) {
+            const query = Object.keys(params)
+                .map(k => `${k}=${encodeURIComponent(params[k])}`)
+                .join('&');
+            const res = await fetch(`${this.getApiServer()}/customer/history?${query}`);
+            const data = await res.json();
+            return data.code === 0 ? data.data : null;
+        },
+
+        // 本地已有的服务端消息ID范围（本地提示、待发送消息不算）
+        getHistoryCursor() {
+            let min = 0;
+            let max = 0;
+            this.state.messages.forEach(m => {
+                if (m.sendStatus || !m.conversation_id || typeof m.id !== 'number') return;
+                if (!min || m.id < min) min = m.id;
+                if (m.id > max) max = m.id;
+            });
+            return { min, max };
+        },
+
+        /**
+         * 同步历史消息
+         * 本地没有消息时拉取最新一页；否则只拉取 after_id 之后错过的消息
+         */
+        async fetchHistory() {
+            if (this.state.historySyncing) {
+                this.state.historyResync = true;
+                return;
+            }
+            this.state.historySyncing = true;
+            const uuid = this.state.customerUuid;
+
+            try {
+                let afterId = this.getHistoryCursor().max;
+                let hasMore = true;
+                while (hasMore) {
+                    const params = { uuid, limit: HISTORY_PAGE_SIZE };
+                    if (afterId) params.after_id = afterId;
+                    const data = await this.requestHistory(params);
+                    // 请求期间已销毁或切换了客户，结果作废
+                    if (uuid !== this.state.customerUuid || !data || !data.list) break;
+
+                    // 从历史消息中获取会话ID
+                    if (data.conversation_id) {
+                        this.state.conversationId = data.conversation_id;
+                    }
+                    data.list.forEach(m => this.addMessage(m));
+
+                    if (!afterId) {
+                        // 首次拉取的是最新一页，has_more 表示还有更早的消息
+                        this.state.hasMoreHistory = !!data.has_more;
+                        break;
                     }
-                })
-                .catch(() => {});
+                    hasMore = data.has_more && data.list.length > 0;
+                    if (hasMore) afterId = data.list[data.list.length - 1].id;
+                }
+            } catch (e) {
+                console.warn('[IM-SDK] Fetch history failed', e);
+            } finally {
+                this.state.historySyncing = false;
+            }
+
+            if (this.state.historyResync && uuid === this.state.customerUuid) {
+                this.state.historyResync = false;
+                this.fetchHistory();
+            }
+        },
+
+        /**
+         * 加载更早的消息（滚动到顶部时触发）
+         * 优先读取本地存储；插入到列表顶部后保持当前可视位置不跳动
+         */
+        async loadOlderMessages() {
+            const beforeId = this.getHistoryCursor().min;
+            if (this.state.loadingOlder || !this.state.hasMoreHistory || !beforeId) return;
+            this.state.loadingOlder = true;
+            const uuid = this.state.customerUuid;
+
+            try {
+                // 先读本地存储，本地没有再向服务端请求
+                const oldest = this.state.messages.find(m => m.id === beforeId);
+                const conversationId = oldest ? oldest.conversation_id : this.state.conversationId;
+                let list = conversationId ? await MessageStore.getBefore(conversationId, beforeId, HISTORY_PAGE_SIZE) : [];
+                if (list.length === 0) {
+                    const data = await this.requestHistory({ uuid, limit: HISTORY_PAGE_SIZE, before_id: beforeId });
+                    if (uuid !== this.state.customerUuid || !data) return;
+                    this.state.hasMoreHistory = !!data.has_more;
+                    list = data.list || [];
+                    MessageStore.putMessages(list.filter(m => MessageStore.isPersistable(m)));
+                }
+                if (uuid !== this.state.customerUuid) return;
+
+                const older = list.filter(m => !this.state.messageIds.has(m.id));
+                if (older.length === 0) return;
+
+                older.forEach(m => this.state.messageIds.add(m.id));
+                this.state.messages = older.concat(this.state.messages);
+
+                const container = this.elements.messages;
+                if (container) {
+                    const prevHeight = container.scrollHeight;
+                    const prevTop = container.scrollTop;
+                    container.insertAdjacentHTML('afterbegin', older.map(m => this.getMessageHTML(m)).join(''));
+                    this.updateDateSeparators();
+                    container.scrollTop = container.scrollHeight - prevHeight + prevTop;
+                }
+            } catch (e) {
+                console.warn('[IM-SDK] Load older messages failed', e);
+            } finally {
+                this.state.loadingOlder = false;
+            }
         }
     };
 